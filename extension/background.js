@@ -0,0 +1,199 @@
+/**
+ * Extension Background Worker
+ * Installs tracker blocking as declarativeNetRequest rules and routes events from every tab to the dashboard
+ */
+
+importScripts('/js/blocklist.js', '/js/profiles.js', '/extension/memory-storage.js');
+
+class ExtensionBackground {
+    constructor() {
+        this.settingKeys = ['falcon-profiles', 'falcon-blocklists'];
+        this.sessionKey = 'falcon-farbling-session';
+        this.pendingKey = 'falcon-pending-events';
+        this.maxPending = 500;
+
+        // webRequest resource types in Blocklist's `$type` vocabulary
+        this.requestTypes = {
+            sub_frame: 'subdocument', script: 'script', image: 'image', stylesheet: 'stylesheet',
+            xmlhttprequest: 'xmlhttprequest', ping: 'ping', websocket: 'websocket', media: 'media',
+            font: 'font', object: 'object'
+        };
+
+        // webRequest resource types as PrivacyDetector network channels; others keep their own name
+        this.channels = {
+            sub_frame: 'iframe', script: 'script', image: 'image', xmlhttprequest: 'xmlhttprequest',
+            ping: 'beacon', websocket: 'websocket'
+        };
+
+        this.blocklist = null;
+        this.dashboards = [];
+        this.pending = Promise.resolve();   // Serializes reads and writes of the pending events
+        this.rulesUpdate = Promise.resolve();
+    }
+
+    start() {
+        // Service worker listeners must be registered synchronously on every start
+        chrome.runtime.onInstalled.addListener(() => this.setup(false));
+        chrome.runtime.onStartup.addListener(() => this.setup(true));
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && this.settingKeys.some(key => changes[key])) {
+                this.updateRules();
+            }
+        });
+        chrome.runtime.onMessage.addListener((message, sender) => this.handleMessage(message, sender));
+        chrome.runtime.onConnect.addListener(port => this.handleConnect(port));
+        chrome.webRequest.onErrorOccurred.addListener(details => this.handleRequestError(details), { urls: ['<all_urls>'] });
+    }
+
+    async setup(newSession) {
+        // Content scripts seed personas from one shared secret, replaced when a browser session starts
+        const stored = await chrome.storage.local.get(this.sessionKey);
+        if (newSession || !stored[this.sessionKey]) {
+            await chrome.storage.local.set({ [this.sessionKey]: this.createSecret() });
+        }
+        await this.updateRules();
+    }
+
+    createSecret() {
+        const bytes = new Uint32Array(4);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(8, '0')).join('');
+    }
+
+    // Blocking rules
+
+    async loadSettings() {
+        return new MemoryStorage(await chrome.storage.local.get(this.settingKeys));
+    }
+
+    async loadBlocklist() {
+        this.blocklist = new Blocklist({ storage: await this.loadSettings() });
+        return this.blocklist;
+    }
+
+    updateRules() {
+        this.rulesUpdate = this.rulesUpdate
+            .then(() => this.installRules())
+            .catch(e => console.error('Could not install blocking rules:', e));
+        return this.rulesUpdate;
+    }
+
+    async installRules() {
+        const storage = await this.loadSettings();
+        this.blocklist = new Blocklist({ storage });
+        const siteRules = this.createSiteRules(new ProtectionProfiles({ storage }));
+
+        let rules = [...siteRules, ...this.blocklist.toDeclarativeRules(siteRules.length + 1)];
+        const limit = chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES || 5000;
+        if (rules.length > limit) {
+            console.warn(`Only the first ${limit} of ${rules.length} blocking rules fit in the dynamic rule limit`);
+            rules = rules.slice(0, limit);
+        }
+
+        const installed = await chrome.declarativeNetRequest.getDynamicRules();
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: installed.map(rule => rule.id),
+            addRules: rules
+        });
+    }
+
+    createSiteRules(profiles) {
+        // Sites whose profile turns tracker protection off (allowlisted ones included) get every request
+        // in their tabs allowed. Rules match hostnames, so a profile for one scheme or port covers the others.
+        const hosts = { on: new Set(), off: new Set() };
+        [...Object.keys(profiles.config.sites), ...profiles.config.allowlist].forEach(origin => {
+            const hostname = this.getHostname(origin);
+            if (hostname) {
+                hosts[profiles.isProtectionEnabled('tracker', origin) ? 'on' : 'off'].add(hostname);
+            }
+        });
+
+        // An origin without a site profile resolves to the default profile
+        const blockByDefault = profiles.isProtectionEnabled('tracker', '');
+        const condition = { resourceTypes: ['main_frame'] };
+        if (blockByDefault) {
+            if (hosts.off.size === 0) return [];
+            condition.requestDomains = [...hosts.off];
+        } else if (hosts.on.size > 0) {
+            condition.excludedRequestDomains = [...hosts.on];
+        }
+
+        return [{ id: 1, priority: 3, action: { type: 'allowAllRequests' }, condition }];
+    }
+
+    getHostname(origin) {
+        try {
+            return new URL(origin).hostname || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async handleRequestError(details) {
+        if (details.error !== 'net::ERR_BLOCKED_BY_CLIENT' || details.tabId < 0) return;
+
+        // Other extensions block requests too; only the ones a tracker rule accounts for are reported
+        const blocklist = this.blocklist || await this.loadBlocklist();
+        const match = blocklist.match(details.url, {
+            type: this.requestTypes[details.type] || 'other',
+            documentUrl: details.documentUrl || details.initiator || details.url
+        });
+        if (!match || !match.blocked) return;
+
+        this.deliver('tracker', {
+            url: details.url,
+            blocked: true,
+            rule: match.rule,
+            channel: this.channels[details.type] || details.type,
+            origin: details.initiator || null,
+            tabId: details.tabId,
+            timestamp: Math.round(details.timeStamp)
+        });
+    }
+
+    // Event routing
+
+    handleMessage(message, sender) {
+        if (!message || message.type !== 'falcon-event' || !['threat', 'tracker'].includes(message.kind)) return;
+
+        this.deliver(message.kind, {
+            ...message.payload,
+            tabId: sender.tab ? sender.tab.id : null
+        });
+    }
+
+    handleConnect(port) {
+        if (port.name !== 'falcon-dashboard') return;
+
+        this.dashboards.push(port);
+        port.onDisconnect.addListener(() => {
+            this.dashboards = this.dashboards.filter(p => p !== port);
+        });
+
+        // Hand over whatever the tabs reported while no dashboard was open
+        this.pending = this.pending.then(async () => {
+            const stored = await chrome.storage.session.get(this.pendingKey);
+            await chrome.storage.session.remove(this.pendingKey);
+            (stored[this.pendingKey] || []).forEach(event => port.postMessage(event));
+        }).catch(e => console.warn('Could not deliver pending events:', e.message));
+    }
+
+    deliver(kind, payload) {
+        // Only the most recently opened dashboard gets the event: open dashboards share one
+        // event history, so delivering to each of them would record it several times
+        const dashboard = this.dashboards[this.dashboards.length - 1];
+        if (dashboard) {
+            dashboard.postMessage({ kind, payload });
+            return;
+        }
+
+        // Session storage outlives the worker, which stops whenever it is idle
+        this.pending = this.pending.then(async () => {
+            const stored = await chrome.storage.session.get(this.pendingKey);
+            const pending = (stored[this.pendingKey] || []).concat({ kind, payload }).slice(-this.maxPending);
+            await chrome.storage.session.set({ [this.pendingKey]: pending });
+        }).catch(e => console.warn('Could not queue event:', e.message));
+    }
+}
+
+new ExtensionBackground().start();
@@ -0,0 +1,101 @@
+/**
+ * Extension Dashboard Bridge
+ * Feeds the popup and options page with events from every tab and shares their settings with the content scripts
+ */
+
+(function() {
+    if (!window.chrome || !chrome.runtime || !chrome.runtime.id) return;
+
+    if (new URLSearchParams(window.location.search).has('popup')) {
+        document.documentElement.classList.add('extension-popup');
+    }
+
+    // localStorage keys the content scripts and the background worker read from chrome.storage
+    const settingKeys = ['falcon-profiles', 'falcon-farbling', 'falcon-geolocation', 'falcon-rules', 'falcon-blocklists'];
+    let port = null;
+    let active = false;
+    let ready = false;
+
+    const pushSettings = (farbling) => {
+        const values = Object.fromEntries(settingKeys.map(key => [key, localStorage.getItem(key)]));
+        values[farbling.sessionKey] = farbling.getSessionSecret();
+        chrome.storage.local.set(values).catch(e => console.warn('Could not share settings with the extension:', e.message));
+    };
+
+    const adoptSessionSecret = async (farbling) => {
+        // The persona shown here must be the one content scripts build from the shared seed
+        const stored = await chrome.storage.local.get(farbling.sessionKey);
+        const secret = stored[farbling.sessionKey];
+        if (!secret || secret === farbling.getSessionSecret()) return;
+
+        farbling.sessionSecret = secret;
+        sessionStorage.setItem(farbling.sessionKey, secret);
+        farbling.save();
+    };
+
+    const connect = (context) => {
+        port = chrome.runtime.connect({ name: 'falcon-dashboard' });
+        port.onMessage.addListener(({ kind, payload }) => {
+            if (kind !== 'threat' && kind !== 'tracker') return;
+            try {
+                context.bus.emit(kind, payload);
+            } catch (e) {
+                console.warn('Dropped an event from a tab:', e.message);
+            }
+        });
+
+        // The background worker stops when idle, which closes the port; the next connect wakes it
+        port.onDisconnect.addListener(() => {
+            if (active) connect(context);
+        });
+    };
+
+    const followActiveTab = (profiles) => {
+        // The popup edits the profile of the tab it was opened over
+        if (!document.documentElement.classList.contains('extension-popup')) return;
+
+        chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+            if (tab && tab.url && /^https?:/.test(tab.url)) {
+                profiles.setCurrentOrigin(tab.url);
+            }
+        });
+    };
+
+    window.falconGuardianPlugins = window.falconGuardianPlugins || [];
+    window.falconGuardianPlugins.push({
+        name: 'extension-bridge',
+        label: 'Browser Extension',
+
+        init(context) {
+            const { profiles, farbling, geolocation, rules, blocklist } = context.modules;
+            active = true;
+
+            [profiles, farbling, geolocation, rules, blocklist].forEach(module => module.onChange(() => {
+                if (active && ready) pushSettings(farbling);
+            }));
+            adoptSessionSecret(farbling)
+                .catch(e => console.warn('Could not read the shared persona seed:', e.message))
+                .then(() => {
+                    ready = true;
+                    pushSettings(farbling);
+                });
+
+            connect(context);
+            followActiveTab(profiles);
+        },
+
+        destroy() {
+            active = false;
+            if (port) port.disconnect();
+            port = null;
+        },
+
+        renderSettings(container) {
+            container.innerHTML = '<p class="setting-status">Protecting every tab</p>';
+            const status = container.firstChild;
+            chrome.declarativeNetRequest.getDynamicRules().then(rules => {
+                status.textContent = `Protecting every tab with ${rules.length} network blocking rules`;
+            });
+        }
+    });
+})();
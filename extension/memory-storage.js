@@ -0,0 +1,33 @@
+/**
+ * Memory Storage Module
+ * Storage-shaped map that stands in for localStorage where the extension keeps settings in chrome.storage
+ */
+
+class MemoryStorage {
+    constructor(values = {}) {
+        this.values = new Map();
+        this.update(values);
+    }
+
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.values.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.values.delete(key);
+    }
+
+    update(values) {
+        Object.entries(values).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                this.removeItem(key);
+            } else {
+                this.setItem(key, value);
+            }
+        });
+    }
+}
@@ -0,0 +1,3595 @@
+/**
+ * Extension Page Bundle
+ * Generated by tools/bundle-page.js; edit the files named below and run `npm run bundle` instead
+ */
+
+(function() {
+// js/events.js
+
+/**
+ * Event Bus Module
+ * Typed publish/subscribe channel between detectors, protections, the UI and plugins
+ */
+
+class EventBus {
+    constructor() {
+        // Every event type and the payload fields its publishers must provide
+        this.types = {
+            threat: ['type', 'severity', 'timestamp'],
+            tracker: ['url', 'blocked', 'channel', 'timestamp'],
+            request: ['url', 'channel', 'timestamp'],
+            behavior: ['rule', 'severity', 'timestamp'],
+            anomaly: ['metric', 'severity', 'timestamp'],
+            alert: ['id', 'severity', 'timestamp'],
+            score: ['score', 'previous'],
+            setting: ['setting', 'value']
+        };
+
+        this.handlers = new Map();
+        this.interceptors = new Map();
+    }
+
+    defineType(type, fields = []) {
+        if (this.types[type]) {
+            throw new Error(`Event type "${type}" is already defined`);
+        }
+        this.types[type] = fields.slice();
+    }
+
+    on(type, handler) {
+        this.assertType(type);
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for "${type}" events must be a function`);
+        }
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    intercept(type, interceptor) {
+        // Interceptors run in order before any handler and return the payload to deliver; one marked
+        // `suppressed` reaches no handler. The publisher gets the final payload back either way.
+        this.assertType(type);
+        if (typeof interceptor !== 'function') {
+            throw new Error(`Interceptor for "${type}" events must be a function`);
+        }
+
+        if (!this.interceptors.has(type)) {
+            this.interceptors.set(type, []);
+        }
+        this.interceptors.get(type).push(interceptor);
+
+        return () => {
+            const interceptors = this.interceptors.get(type);
+            const index = interceptors.indexOf(interceptor);
+            if (index !== -1) interceptors.splice(index, 1);
+        };
+    }
+
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    emit(type, payload) {
+        this.assertType(type);
+
+        const missing = this.types[type].filter(field => !payload || payload[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`"${type}" event is missing ${missing.join(', ')}`);
+        }
+
+        (this.interceptors.get(type) || []).slice().forEach(interceptor => {
+            try {
+                payload = interceptor(payload) || payload;
+            } catch (e) {
+                console.error(`Interceptor for "${type}" event failed:`, e);
+            }
+        });
+        if (payload.suppressed) {
+            return payload;
+        }
+
+        // A failing subscriber must not stop the others or the publisher
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            [...handlers].forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (e) {
+                    console.error(`Handler for "${type}" event failed:`, e);
+                }
+            });
+        }
+
+        return payload;
+    }
+
+    assertType(type) {
+        if (!this.types[type]) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+    }
+}
+
+// js/random.js
+
+/**
+ * Random Source Module
+ * Randomness for personas, spoofed values and keys: crypto.getRandomValues, or a seeded generator for reproducible runs
+ *
+ *   new RandomSource()                 // CSPRNG, the default everywhere
+ *   new RandomSource({ seed: 'test' }) // sfc32 seeded from the string; the same seed gives the same sequence.
+ *                                      //   Predictable by design, so keys made from it have no strength
+ */
+
+class RandomSource {
+    constructor(options = {}) {
+        this.seeded = options.seed !== undefined && options.seed !== null;
+        this.cryptographic = !this.seeded;
+        this.seed = this.seeded ? String(options.seed) : null;
+
+        if (this.seeded) {
+            this.state = this.createState(this.seed);
+            // The first outputs still resemble the seed, so they are dropped
+            for (let i = 0; i < 12; i++) {
+                this.nextSeeded();
+            }
+        } else if (!(window.crypto && window.crypto.getRandomValues)) {
+            throw new Error('crypto.getRandomValues is not available; pass a seed for a deterministic source instead');
+        }
+
+        // getRandomValues is called once per pool rather than once per number
+        this.pool = new Uint32Array(256);
+        this.poolIndex = this.pool.length;
+    }
+
+    createState(seed) {
+        // FNV-1a over the seed, spread over sfc32's 128-bit state by splitmix32
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        const state = new Uint32Array(4);
+        for (let i = 0; i < state.length; i++) {
+            hash = (hash + 0x9e3779b9) >>> 0;
+            let z = hash;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            state[i] = z ^ (z >>> 16);
+        }
+        return state;
+    }
+
+    nextSeeded() {
+        // sfc32 (Chris Doty-Humphrey's Small Fast Counting generator)
+        const s = this.state;
+        const t = (s[0] + s[1] + s[3]) >>> 0;
+        s[3] = s[3] + 1;
+        s[0] = s[1] ^ (s[1] >>> 9);
+        s[1] = s[2] + (s[2] << 3);
+        s[2] = ((s[2] << 21) | (s[2] >>> 11)) + t;
+        return t;
+    }
+
+    // Output
+
+    uint32() {
+        if (this.seeded) return this.nextSeeded();
+
+        if (this.poolIndex >= this.pool.length) {
+            window.crypto.getRandomValues(this.pool);
+            this.poolIndex = 0;
+        }
+        return this.pool[this.poolIndex++];
+    }
+
+    random() {
+        // A float in [0, 1) with all 53 bits of mantissa random, like Math.random
+        const high = this.uint32() >>> 5;
+        const low = this.uint32() >>> 6;
+        return (high * 67108864 + low) / 9007199254740992;
+    }
+
+    int(max) {
+        // An integer in [0, max), without the modulo bias of Math.floor(random() * max) on large ranges
+        if (!Number.isInteger(max) || max < 1 || max > 0x100000000) {
+            throw new Error('RandomSource.int needs a whole number between 1 and 2^32');
+        }
+        const limit = 0x100000000 - 0x100000000 % max;
+        let value;
+        do {
+            value = this.uint32();
+        } while (value >= limit);
+        return value % max;
+    }
+
+    bytes(length) {
+        const bytes = new Uint8Array(length);
+        if (this.seeded) {
+            for (let i = 0; i < length; i += 4) {
+                let word = this.uint32();
+                for (let j = i; j < Math.min(i + 4, length); j++) {
+                    bytes[j] = word & 0xff;
+                    word >>>= 8;
+                }
+            }
+            return bytes;
+        }
+
+        // getRandomValues fills at most 65536 bytes per call
+        for (let offset = 0; offset < length; offset += 65536) {
+            window.crypto.getRandomValues(bytes.subarray(offset, Math.min(offset + 65536, length)));
+        }
+        return bytes;
+    }
+
+    describe() {
+        return this.seeded
+            ? { kind: 'seeded', cryptographic: false, label: `sfc32 seeded with "${this.seed}"` }
+            : { kind: 'crypto', cryptographic: true, label: 'crypto.getRandomValues' };
+    }
+}
+
+// js/profiles.js
+
+/**
+ * Protection Profiles Module
+ * Per-origin protection profiles and site allowlist
+ */
+
+class ProtectionProfiles {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-profiles';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.currentOrigin = null;
+
+        // Shield.protectionMethods keys and PrivacyDetector hook groups a profile controls
+        this.protectionKeys = ['fingerprint', 'canvas', 'webgl', 'audio', 'fonts', 'timezone', 'geolocation', 'webrtc', 'tracker'];
+        this.hookKeys = ['canvas', 'webgl', 'audio', 'fonts', 'geolocation', 'network'];
+
+        this.presets = {
+            strict: {
+                label: 'Strict',
+                protections: { fingerprint: true, canvas: true, webgl: true, audio: true, fonts: true, timezone: true, geolocation: true, webrtc: true, tracker: true },
+                hooks: { canvas: true, webgl: true, audio: true, fonts: true, geolocation: true, network: true }
+            },
+            balanced: {
+                label: 'Balanced',
+                protections: { fingerprint: false, canvas: true, webgl: false, audio: true, fonts: false, timezone: false, geolocation: false, webrtc: true, tracker: true },
+                hooks: { canvas: true, webgl: true, audio: true, fonts: true, geolocation: true, network: true }
+            },
+            off: {
+                label: 'Off',
+                protections: { fingerprint: false, canvas: false, webgl: false, audio: false, fonts: false, timezone: false, geolocation: false, webrtc: false, tracker: false },
+                hooks: { canvas: false, webgl: false, audio: false, fonts: false, geolocation: false, network: false }
+            }
+        };
+
+        this.config = {
+            defaultProfile: 'balanced',
+            sites: {}, // origin -> profile name, or { profile: 'custom', protections, hooks } of its own
+            allowlist: [],
+            custom: this.copyProfile(this.presets.balanced)
+        };
+
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored) {
+                const sites = {};
+                Object.entries(stored.sites || {}).forEach(([origin, site]) => {
+                    sites[origin] = typeof site === 'string' ? site : { profile: 'custom', ...this.normalizeProfile(site) };
+                });
+                this.config = {
+                    ...this.config,
+                    ...stored,
+                    sites,
+                    custom: this.normalizeProfile(stored.custom)
+                };
+            }
+        } catch (e) {
+            console.warn('Could not read stored protection profiles:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.config));
+        } catch (e) {
+            console.warn('Could not store protection profiles:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    copyProfile(profile) {
+        return {
+            protections: { ...profile.protections },
+            hooks: { ...profile.hooks }
+        };
+    }
+
+    normalizeProfile(profile) {
+        // Fill keys added after the profile was stored from the balanced preset
+        const base = this.copyProfile(this.presets.balanced);
+        if (!profile) return base;
+        return {
+            protections: { ...base.protections, ...profile.protections },
+            hooks: { ...base.hooks, ...profile.hooks }
+        };
+    }
+
+    normalizeOrigin(origin) {
+        const value = (origin || '').trim();
+        if (!value) return null;
+        try {
+            const url = new URL(value.includes('://') ? value : `https://${value}`);
+            return url.origin === 'null' ? value : url.origin;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    getCurrentOrigin() {
+        if (this.currentOrigin) return this.currentOrigin;
+        return window.location.origin && window.location.origin !== 'null'
+            ? window.location.origin
+            : window.location.href;
+    }
+
+    setCurrentOrigin(origin) {
+        // The extension popup edits the profile of the active tab rather than its own page
+        this.currentOrigin = this.normalizeOrigin(origin);
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    // Profile resolution
+
+    getSiteProfileName(origin) {
+        // The profile a site is set to, or null when it follows the default
+        const site = this.config.sites[origin];
+        if (!site) return null;
+        return typeof site === 'string' ? site : site.profile;
+    }
+
+    getProfileName(origin = this.getCurrentOrigin()) {
+        if (this.isAllowlisted(origin)) return 'off';
+        return this.getSiteProfileName(origin) || this.config.defaultProfile;
+    }
+
+    getProfile(origin = this.getCurrentOrigin()) {
+        const name = this.getProfileName(origin);
+        const site = this.config.sites[origin];
+        let profile;
+        if (name === 'custom') {
+            // A site with its own custom settings; the shared custom profile otherwise
+            profile = site && typeof site === 'object' && !this.isAllowlisted(origin) ? site : this.config.custom;
+        } else {
+            profile = this.presets[name] || this.presets.balanced;
+        }
+        return {
+            name,
+            allowlisted: this.isAllowlisted(origin),
+            ...this.copyProfile(profile)
+        };
+    }
+
+    isProtectionEnabled(key, origin) {
+        return this.getProfile(origin).protections[key] !== false;
+    }
+
+    isHookEnabled(key, origin) {
+        return this.getProfile(origin).hooks[key] !== false;
+    }
+
+    getProfileOptions() {
+        return [
+            ...Object.entries(this.presets).map(([name, preset]) => ({ name, label: preset.label })),
+            { name: 'custom', label: 'Custom' }
+        ];
+    }
+
+    // Editing
+
+    setDefaultProfile(name) {
+        if (!this.isValidProfile(name)) return false;
+        this.config.defaultProfile = name;
+        this.save();
+        return true;
+    }
+
+    setSiteProfile(origin, name) {
+        const normalized = this.normalizeOrigin(origin);
+        if (!normalized) return false;
+
+        if (!name || name === 'default') {
+            delete this.config.sites[normalized];
+        } else if (this.isValidProfile(name)) {
+            this.config.sites[normalized] = name;
+        } else {
+            return false;
+        }
+
+        this.save();
+        return true;
+    }
+
+    getCustomProfile(origin) {
+        // The settings the custom editor changes: the site's own, or the shared custom profile
+        const site = this.config.sites[this.normalizeOrigin(origin)];
+        return site && typeof site === 'object' ? site : this.config.custom;
+    }
+
+    setCustomSetting(kind, key, enabled, origin) {
+        const keys = kind === 'hooks' ? this.hookKeys : this.protectionKeys;
+        if (!keys.includes(key)) return false;
+
+        this.getCustomProfile(origin)[kind][key] = enabled;
+        this.save();
+        return true;
+    }
+
+    setSiteProtection(origin, key, enabled) {
+        // Changing one protection for a site gives it custom settings of its own, starting from
+        // whatever the site currently gets; other sites and the shared custom profile keep theirs
+        const normalized = this.normalizeOrigin(origin);
+        if (!normalized || !this.protectionKeys.includes(key)) return false;
+
+        let site = this.config.sites[normalized];
+        if (!site || typeof site !== 'object') {
+            site = { profile: 'custom', ...this.copyProfile(this.getProfile(normalized)) };
+            this.config.sites[normalized] = site;
+        }
+        site.protections[key] = enabled;
+        this.config.allowlist = this.config.allowlist.filter(o => o !== normalized);
+
+        this.save();
+        return true;
+    }
+
+    registerProtection(key, defaults = {}) {
+        // Plugin protections join every preset; custom profiles start from the balanced default
+        if (this.protectionKeys.includes(key)) {
+            throw new Error(`Protection "${key}" is already registered`);
+        }
+
+        this.protectionKeys.push(key);
+        Object.entries(this.presets).forEach(([name, preset]) => {
+            preset.protections[key] = name === 'off' ? false : !!defaults[name];
+        });
+        const customs = [this.config.custom, ...Object.values(this.config.sites).filter(site => typeof site === 'object')];
+        customs.forEach(custom => {
+            if (custom.protections[key] === undefined) {
+                custom.protections[key] = this.presets.balanced.protections[key];
+            }
+        });
+    }
+
+    unregisterProtection(key) {
+        // Custom profiles keep their stored value in case the plugin is registered again
+        this.protectionKeys = this.protectionKeys.filter(k => k !== key);
+        Object.values(this.presets).forEach(preset => delete preset.protections[key]);
+    }
+
+    isValidProfile(name) {
+        return name === 'custom' || Object.prototype.hasOwnProperty.call(this.presets, name);
+    }
+
+    // Allowlist
+
+    isAllowlisted(origin = this.getCurrentOrigin()) {
+        const normalized = this.normalizeOrigin(origin);
+        return !!normalized && this.config.allowlist.includes(normalized);
+    }
+
+    addToAllowlist(origin) {
+        const normalized = this.normalizeOrigin(origin);
+        if (!normalized) return false;
+
+        if (!this.config.allowlist.includes(normalized)) {
+            this.config.allowlist.push(normalized);
+            this.save();
+        }
+        return true;
+    }
+
+    removeFromAllowlist(origin) {
+        const normalized = this.normalizeOrigin(origin);
+        const before = this.config.allowlist.length;
+        this.config.allowlist = this.config.allowlist.filter(o => o !== normalized);
+        if (this.config.allowlist.length === before) return false;
+
+        this.save();
+        return true;
+    }
+}
+
+// js/rules.js
+
+/**
+ * Rule Engine Module
+ * User-defined JSON rules that re-grade, suppress, block, flag or tag threats before anything records them
+ *
+ * Rules are a JSON array, applied in order to every threat on the bus:
+ *   {
+ *     id: 'maps-location',                        // unique, lowercase letters, digits and dashes
+ *     description: 'The maps site may ask for the location',
+ *     enabled: true,
+ *     match: {                                    // every condition given must hold; {} matches all
+ *       type: 'geolocation_access',               // threat type; a list, and * and ? wildcards, work
+ *       origin: 'https://*.maps.example',         //   here and for origin and script too
+ *       script: '*://cdn.example/*',              // URL of the script that made the call
+ *       severity: ['high', 'critical'],           // severity as the threat was raised
+ *       frequency: { count: 3, window: 10000 }    // only from the 3rd such threat within 10 s on a site
+ *     },
+ *     actions: {
+ *       severity: 'low',                          // a later rule's severity wins
+ *       suppress: true,                           // never reaches the dashboard, history or score
+ *       block: true,                              // the call fails: canvas, WebGL, audio, geolocation
+ *                                                 //   and plugin detectors that honour it
+ *       notify: true,
+ *       tags: ['maps']
+ *     }
+ *   }
+ */
+
+class RuleEngine {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-rules';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.bus = options.bus || new EventBus();
+
+        this.severities = ['low', 'medium', 'high', 'critical'];
+        // Threats reported after the fact, with no call left to refuse
+        this.unblockable = ['font_fingerprint', 'permission_change'];
+        this.frequencyLimits = {
+            count: { min: 1, max: 1000 },
+            window: { min: 1000, max: 24 * 60 * 60 * 1000 } // ms
+        };
+        this.ruleKeys = ['id', 'description', 'enabled', 'match', 'actions'];
+        this.matchKeys = ['type', 'origin', 'script', 'severity', 'frequency'];
+        this.actionKeys = ['severity', 'suppress', 'block', 'notify', 'tags'];
+
+        this.example = [
+            {
+                id: 'maps-location',
+                description: 'The maps site may ask for the location',
+                match: { type: 'geolocation_access', origin: 'https://maps.example.com' },
+                actions: { severity: 'low', tags: ['expected'] }
+            },
+            {
+                id: 'block-repeated-canvas',
+                description: 'Refuse canvas reads once a site makes three within ten seconds',
+                match: { type: 'canvas_fingerprint', frequency: { count: 3, window: 10000 } },
+                actions: { block: true, notify: true, tags: ['fingerprinting'] }
+            }
+        ];
+
+        this.rules = [];
+        this.history = new Map(); // `${rule id}|${origin}` -> timestamps of matching threats
+        this.hits = {};           // rule id -> threats it applied to this session
+        this.patterns = new Map(); // wildcard pattern -> RegExp
+        this.unsubscribe = null;
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            const { rules, errors } = this.validate(stored && stored.rules ? stored.rules : []);
+            if (errors.length > 0) {
+                console.warn('Ignoring invalid stored rules:', errors.join('; '));
+            }
+            this.rules = rules;
+        } catch (e) {
+            console.warn('Could not read stored rules:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify({ rules: this.rules }));
+        } catch (e) {
+            console.warn('Could not store rules:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.rules));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Editing
+
+    setRules(input) {
+        // Takes the JSON text from the editor (or an array) and replaces every rule, or throws with all problems found
+        let rules = input;
+        if (typeof input === 'string') {
+            try {
+                rules = input.trim() === '' ? [] : JSON.parse(input);
+            } catch (e) {
+                throw new Error(`Rules are not valid JSON: ${e.message}`);
+            }
+        }
+
+        const result = this.validate(rules);
+        if (result.errors.length > 0) {
+            throw new Error(result.errors.join('\n'));
+        }
+
+        this.rules = result.rules;
+        this.history.clear();
+        this.hits = {};
+        this.save();
+        return this.rules;
+    }
+
+    toJSON() {
+        return JSON.stringify(this.rules, null, 2);
+    }
+
+    validate(rules) {
+        if (!Array.isArray(rules)) {
+            return { rules: [], errors: ['Rules must be a JSON array of rule objects'] };
+        }
+
+        const errors = [];
+        const ids = new Set();
+        rules.forEach((rule, index) => {
+            const name = rule && typeof rule.id === 'string' ? `Rule ${index + 1} ("${rule.id}")` : `Rule ${index + 1}`;
+            this.validateRule(rule, ids).forEach(problem => errors.push(`${name}: ${problem}`));
+        });
+
+        // Stored as written, so the editor shows the user's own rules back
+        return { rules: errors.length > 0 ? [] : JSON.parse(JSON.stringify(rules)), errors };
+    }
+
+    validateRule(rule, ids) {
+        if (!this.isObject(rule)) return ['must be an object'];
+
+        const problems = [];
+        const unknown = (object, keys, prefix) => Object.keys(object).filter(key => !keys.includes(key))
+            .forEach(key => problems.push(`unknown field "${prefix}${key}"`));
+        unknown(rule, this.ruleKeys, '');
+
+        if (typeof rule.id !== 'string' || !/^[a-z0-9-]+$/.test(rule.id)) {
+            problems.push('id must be lowercase letters, digits and dashes');
+        } else if (ids.has(rule.id)) {
+            problems.push('id is used by an earlier rule');
+        } else {
+            ids.add(rule.id);
+        }
+        if (rule.description !== undefined && typeof rule.description !== 'string') {
+            problems.push('description must be a string');
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            problems.push('enabled must be true or false');
+        }
+
+        const match = rule.match;
+        if (!this.isObject(match)) {
+            problems.push('match must be an object ({} matches every threat)');
+        } else {
+            unknown(match, this.matchKeys, 'match.');
+            ['type', 'origin', 'script'].forEach(key => {
+                if (match[key] !== undefined && !this.isPatternList(match[key])) {
+                    problems.push(`match.${key} must be a string or a list of strings`);
+                }
+            });
+            if (match.severity !== undefined && (!this.isPatternList(match.severity) ||
+                !this.toList(match.severity).every(severity => this.severities.includes(severity)))) {
+                problems.push(`match.severity must be one or more of ${this.severities.join(', ')}`);
+            }
+            if (match.frequency !== undefined) {
+                const frequency = match.frequency;
+                const inRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+                if (!this.isObject(frequency) || Object.keys(frequency).some(key => key !== 'count' && key !== 'window') ||
+                    !inRange(frequency.count, this.frequencyLimits.count) || !inRange(frequency.window, this.frequencyLimits.window)) {
+                    const limits = this.frequencyLimits;
+                    problems.push(`match.frequency must be { count: ${limits.count.min}-${limits.count.max}, ` +
+                        `window: ${limits.window.min}-${limits.window.max} ms }`);
+                }
+            }
+        }
+
+        const actions = rule.actions;
+        if (!this.isObject(actions) || Object.keys(actions).length === 0) {
+            problems.push(`actions must be an object with at least one of ${this.actionKeys.join(', ')}`);
+            return problems;
+        }
+        unknown(actions, this.actionKeys, 'actions.');
+        if (actions.severity !== undefined && !this.severities.includes(actions.severity)) {
+            problems.push(`actions.severity must be one of ${this.severities.join(', ')}`);
+        }
+        ['suppress', 'block', 'notify'].forEach(key => {
+            if (actions[key] !== undefined && typeof actions[key] !== 'boolean') {
+                problems.push(`actions.${key} must be true or false`);
+            }
+        });
+        if (actions.tags !== undefined && (!Array.isArray(actions.tags) ||
+            !actions.tags.every(tag => typeof tag === 'string' && /^[\w-]{1,32}$/.test(tag)))) {
+            problems.push('actions.tags must be a list of words (letters, digits, _ and -, up to 32 characters)');
+        }
+
+        const types = this.isObject(match) && match.type !== undefined && this.isPatternList(match.type) ? this.toList(match.type) : [];
+        if (actions.block && types.length > 0 && types.every(type => this.unblockable.includes(type))) {
+            problems.push(`actions.block cannot stop ${types.join(', ')}: they are reported after the fact`);
+        }
+        return problems;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isPatternList(value) {
+        return typeof value === 'string' ||
+            (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'));
+    }
+
+    toList(value) {
+        return Array.isArray(value) ? value : [value];
+    }
+
+    // Evaluation
+
+    start() {
+        if (this.unsubscribe) return;
+        this.unsubscribe = this.bus.intercept('threat', threat => this.apply(threat));
+    }
+
+    stop() {
+        if (!this.unsubscribe) return;
+        this.unsubscribe();
+        this.unsubscribe = null;
+    }
+
+    apply(threat) {
+        // A threat relayed from a tab was already evaluated there, by the same rules
+        if (Array.isArray(threat.rules)) return threat;
+
+        const origin = threat.origin || window.location.origin;
+        const result = { ...threat, rules: [] };
+        this.rules.forEach(rule => {
+            if (rule.enabled === false || !this.matches(rule.match, threat, origin)) return;
+            if (rule.match.frequency && !this.isFrequent(rule, origin, threat.timestamp)) return;
+
+            const actions = rule.actions;
+            result.rules.push(rule.id);
+            this.hits[rule.id] = (this.hits[rule.id] || 0) + 1;
+
+            if (actions.severity) result.severity = actions.severity;
+            if (actions.suppress) result.suppressed = true;
+            if (actions.block) result.blocked = true;
+            if (actions.notify) result.notify = true;
+            if (actions.tags) result.tags = [...new Set([...(result.tags || []), ...actions.tags])];
+        });
+        return result;
+    }
+
+    matches(match, threat, origin) {
+        if (match.type !== undefined && !this.matchesPattern(match.type, threat.type)) return false;
+        if (match.origin !== undefined && !this.matchesPattern(match.origin, origin)) return false;
+        if (match.script !== undefined && !(threat.script && this.matchesPattern(match.script, threat.script))) return false;
+        if (match.severity !== undefined && !this.toList(match.severity).includes(threat.severity)) return false;
+        return true;
+    }
+
+    matchesPattern(patterns, value) {
+        return this.toList(patterns).some(pattern => {
+            let regexp = this.patterns.get(pattern);
+            if (!regexp) {
+                const source = pattern.split('*')
+                    .map(part => part.split('?').map(text => text.replace(/[.+^${}()|[\]\\/]/g, '\\$&')).join('.'))
+                    .join('.*');
+                regexp = new RegExp(`^${source}$`, 'i');
+                this.patterns.set(pattern, regexp);
+            }
+            return regexp.test(String(value));
+        });
+    }
+
+    isFrequent(rule, origin, timestamp) {
+        // Counts the threats this rule's other conditions matched on the site, this one included
+        const { count, window: span } = rule.match.frequency;
+        const key = `${rule.id}|${origin}`;
+        const times = (this.history.get(key) || []).filter(time => time > timestamp - span);
+        times.push(timestamp);
+        this.history.set(key, times);
+        return times.length >= count;
+    }
+
+    getRules() {
+        return this.rules.map(rule => ({
+            id: rule.id,
+            description: rule.description || '',
+            enabled: rule.enabled !== false,
+            hits: this.hits[rule.id] || 0
+        }));
+    }
+}
+
+// js/farbling.js
+
+/**
+ * Farbling Module
+ * Seeded, session-stable browser personas for fingerprint spoofing
+ */
+
+class FarblingEngine {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-farbling';
+        this.sessionKey = 'falcon-farbling-session';
+        // Default to localStorage and sessionStorage; content scripts must not write to the site's own
+        this.storage = options.storage || null;
+        this.sessionStorage = options.sessionStorage || null;
+        this.random = options.random || new RandomSource(); // Only draws session secrets; personas are seeded from those
+
+        this.rotationSchedules = {
+            session: { label: 'Once per browser session', period: 0 },
+            hourly: { label: 'Every hour', period: 60 * 60 * 1000 },
+            daily: { label: 'Every day', period: 24 * 60 * 60 * 1000 },
+            weekly: { label: 'Every week', period: 7 * 24 * 60 * 60 * 1000 }
+        };
+
+        // Each OS only pairs with screen sizes, UA tokens, core counts and GPUs (Chromium ANGLE strings) seen on that OS
+        this.operatingSystems = {
+            windows: {
+                weight: 68,
+                platform: 'Win32',
+                uaToken: 'Windows NT 10.0; Win64; x64',
+                firefoxToken: 'Windows NT 10.0; Win64; x64',
+                screens: [[1920, 1080], [1536, 864], [1366, 768], [2560, 1440], [1440, 900], [1600, 900], [1280, 720]],
+                reservedHeight: 40,
+                cores: [4, 8, 12, 16],
+                gpus: [
+                    ['Google Inc. (Intel)', 'ANGLE (Intel, Intel(R) UHD Graphics 620 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (Intel)', 'ANGLE (Intel, Intel(R) Iris(R) Xe Graphics Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (NVIDIA)', 'ANGLE (NVIDIA, NVIDIA GeForce GTX 1650 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (NVIDIA)', 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (AMD)', 'ANGLE (AMD, AMD Radeon(TM) Graphics Direct3D11 vs_5_0 ps_5_0, D3D11)']
+                ]
+            },
+            mac: {
+                weight: 22,
+                platform: 'MacIntel',
+                uaToken: 'Macintosh; Intel Mac OS X 10_15_7',
+                firefoxToken: 'Macintosh; Intel Mac OS X 10.15',
+                screens: [[1440, 900], [1512, 982], [1470, 956], [1728, 1117], [1680, 1050], [2560, 1440]],
+                reservedHeight: 25,
+                cores: [8, 10, 12],
+                gpus: [
+                    ['Google Inc. (Apple)', 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)'],
+                    ['Google Inc. (Apple)', 'ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)'],
+                    ['Google Inc. (Intel Inc.)', 'ANGLE (Intel Inc., Intel(R) Iris(TM) Plus Graphics OpenGL Engine, OpenGL 4.1)']
+                ]
+            },
+            linux: {
+                weight: 10,
+                platform: 'Linux x86_64',
+                uaToken: 'X11; Linux x86_64',
+                firefoxToken: 'X11; Linux x86_64',
+                screens: [[1920, 1080], [2560, 1440], [1366, 768]],
+                reservedHeight: 0,
+                cores: [4, 8, 16],
+                gpus: [
+                    ['Google Inc. (Intel)', 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)'],
+                    ['Google Inc. (NVIDIA Corporation)', 'ANGLE (NVIDIA Corporation, NVIDIA GeForce GTX 1060 6GB/PCIe/SSE2, OpenGL 4.5.0)']
+                ]
+            }
+        };
+
+        // Spoofed languages stay within the real base language so pages remain readable
+        this.languageVariants = {
+            en: ['en-US', 'en-GB', 'en-CA', 'en-AU'],
+            es: ['es-ES', 'es-MX', 'es-419'],
+            fr: ['fr-FR', 'fr-CA'],
+            de: ['de-DE', 'de-AT', 'de-CH'],
+            pt: ['pt-BR', 'pt-PT']
+        };
+
+        // Timezones that plausibly go with each language tag (exact tag first, then base language)
+        this.timezonesByLanguage = {
+            'en-US': ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'],
+            'en-GB': ['Europe/London'],
+            'en-CA': ['America/Toronto', 'America/Vancouver'],
+            'en-AU': ['Australia/Sydney', 'Australia/Melbourne', 'Australia/Brisbane'],
+            'en-IN': ['Asia/Kolkata'],
+            'es-ES': ['Europe/Madrid'],
+            'es-MX': ['America/Mexico_City'],
+            'es-419': ['America/Bogota', 'America/Lima', 'America/Argentina/Buenos_Aires'],
+            'fr-CA': ['America/Toronto'],
+            'de-AT': ['Europe/Vienna'],
+            'de-CH': ['Europe/Zurich'],
+            'pt-BR': ['America/Sao_Paulo'],
+            'pt-PT': ['Europe/Lisbon'],
+            'en': ['America/New_York'],
+            'es': ['Europe/Madrid'],
+            'fr': ['Europe/Paris'],
+            'de': ['Europe/Berlin'],
+            'pt': ['America/Sao_Paulo'],
+            'it': ['Europe/Rome'],
+            'nl': ['Europe/Amsterdam'],
+            'pl': ['Europe/Warsaw'],
+            'tr': ['Europe/Istanbul'],
+            'ru': ['Europe/Moscow'],
+            'hi': ['Asia/Kolkata'],
+            'ja': ['Asia/Tokyo'],
+            'ko': ['Asia/Seoul'],
+            'zh': ['Asia/Shanghai']
+        };
+
+        // Current desktop browsers all expose the same fixed PDF plugin list
+        this.plugins = [
+            'PDF Viewer',
+            'Chrome PDF Viewer',
+            'Chromium PDF Viewer',
+            'Microsoft Edge PDF Viewer',
+            'WebKit built-in PDF'
+        ].map(name => ({ name, filename: 'internal-pdf-viewer', description: 'Portable Document Format' }));
+
+        this.config = { rotation: 'session' };
+        this.listeners = [];
+        this.personaCache = new Map();
+
+        // Capture the real values before any spoofing shadows them
+        this.realNavigator = {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            language: navigator.language,
+            hardwareConcurrency: navigator.hardwareConcurrency
+        };
+        this.realScreen = {
+            width: window.screen.width,
+            height: window.screen.height
+        };
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && this.rotationSchedules[stored.rotation]) {
+                this.config = { ...this.config, ...stored };
+            }
+        } catch (e) {
+            console.warn('Could not read stored persona settings:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.config));
+        } catch (e) {
+            console.warn('Could not store persona settings:', e.message);
+        }
+        this.personaCache.clear();
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Seeding
+
+    getSessionSecret() {
+        // sessionStorage lives as long as the browser session, so a new session gets a new seed
+        let secret = null;
+        try {
+            secret = (this.sessionStorage || sessionStorage).getItem(this.sessionKey);
+        } catch (e) {
+            // Storage can be disabled; fall back to a per-page secret
+        }
+
+        if (!secret) {
+            secret = this.sessionSecret || this.createSecret();
+            try {
+                (this.sessionStorage || sessionStorage).setItem(this.sessionKey, secret);
+            } catch (e) {
+                // Keep the in-memory secret only
+            }
+        }
+
+        this.sessionSecret = secret;
+        return secret;
+    }
+
+    createSecret() {
+        return Array.from(this.random.bytes(16), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    getEpoch(now = Date.now()) {
+        const { period } = this.rotationSchedules[this.config.rotation];
+        return period ? Math.floor(now / period) : 0;
+    }
+
+    getSeed(origin = window.location.origin, purpose = 'persona') {
+        return this.hashString(`${this.getSessionSecret()}|${origin}|${this.getEpoch()}|${purpose}`);
+    }
+
+    createRandom(purpose, origin) {
+        return this.mulberry32(this.getSeed(origin, purpose));
+    }
+
+    hashString(str) {
+        // FNV-1a followed by a murmur3 finalizer to spread nearby inputs
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+
+    mulberry32(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Personas
+
+    getPersona(origin = window.location.origin) {
+        const cacheKey = `${origin}|${this.getSessionSecret()}|${this.getEpoch()}`;
+        if (!this.personaCache.has(cacheKey)) {
+            this.personaCache.clear();
+            this.personaCache.set(cacheKey, this.buildPersona(this.createRandom('persona', origin)));
+        }
+        return this.personaCache.get(cacheKey);
+    }
+
+    buildPersona(random) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        const real = this.realNavigator;
+        const browser = this.getBrowser(real.userAgent);
+
+        // Mobile devices and Safari cannot plausibly claim another OS, so they keep their real identity
+        const keepRealOS = browser.mobile || browser.family === 'safari' || browser.family === 'other';
+        const osName = keepRealOS ? this.getOSName(real.platform) : this.pickWeighted(random, this.operatingSystems);
+        const os = this.operatingSystems[osName];
+
+        let screen = { width: this.realScreen.width, height: this.realScreen.height };
+        if (os && !browser.mobile) {
+            const [width, height] = pick(os.screens);
+            screen = { width, height };
+        }
+        const reservedHeight = os && !browser.mobile ? os.reservedHeight : 0;
+
+        const base = (real.language || 'en-US').split('-')[0];
+        const variants = this.languageVariants[base];
+        const language = variants ? pick(variants) : real.language;
+
+        return {
+            os: osName || 'unknown',
+            browser: browser.family,
+            userAgent: keepRealOS ? real.userAgent : this.buildUserAgent(browser, os),
+            platform: keepRealOS || !os ? real.platform : os.platform,
+            language,
+            languages: language.includes('-') ? [language, base] : [language],
+            screen: {
+                ...screen,
+                availWidth: screen.width,
+                availHeight: screen.height - reservedHeight,
+                colorDepth: 24
+            },
+            hardwareConcurrency: os ? pick(os.cores) : real.hardwareConcurrency,
+            plugins: this.plugins
+        };
+    }
+
+    getGPUProfile(osName, origin) {
+        // Seeded separately so the GPU can be spoofed with or without the rest of the persona
+        const os = this.operatingSystems[osName];
+        if (!os) return null;
+
+        const random = this.createRandom('gpu', origin);
+        const [vendor, renderer] = os.gpus[Math.floor(random() * os.gpus.length)];
+        return { vendor, renderer };
+    }
+
+    getTimezone(language, origin) {
+        const zones = this.timezonesByLanguage[language] ||
+            this.timezonesByLanguage[String(language).split('-')[0]] ||
+            ['UTC'];
+        const random = this.createRandom('timezone', origin);
+        return zones[Math.floor(random() * zones.length)];
+    }
+
+    getRealOSName() {
+        return this.getOSName(this.realNavigator.platform);
+    }
+
+    pickWeighted(random, options) {
+        const entries = Object.entries(options);
+        const total = entries.reduce((sum, [, option]) => sum + option.weight, 0);
+        let roll = random() * total;
+        for (const [name, option] of entries) {
+            roll -= option.weight;
+            if (roll < 0) return name;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    getBrowser(userAgent) {
+        const mobile = /Mobile|Android|iPhone|iPad/.test(userAgent);
+        const version = (pattern) => {
+            const match = userAgent.match(pattern);
+            return match ? match[1] : null;
+        };
+
+        if (/Firefox\//.test(userAgent)) {
+            return { family: 'firefox', version: version(/Firefox\/(\d+)/), mobile };
+        }
+        if (/Edg\//.test(userAgent)) {
+            return { family: 'edge', version: version(/Edg\/(\d+)/), chromeVersion: version(/Chrome\/(\d+)/), mobile };
+        }
+        if (/Chrome\//.test(userAgent)) {
+            return { family: 'chrome', version: version(/Chrome\/(\d+)/), mobile };
+        }
+        if (/Safari\//.test(userAgent)) {
+            return { family: 'safari', version: version(/Version\/(\d+)/), mobile };
+        }
+        return { family: 'other', version: null, mobile };
+    }
+
+    getOSName(platform) {
+        if (/^Win/.test(platform)) return 'windows';
+        if (/^Mac/.test(platform)) return 'mac';
+        if (/^Linux x86/.test(platform)) return 'linux';
+        return null;
+    }
+
+    buildUserAgent(browser, os) {
+        // Keep the real browser and major version; only the OS part of the UA changes
+        switch (browser.family) {
+            case 'firefox':
+                return `Mozilla/5.0 (${os.firefoxToken}; rv:${browser.version}.0) Gecko/20100101 Firefox/${browser.version}.0`;
+            case 'edge':
+                return `Mozilla/5.0 (${os.uaToken}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${browser.chromeVersion}.0.0.0 Safari/537.36 Edg/${browser.version}.0.0.0`;
+            default:
+                return `Mozilla/5.0 (${os.uaToken}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${browser.version}.0.0.0 Safari/537.36`;
+        }
+    }
+
+    // Rotation
+
+    setRotation(rotation) {
+        if (!this.rotationSchedules[rotation]) return false;
+        this.config.rotation = rotation;
+        this.save();
+        return true;
+    }
+
+    rotate() {
+        // Start a fresh seed immediately, as if a new browser session had begun
+        this.sessionSecret = this.createSecret();
+        try {
+            (this.sessionStorage || sessionStorage).setItem(this.sessionKey, this.sessionSecret);
+        } catch (e) {
+            // Keep the in-memory secret only
+        }
+        this.save();
+    }
+
+    getRotationOptions() {
+        return Object.entries(this.rotationSchedules).map(([name, schedule]) => ({ name, label: schedule.label }));
+    }
+}
+
+// js/timezone.js
+
+/**
+ * Timezone Module
+ * Presents one coherent timezone across Date, Intl.DateTimeFormat and Temporal
+ */
+
+class TimezoneSpoofer {
+    constructor() {
+        this.zone = null;
+        this.locale = null;
+        this.originals = null;
+        this.offsetCache = new Map();
+
+        this.localGetters = {
+            getFullYear: 'getUTCFullYear',
+            getMonth: 'getUTCMonth',
+            getDate: 'getUTCDate',
+            getDay: 'getUTCDay',
+            getHours: 'getUTCHours',
+            getMinutes: 'getUTCMinutes',
+            getSeconds: 'getUTCSeconds',
+            getMilliseconds: 'getUTCMilliseconds'
+        };
+        this.localSetters = {
+            setFullYear: 'setUTCFullYear',
+            setMonth: 'setUTCMonth',
+            setDate: 'setUTCDate',
+            setHours: 'setUTCHours',
+            setMinutes: 'setUTCMinutes',
+            setSeconds: 'setUTCSeconds',
+            setMilliseconds: 'setUTCMilliseconds'
+        };
+        this.localeMethods = ['toLocaleString', 'toLocaleDateString', 'toLocaleTimeString'];
+        this.temporalNowMethods = ['zonedDateTimeISO', 'plainDateTimeISO', 'plainDateISO', 'plainTimeISO'];
+
+        this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    }
+
+    enable(zone, locale = null) {
+        if (!this.originals) {
+            this.captureOriginals();
+        }
+
+        // Unknown zone names would make every Intl call throw; fall back to UTC instead
+        try {
+            new this.originals.DateTimeFormat('en-US', { timeZone: zone });
+        } catch (e) {
+            zone = 'UTC';
+        }
+
+        this.zone = zone;
+        this.locale = locale;
+        this.offsetCache.clear();
+        this.partsFormatter = new this.originals.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        this.nameFormatter = new this.originals.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'long' });
+
+        if (!this.patched) {
+            this.patchDate();
+            this.patchIntl();
+            this.patchTemporal();
+            this.patched = true;
+        }
+    }
+
+    disable() {
+        if (!this.patched) return;
+
+        const { Date: OriginalDate, DateTimeFormat, dateProto, parse, temporalNow } = this.originals;
+        Object.assign(OriginalDate.prototype, dateProto);
+        OriginalDate.parse = parse;
+        OriginalDate.prototype.constructor = OriginalDate;
+        window.Date = OriginalDate;
+
+        DateTimeFormat.prototype.constructor = DateTimeFormat;
+        Intl.DateTimeFormat = DateTimeFormat;
+
+        if (temporalNow) {
+            Object.assign(window.Temporal.Now, temporalNow);
+        }
+
+        this.patched = false;
+    }
+
+    captureOriginals() {
+        const proto = Date.prototype;
+        const methods = [
+            ...Object.keys(this.localGetters), ...Object.keys(this.localSetters), ...this.localeMethods,
+            'getYear', 'getTimezoneOffset', 'toString', 'toDateString', 'toTimeString'
+        ];
+
+        this.originals = {
+            Date: Date,
+            DateTimeFormat: Intl.DateTimeFormat,
+            parse: Date.parse,
+            getTime: proto.getTime,
+            setTime: proto.setTime,
+            dateProto: {},
+            temporalNow: null
+        };
+        methods.forEach(name => {
+            if (proto[name]) this.originals.dateProto[name] = proto[name];
+        });
+
+        if (window.Temporal && window.Temporal.Now) {
+            this.originals.temporalNow = {};
+            ['timeZoneId', ...this.temporalNowMethods].forEach(name => {
+                if (window.Temporal.Now[name]) this.originals.temporalNow[name] = window.Temporal.Now[name];
+            });
+        }
+    }
+
+    // Offsets
+
+    getOffset(time) {
+        // Milliseconds east of UTC in the spoofed zone; cached per 15 minutes, the finest DST boundary
+        if (!isFinite(time)) return NaN;
+
+        const bucket = Math.floor(time / 900000);
+        if (this.offsetCache.has(bucket)) return this.offsetCache.get(bucket);
+
+        const seconds = Math.floor(time / 1000) * 1000;
+        const fields = {};
+        this.partsFormatter.formatToParts(new this.originals.Date(seconds)).forEach(part => {
+            fields[part.type] = Number(part.value);
+        });
+
+        const wall = new this.originals.Date(0);
+        wall.setUTCFullYear(fields.year, fields.month - 1, fields.day);
+        wall.setUTCHours(fields.hour, fields.minute, fields.second, 0);
+        const offset = this.originals.getTime.call(wall) - seconds;
+
+        if (this.offsetCache.size > 1000) this.offsetCache.clear();
+        this.offsetCache.set(bucket, offset);
+        return offset;
+    }
+
+    toLocalDate(date) {
+        // A Date whose UTC fields hold the wall-clock time in the spoofed zone
+        const time = this.originals.getTime.call(date);
+        return new this.originals.Date(time + this.getOffset(time));
+    }
+
+    wallToUtc(wall) {
+        // Two passes settle the offset across DST transitions
+        let time = wall - this.getOffset(wall);
+        time = wall - this.getOffset(time);
+        return time;
+    }
+
+    // Date
+
+    patchDate() {
+        const self = this;
+        const { Date: OriginalDate, getTime, setTime, dateProto } = this.originals;
+        const proto = OriginalDate.prototype;
+
+        Object.entries(this.localGetters).forEach(([name, utcName]) => {
+            proto[name] = function() {
+                return self.toLocalDate(this)[utcName]();
+            };
+        });
+
+        proto.getYear = function() {
+            return self.toLocalDate(this).getUTCFullYear() - 1900;
+        };
+
+        Object.entries(this.localSetters).forEach(([name, utcName]) => {
+            proto[name] = function(...args) {
+                let time = getTime.call(this);
+                if (isNaN(time)) {
+                    // Only setFullYear revives an invalid date, starting from local midnight 1970-01-01
+                    if (name !== 'setFullYear') return dateProto[name].apply(this, args);
+                    time = self.wallToUtc(0);
+                }
+
+                const local = new OriginalDate(time + self.getOffset(time));
+                local[utcName](...args);
+                const wall = getTime.call(local);
+                return setTime.call(this, isNaN(wall) ? NaN : self.wallToUtc(wall));
+            };
+        });
+
+        proto.getTimezoneOffset = function() {
+            const time = getTime.call(this);
+            return isNaN(time) ? NaN : (0 - self.getOffset(time)) / 60000;
+        };
+
+        proto.toString = function() {
+            return self.formatDate(this, true, true);
+        };
+        proto.toDateString = function() {
+            return self.formatDate(this, true, false);
+        };
+        proto.toTimeString = function() {
+            return self.formatDate(this, false, true);
+        };
+
+        this.localeMethods.forEach(name => {
+            proto[name] = function(locales, options) {
+                return dateProto[name].call(this, ...self.withZone(locales, options));
+            };
+        });
+
+        OriginalDate.parse = function(text) {
+            return self.parse(text);
+        };
+
+        const SpoofedDate = new Proxy(OriginalDate, {
+            construct(target, args, newTarget) {
+                if (args.length >= 2) {
+                    // Component form is local time
+                    const wall = OriginalDate.UTC(...args);
+                    args = [isNaN(wall) ? NaN : self.wallToUtc(wall)];
+                } else if (args.length === 1 && typeof args[0] === 'string') {
+                    args = [self.parse(args[0])];
+                }
+                return Reflect.construct(target, args, newTarget);
+            },
+            apply() {
+                // Date() called as a function returns the current time as a string
+                return self.formatDate(new OriginalDate(), true, true);
+            }
+        });
+
+        proto.constructor = SpoofedDate;
+        window.Date = SpoofedDate;
+    }
+
+    parse(text) {
+        const time = this.originals.parse(text);
+        if (isNaN(time) || !this.isLocalDateString(String(text))) return time;
+
+        // The engine parsed it in the real local zone; reinterpret the same wall-clock time
+        const realOffset = -this.originals.dateProto.getTimezoneOffset.call(new this.originals.Date(time)) * 60000;
+        return this.wallToUtc(time + realOffset);
+    }
+
+    isLocalDateString(text) {
+        const value = text.trim();
+        // Date-only ISO strings are UTC; anything naming an offset or zone is absolute
+        if (/^[+-]?\d{4,6}(-\d{2}(-\d{2})?)?$/.test(value)) return false;
+        return !/(?:\dZ|[+-]\d{2}:?\d{2}$|\b(?:GMT|UTC|UT)\b|\b[ECMP][SD]T\b)/i.test(value);
+    }
+
+    formatDate(date, includeDate, includeTime) {
+        const time = this.originals.getTime.call(date);
+        if (isNaN(time)) return 'Invalid Date';
+
+        const local = this.toLocalDate(date);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const parts = [];
+
+        if (includeDate) {
+            const year = local.getUTCFullYear();
+            const yearText = year >= 0 ? pad(year, 4) : `-${pad(-year, 6)}`;
+            parts.push(`${this.dayNames[local.getUTCDay()]} ${this.monthNames[local.getUTCMonth()]} ${pad(local.getUTCDate())} ${yearText}`);
+        }
+
+        if (includeTime) {
+            const offsetMinutes = Math.round(this.getOffset(time) / 60000);
+            const sign = offsetMinutes >= 0 ? '+' : '-';
+            const absolute = Math.abs(offsetMinutes);
+            const zoneName = this.nameFormatter.formatToParts(new this.originals.Date(time))
+                .find(part => part.type === 'timeZoneName');
+
+            parts.push(`${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())} ` +
+                `GMT${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}` +
+                (zoneName ? ` (${zoneName.value})` : ''));
+        }
+
+        return parts.join(' ');
+    }
+
+    // Intl
+
+    withZone(locales, options) {
+        const resolvedLocales = locales === undefined && this.locale ? this.locale : locales;
+        const hasZone = options !== undefined && options !== null && options.timeZone !== undefined;
+        return [resolvedLocales, hasZone ? options : { ...options, timeZone: this.zone }];
+    }
+
+    patchIntl() {
+        const self = this;
+        const OriginalDateTimeFormat = this.originals.DateTimeFormat;
+
+        // A Proxy keeps instanceof, the prototype and static methods such as supportedLocalesOf intact
+        const SpoofedDateTimeFormat = new Proxy(OriginalDateTimeFormat, {
+            construct(target, args, newTarget) {
+                return Reflect.construct(target, self.withZone(args[0], args[1]), newTarget);
+            },
+            apply(target, thisArg, args) {
+                return Reflect.apply(target, thisArg, self.withZone(args[0], args[1]));
+            }
+        });
+
+        OriginalDateTimeFormat.prototype.constructor = SpoofedDateTimeFormat;
+        Intl.DateTimeFormat = SpoofedDateTimeFormat;
+    }
+
+    // Temporal
+
+    patchTemporal() {
+        const self = this;
+        const originals = this.originals.temporalNow;
+        if (!originals) return;
+
+        const now = window.Temporal.Now;
+        if (originals.timeZoneId) {
+            now.timeZoneId = function() {
+                return self.zone;
+            };
+        }
+
+        this.temporalNowMethods.forEach(name => {
+            if (!originals[name]) return;
+            now[name] = function(timeZone, ...rest) {
+                return originals[name].call(this, timeZone === undefined ? self.zone : timeZone, ...rest);
+            };
+        });
+    }
+}
+
+// js/geolocation.js
+
+/**
+ * Geolocation Module
+ * Denies, coarsens or fixes the position pages receive from navigator.geolocation
+ */
+
+class GeolocationGuard {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-geolocation';
+        this.storage = options.storage || null; // Defaults to localStorage
+
+        this.modes = {
+            deny: { label: 'Deny access', action: 'denied' },
+            coarsen: { label: 'Coarsen to city level', action: 'coarsened' },
+            fixed: { label: 'Report a fixed location', action: 'fixed' }
+        };
+
+        // Radius in kilometres; the lower bound is still coarser than a street, the upper one a region
+        this.radiusLimits = { min: 1, max: 100 };
+        this.kmPerDegree = 111.32;
+
+        this.config = {
+            mode: 'coarsen',
+            radius: 10,
+            fixed: { latitude: 48.8566, longitude: 2.3522 }
+        };
+
+        this.original = null;
+        this.native = null;
+        this.watches = new Map();
+        this.nextWatchId = 1;
+        this.onDecision = null;
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && this.modes[stored.mode]) {
+                this.config = { ...this.config, ...stored };
+            }
+        } catch (e) {
+            console.warn('Could not read stored geolocation settings:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.config));
+        } catch (e) {
+            console.warn('Could not store geolocation settings:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Settings
+
+    setMode(mode) {
+        if (!this.modes[mode]) return false;
+        this.config.mode = mode;
+        this.save();
+        return true;
+    }
+
+    setRadius(radius) {
+        const value = Number(radius);
+        if (!isFinite(value)) return false;
+        this.config.radius = Math.min(this.radiusLimits.max, Math.max(this.radiusLimits.min, value));
+        this.save();
+        return true;
+    }
+
+    setFixedLocation(latitude, longitude) {
+        const lat = Number(latitude);
+        const lon = Number(longitude);
+        if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
+
+        this.config.fixed = { latitude: lat, longitude: lon };
+        this.save();
+        return true;
+    }
+
+    getModeOptions() {
+        return Object.entries(this.modes).map(([name, mode]) => ({ name, label: mode.label }));
+    }
+
+    // Hooks
+
+    enable(onDecision) {
+        const geolocation = navigator.geolocation;
+        this.onDecision = onDecision || null;
+        if (!geolocation || this.original) return;
+
+        // Whatever was installed before (such as the detector's hooks) is restored on disable; coarsened
+        // requests go straight to the native methods so the access is recorded once, as a decision
+        this.original = {
+            getCurrentPosition: geolocation.getCurrentPosition,
+            watchPosition: geolocation.watchPosition,
+            clearWatch: geolocation.clearWatch
+        };
+        const proto = window.Geolocation ? window.Geolocation.prototype : this.original;
+        this.native = {
+            getCurrentPosition: proto.getCurrentPosition || this.original.getCurrentPosition,
+            watchPosition: proto.watchPosition || this.original.watchPosition,
+            clearWatch: proto.clearWatch || this.original.clearWatch
+        };
+
+        const self = this;
+        geolocation.getCurrentPosition = function(success, error, options) {
+            self.request('getCurrentPosition', success, error, options);
+        };
+        geolocation.watchPosition = function(success, error, options) {
+            return self.request('watchPosition', success, error, options);
+        };
+        geolocation.clearWatch = function(id) {
+            self.clearWatch(id);
+        };
+    }
+
+    disable() {
+        if (!this.original) return;
+
+        // Watches answered by the guard cannot outlive it; the page's ids mean nothing to the native API
+        [...this.watches.keys()].forEach(id => this.clearWatch(id));
+        Object.assign(navigator.geolocation, this.original);
+        this.original = null;
+        this.onDecision = null;
+    }
+
+    request(method, success, error, options) {
+        if (typeof success !== 'function') {
+            throw new TypeError(`Failed to execute '${method}' on 'Geolocation': The callback provided as parameter 1 is not a function.`);
+        }
+
+        let mode = this.config.mode;
+        const watch = method === 'watchPosition';
+        const id = watch ? this.nextWatchId++ : undefined;
+
+        // A rule can still refuse a request the configured mode would have answered
+        const decision = this.onDecision ? this.onDecision({ method, mode, action: this.modes[mode].action }) : null;
+        if (decision && decision.blocked) {
+            mode = 'deny';
+        }
+
+        if (mode === 'coarsen') {
+            const nativeId = this.native[method].call(navigator.geolocation,
+                position => success(this.coarsen(position)), error, options);
+            if (watch) this.watches.set(id, { nativeId });
+            return id;
+        }
+
+        // The real API never answers synchronously, even when permission is already denied
+        const timer = setTimeout(() => {
+            if (watch) {
+                if (!this.watches.has(id)) return;
+                this.watches.delete(id);
+            }
+
+            if (mode === 'deny') {
+                if (typeof error === 'function') {
+                    error(this.createError(1, 'User denied Geolocation'));
+                }
+            } else {
+                const { latitude, longitude } = this.config.fixed;
+                success(this.createPosition({ latitude, longitude, accuracy: 20 }, Date.now()));
+            }
+        }, 0);
+
+        if (watch) this.watches.set(id, { timer });
+        return id;
+    }
+
+    clearWatch(id) {
+        const watch = this.watches.get(id);
+        if (!watch) return;
+
+        if (watch.timer !== undefined) {
+            clearTimeout(watch.timer);
+        }
+        if (watch.nativeId !== undefined) {
+            this.native.clearWatch.call(navigator.geolocation, watch.nativeId);
+        }
+        this.watches.delete(id);
+    }
+
+    // Positions
+
+    coarsen(position) {
+        // Snap to the centre of a grid cell the size of the radius; the same cell always
+        // reports the same point, so repeated reads cannot be averaged back to the real one
+        const radius = this.config.radius;
+        const { latitude, longitude, accuracy } = position.coords;
+
+        const latStep = radius / this.kmPerDegree;
+        const lat = Math.max(-90, Math.min(90, this.snap(latitude, latStep)));
+        const lonStep = radius / (this.kmPerDegree * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+        const lon = ((this.snap(longitude, lonStep) + 540) % 360) - 180;
+
+        return this.createPosition({
+            latitude: this.round(lat),
+            longitude: this.round(lon),
+            accuracy: Math.max(accuracy || 0, radius * 1000)
+        }, position.timestamp);
+    }
+
+    snap(value, step) {
+        return (Math.floor(value / step) + 0.5) * step;
+    }
+
+    round(value) {
+        return Math.round(value * 1e4) / 1e4;
+    }
+
+    createPosition(coords, timestamp) {
+        // Built on the native prototypes so instanceof checks behave; values are own properties
+        // because the native getters only work on objects the browser created
+        const values = {
+            latitude: coords.latitude,
+            longitude: coords.longitude,
+            accuracy: coords.accuracy,
+            altitude: null,
+            altitudeAccuracy: null,
+            heading: null,
+            speed: null
+        };
+        const coordinates = this.createNative('GeolocationCoordinates', { ...values, toJSON: () => ({ ...values }) });
+        return this.createNative('GeolocationPosition', {
+            coords: coordinates,
+            timestamp: timestamp,
+            toJSON: () => ({ coords: { ...values }, timestamp })
+        });
+    }
+
+    createError(code, message) {
+        const error = this.createNative('GeolocationPositionError', { code, message });
+        if (!window.GeolocationPositionError) {
+            Object.assign(error, { PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 });
+        }
+        return error;
+    }
+
+    createNative(interfaceName, values) {
+        const constructor = window[interfaceName];
+        const object = Object.create(constructor ? constructor.prototype : Object.prototype);
+
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(object, key, { value, enumerable: key !== 'toJSON', configurable: true });
+        });
+        return object;
+    }
+}
+
+// js/detector.js
+
+/**
+ * Privacy Detection Engine
+ * Detects trackers, fingerprinting attempts, and privacy threats
+ */
+
+class PrivacyDetector {
+    constructor(options = {}) {
+        this.detectionMethods = {
+            canvas: this.detectCanvasFingerprinting.bind(this),
+            webgl: this.detectWebGLFingerprinting.bind(this),
+            audio: this.detectAudioFingerprinting.bind(this),
+            fonts: this.detectFontFingerprinting.bind(this),
+            webrtc: this.detectWebRTCLeaks.bind(this),
+            battery: this.detectBatteryAPI.bind(this),
+            sensors: this.detectSensorAccess.bind(this)
+        };
+        
+        this.trackers = new Set();
+        // Outbound channels and the blocklist `$type` each one is matched as
+        this.networkChannels = {
+            fetch: { label: 'Fetch', type: 'xmlhttprequest' },
+            xmlhttprequest: { label: 'XHR', type: 'xmlhttprequest' },
+            beacon: { label: 'Beacon', type: 'ping' },
+            websocket: { label: 'WebSocket', type: 'websocket' },
+            eventsource: { label: 'EventSource', type: 'other' },
+            image: { label: 'Image', type: 'image' },
+            script: { label: 'Script', type: 'script' },
+            iframe: { label: 'Iframe', type: 'subdocument' }
+        };
+        this.reportedElements = new WeakMap(); // element -> src last reported
+        this.elementObserver = null;
+        this.fingerprints = {};
+        this.webglProbes = new WeakMap();
+        this.webglReported = new WeakSet();
+        this.webglBlocked = new WeakSet();
+        this.audioProbes = new WeakMap();
+        this.audioBuffers = new WeakMap();
+        this.audioReported = new WeakSet();
+        this.audioBlocked = new WeakSet();
+        // Distinct candidate fonts measured within `window` ms before probing is reported
+        this.fontProbes = {
+            families: new Map(),
+            window: 2000,
+            threshold: 20,
+            cooldown: 30000,
+            reportedAt: 0
+        };
+        this.probing = false;
+        this.scanned = false;
+        this.pluginDetectors = new Set();
+        this.bus = options.bus || new EventBus();
+        this.responses = options.responses || null; // What blocked requests get back; made on first use
+        this.blocklist = options.blocklist || null;
+        this.profiles = options.profiles || null;
+    }
+    
+    isHookEnabled(hook) {
+        return !this.profiles || this.profiles.isHookEnabled(hook);
+    }
+    
+    async startDetection() {
+        // Hook into various APIs
+        this.hookAPIs();
+        
+        // Monitor network requests
+        this.monitorNetwork();
+        
+        // Scan for fingerprinting
+        await this.scanForFingerprinting();
+    }
+    
+    _addThreat(type, severity, details = {}) {
+        // Returns the threat as rules left it; hooks refuse the call when it comes back `blocked`
+        return this.bus.emit('threat', {
+            script: PrivacyDetector.getCallingScript(),
+            ...details,
+            type: type,
+            severity: severity,
+            timestamp: Date.now()
+        });
+    }
+    
+    static getCallingScript() {
+        // The first stack frame outside Falcon Guardian's own js/ and extension/ files, which sit next
+        // to each other wherever they are served from; null for callers with no URL. Shared with the
+        // shield, whose hooks answer some calls before the detector's would see them
+        const urls = String(new Error().stack || '').split('\n')
+            .map(line => (/([a-z][\w+.-]*:\/\/[^\s()]+?):\d+:\d+/i.exec(line) || [])[1])
+            .filter(Boolean);
+        if (urls.length === 0) return null;
+        
+        // The extension runs everything from one bundle in extension/, the dashboard from js/
+        const root = urls[0].replace(/(js|extension)\/[^/]*$/, '');
+        return urls.find(url => !url.startsWith(`${root}js/`) && !url.startsWith(`${root}extension/`)) || null;
+    }
+    
+    registerDetectionMethod(key, detect) {
+        if (this.detectionMethods[key]) {
+            throw new Error(`Detection method "${key}" is already registered`);
+        }
+        this.detectionMethods[key] = detect;
+        this.pluginDetectors.add(key);
+        
+        // Methods registered after the initial scan run straight away
+        if (this.scanned) {
+            this.runDetectionMethod(key, detect);
+        }
+    }
+    
+    unregisterDetectionMethod(key) {
+        if (!this.pluginDetectors.has(key)) return false;
+        delete this.detectionMethods[key];
+        delete this.fingerprints[key];
+        this.pluginDetectors.delete(key);
+        return true;
+    }
+
+    hookAPIs() {
+        const self = this;
+
+        // Canvas API Hook
+        const originalToDataURL = HTMLCanvasElement.prototype.toDataURL;
+        HTMLCanvasElement.prototype.toDataURL = function(...args) {
+            if (!self.probing && self.isHookEnabled('canvas') && self._addThreat('canvas_fingerprint', 'medium').blocked) {
+                // What the browser throws for a canvas it will not let the page read
+                throw new DOMException("Failed to execute 'toDataURL' on 'HTMLCanvasElement': Tainted canvases may not be exported.", 'SecurityError');
+            }
+            return originalToDataURL.apply(this, args);
+        };
+        
+        // WebGL Hooks
+        this.hookWebGL();
+        
+        // Web Audio Hooks
+        this.hookAudio();
+        
+        // Font Probing Hooks
+        this.hookFontProbes();
+        
+        // Geolocation Hooks
+        this.hookGeolocation();
+    }
+    
+    hookGeolocation() {
+        const self = this;
+        const geolocation = navigator.geolocation;
+        if (!geolocation) return;
+
+        // Shield.protectGeolocation records its own decisions while the protection is on
+        ['getCurrentPosition', 'watchPosition'].forEach(method => {
+            const original = geolocation[method];
+            geolocation[method] = function(success, error) {
+                const threat = self.isHookEnabled('geolocation') && self._addThreat('geolocation_access', 'high', {
+                    method,
+                    origin: self.profiles ? self.profiles.getCurrentOrigin() : window.location.origin
+                });
+                if (threat && threat.blocked) {
+                    // Refused like a denied permission, which is never reported synchronously
+                    if (typeof error === 'function') {
+                        setTimeout(() => error(self.createPermissionError()), 0);
+                    }
+                    return method === 'watchPosition' ? 0 : undefined;
+                }
+                return original.apply(this, arguments);
+            };
+        });
+    }
+    
+    createPermissionError() {
+        const PositionError = window.GeolocationPositionError;
+        const error = Object.create(PositionError ? PositionError.prototype : Object.prototype);
+        const values = { code: 1, message: 'User denied Geolocation' };
+        if (!PositionError) Object.assign(values, { PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 });
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(error, key, { value, enumerable: true, configurable: true });
+        });
+        return error;
+    }
+    
+    hookWebGL() {
+        const self = this;
+        const UNMASKED_VENDOR_WEBGL = 0x9245;
+        const UNMASKED_RENDERER_WEBGL = 0x9246;
+
+        ['WebGLRenderingContext', 'WebGL2RenderingContext'].filter(name => window[name]).forEach(name => {
+            const proto = window[name].prototype;
+            const original = {
+                getParameter: proto.getParameter,
+                getExtension: proto.getExtension,
+                getSupportedExtensions: proto.getSupportedExtensions,
+                getShaderPrecisionFormat: proto.getShaderPrecisionFormat
+            };
+
+            // A blocked context answers probing calls as if the information were unavailable
+            proto.getParameter = function(pname) {
+                if ((pname === UNMASKED_VENDOR_WEBGL || pname === UNMASKED_RENDERER_WEBGL) &&
+                    self.noteWebGLProbe(this, 'unmasked')) {
+                    return null;
+                }
+                return original.getParameter.apply(this, arguments);
+            };
+
+            proto.getExtension = function(extensionName) {
+                if (extensionName === 'WEBGL_debug_renderer_info' && self.noteWebGLProbe(this, 'debug_renderer_info')) {
+                    return null;
+                }
+                return original.getExtension.apply(this, arguments);
+            };
+
+            proto.getSupportedExtensions = function() {
+                if (self.noteWebGLProbe(this, 'extensions')) return [];
+                return original.getSupportedExtensions.apply(this, arguments);
+            };
+
+            proto.getShaderPrecisionFormat = function(shaderType, precisionType) {
+                if (self.noteWebGLProbe(this, 'precision', `${shaderType}:${precisionType}`)) return null;
+                return original.getShaderPrecisionFormat.apply(this, arguments);
+            };
+        });
+    }
+
+    noteWebGLProbe(context, signal, detail) {
+        // true when rules block probing on this context
+        if (this.webglBlocked.has(context)) return true;
+        if (this.probing || !this.isHookEnabled('webgl') || this.webglReported.has(context)) return false;
+
+        let probe = this.webglProbes.get(context);
+        if (!probe) {
+            probe = { signals: new Set(), precisionQueries: new Set() };
+            this.webglProbes.set(context, probe);
+        }
+
+        if (signal === 'precision') {
+            // Renderers query a couple of precisions; fingerprinters sweep both shaders across all six types
+            probe.precisionQueries.add(detail);
+            if (probe.precisionQueries.size < 6) return false;
+            signal = 'precision_sweep';
+        }
+        probe.signals.add(signal);
+
+        // Reading the unmasked GPU strings is fingerprinting on its own; the other calls also
+        // happen in ordinary renderers, so they only count when combined
+        if (probe.signals.has('unmasked') || probe.signals.size >= 2) {
+            this.webglReported.add(context);
+            if (this._addThreat('webgl_fingerprint', 'medium').blocked) {
+                this.webglBlocked.add(context);
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    hookAudio() {
+        const self = this;
+        const BaseContext = window.BaseAudioContext || window.AudioContext || window.webkitAudioContext;
+        if (!BaseContext) return;
+
+        // Note which contexts build the oscillator -> compressor graph used by audio fingerprinting
+        const markNode = (context, node) => {
+            if (context) self.getAudioProbe(context).nodes.add(node);
+        };
+
+        const contextProto = BaseContext.prototype;
+        const originalCreateOscillator = contextProto.createOscillator;
+        const originalCreateCompressor = contextProto.createDynamicsCompressor;
+        contextProto.createOscillator = function() {
+            markNode(this, 'oscillator');
+            return originalCreateOscillator.apply(this, arguments);
+        };
+        contextProto.createDynamicsCompressor = function() {
+            markNode(this, 'compressor');
+            return originalCreateCompressor.apply(this, arguments);
+        };
+
+        // Node constructors take the context as their first argument
+        [['OscillatorNode', 'oscillator'], ['DynamicsCompressorNode', 'compressor']].forEach(([name, node]) => {
+            if (!window[name]) return;
+            window[name] = new Proxy(window[name], {
+                construct(target, args, newTarget) {
+                    markNode(args[0], node);
+                    return Reflect.construct(target, args, newTarget);
+                }
+            });
+        });
+
+        // Link rendered buffers back to their offline context, via both the promise and the complete event
+        ['OfflineAudioContext', 'webkitOfflineAudioContext'].filter(name => window[name]).forEach(name => {
+            const OriginalOffline = window[name];
+            const originalStartRendering = OriginalOffline.prototype.startRendering;
+
+            OriginalOffline.prototype.startRendering = function() {
+                const context = this;
+                const rendering = originalStartRendering.apply(this, arguments);
+                if (!rendering || typeof rendering.then !== 'function') return rendering;
+                return rendering.then(buffer => {
+                    self.audioBuffers.set(buffer, context);
+                    return buffer;
+                });
+            };
+
+            window[name] = new Proxy(OriginalOffline, {
+                construct(target, args, newTarget) {
+                    const context = Reflect.construct(target, args, newTarget);
+                    context.addEventListener('complete', (e) => self.audioBuffers.set(e.renderedBuffer, context));
+                    return context;
+                }
+            });
+        });
+
+        // Readouts; a blocked context reads back silence
+        if (window.AudioBuffer) {
+            const silence = {
+                getChannelData: (buffer) => new Float32Array(buffer.length),
+                copyFromChannel: (buffer, destination) => {
+                    if (destination) destination.fill(0);
+                }
+            };
+            Object.entries(silence).forEach(([method, blocked]) => {
+                const original = AudioBuffer.prototype[method];
+                if (!original) return;
+                AudioBuffer.prototype[method] = function(...args) {
+                    if (self.noteAudioReadout(self.audioBuffers.get(this))) return blocked(this, ...args);
+                    return original.apply(this, args);
+                };
+            });
+        }
+
+        if (window.AnalyserNode) {
+            // Decibels bottom out at -Infinity; byte and time-domain silence are zeros
+            const silence = { getFloatFrequencyData: -Infinity, getByteFrequencyData: 0, getFloatTimeDomainData: 0 };
+            Object.entries(silence).forEach(([method, value]) => {
+                const original = AnalyserNode.prototype[method];
+                if (!original) return;
+                AnalyserNode.prototype[method] = function(array) {
+                    if (self.noteAudioReadout(this.context)) {
+                        if (array) array.fill(value);
+                        return;
+                    }
+                    return original.apply(this, arguments);
+                };
+            });
+        }
+    }
+
+    getAudioProbe(context) {
+        let probe = this.audioProbes.get(context);
+        if (!probe) {
+            probe = { nodes: new Set() };
+            this.audioProbes.set(context, probe);
+        }
+        return probe;
+    }
+
+    noteAudioReadout(context) {
+        // true when rules block readouts from this context
+        if (!context) return false;
+        if (this.audioBlocked.has(context)) return true;
+        if (this.probing || !this.isHookEnabled('audio') || this.audioReported.has(context)) return false;
+
+        // Only a readout from a context that built the oscillator + compressor graph counts
+        const probe = this.audioProbes.get(context);
+        if (!probe || !probe.nodes.has('oscillator') || !probe.nodes.has('compressor')) return false;
+
+        this.audioReported.add(context);
+        if (this._addThreat('audio_fingerprint', 'medium').blocked) {
+            this.audioBlocked.add(context);
+            return true;
+        }
+        return false;
+    }
+    
+    hookFontProbes() {
+        const self = this;
+
+        // Probing scripts measure a test string under one candidate font after another
+        ['offsetWidth', 'offsetHeight'].forEach(prop => {
+            const descriptor = Object.getOwnPropertyDescriptor(HTMLElement.prototype, prop);
+            if (!descriptor || !descriptor.get) return;
+            Object.defineProperty(HTMLElement.prototype, prop, {
+                ...descriptor,
+                get() {
+                    if (this.style && this.style.fontFamily) {
+                        self.noteFontProbe(this.style.fontFamily);
+                    }
+                    return descriptor.get.call(this);
+                }
+            });
+        });
+
+        const originalGetBoundingClientRect = Element.prototype.getBoundingClientRect;
+        Element.prototype.getBoundingClientRect = function() {
+            if (this.style && this.style.fontFamily) {
+                self.noteFontProbe(this.style.fontFamily);
+            }
+            return originalGetBoundingClientRect.apply(this, arguments);
+        };
+
+        ['CanvasRenderingContext2D', 'OffscreenCanvasRenderingContext2D'].filter(name => window[name]).forEach(name => {
+            const originalMeasureText = window[name].prototype.measureText;
+            window[name].prototype.measureText = function() {
+                self.noteFontProbe(self.getFontFamily(this.font));
+                return originalMeasureText.apply(this, arguments);
+            };
+        });
+    }
+
+    noteFontProbe(fontFamily) {
+        if (!fontFamily || this.probing || !this.isHookEnabled('fonts')) return;
+
+        const now = Date.now();
+        if (now - this.fontProbes.reportedAt < this.fontProbes.cooldown) return;
+
+        // Key on the candidate font, i.e. the first family before the generic fallback
+        const family = fontFamily.split(',')[0].trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+        const seen = this.fontProbes.families;
+        seen.set(family, now);
+        if (seen.size < this.fontProbes.threshold) return;
+
+        seen.forEach((time, name) => {
+            if (now - time > this.fontProbes.window) seen.delete(name);
+        });
+
+        if (seen.size >= this.fontProbes.threshold) {
+            seen.clear();
+            this.fontProbes.reportedAt = now;
+            this._addThreat('font_fingerprint', 'medium');
+        }
+    }
+
+    resetFontProbes() {
+        // A deliberate probe run (the protection lab) is reported even within the cooldown
+        this.fontProbes.families.clear();
+        this.fontProbes.reportedAt = 0;
+    }
+
+    getFontFamily(font) {
+        // The family list follows the size (and optional line height) in the CSS font shorthand
+        const match = /(?:^|\s)[\d.]+(?:px|pt|pc|em|rem|ex|ch|%|in|cm|mm|vw|vh)(?:\s*\/\s*\S+)?\s+(.+)$/.exec(font || '');
+        return match ? match[1] : '';
+    }
+    
+    monitorNetwork() {
+        const self = this;
+        if (!this.responses) {
+            this.responses = new BlockedResponses();
+        }
+
+        // Monitor fetch requests
+        const originalFetch = window.fetch;
+        window.fetch = async function(...args) {
+            const url = args[0] instanceof Request ? args[0].url : String(args[0]);
+            
+            // Check against the enabled tracker blocklists
+            const blocked = self.checkRequest(url, 'fetch');
+            if (blocked) {
+                return self.responses.createFetchResponse(blocked);
+            }
+            
+            return originalFetch.apply(window, args);
+        };
+        
+        // Monitor XMLHttpRequest. A blocked request is still opened, so the page can set headers and
+        // call send() as usual; send() then plays out the failure or response instead of going out.
+        const blockedXHRs = new WeakMap(); // xhr -> { match, url, async, sent }
+        const xhrProto = XMLHttpRequest.prototype;
+        const originalOpen = xhrProto.open;
+        const originalSend = xhrProto.send;
+        const originalAbort = xhrProto.abort;
+        
+        xhrProto.open = function(method, url, ...args) {
+            self.responses.resetXHR(this);
+            blockedXHRs.delete(this);
+            
+            const blocked = self.checkRequest(String(url), 'xmlhttprequest');
+            if (blocked) {
+                blockedXHRs.set(this, { match: blocked, url: String(url), async: args[0] !== false, sent: false });
+            }
+            return originalOpen.apply(this, [method, url, ...args]);
+        };
+        xhrProto.send = function(body) {
+            const blocked = blockedXHRs.get(this);
+            if (!blocked) {
+                return originalSend.call(this, body);
+            }
+            // The native object never leaves OPENED, so a second send() must not slip through to it
+            if (blocked.sent) {
+                throw new DOMException("Failed to execute 'send' on 'XMLHttpRequest': The object's state must be OPENED.", 'InvalidStateError');
+            }
+            blocked.sent = true;
+            self.responses.respondToXHR(this, blocked.match, blocked.url, blocked.async);
+        };
+        xhrProto.abort = function() {
+            if (self.responses.abortXHR(this)) return;
+            return originalAbort.call(this);
+        };
+        
+        // Beacons are fire-and-forget; a dropped one still reports as queued
+        if (navigator.sendBeacon) {
+            const originalSendBeacon = navigator.sendBeacon;
+            navigator.sendBeacon = function(url, data) {
+                if (self.checkRequest(String(url), 'beacon')) {
+                    return true;
+                }
+                return originalSendBeacon.call(navigator, url, data);
+            };
+        }
+        
+        this.monitorConnections();
+        this.monitorElements();
+    }
+    
+    monitorConnections() {
+        const self = this;
+
+        // A Proxy keeps instanceof, the prototype and the readyState constants intact
+        [['websocket', 'WebSocket'], ['eventsource', 'EventSource']].forEach(([channel, name]) => {
+            const Original = window[name];
+            if (!Original) return;
+
+            const Monitored = new Proxy(Original, {
+                construct(target, args, newTarget) {
+                    if (self.checkRequest(String(args[0]), channel)) {
+                        return self.createFailedConnection(target, String(args[0]), channel);
+                    }
+                    return Reflect.construct(target, args, newTarget);
+                }
+            });
+            Original.prototype.constructor = Monitored;
+            window[name] = Monitored;
+        });
+    }
+    
+    monitorElements() {
+        const self = this;
+        const elements = { image: 'HTMLImageElement', script: 'HTMLScriptElement', iframe: 'HTMLIFrameElement' };
+
+        // `src` set from script is caught before the element loads anything
+        Object.entries(elements).forEach(([channel, name]) => {
+            const proto = window[name] && window[name].prototype;
+            const descriptor = proto && Object.getOwnPropertyDescriptor(proto, 'src');
+            if (!descriptor || !descriptor.set) return;
+
+            Object.defineProperty(proto, 'src', {
+                ...descriptor,
+                set(value) {
+                    const source = self.filterElementSource(this, channel, value);
+                    if (source !== null) descriptor.set.call(this, source);
+                }
+            });
+        });
+
+        const originalSetAttribute = Element.prototype.setAttribute;
+        Element.prototype.setAttribute = function(name, value) {
+            const channel = self.getElementChannel(this);
+            if (channel && String(name).toLowerCase() === 'src') {
+                const source = self.filterElementSource(this, channel, value);
+                if (source === null) return;
+                return originalSetAttribute.call(this, name, source);
+            }
+            return originalSetAttribute.call(this, name, value);
+        };
+
+        // Markup inserted through innerHTML or the parser starts loading before any hook runs,
+        // so those requests can only be reported once the element shows up in the document
+        if (!window.MutationObserver) return;
+        this.elementObserver = new MutationObserver(mutations => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                [node, ...node.querySelectorAll('img[src], script[src], iframe[src]')].forEach(element => {
+                    const channel = this.getElementChannel(element);
+                    const url = element.getAttribute('src');
+                    if (!channel || !url || this.reportedElements.get(element) === url) return;
+
+                    this.reportedElements.set(element, url);
+                    const match = this.matchTracker(url, this.networkChannels[channel].type);
+                    this.emitRequest(url, channel, match);
+                    if (match && match.blocked) {
+                        this.emitTracker(url, false, match, channel);
+                    }
+                });
+            }));
+        });
+        this.elementObserver.observe(document, { childList: true, subtree: true });
+    }
+    
+    getElementChannel(element) {
+        const tags = { IMG: 'image', SCRIPT: 'script', IFRAME: 'iframe' };
+        return tags[element.tagName] || null;
+    }
+    
+    filterElementSource(element, channel, value) {
+        // The source to load: the requested one, a surrogate data URL, or null when blocked outright
+        const url = String(value);
+        const blocked = this.checkRequest(url, channel);
+        if (!blocked) {
+            this.reportedElements.set(element, url);
+            return value;
+        }
+
+        const surrogate = channel === 'iframe' ? null : this.responses.getDataURL(blocked);
+        if (surrogate) {
+            this.reportedElements.set(element, surrogate);
+            return surrogate;
+        }
+
+        // The browser fires `error` for images and scripts whose load it refused
+        this.reportedElements.set(element, url);
+        if (channel !== 'iframe') {
+            setTimeout(() => element.dispatchEvent(new Event('error')), 0);
+        }
+        return null;
+    }
+    
+    checkRequest(url, channel) {
+        // Records the request and any tracker match on it; returns the match when the request must not go out
+        const match = this.matchTracker(url, this.networkChannels[channel].type);
+        this.emitRequest(url, channel, match);
+        if (!match || !match.blocked) return null;
+
+        const blocked = this.isBlockingEnabled();
+        this.emitTracker(url, blocked, match, channel);
+        return blocked ? match : null;
+    }
+    
+    emitRequest(url, channel, match) {
+        // Every outgoing request, tracker or not, for rules that look at traffic as a whole
+        if (!this.isHookEnabled('network')) return;
+        this.bus.emit('request', {
+            url: url,
+            channel: channel,
+            tracker: !!(match && match.blocked),
+            timestamp: Date.now()
+        });
+    }
+    
+    emitTracker(url, blocked, match, channel) {
+        this.bus.emit('tracker', {
+            url: url,
+            blocked: blocked,
+            rule: match.rule,
+            channel: channel,
+            timestamp: Date.now()
+        });
+    }
+    
+    createFailedConnection(Original, url, channel) {
+        // Stands in for a connection the browser refused: already closed, it fires `error` (and an
+        // abnormal `close` for WebSockets) asynchronously. Native getters reject objects the browser
+        // did not create, so every member is an own property.
+        const events = new EventTarget();
+        const connection = Object.create(Original.prototype);
+        const href = new URL(url, window.location.href);
+        if (channel === 'websocket' && (href.protocol === 'http:' || href.protocol === 'https:')) {
+            // Like the native constructor, which takes http(s) URLs as ws(s)
+            href.protocol = href.protocol === 'https:' ? 'wss:' : 'ws:';
+        }
+        const values = {
+            url: href.href,
+            readyState: Original.CLOSED,
+            close: () => {},
+            addEventListener: events.addEventListener.bind(events),
+            removeEventListener: events.removeEventListener.bind(events),
+            dispatchEvent: events.dispatchEvent.bind(events)
+        };
+        if (channel === 'websocket') {
+            Object.assign(values, { protocol: '', extensions: '', bufferedAmount: 0, send: () => {} });
+        } else {
+            values.withCredentials = false;
+        }
+
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(connection, key, { value, enumerable: true, configurable: true });
+        });
+        const writable = channel === 'websocket'
+            ? { binaryType: 'blob', onopen: null, onmessage: null, onerror: null, onclose: null }
+            : { onopen: null, onmessage: null, onerror: null };
+        Object.entries(writable).forEach(([key, value]) => {
+            Object.defineProperty(connection, key, { value, writable: true, enumerable: true, configurable: true });
+        });
+
+        setTimeout(() => {
+            const fire = (event) => {
+                // Dispatched on the private target, so the event is pointed at the connection itself
+                let dispatching = true;
+                Object.defineProperties(event, {
+                    target: { value: connection, configurable: true },
+                    srcElement: { value: connection, configurable: true },
+                    currentTarget: { get: () => (dispatching ? connection : null), configurable: true },
+                    composedPath: { value: () => (dispatching ? [connection] : []), configurable: true }
+                });
+                events.dispatchEvent(event);
+                if (typeof connection['on' + event.type] === 'function') {
+                    connection['on' + event.type](event);
+                }
+                dispatching = false;
+            };
+            fire(new Event('error'));
+            if (channel === 'websocket') {
+                fire(new CloseEvent('close', { code: 1006, reason: '', wasClean: false }));
+            }
+        }, 0);
+
+        return connection;
+    }
+    
+    matchTracker(url, type = 'other') {
+        if (!this.blocklist || !this.isHookEnabled('network')) return null;
+        return this.blocklist.match(url, { type, documentUrl: window.location.href });
+    }
+    
+    isBlockingEnabled() {
+        return !this.profiles || this.profiles.isProtectionEnabled('tracker');
+    }
+    
+    isTrackerDomain(url, type = 'other') {
+        const match = this.matchTracker(url, type);
+        return !!(match && match.blocked);
+    }
+    
+    async scanForFingerprinting() {
+        for (const [method, detector] of Object.entries(this.detectionMethods)) {
+            await this.runDetectionMethod(method, detector);
+        }
+        this.scanned = true;
+    }
+    
+    async runDetectionMethod(method, detector) {
+        try {
+            // The detector's own probes use the hooked APIs; keep them out of the threat log
+            this.probing = true;
+            let pending;
+            try {
+                pending = detector();
+            } finally {
+                this.probing = false;
+            }
+            const result = await pending;
+            if (result) {
+                this.fingerprints[method] = result;
+            }
+        } catch(e) {
+            console.error(`Error detecting ${method}:`, e);
+        }
+    }
+    
+    detectCanvasFingerprinting() {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        
+        // Test for canvas fingerprinting
+        ctx.textBaseline = 'top';
+        ctx.font = '14px Arial';
+        ctx.fillText('Canvas fingerprint test', 2, 2);
+        
+        return canvas.toDataURL();
+    }
+    
+    detectWebGLFingerprinting() {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        
+        if (!gl) return null;
+        
+        // Browsers mask VENDOR/RENDERER; the debug extension exposes the actual GPU strings
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        return {
+            vendor: gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR),
+            renderer: gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER)
+        };
+    }
+    
+    detectAudioFingerprinting() {
+        // Check if AudioContext is being used
+        return window.AudioContext || window.webkitAudioContext ? true : false;
+    }
+    
+    detectFontFingerprinting() {
+        // Detect font enumeration attempts
+        const testFonts = ['Arial', 'Helvetica', 'Times New Roman', 'Courier New', 'Georgia', 'Verdana'];
+        const detectedFonts = [];
+        
+        testFonts.forEach(font => {
+            if (this.doesFontExist(font)) {
+                detectedFonts.push(font);
+            }
+        });
+        
+        return detectedFonts;
+    }
+    
+    doesFontExist(fontName) {
+        // Create test element
+        const test = document.createElement('span');
+        test.style.position = 'absolute';
+        test.style.left = '-9999px';
+        test.style.fontSize = '72px';
+        test.style.fontFamily = 'monospace';
+        test.innerHTML = 'mmmmmmmmmmlli';
+        
+        document.body.appendChild(test);
+        const defaultWidth = test.offsetWidth;
+        
+        test.style.fontFamily = `'${fontName}', monospace`;
+        const fontWidth = test.offsetWidth;
+        
+        document.body.removeChild(test);
+        
+        return defaultWidth !== fontWidth;
+    }
+    
+    detectWebRTCLeaks() {
+        // Check for WebRTC IP leaks
+        if (!window.RTCPeerConnection) return null;
+        
+        const pc = new RTCPeerConnection({
+            iceServers: [{urls: 'stun:stun.l.google.com:19302'}]
+        });
+        
+        pc.createDataChannel('');
+        
+        return new Promise((resolve) => {
+            pc.onicecandidate = (e) => {
+                if (!e.candidate) {
+                    pc.close();
+                    resolve(null);
+                    return;
+                }
+                
+                const ipRegex = /([0-9]{1,3}\.){3}[0-9]{1,3}/;
+                const match = e.candidate.candidate.match(ipRegex);
+                
+                if (match) {
+                    pc.close();
+                    resolve(match[0]);
+                }
+            };
+            
+            pc.createOffer().then(offer => pc.setLocalDescription(offer));
+        });
+    }
+    
+    detectBatteryAPI() {
+        // Check if Battery API is accessible
+        return navigator.getBattery ? true : false;
+    }
+    
+    detectSensorAccess() {
+        // Check for sensor API access
+        const sensors = {
+            accelerometer: window.Accelerometer,
+            gyroscope: window.Gyroscope,
+            magnetometer: window.Magnetometer,
+            ambientLight: window.AmbientLightSensor
+        };
+        
+        return Object.entries(sensors)
+            .filter(([_, api]) => api !== undefined)
+            .map(([name, _]) => name);
+    }
+    
+    getFingerprint() {
+        const fingerprint = {
+            screen: {
+                width: window.screen.width,
+                height: window.screen.height,
+                colorDepth: window.screen.colorDepth
+            },
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            language: navigator.language,
+            platform: navigator.platform,
+            userAgent: navigator.userAgent,
+            plugins: Array.from(navigator.plugins).map(p => p.name),
+            canvas: this.fingerprints.canvas,
+            webgl: this.fingerprints.webgl,
+            fonts: this.fingerprints.fonts,
+            audio: this.fingerprints.audio,
+            battery: this.fingerprints.battery,
+            sensors: this.fingerprints.sensors
+        };
+        
+        this.pluginDetectors.forEach(key => {
+            fingerprint[key] = this.fingerprints[key];
+        });
+        return fingerprint;
+    }
+}
+
+// js/shield.js
+
+/**
+ * Shield Module
+ * Active protection mechanisms
+ */
+
+class Shield {
+    constructor(options = {}) {
+        this.originalFunctions = {};
+        this.protectionMethods = {
+            fingerprint: {
+                enable: this.scrambleFingerprint.bind(this),
+                disable: this.restoreFingerprint.bind(this)
+            },
+            canvas: {
+                enable: this.spoofCanvas.bind(this),
+                disable: this.restoreCanvas.bind(this)
+            },
+            webgl: {
+                enable: this.spoofWebGL.bind(this),
+                disable: this.restoreWebGL.bind(this)
+            },
+            audio: {
+                enable: this.spoofAudio.bind(this),
+                disable: this.restoreAudio.bind(this)
+            },
+            fonts: {
+                enable: this.limitFonts.bind(this),
+                disable: this.restoreFonts.bind(this)
+            },
+            timezone: {
+                enable: this.spoofTimezone.bind(this),
+                disable: this.restoreTimezone.bind(this)
+            },
+            geolocation: {
+                enable: this.protectGeolocation.bind(this),
+                disable: this.restoreGeolocation.bind(this)
+            },
+            webrtc: {
+                enable: this.blockWebRTC.bind(this),
+                disable: this.restoreWebRTC.bind(this)
+            },
+            tracker: {
+                // Requests are blocked in PrivacyDetector.monitorNetwork, which reads the site profile
+                enable: () => {},
+                disable: () => {}
+            }
+        };
+        
+        this.isActive = false;
+        this.mediaAccessBlocked = { camera: false, microphone: false };
+        this.profiles = options.profiles || null;
+        this.bus = options.bus || new EventBus();
+        this.farbling = options.farbling || new FarblingEngine();
+        this.random = options.random || this.farbling.random;
+        this.timezone = new TimezoneSpoofer();
+        this.geolocation = options.geolocation || new GeolocationGuard();
+        this.activeProtections = new Set();
+        this.spoofedProperties = [];
+        
+        // Extensions available on practically every desktop GPU, per context type (WebGL 2 folds most
+        // WebGL 1 extensions into the core and has its own). Reporting only these (when supported)
+        // hides the long tail that tells GPUs and drivers apart.
+        this.commonWebGLExtensions = {
+            WebGLRenderingContext: [
+                'ANGLE_instanced_arrays', 'EXT_blend_minmax', 'EXT_color_buffer_half_float', 'EXT_float_blend',
+                'EXT_frag_depth', 'EXT_shader_texture_lod', 'EXT_texture_filter_anisotropic', 'KHR_parallel_shader_compile',
+                'OES_element_index_uint', 'OES_standard_derivatives', 'OES_texture_float', 'OES_texture_float_linear',
+                'OES_texture_half_float', 'OES_texture_half_float_linear', 'OES_vertex_array_object',
+                'WEBGL_color_buffer_float', 'WEBGL_compressed_texture_s3tc', 'WEBGL_debug_renderer_info',
+                'WEBGL_depth_texture', 'WEBGL_draw_buffers', 'WEBGL_lose_context', 'WEBGL_multi_draw'
+            ],
+            WebGL2RenderingContext: [
+                'EXT_color_buffer_float', 'EXT_color_buffer_half_float', 'EXT_disjoint_timer_query_webgl2',
+                'EXT_float_blend', 'EXT_texture_filter_anisotropic', 'KHR_parallel_shader_compile',
+                'OES_texture_float_linear', 'WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc',
+                'WEBGL_compressed_texture_s3tc', 'WEBGL_debug_renderer_info', 'WEBGL_lose_context', 'WEBGL_multi_draw'
+            ]
+        };
+        
+        // Core web fonts shipped with Windows and macOS; probes only ever see these, generics and page web fonts
+        this.baseFonts = [
+            'arial', 'arial black', 'comic sans ms', 'courier new', 'georgia', 'impact',
+            'times new roman', 'trebuchet ms', 'verdana', 'webdings'
+        ];
+        this.genericFontFamilies = [
+            'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'emoji', 'math', 'fangsong',
+            'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'inherit', 'initial', 'unset'
+        ];
+        this.fontProbes = new WeakMap(); // element -> { family: inline value, limited: families to measure with or null }
+        this.fontLimitSheet = null;
+        this.fontLimitRule = null;
+    }
+    
+    activateProtection() {
+        this.isActive = true;
+
+        // Apply the protection methods the current site's profile enables
+        this.applyProfile();
+
+        this.patchGetUserMedia();
+    }
+    
+    applyProfile() {
+        Object.keys(this.protectionMethods).forEach(type => {
+            const enabled = !this.profiles || this.profiles.isProtectionEnabled(type);
+            this.setProtectionState(type, enabled);
+        });
+        
+        // The spoofed zone depends on the persona, which may have changed while the protection stayed on
+        if (this.isProtectionActive('timezone')) {
+            this.spoofTimezone();
+        }
+    }
+    
+    setProtectionState(type, enabled) {
+        const method = this.protectionMethods[type];
+        if (!method || enabled === this.activeProtections.has(type)) return;
+
+        try {
+            if (enabled) {
+                method.enable();
+                this.activeProtections.add(type);
+            } else {
+                method.disable();
+                this.activeProtections.delete(type);
+            }
+        } catch(e) {
+            console.error(`Protection method ${type} failed:`, e);
+        }
+    }
+    
+    isProtectionActive(type) {
+        return this.activeProtections.has(type);
+    }
+    
+    registerProtection(type, method) {
+        if (this.protectionMethods[type]) {
+            throw new Error(`Protection "${type}" is already registered`);
+        }
+        this.protectionMethods[type] = { enable: method.enable, disable: method.disable };
+    }
+    
+    unregisterProtection(type) {
+        if (!this.protectionMethods[type]) return false;
+        this.setProtectionState(type, false);
+        delete this.protectionMethods[type];
+        return true;
+    }
+    
+    scrambleFingerprint() {
+        // Serve a seeded persona: values stay fixed for the origin until the seed rotates
+        const self = this;
+        const persona = () => self.farbling.getPersona();
+        
+        this.spoofProperty(window.screen, 'width', () => persona().screen.width);
+        this.spoofProperty(window.screen, 'height', () => persona().screen.height);
+        this.spoofProperty(window.screen, 'availWidth', () => persona().screen.availWidth);
+        this.spoofProperty(window.screen, 'availHeight', () => persona().screen.availHeight);
+        this.spoofProperty(window.screen, 'colorDepth', () => persona().screen.colorDepth);
+        
+        this.spoofProperty(navigator, 'userAgent', () => persona().userAgent);
+        this.spoofProperty(navigator, 'appVersion', () => persona().userAgent.replace(/^Mozilla\//, ''));
+        this.spoofProperty(navigator, 'platform', () => persona().platform);
+        this.spoofProperty(navigator, 'language', () => persona().language);
+        this.spoofProperty(navigator, 'languages', () => persona().languages.slice());
+        this.spoofProperty(navigator, 'plugins', () => persona().plugins.slice());
+        this.spoofProperty(navigator, 'hardwareConcurrency', () => persona().hardwareConcurrency);
+    }
+    
+    spoofProperty(target, prop, getter) {
+        Object.defineProperty(target, prop, { get: getter, configurable: true });
+        this.spoofedProperties.push([target, prop]);
+    }
+    
+    restoreFingerprint() {
+        // The spoofed values are own properties shadowing the native prototype getters
+        this.spoofedProperties.forEach(([target, prop]) => delete target[prop]);
+        this.spoofedProperties = [];
+    }
+    
+    spoofTimezone() {
+        // The zone follows the language pages see, which is the persona's while scrambling is on
+        const scrambled = this.isProtectionActive('fingerprint');
+        const language = scrambled ? this.farbling.getPersona().language : this.farbling.realNavigator.language;
+        this.timezone.enable(this.farbling.getTimezone(language), scrambled ? language : null);
+    }
+    
+    restoreTimezone() {
+        this.timezone.disable();
+    }
+    
+    spoofBattery() {
+        // Spoof battery API
+        if (navigator.getBattery) {
+            navigator.getBattery = async () => {
+                return {
+                    charging: this.random.int(2) === 1,
+                    chargingTime: this.random.random() * 3600,
+                    dischargingTime: this.random.random() * 7200,
+                    level: this.random.random(),
+                    addEventListener: () => {},
+                    removeEventListener: () => {}
+                };
+            };
+        }
+    }
+    
+    // Additional protection methods
+    
+    protectGeolocation() {
+        // The guard reads its mode on every call, so mode changes apply without re-enabling
+        this.geolocation.enable(decision => this.recordGeolocationDecision(decision));
+    }
+    
+    restoreGeolocation() {
+        this.geolocation.disable();
+    }
+    
+    recordGeolocationDecision(decision) {
+        // A coarsened position still reveals the city; denied and fixed requests reveal nothing.
+        // The threat comes back as rules left it, `blocked` included
+        return this.bus.emit('threat', {
+            script: PrivacyDetector.getCallingScript(),
+            type: 'geolocation_access',
+            severity: decision.mode === 'coarsen' ? 'medium' : 'low',
+            action: decision.action,
+            method: decision.method,
+            origin: this.profiles ? this.profiles.getCurrentOrigin() : window.location.origin,
+            timestamp: Date.now()
+        });
+    }
+    
+    blockNotifications() {
+        if (window.Notification) {
+            window.Notification = function() {
+                throw new Error('Notifications blocked by Falcon Guardian');
+            };
+        }
+    }
+    
+    patchGetUserMedia() {
+        if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia && !this.originalFunctions.getUserMedia) {
+            this.originalFunctions.getUserMedia = navigator.mediaDevices.getUserMedia;
+
+            const self = this;
+            navigator.mediaDevices.getUserMedia = function(constraints) {
+                if (self.mediaAccessBlocked.camera && constraints && constraints.video) {
+                    return Promise.reject(new Error('Camera access blocked by Falcon Guardian'));
+                }
+                if (self.mediaAccessBlocked.microphone && constraints && constraints.audio) {
+                    return Promise.reject(new Error('Microphone access blocked by Falcon Guardian'));
+                }
+
+                return self.originalFunctions.getUserMedia.apply(navigator.mediaDevices, arguments);
+            };
+        }
+    }
+    
+    blockClipboard() {
+        // Block clipboard access
+        if (navigator.clipboard) {
+            navigator.clipboard.readText = function() {
+                throw new Error('Clipboard read blocked by Falcon Guardian');
+            };
+            
+            navigator.clipboard.writeText = function() {
+                throw new Error('Clipboard write blocked by Falcon Guardian');
+            };
+        }
+    }
+    
+    // Method to enable/disable specific protections
+    toggleProtection(type, enabled) {
+        switch(type) {
+            case 'fingerprint':
+            case 'canvas':
+            case 'webgl':
+            case 'audio':
+            case 'fonts':
+            case 'timezone':
+            case 'geolocation':
+            case 'webrtc':
+            case 'tracker':
+                this.setProtectionState(type, enabled);
+                break;
+            case 'notifications':
+                // This protection is not currently toggleable from the UI
+                break;
+            case 'camera':
+                this.mediaAccessBlocked.camera = enabled;
+                break;
+            case 'microphone':
+                this.mediaAccessBlocked.microphone = enabled;
+                break;
+            case 'clipboard':
+                // This protection is not currently toggleable from the UI
+                break;
+            default:
+                // Protections registered by plugins
+                if (this.protectionMethods[type]) {
+                    this.setProtectionState(type, enabled);
+                }
+        }
+    }
+
+    spoofCanvas() {
+        // Readouts get seeded noise applied to a copy, so the page's visible canvas is never touched
+        const self = this;
+        const originals = this.originalFunctions;
+        
+        if (!originals.toDataURL) {
+            originals.toDataURL = HTMLCanvasElement.prototype.toDataURL;
+            originals.toBlob = HTMLCanvasElement.prototype.toBlob;
+            originals.getImageData = CanvasRenderingContext2D.prototype.getImageData;
+            if (window.OffscreenCanvas) {
+                originals.convertToBlob = OffscreenCanvas.prototype.convertToBlob;
+                originals.offscreenGetImageData = OffscreenCanvasRenderingContext2D.prototype.getImageData;
+            }
+            originals.readPixels = {};
+            this.getWebGLContexts().forEach(name => {
+                originals.readPixels[name] = window[name].prototype.readPixels;
+            });
+        }
+        
+        HTMLCanvasElement.prototype.toDataURL = function(...args) {
+            return originals.toDataURL.apply(self.createNoisedCopy(this) || this, args);
+        };
+        
+        HTMLCanvasElement.prototype.toBlob = function(...args) {
+            return originals.toBlob.apply(self.createNoisedCopy(this) || this, args);
+        };
+        
+        const noisyGetImageData = (original) => function(sx, sy, sw, sh, ...rest) {
+            const imageData = original.call(this, sx, sy, sw, sh, ...rest);
+            self.addCanvasNoise(imageData.data, imageData.width, sw < 0 ? sx + sw : sx, sh < 0 ? sy + sh : sy);
+            return imageData;
+        };
+        CanvasRenderingContext2D.prototype.getImageData = noisyGetImageData(originals.getImageData);
+        
+        if (originals.convertToBlob) {
+            OffscreenCanvas.prototype.convertToBlob = function(...args) {
+                return originals.convertToBlob.apply(self.createNoisedCopy(this) || this, args);
+            };
+            OffscreenCanvasRenderingContext2D.prototype.getImageData = noisyGetImageData(originals.offscreenGetImageData);
+        }
+        
+        Object.entries(originals.readPixels).forEach(([name, original]) => {
+            window[name].prototype.readPixels = function(x, y, width, height, format, type, pixels, ...rest) {
+                const result = original.call(this, x, y, width, height, format, type, pixels, ...rest);
+                // Only client-side RGBA byte buffers; pixel pack buffer offsets never reach script.
+                // WebGL2 can write from dstOffset on, so only the pixels read are noised. GL counts rows
+                // up from the bottom; the noise is keyed top-left like toDataURL and getImageData, so a
+                // pixel gets the same noise whichever way it is read.
+                if (pixels instanceof Uint8Array && format === this.RGBA && type === this.UNSIGNED_BYTE) {
+                    const offset = rest[0] || 0;
+                    const top = this.drawingBufferHeight - y - height;
+                    self.addCanvasNoise(pixels.subarray(offset, offset + width * height * 4), width, x, top, true);
+                }
+                return result;
+            };
+        });
+    }
+    
+    restoreCanvas() {
+        const originals = this.originalFunctions;
+        if (!originals.toDataURL) return;
+        
+        HTMLCanvasElement.prototype.toDataURL = originals.toDataURL;
+        HTMLCanvasElement.prototype.toBlob = originals.toBlob;
+        CanvasRenderingContext2D.prototype.getImageData = originals.getImageData;
+        if (originals.convertToBlob) {
+            OffscreenCanvas.prototype.convertToBlob = originals.convertToBlob;
+            OffscreenCanvasRenderingContext2D.prototype.getImageData = originals.offscreenGetImageData;
+        }
+        Object.entries(originals.readPixels).forEach(([name, original]) => {
+            window[name].prototype.readPixels = original;
+        });
+    }
+    
+    spoofWebGL() {
+        const self = this;
+        const originals = this.originalFunctions;
+        const UNMASKED_VENDOR_WEBGL = 0x9245;
+        const UNMASKED_RENDERER_WEBGL = 0x9246;
+        
+        if (!originals.webgl) {
+            originals.webgl = {};
+            this.getWebGLContexts().forEach(name => {
+                const proto = window[name].prototype;
+                originals.webgl[name] = {
+                    getParameter: proto.getParameter,
+                    getExtension: proto.getExtension,
+                    getSupportedExtensions: proto.getSupportedExtensions,
+                    getShaderPrecisionFormat: proto.getShaderPrecisionFormat
+                };
+            });
+        }
+        
+        Object.entries(originals.webgl).forEach(([name, original]) => {
+            const proto = window[name].prototype;
+            const common = self.commonWebGLExtensions[name];
+            
+            // Always call through so the detector's hooks still see the page's calls
+            proto.getParameter = function(pname) {
+                const value = original.getParameter.apply(this, arguments);
+                if (pname !== UNMASKED_VENDOR_WEBGL && pname !== UNMASKED_RENDERER_WEBGL) return value;
+                
+                const gpu = self.getGPUProfile();
+                if (!gpu) return value;
+                return pname === UNMASKED_VENDOR_WEBGL ? gpu.vendor : gpu.renderer;
+            };
+            
+            proto.getSupportedExtensions = function() {
+                const extensions = original.getSupportedExtensions.apply(this, arguments);
+                return extensions ? extensions.filter(ext => common.includes(ext)) : extensions;
+            };
+            
+            proto.getExtension = function(extensionName) {
+                const extension = original.getExtension.apply(this, arguments);
+                // Keep getExtension consistent with the filtered getSupportedExtensions list
+                return common.includes(extensionName) ? extension : null;
+            };
+            
+            proto.getShaderPrecisionFormat = function(shaderType, precisionType) {
+                const format = original.getShaderPrecisionFormat.apply(this, arguments);
+                if (!format) return format;
+                
+                // Report the values every desktop GPU returns for high precision
+                const isFloat = precisionType === this.LOW_FLOAT || precisionType === this.MEDIUM_FLOAT || precisionType === this.HIGH_FLOAT;
+                const expected = isFloat
+                    ? { rangeMin: 127, rangeMax: 127, precision: 23 }
+                    : { rangeMin: 31, rangeMax: 30, precision: 0 };
+                const matches = Object.keys(expected).every(key => format[key] === expected[key]);
+                return matches ? format : self.createPrecisionFormat(expected);
+            };
+        });
+    }
+    
+    createPrecisionFormat(values) {
+        // Native getters reject objects the browser did not create, so the values are own properties
+        const Format = window.WebGLShaderPrecisionFormat;
+        const format = Object.create(Format ? Format.prototype : Object.prototype);
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(format, key, { value, enumerable: true, configurable: true });
+        });
+        return format;
+    }
+    
+    restoreWebGL() {
+        if (!this.originalFunctions.webgl) return;
+        
+        Object.entries(this.originalFunctions.webgl).forEach(([name, original]) => {
+            Object.assign(window[name].prototype, original);
+        });
+    }
+    
+    spoofAudio() {
+        const self = this;
+        const originals = this.originalFunctions;
+        
+        if (!originals.audio) {
+            originals.audio = { buffer: {}, analyser: {} };
+            if (window.AudioBuffer) {
+                ['getChannelData', 'copyFromChannel'].forEach(method => {
+                    originals.audio.buffer[method] = AudioBuffer.prototype[method];
+                });
+            }
+            if (window.AnalyserNode) {
+                ['getFloatFrequencyData', 'getFloatTimeDomainData'].forEach(method => {
+                    originals.audio.analyser[method] = AnalyserNode.prototype[method];
+                });
+            }
+            this.noisedAudioChannels = new WeakMap();
+        }
+        
+        const { buffer, analyser } = originals.audio;
+        
+        if (buffer.getChannelData) {
+            // getChannelData returns the buffer's live samples, so each channel is noised exactly once
+            AudioBuffer.prototype.getChannelData = function(channel) {
+                const data = buffer.getChannelData.apply(this, arguments);
+                self.noiseAudioChannel(this, channel, data);
+                return data;
+            };
+        }
+        
+        if (buffer.copyFromChannel) {
+            AudioBuffer.prototype.copyFromChannel = function(destination, channel) {
+                if (buffer.getChannelData) {
+                    self.noiseAudioChannel(this, channel, buffer.getChannelData.call(this, channel));
+                }
+                return buffer.copyFromChannel.apply(this, arguments);
+            };
+        }
+        
+        Object.entries(analyser).forEach(([method, original]) => {
+            AnalyserNode.prototype[method] = function(array) {
+                const result = original.apply(this, arguments);
+                self.addAudioNoise(array, 0);
+                return result;
+            };
+        });
+    }
+    
+    restoreAudio() {
+        const audio = this.originalFunctions.audio;
+        if (!audio) return;
+        
+        if (window.AudioBuffer) {
+            Object.assign(AudioBuffer.prototype, audio.buffer);
+        }
+        if (window.AnalyserNode) {
+            Object.assign(AnalyserNode.prototype, audio.analyser);
+        }
+    }
+    
+    noiseAudioChannel(buffer, channel, data) {
+        let channels = this.noisedAudioChannels.get(buffer);
+        if (!channels) {
+            channels = new Set();
+            this.noisedAudioChannels.set(buffer, channels);
+        }
+        if (channels.has(channel)) return;
+        
+        channels.add(channel);
+        this.addAudioNoise(data, channel);
+    }
+    
+    addAudioNoise(data, channel) {
+        // Scale each sample by a seeded factor within ±1e-5 (about -100 dB): inaudible, keeps silence
+        // silent, and still changes the sums and hashes fingerprinting scripts compute
+        const seed = this.farbling.getSeed(undefined, 'audio');
+        for (let i = 0; i < data.length; i++) {
+            const factor = this.hashPosition(seed, i, channel) / 0x100000000 - 0.5;
+            data[i] *= 1 + factor * 2e-5;
+        }
+    }
+    
+    limitFonts() {
+        // Measurements that look like font probing run as if fonts outside the base set were not installed:
+        // hidden, off-document or family-switching elements, and canvas text by the context's font.
+        const self = this;
+        const originals = this.originalFunctions;
+        
+        if (!originals.fonts) {
+            originals.fonts = {
+                offsetWidth: Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetWidth'),
+                offsetHeight: Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight'),
+                getBoundingClientRect: Element.prototype.getBoundingClientRect,
+                measureText: {}
+            };
+            ['CanvasRenderingContext2D', 'OffscreenCanvasRenderingContext2D'].filter(name => window[name]).forEach(name => {
+                originals.fonts.measureText[name] = window[name].prototype.measureText;
+            });
+        }
+        
+        const fonts = originals.fonts;
+        ['offsetWidth', 'offsetHeight'].forEach(prop => {
+            const descriptor = fonts[prop];
+            if (!descriptor || !descriptor.get) return;
+            Object.defineProperty(HTMLElement.prototype, prop, {
+                ...descriptor,
+                get() {
+                    return self.measureWithBaseFonts(this, () => descriptor.get.call(this));
+                }
+            });
+        });
+        
+        Element.prototype.getBoundingClientRect = function() {
+            return self.measureWithBaseFonts(this, () => fonts.getBoundingClientRect.apply(this, arguments));
+        };
+        
+        Object.entries(fonts.measureText).forEach(([name, original]) => {
+            window[name].prototype.measureText = function() {
+                const font = this.font;
+                const limited = self.limitFontShorthand(font);
+                if (limited === font) return original.apply(this, arguments);
+                
+                this.font = limited;
+                try {
+                    return original.apply(this, arguments);
+                } finally {
+                    this.font = font;
+                }
+            };
+        });
+    }
+    
+    restoreFonts() {
+        const fonts = this.originalFunctions.fonts;
+        if (!fonts) return;
+        
+        ['offsetWidth', 'offsetHeight'].forEach(prop => {
+            if (fonts[prop]) Object.defineProperty(HTMLElement.prototype, prop, fonts[prop]);
+        });
+        Element.prototype.getBoundingClientRect = fonts.getBoundingClientRect;
+        Object.entries(fonts.measureText).forEach(([name, original]) => {
+            window[name].prototype.measureText = original;
+        });
+    }
+    
+    measureWithBaseFonts(element, measure) {
+        // Only elements that look like font probes measure as if other fonts were missing; the page's
+        // own layout keeps its real sizes. Probing scripts switch candidates through the inline family,
+        // so the decision is made once per element and inline value and ordinary reads only look it up.
+        const family = element.style && element.style.fontFamily;
+        if (!family) return measure();
+        
+        let probe = this.fontProbes.get(element);
+        if (!probe || probe.family !== family) {
+            probe = { family, limited: this.getProbeFamilies(element, !!probe) };
+            this.fontProbes.set(element, probe);
+        }
+        return probe.limited === null ? measure() : this.measureWithFamilies(element, probe.limited, measure);
+    }
+    
+    getProbeFamilies(element, switched) {
+        // The families to measure a probe with, or null: the element must name a font outside the base
+        // set and be hidden, placed outside the document or switched from another family
+        if (!element.isConnected) return null;
+        
+        const computed = window.getComputedStyle(element);
+        const limited = this.limitFontFamilies(computed.fontFamily);
+        if (limited === computed.fontFamily) return null;
+        
+        if (switched || computed.visibility === 'hidden') return limited;
+        const rect = this.originalFunctions.fonts.getBoundingClientRect.call(element);
+        return rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0 ? limited : null;
+    }
+    
+    measureWithFamilies(element, families, measure) {
+        const value = families || 'initial';
+        const style = element.style;
+        
+        // Nothing outranks an important inline declaration, so only then is the inline style rewritten
+        if (style.getPropertyPriority('font-family') === 'important') {
+            const original = style.getPropertyValue('font-family');
+            style.setProperty('font-family', value, 'important');
+            try {
+                return measure();
+            } finally {
+                style.setProperty('font-family', original, 'important');
+            }
+        }
+        
+        // Otherwise the limit goes in an adopted stylesheet, which the page's MutationObservers do not see
+        const root = element.getRootNode();
+        if (!root.adoptedStyleSheets || !window.CSSStyleSheet) return measure();
+        if (!this.fontLimitSheet) {
+            this.fontLimitSheet = new CSSStyleSheet();
+        }
+        const rule = `${this.getElementSelector(element)} { font-family: ${value} !important; }`;
+        if (rule !== this.fontLimitRule) {
+            this.fontLimitSheet.replaceSync(rule);
+            this.fontLimitRule = rule;
+        }
+        const sheets = [...root.adoptedStyleSheets];
+        root.adoptedStyleSheets = [...sheets, this.fontLimitSheet];
+        try {
+            return measure();
+        } finally {
+            root.adoptedStyleSheets = sheets;
+        }
+    }
+    
+    getElementSelector(element) {
+        // A structural path from the top of the element's tree, which matches it without marking it.
+        // In a shadow tree the path starts at the host, so it cannot match elsewhere in that tree.
+        const position = node => `:nth-child(${Array.prototype.indexOf.call(node.parentNode.children, node) + 1})`;
+        const parts = [];
+        let node = element;
+        for (; node.parentElement; node = node.parentElement) {
+            parts.unshift(position(node));
+        }
+        parts.unshift(node.parentNode.nodeType === Node.DOCUMENT_NODE ? ':root' : `:host > ${position(node)}`);
+        return parts.join(' > ');
+    }
+    
+    limitFontShorthand(font) {
+        const match = /^(.*?[\d.]+(?:px|pt|pc|em|rem|ex|ch|%|in|cm|mm|vw|vh)(?:\s*\/\s*\S+)?\s+)(.+)$/.exec(font || '');
+        if (!match) return font;
+        
+        const families = this.limitFontFamilies(match[2]);
+        if (families === match[2]) return font;
+        return match[1] + (families || 'sans-serif');
+    }
+    
+    limitFontFamilies(list) {
+        const families = list.split(',').map(family => family.trim()).filter(Boolean);
+        const allowed = families.filter(family => this.isFontAllowed(family.replace(/^['"]|['"]$/g, '')));
+        // An empty result means none of the families would be used
+        return allowed.length === families.length ? list : allowed.join(', ');
+    }
+    
+    isFontAllowed(family) {
+        const name = family.toLowerCase();
+        return this.baseFonts.includes(name) ||
+            this.genericFontFamilies.includes(name) ||
+            this.getPageFonts().has(name);
+    }
+    
+    getPageFonts() {
+        // Web fonts the page declared itself with @font-face or the FontFace API stay measurable
+        const fontSet = document.fonts;
+        if (!fontSet || typeof fontSet.forEach !== 'function') return new Set();
+        
+        if (!this.pageFonts || this.pageFonts.size !== fontSet.size) {
+            const families = new Set();
+            fontSet.forEach(face => families.add(face.family.replace(/^['"]|['"]$/g, '').toLowerCase()));
+            this.pageFonts = { size: fontSet.size, families };
+        }
+        return this.pageFonts.families;
+    }
+    
+    getGPUProfile() {
+        // Match the persona's OS while fingerprint scrambling is on, otherwise the real OS
+        const osName = this.isProtectionActive('fingerprint')
+            ? this.farbling.getPersona().os
+            : this.farbling.getRealOSName();
+        return this.farbling.getGPUProfile(osName);
+    }
+    
+    getWebGLContexts() {
+        return ['WebGLRenderingContext', 'WebGL2RenderingContext'].filter(name => window[name]);
+    }
+    
+    createNoisedCopy(canvas) {
+        const { width, height } = canvas;
+        if (!width || !height) return null;
+        
+        const offscreen = window.OffscreenCanvas && canvas instanceof OffscreenCanvas;
+        const copy = offscreen ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+        copy.width = width;
+        copy.height = height;
+        
+        const ctx = copy.getContext('2d');
+        if (!ctx) return null;
+        
+        // drawImage reads 2D and WebGL canvases alike; a tainted source throws the same SecurityError as the native readout
+        ctx.drawImage(canvas, 0, 0);
+        const getImageData = offscreen ? this.originalFunctions.offscreenGetImageData : this.originalFunctions.getImageData;
+        const imageData = getImageData.call(ctx, 0, 0, width, height);
+        this.addCanvasNoise(imageData.data, width, 0, 0);
+        ctx.putImageData(imageData, 0, 0);
+        
+        return copy;
+    }
+    
+    addCanvasNoise(data, width, offsetX = 0, offsetY = 0, bottomUp = false) {
+        // Flip the low bit of one channel in roughly 1 of 32 visible pixels. Noise is keyed on the
+        // per-origin session seed and absolute pixel position, so repeated reads return identical data.
+        // `bottomUp` data (WebGL readPixels) lists its last row first.
+        const seed = this.farbling.getSeed(undefined, 'canvas');
+        const rows = Math.floor(data.length / 4 / width);
+        
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            
+            const pixel = i / 4;
+            const row = Math.floor(pixel / width);
+            const hash = this.hashPosition(seed, offsetX + pixel % width, offsetY + (bottomUp ? rows - 1 - row : row));
+            if ((hash & 0x1f) !== 0) continue;
+            
+            data[i + (hash >>> 5) % 3] ^= 1;
+        }
+    }
+    
+    hashPosition(seed, x, y) {
+        let hash = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1);
+        hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    blockWebRTC() {
+        if (!this.originalFunctions.RTCPeerConnection) {
+            this.originalFunctions.RTCPeerConnection = window.RTCPeerConnection;
+        }
+        window.RTCPeerConnection = function() {
+            throw new Error('WebRTC blocked by Falcon Guardian');
+        };
+    }
+
+    restoreWebRTC() {
+        if (this.originalFunctions.RTCPeerConnection) {
+            window.RTCPeerConnection = this.originalFunctions.RTCPeerConnection;
+        }
+    }
+}
+
+// extension/memory-storage.js
+
+/**
+ * Memory Storage Module
+ * Storage-shaped map that stands in for localStorage where the extension keeps settings in chrome.storage
+ */
+
+class MemoryStorage {
+    constructor(values = {}) {
+        this.values = new Map();
+        this.update(values);
+    }
+
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.values.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.values.delete(key);
+    }
+
+    update(values) {
+        Object.entries(values).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                this.removeItem(key);
+            } else {
+                this.setItem(key, value);
+            }
+        });
+    }
+}
+
+// extension/page.js
+
+/**
+ * Extension Page Bootstrap
+ * Runs the detector hooks in the page's own world at document_start, and the shield once its settings arrive
+ *
+ * Shipped inside extension/page-bundle.js together with the modules it uses, so their classes stay in
+ * the bundle's closure instead of becoming globals the page could probe or patch.
+ *
+ * Settings come from the isolated-world relay (extension/relay.js) over DOM events named after a
+ * token handed over before any page script runs, so pages can neither listen in nor forge them.
+ */
+
+(function() {
+    // Page scripts may replace these later; the channel keeps using the originals
+    const dispatch = EventTarget.prototype.dispatchEvent;
+    const listen = EventTarget.prototype.addEventListener;
+    const NativeCustomEvent = CustomEvent;
+    const { parse, stringify } = JSON;
+
+    const bytes = new Uint32Array(4);
+    crypto.getRandomValues(bytes);
+    const token = Array.from(bytes, b => b.toString(16).padStart(8, '0')).join('');
+    const send = (name, detail) => dispatch.call(document, new NativeCustomEvent(`falcon-guardian-${name}-${token}`, { detail }));
+
+    // The relay is injected first and only accepts the first token it sees
+    dispatch.call(document, new NativeCustomEvent('falcon-guardian-connect', { detail: token }));
+
+    // Settings live in chrome.storage, never in the site's own localStorage or sessionStorage
+    const settings = new MemoryStorage();
+    const bus = new EventBus();
+    const profiles = new ProtectionProfiles({ storage: settings });
+    const rules = new RuleEngine({ storage: settings, bus });
+    const farbling = new FarblingEngine({ storage: settings, sessionStorage: settings });
+    const geolocation = new GeolocationGuard({ storage: settings });
+    const detector = new PrivacyDetector({ bus, profiles });
+    const shield = new Shield({ bus, profiles, farbling, geolocation });
+
+    // Rules run here, where a blocked call can still be refused; the dashboard then skips these threats
+    rules.start();
+
+    ['threat', 'tracker'].forEach(kind => {
+        bus.on(kind, payload => send('event', stringify({
+            kind,
+            payload: { ...payload, origin: payload.origin || profiles.getCurrentOrigin() }
+        })));
+    });
+
+    listen.call(document, `falcon-guardian-settings-${token}`, event => {
+        let values;
+        try {
+            values = parse(event.detail);
+        } catch (e) {
+            return;
+        }
+
+        settings.update(values);
+        profiles.load();
+        rules.load();
+        farbling.load();
+        geolocation.load();
+
+        // The first settings switch the protections on; later ones re-apply the site's profile
+        if (shield.isActive) {
+            shield.applyProfile();
+        } else {
+            shield.activateProtection();
+        }
+    });
+
+    // Detection starts now, but the protections wait for the stored settings: the default profile and a
+    // throwaway session secret would otherwise serve a persona that changes under the page a moment later
+    detector.hookAPIs();
+})();
+
+})();
@@ -0,0 +1,72 @@
+/**
+ * Extension Page Bootstrap
+ * Runs the detector hooks in the page's own world at document_start, and the shield once its settings arrive
+ *
+ * Shipped inside extension/page-bundle.js together with the modules it uses, so their classes stay in
+ * the bundle's closure instead of becoming globals the page could probe or patch.
+ *
+ * Settings come from the isolated-world relay (extension/relay.js) over DOM events named after a
+ * token handed over before any page script runs, so pages can neither listen in nor forge them.
+ */
+
+(function() {
+    // Page scripts may replace these later; the channel keeps using the originals
+    const dispatch = EventTarget.prototype.dispatchEvent;
+    const listen = EventTarget.prototype.addEventListener;
+    const NativeCustomEvent = CustomEvent;
+    const { parse, stringify } = JSON;
+
+    const bytes = new Uint32Array(4);
+    crypto.getRandomValues(bytes);
+    const token = Array.from(bytes, b => b.toString(16).padStart(8, '0')).join('');
+    const send = (name, detail) => dispatch.call(document, new NativeCustomEvent(`falcon-guardian-${name}-${token}`, { detail }));
+
+    // The relay is injected first and only accepts the first token it sees
+    dispatch.call(document, new NativeCustomEvent('falcon-guardian-connect', { detail: token }));
+
+    // Settings live in chrome.storage, never in the site's own localStorage or sessionStorage
+    const settings = new MemoryStorage();
+    const bus = new EventBus();
+    const profiles = new ProtectionProfiles({ storage: settings });
+    const rules = new RuleEngine({ storage: settings, bus });
+    const farbling = new FarblingEngine({ storage: settings, sessionStorage: settings });
+    const geolocation = new GeolocationGuard({ storage: settings });
+    const detector = new PrivacyDetector({ bus, profiles });
+    const shield = new Shield({ bus, profiles, farbling, geolocation });
+
+    // Rules run here, where a blocked call can still be refused; the dashboard then skips these threats
+    rules.start();
+
+    ['threat', 'tracker'].forEach(kind => {
+        bus.on(kind, payload => send('event', stringify({
+            kind,
+            payload: { ...payload, origin: payload.origin || profiles.getCurrentOrigin() }
+        })));
+    });
+
+    listen.call(document, `falcon-guardian-settings-${token}`, event => {
+        let values;
+        try {
+            values = parse(event.detail);
+        } catch (e) {
+            return;
+        }
+
+        settings.update(values);
+        profiles.load();
+        rules.load();
+        farbling.load();
+        geolocation.load();
+
+        // The first settings switch the protections on; later ones re-apply the site's profile
+        if (shield.isActive) {
+            shield.applyProfile();
+        } else {
+            shield.activateProtection();
+        }
+    });
+
+    // Detection starts now, but the protections wait for the stored settings: the default profile and a
+    // throwaway session secret would otherwise serve a persona that changes under the page a moment later
+    detector.hookAPIs();
+})();
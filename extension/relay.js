@@ -0,0 +1,47 @@
+/**
+ * Extension Relay
+ * Isolated-world bridge between the page bootstrap and the background service worker
+ */
+
+(function() {
+    const settingKeys = ['falcon-profiles', 'falcon-farbling', 'falcon-geolocation', 'falcon-rules', 'falcon-farbling-session'];
+    let token = null;
+
+    const send = (name, detail) => document.dispatchEvent(new CustomEvent(`falcon-guardian-${name}-${token}`, { detail }));
+
+    const sendSettings = () => chrome.storage.local.get(settingKeys).then(stored => {
+        // Missing keys go out as null so the page drops settings that were removed
+        const values = Object.fromEntries(settingKeys.map(key => [key, stored[key] ?? null]));
+        send('settings', JSON.stringify(values));
+    });
+
+    const forward = (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.detail);
+        } catch (e) {
+            return;
+        }
+
+        chrome.runtime.sendMessage({ type: 'falcon-event', kind: message.kind, payload: message.payload }).catch(() => {
+            // The extension was reloaded; this page keeps the old scripts until it reloads too
+        });
+    };
+
+    const connect = (event) => {
+        document.removeEventListener('falcon-guardian-connect', connect);
+        if (typeof event.detail !== 'string') return;
+
+        token = event.detail;
+        document.addEventListener(`falcon-guardian-event-${token}`, forward);
+        sendSettings();
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && settingKeys.some(key => changes[key])) {
+                sendSettings();
+            }
+        });
+    };
+
+    document.addEventListener('falcon-guardian-connect', connect);
+})();
@@ -0,0 +1,346 @@
+/**
+ * Alert Manager Module
+ * Turns threats, behavior matches and anomalies into alerts: in-app toasts, optional desktop notifications
+ * and an inbox, with a severity threshold, muting, grouping, rate limiting and quiet hours
+ */
+
+class AlertManager {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-alerts';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.bus = options.bus || new EventBus();
+
+        this.severities = ['low', 'medium', 'high', 'critical'];
+        // Bus events that can raise alerts; the alert type is what muting goes by
+        this.sources = {
+            threat: { noun: 'threats', getType: e => e.type, getLabel: e => e.type.replace(/_/g, ' ') },
+            behavior: { noun: 'matches', getType: e => e.rule, getLabel: e => e.label || e.rule.replace(/_/g, ' ') },
+            anomaly: { noun: 'anomalies', getType: e => `${e.metric}_anomaly`, getLabel: e => e.label || e.metric.replace(/_/g, ' ') }
+        };
+        this.rateLimits = {
+            count: { min: 1, max: 100 },
+            window: { min: 10000, max: 3600000 } // ms
+        };
+        this.groupWindowLimits = { min: 5000, max: 600000 }; // ms
+        this.maxInbox = 100;
+
+        this.config = {
+            enabled: true,
+            desktop: false,
+            minSeverity: 'high',
+            muted: [],
+            rateLimit: { count: 5, window: 60000 }, // New toasts or desktop alerts at most, per window
+            groupWindow: 30000, // Repeats within this long of the first join its alert
+            quietHours: { enabled: false, start: '22:00', end: '07:00' }
+        };
+
+        this.inbox = []; // Newest last: { id, key, source, type, label, severity, origin, count, firstTimestamp, timestamp, state, channel }
+        this.nextId = 1;
+        this.deliveries = []; // Timestamps of toasts and desktop alerts inside the rate window
+        this.saveInterval = 5000; // Raised alerts are written at most this often; settings right away
+        this.saveTimer = null;
+        this.lastSave = 0;
+        this.unsubscribers = [];
+        this.listeners = []; // Settings changes
+        this.inboxListeners = []; // Alerts raised, grouped, acknowledged or dismissed
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && stored.config) {
+                this.config = {
+                    ...this.config,
+                    ...stored.config,
+                    rateLimit: { ...this.config.rateLimit, ...stored.config.rateLimit },
+                    quietHours: { ...this.config.quietHours, ...stored.config.quietHours }
+                };
+            }
+            if (stored && Array.isArray(stored.inbox)) {
+                this.inbox = stored.inbox;
+                this.nextId = this.inbox.reduce((max, alert) => Math.max(max, alert.id), 0) + 1;
+            }
+        } catch (e) {
+            console.warn('Could not read stored alerts:', e.message);
+        }
+    }
+
+    save() {
+        this.persist();
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    persist() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.lastSave = Date.now();
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify({ config: this.config, inbox: this.inbox }));
+        } catch (e) {
+            console.warn('Could not store alerts:', e.message);
+        }
+    }
+
+    updateInbox(options = {}) {
+        // A burst of alerts is written once, within saveInterval of the first
+        if (!options.deferred) {
+            this.persist();
+        } else if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.persist(), Math.max(0, this.lastSave + this.saveInterval - Date.now()));
+        }
+        this.inboxListeners.forEach(listener => listener(this.inbox));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    onInboxChange(listener) {
+        this.inboxListeners.push(listener);
+    }
+
+    // Settings
+
+    setEnabled(enabled) {
+        this.config.enabled = !!enabled;
+        this.save();
+    }
+
+    async setDesktop(enabled) {
+        // Asking for permission needs a user gesture, so this is called from the settings checkbox.
+        // Returns whether desktop notifications are now on.
+        if (!enabled) {
+            this.config.desktop = false;
+            this.save();
+            return false;
+        }
+        if (!window.Notification) return false;
+
+        let permission = Notification.permission;
+        if (permission === 'default') {
+            try {
+                permission = await Notification.requestPermission();
+            } catch (e) {
+                console.warn('Could not ask for notification permission:', e.message);
+            }
+        }
+        this.config.desktop = permission === 'granted';
+        this.save();
+        return this.config.desktop;
+    }
+
+    getDesktopStatus() {
+        if (!window.Notification) return 'unsupported';
+        return Notification.permission; // 'default', 'granted' or 'denied'
+    }
+
+    setMinSeverity(severity) {
+        if (!this.severities.includes(severity)) return false;
+        this.config.minSeverity = severity;
+        this.save();
+        return true;
+    }
+
+    setRateLimit(count, windowMs) {
+        count = Number(count);
+        windowMs = Number(windowMs);
+        const inRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+        if (!inRange(count, this.rateLimits.count) || !inRange(windowMs, this.rateLimits.window)) return false;
+        this.config.rateLimit = { count, window: windowMs };
+        this.save();
+        return true;
+    }
+
+    setGroupWindow(windowMs) {
+        windowMs = Number(windowMs);
+        if (!isFinite(windowMs) || windowMs < this.groupWindowLimits.min || windowMs > this.groupWindowLimits.max) return false;
+        this.config.groupWindow = Math.round(windowMs);
+        this.save();
+        return true;
+    }
+
+    setQuietHours(changes) {
+        const quietHours = { ...this.config.quietHours, ...changes };
+        if (this.parseTime(quietHours.start) === null || this.parseTime(quietHours.end) === null) return false;
+        this.config.quietHours = { enabled: !!quietHours.enabled, start: quietHours.start, end: quietHours.end };
+        this.save();
+        return true;
+    }
+
+    mute(type) {
+        if (typeof type !== 'string' || !type || this.config.muted.includes(type)) return false;
+        this.config.muted.push(type);
+        this.save();
+        return true;
+    }
+
+    unmute(type) {
+        const index = this.config.muted.indexOf(type);
+        if (index === -1) return false;
+        this.config.muted.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    // Raising
+
+    start() {
+        if (this.unsubscribers.length > 0) return;
+        this.unsubscribers = Object.keys(this.sources).map(source =>
+            this.bus.on(source, event => this.raise(source, event)));
+    }
+
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    raise(source, event, now = Date.now()) {
+        // Returns the inbox entry the event went to, or null when it does not warrant an alert
+        const definition = this.sources[source];
+        const type = definition.getType(event);
+        if (!this.config.enabled || this.config.muted.includes(type)) return null;
+        // A rule's `notify` asks for an alert whatever the threshold
+        if (!event.notify && this.severities.indexOf(event.severity) < this.severities.indexOf(this.config.minSeverity)) {
+            return null;
+        }
+
+        const origin = event.origin || window.location.origin;
+        const timestamp = event.timestamp || now;
+        const key = `${source}|${type}|${origin}`;
+        const group = this.inbox.find(alert => alert.key === key && alert.state === 'new' &&
+            timestamp - alert.firstTimestamp <= this.config.groupWindow);
+
+        let alert;
+        if (group) {
+            // A repeat updates its alert where it already is rather than raising a new one
+            alert = group;
+            alert.count++;
+            alert.timestamp = Math.max(alert.timestamp, timestamp);
+            if (this.severities.indexOf(event.severity) > this.severities.indexOf(alert.severity)) {
+                alert.severity = event.severity;
+            }
+        } else {
+            alert = {
+                id: this.nextId++,
+                key,
+                source,
+                type,
+                label: definition.getLabel(event),
+                severity: event.severity,
+                origin,
+                count: 1,
+                firstTimestamp: timestamp,
+                timestamp,
+                state: 'new',
+                channel: this.chooseChannel(now)
+            };
+            this.inbox.push(alert);
+            this.trimInbox();
+        }
+        alert.title = this.formatTitle(alert);
+
+        if (alert.channel === 'desktop') {
+            this.showDesktop(alert);
+        }
+        this.updateInbox({ deferred: true });
+        this.bus.emit('alert', { ...alert, update: !!group });
+        return alert;
+    }
+
+    chooseChannel(now) {
+        // Where a new alert is shown: a toast, a desktop notification when the page is out of sight, or
+        // only the inbox during quiet hours and once the rate limit is reached
+        if (this.isQuietTime(new Date(now))) return 'inbox';
+
+        const { count, window: span } = this.config.rateLimit;
+        this.deliveries = this.deliveries.filter(time => time > now - span);
+        if (this.deliveries.length >= count) return 'inbox';
+        this.deliveries.push(now);
+
+        const desktop = this.config.desktop && this.getDesktopStatus() === 'granted' && document.hidden;
+        return desktop ? 'desktop' : 'toast';
+    }
+
+    showDesktop(alert) {
+        try {
+            // The shared tag makes a grouped repeat replace its notification instead of stacking another
+            new Notification('Falcon Guardian', {
+                body: `${alert.title} (${alert.severity}) on ${alert.origin}`,
+                tag: `falcon-alert-${alert.id}`,
+                renotify: false
+            });
+        } catch (e) {
+            console.warn('Could not show a desktop alert:', e.message);
+        }
+    }
+
+    formatTitle(alert) {
+        const label = alert.label.charAt(0).toUpperCase() + alert.label.slice(1);
+        if (alert.count === 1) return label;
+        const seconds = Math.max(1, Math.round((alert.timestamp - alert.firstTimestamp) / 1000));
+        return `${alert.count} ${alert.label} ${this.sources[alert.source].noun} in ${seconds}s`;
+    }
+
+    isQuietTime(date) {
+        const { enabled, start, end } = this.config.quietHours;
+        if (!enabled) return false;
+
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const from = this.parseTime(start);
+        const to = this.parseTime(end);
+        // Quiet hours such as 22:00 to 07:00 run past midnight
+        return from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+    }
+
+    parseTime(text) {
+        // Minutes after midnight for "HH:MM", or null
+        const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(text));
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    }
+
+    // Inbox
+
+    trimInbox() {
+        // Dismissed alerts go first, then the oldest ones
+        while (this.inbox.length > this.maxInbox) {
+            const dismissed = this.inbox.findIndex(alert => alert.state === 'dismissed');
+            this.inbox.splice(dismissed !== -1 ? dismissed : 0, 1);
+        }
+    }
+
+    acknowledge(id) {
+        const alert = this.inbox.find(a => a.id === id);
+        if (!alert || alert.state !== 'new') return false;
+        alert.state = 'acknowledged';
+        this.updateInbox();
+        return true;
+    }
+
+    acknowledgeAll() {
+        const unread = this.inbox.filter(alert => alert.state === 'new');
+        unread.forEach(alert => { alert.state = 'acknowledged'; });
+        if (unread.length > 0) this.updateInbox();
+        return unread.length;
+    }
+
+    dismiss(id) {
+        const alert = this.inbox.find(a => a.id === id);
+        if (!alert || alert.state === 'dismissed') return false;
+        alert.state = 'dismissed';
+        this.updateInbox();
+        return true;
+    }
+
+    getInbox(options = {}) {
+        // Newest first; dismissed alerts are kept for trimming order but only listed on request
+        return this.inbox
+            .filter(alert => options.includeDismissed || alert.state !== 'dismissed')
+            .reverse();
+    }
+
+    getUnreadCount() {
+        return this.inbox.filter(alert => alert.state === 'new').length;
+    }
+}
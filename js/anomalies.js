@@ -0,0 +1,265 @@
+/**
+ * Anomaly Detector Module
+ * Streaming baselines over the privacy score and per-site threat and tracker rates, flagging sudden departures
+ *
+ * Every series keeps an exponentially weighted mean and variance. Once warmed up, a sample more than
+ * `threshold` standard deviations away in the metric's bad direction is an anomaly; the series then
+ * re-arms when it is back inside the threshold, so a lasting shift is reported once and becomes the new
+ * baseline.
+ */
+
+class AnomalyDetector {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-anomalies';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.bus = options.bus || new EventBus();
+        this.origin = options.origin || window.location.origin; // The session's own page, which is never idle
+
+        // Score samples come from the dashboard's update loop; rates are counted in fixed buckets
+        this.metrics = {
+            score: {
+                label: 'Privacy score',
+                unit: 'points',
+                direction: 'down',
+                alpha: 0.02,      // Weight of each one-second sample
+                minDeviation: 2,  // Floor for the standard deviation of a score that has not moved yet
+                minChange: 5
+            },
+            threat_rate: {
+                label: 'Threat rate',
+                unit: 'threats per 10s',
+                interval: 10000,
+                direction: 'up',
+                alpha: 0.05,
+                minDeviation: 1,
+                minChange: 3
+            },
+            tracker_rate: {
+                label: 'Tracker hits',
+                unit: 'tracker requests per 10s',
+                interval: 10000,
+                direction: 'up',
+                alpha: 0.05,
+                minDeviation: 1,
+                minChange: 3
+            }
+        };
+        this.threshold = 3;      // z-score
+        this.warmup = 30;        // Samples a series needs before it can flag anything
+        this.idleIntervals = 6;  // Quiet buckets after which another site's series pauses
+        this.maxSeries = 200;
+        this.saveInterval = 30000;
+
+        this.model = this.createModel();
+        this.buckets = new Map(); // series key -> { start, count, quiet } of the rate bucket being filled
+        this.anomalies = [];
+        this.maxAnomalies = 50;
+        this.lastSave = 0;
+        this.unsubscribers = [];
+        this.load();
+    }
+
+    createModel() {
+        return {
+            version: 1,
+            series: {} // `${metric}|${category}|${origin}` -> { metric, category, origin, mean, variance, samples, armed, updated }
+        };
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && stored.version === 1 && stored.series) {
+                this.model = stored;
+            }
+        } catch (e) {
+            console.warn('Could not read stored anomaly baselines:', e.message);
+        }
+    }
+
+    save() {
+        this.lastSave = Date.now();
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.model));
+        } catch (e) {
+            console.warn('Could not store anomaly baselines:', e.message);
+        }
+    }
+
+    reset() {
+        this.model = this.createModel();
+        this.buckets.clear();
+        this.anomalies = [];
+        this.save();
+    }
+
+    // Input
+
+    start() {
+        if (this.unsubscribers.length > 0) return;
+        this.unsubscribers = [
+            this.bus.on('threat', threat => this.count('threat_rate', threat.type, threat)),
+            this.bus.on('tracker', tracker => this.count('tracker_rate', '', tracker))
+        ];
+    }
+
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.buckets.clear();
+        this.save();
+    }
+
+    observeScore(score, timestamp = Date.now()) {
+        this.update('score', '', this.origin, score, timestamp);
+    }
+
+    count(metric, category, event) {
+        const origin = event.origin || window.location.origin;
+        const key = this.getKey(metric, category, origin);
+        const interval = this.metrics[metric].interval;
+
+        this.closeBuckets(key, event.timestamp);
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { start: event.timestamp - event.timestamp % interval, count: 0, quiet: 0 };
+            this.buckets.set(key, bucket);
+        }
+        // Events relayed from other tabs can arrive slightly late; they count towards the open bucket
+        bucket.count++;
+    }
+
+    tick(now = Date.now()) {
+        // Closes every rate bucket that has ended, quiet ones included, and saves now and then
+        [...this.buckets.keys()].forEach(key => this.closeBuckets(key, now));
+        if (now - this.lastSave >= this.saveInterval) {
+            this.save();
+        }
+    }
+
+    closeBuckets(key, now) {
+        const bucket = this.buckets.get(key);
+        if (!bucket) return;
+
+        const [metric, category, origin] = this.parseKey(key);
+        const interval = this.metrics[metric].interval;
+        const elapsed = Math.floor((now - bucket.start) / interval);
+        if (elapsed < 1) return;
+
+        // After a long gap (the dashboard was closed or the machine asleep) only the first few quiet
+        // buckets are real observations; the rest of the gap is skipped rather than learned as silence
+        for (let i = 0; i < Math.min(elapsed, this.idleIntervals); i++) {
+            const end = bucket.start + interval;
+            this.update(metric, category, origin, bucket.count, end);
+            bucket.quiet = bucket.count === 0 ? bucket.quiet + 1 : 0;
+            bucket.count = 0;
+            bucket.start = end;
+
+            // A closed tab and a quiet one look the same, so other sites' series pause once idle
+            if (origin !== this.origin && bucket.quiet >= this.idleIntervals) {
+                this.buckets.delete(key);
+                return;
+            }
+        }
+        bucket.start = now - now % interval;
+    }
+
+    // Baselines
+
+    update(metric, category, origin, value, timestamp) {
+        const key = this.getKey(metric, category, origin);
+        const settings = this.metrics[metric];
+        let series = this.model.series[key];
+        if (!series) {
+            series = { metric, category, origin, mean: value, variance: 0, samples: 0, armed: true, updated: timestamp };
+            this.model.series[key] = series;
+            this.evictSeries();
+        }
+
+        // Scored against the baseline as it stood before this sample
+        if (series.samples >= this.warmup) {
+            const deviation = Math.max(Math.sqrt(series.variance), settings.minDeviation);
+            const change = settings.direction === 'down' ? series.mean - value : value - series.mean;
+            const zScore = change / deviation;
+            if (zScore < this.threshold) {
+                series.armed = true;
+            } else if (series.armed && change >= settings.minChange) {
+                series.armed = false;
+                this.report(series, value, deviation, zScore, timestamp);
+            }
+        }
+
+        // Incremental exponentially weighted mean and variance
+        const difference = value - series.mean;
+        const increment = settings.alpha * difference;
+        series.mean += increment;
+        series.variance = (1 - settings.alpha) * (series.variance + difference * increment);
+        series.samples++;
+        series.updated = timestamp;
+    }
+
+    evictSeries() {
+        const keys = Object.keys(this.model.series);
+        if (keys.length <= this.maxSeries) return;
+
+        keys.sort((a, b) => this.model.series[a].updated - this.model.series[b].updated)
+            .slice(0, keys.length - this.maxSeries)
+            .forEach(key => {
+                delete this.model.series[key];
+                this.buckets.delete(key);
+            });
+    }
+
+    report(series, value, deviation, zScore, timestamp) {
+        const settings = this.metrics[series.metric];
+        const anomaly = {
+            metric: series.metric,
+            category: series.category,
+            label: series.category ? `${series.category.replace(/_/g, ' ')} ${settings.label.toLowerCase()}` : settings.label,
+            origin: series.origin,
+            value,
+            baseline: series.mean,
+            deviation,
+            zScore,
+            direction: settings.direction,
+            unit: settings.unit,
+            severity: this.getSeverity(zScore),
+            timestamp
+        };
+
+        this.anomalies.push(anomaly);
+        if (this.anomalies.length > this.maxAnomalies) {
+            this.anomalies.shift();
+        }
+        this.save();
+        this.bus.emit('anomaly', anomaly);
+    }
+
+    getSeverity(zScore) {
+        if (zScore >= 8) return 'critical';
+        if (zScore >= 5) return 'high';
+        return 'medium';
+    }
+
+    // Helpers
+
+    getKey(metric, category, origin) {
+        return `${metric}|${category}|${origin}`;
+    }
+
+    parseKey(key) {
+        const [metric, category, ...origin] = key.split('|');
+        return [metric, category, origin.join('|')];
+    }
+
+    getBaseline(metric, category = '', origin = this.origin) {
+        // The learned mean and spread of one series, or null while it is still warming up
+        const series = this.model.series[this.getKey(metric, category, origin)];
+        if (!series || series.samples < this.warmup) return null;
+        return { mean: series.mean, deviation: Math.sqrt(series.variance), samples: series.samples };
+    }
+
+    getAnomalies(limit = 10) {
+        return this.anomalies.slice(-limit).reverse();
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * Behavior Engine Module
+ * Sliding-window rules over network traffic, such as request bursts or fan-out to many tracker domains
+ */
+
+class BehaviorEngine {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-behaviors';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.bus = options.bus || new EventBus();
+
+        // Bus events a rule can watch, and what it measures over the ones inside its window
+        this.sources = {
+            request: { label: 'All requests' },
+            tracker: { label: 'Tracker requests' }
+        };
+        this.measures = {
+            count: { unit: 'requests' },
+            hosts: { unit: 'distinct hosts' }
+        };
+        this.severities = ['low', 'medium', 'high', 'critical'];
+        this.thresholdLimits = { min: 2, max: 1000 };
+        this.windowLimits = { min: 1000, max: 300000 }; // ms
+
+        this.defaults = {
+            rapid_requests: {
+                label: 'Rapid requests',
+                source: 'request',
+                measure: 'count',
+                threshold: 10,
+                timeWindow: 5000, // 5 seconds
+                severity: 'medium',
+                enabled: true
+            },
+            suspicious_domains: {
+                label: 'Suspicious domains',
+                source: 'tracker',
+                measure: 'hosts',
+                threshold: 3,
+                timeWindow: 10000, // 10 seconds
+                severity: 'high',
+                enabled: true
+            }
+        };
+
+        this.rules = this.copyRules(this.defaults);
+        this.windows = new Map(); // `${rule}|${origin}` -> { events: [{ timestamp, host }], armed }
+        this.pruneInterval = 1000; // How often windows of origins that went quiet are looked for
+        this.lastPrune = 0;
+        this.matches = [];
+        this.maxMatches = 50;
+        this.unsubscribers = [];
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && stored.rules) {
+                const rules = this.copyRules(this.defaults);
+                Object.entries(stored.rules).forEach(([name, rule]) => {
+                    const merged = this.normalize({ ...rules[name], ...rule });
+                    if (merged) rules[name] = merged;
+                });
+                this.rules = rules;
+            }
+        } catch (e) {
+            console.warn('Could not read stored behavior rules:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify({ rules: this.rules }));
+        } catch (e) {
+            console.warn('Could not store behavior rules:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.rules));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Rules
+
+    copyRules(rules) {
+        return Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name, { ...rule }]));
+    }
+
+    normalize(rule) {
+        // A complete, valid rule with its numbers clamped to the limits, or null
+        if (!rule || typeof rule.label !== 'string' || !rule.label.trim() ||
+            !this.sources[rule.source] || !this.measures[rule.measure] || !this.severities.includes(rule.severity)) {
+            return null;
+        }
+        const threshold = Number(rule.threshold);
+        const timeWindow = Number(rule.timeWindow);
+        if (!isFinite(threshold) || !isFinite(timeWindow)) return null;
+
+        return {
+            label: rule.label.trim(),
+            source: rule.source,
+            measure: rule.measure,
+            threshold: Math.round(Math.min(this.thresholdLimits.max, Math.max(this.thresholdLimits.min, threshold))),
+            timeWindow: Math.round(Math.min(this.windowLimits.max, Math.max(this.windowLimits.min, timeWindow))),
+            severity: rule.severity,
+            enabled: rule.enabled !== false
+        };
+    }
+
+    setRule(name, changes) {
+        // Updates a rule, or adds one when `changes` is a complete definition under a new name
+        if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+            throw new Error('A behavior rule name must be lowercase letters, digits and underscores');
+        }
+        const rule = this.normalize({ ...this.rules[name], ...changes });
+        if (!rule) {
+            throw new Error(`Behavior rule "${name}" needs a label, a source (${Object.keys(this.sources).join(', ')}), ` +
+                `a measure (${Object.keys(this.measures).join(', ')}), a threshold, a time window and a severity`);
+        }
+
+        this.rules[name] = rule;
+        this.clearWindows(name);
+        this.save();
+        return rule;
+    }
+
+    removeRule(name) {
+        if (!this.rules[name] || this.defaults[name]) return false;
+        delete this.rules[name];
+        this.clearWindows(name);
+        this.save();
+        return true;
+    }
+
+    resetRules() {
+        this.rules = this.copyRules(this.defaults);
+        this.windows.clear();
+        this.save();
+    }
+
+    clearWindows(name) {
+        [...this.windows.keys()].filter(key => key.startsWith(`${name}|`)).forEach(key => this.windows.delete(key));
+    }
+
+    // Evaluation
+
+    start() {
+        if (this.unsubscribers.length > 0) return;
+        this.unsubscribers = Object.keys(this.sources).map(source =>
+            this.bus.on(source, event => this.observe(source, event)));
+    }
+
+    stop() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.windows.clear();
+    }
+
+    observe(source, event) {
+        const origin = event.origin || window.location.origin;
+        const timestamp = event.timestamp;
+        if (timestamp - this.lastPrune >= this.pruneInterval) {
+            this.pruneWindows(timestamp);
+        }
+        let host;
+        try {
+            host = new URL(event.url, window.location.href).hostname;
+        } catch (e) {
+            host = String(event.url);
+        }
+
+        Object.entries(this.rules).forEach(([name, rule]) => {
+            if (!rule.enabled || rule.source !== source) return;
+
+            const key = `${name}|${origin}`;
+            const state = this.windows.get(key) || { events: [], armed: true };
+            this.windows.set(key, state);
+
+            // Events relayed from other tabs can arrive slightly out of order, so expiry filters
+            state.events.push({ timestamp, host });
+            state.events = state.events.filter(e => e.timestamp > timestamp - rule.timeWindow);
+
+            const value = this.measure(rule, state.events);
+            if (value < rule.threshold) {
+                state.armed = true;
+                return;
+            }
+
+            // One match per burst; the rule re-arms once its window drops back under the threshold
+            if (!state.armed) return;
+            state.armed = false;
+            this.report(name, rule, origin, value, state.events, timestamp);
+        });
+    }
+
+    pruneWindows(now) {
+        // Drops expired events everywhere, and the windows of origins with none left, such as closed tabs
+        this.lastPrune = now;
+        this.windows.forEach((state, key) => {
+            const rule = this.rules[key.slice(0, key.indexOf('|'))];
+            state.events = rule ? state.events.filter(e => e.timestamp > now - rule.timeWindow) : [];
+            if (state.events.length === 0) {
+                this.windows.delete(key);
+            }
+        });
+    }
+
+    measure(rule, events) {
+        return rule.measure === 'hosts' ? new Set(events.map(e => e.host)).size : events.length;
+    }
+
+    report(name, rule, origin, value, events, timestamp) {
+        const match = {
+            rule: name,
+            label: rule.label,
+            severity: rule.severity,
+            origin,
+            value,
+            threshold: rule.threshold,
+            timeWindow: rule.timeWindow,
+            unit: this.measures[rule.measure].unit,
+            hosts: [...new Set(events.map(e => e.host))],
+            timestamp
+        };
+
+        this.matches.push(match);
+        if (this.matches.length > this.maxMatches) {
+            this.matches.shift();
+        }
+        this.bus.emit('behavior', match);
+    }
+
+    getStatus(now = Date.now()) {
+        // Each rule's busiest origin right now, for showing how close it is to firing
+        this.pruneWindows(now);
+        const busiest = {}; // rule -> { value, origin }
+        this.windows.forEach((state, key) => {
+            const name = key.slice(0, key.indexOf('|'));
+            const value = this.measure(this.rules[name], state.events);
+            if (value > (busiest[name] ? busiest[name].value : 0)) {
+                busiest[name] = { value, origin: key.slice(name.length + 1) };
+            }
+        });
+        return Object.entries(this.rules).map(([name, rule]) => {
+            const { value, origin } = busiest[name] || { value: 0, origin: null };
+            return { name, ...rule, unit: this.measures[rule.measure].unit, value, origin };
+        });
+    }
+
+    getMatches(limit = 10) {
+        return this.matches.slice(-limit).reverse();
+    }
+}
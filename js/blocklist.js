@@ -0,0 +1,532 @@
+/**
+ * Blocklist Module
+ * Adblock Plus / EasyList filter parsing and tracker request matching
+ */
+
+class Blocklist {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-blocklists';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.lists = [];
+        this.matcher = null;
+        this.listeners = [];
+
+        // Request types understood by the `$type` filter options
+        this.requestTypes = [
+            'script', 'image', 'stylesheet', 'xmlhttprequest', 'subdocument',
+            'ping', 'websocket', 'media', 'font', 'object', 'other'
+        ];
+
+        this.load();
+    }
+
+    getDefaultList() {
+        return {
+            id: 'default',
+            name: 'Falcon Guardian Trackers',
+            builtin: true,
+            enabled: true,
+            filters: [
+                '! Falcon Guardian built-in tracker list',
+                '||google-analytics.com^',
+                '||googletagmanager.com^',
+                '||doubleclick.net^',
+                '||connect.facebook.net^',
+                '||facebook.com/tr^',
+                '||facebook.com^$third-party,script',
+                '||scorecardresearch.com^',
+                '||quantserve.com^',
+                '||amazon-adsystem.com^',
+                '||hotjar.com^',
+                '||mixpanel.com^',
+                '||amplitude.com^',
+                '||segment.com^',
+                '||segment.io^',
+                '||heap.io^',
+                '||heapanalytics.com^',
+                '||fullstory.com^',
+                '||clarity.ms^',
+                '||mouseflow.com^',
+                '||crazyegg.com^',
+                '||optimizely.com^',
+                '||vwo.com^',
+                '||abtasty.com^',
+                '||criteo.com^',
+                '||criteo.net^',
+                '||outbrain.com^',
+                '||taboola.com^',
+                '||pubmatic.com^',
+                '||rubiconproject.com^',
+                '||openx.net^',
+                '||adroll.com^',
+                '||mc.yandex.ru^',
+                '||hm.baidu.com^',
+                '||bat.bing.com^',
+                '/collect?v=*&tid=$xmlhttprequest,third-party',
+                '! Surrogates for pages that wait on a tracker script, pixel or config to load',
+                '||google-analytics.com/analytics.js$script,redirect=noop.js',
+                '||googletagmanager.com/gtm.js$script,redirect=noop.js',
+                '||facebook.com/tr^$image,redirect=1x1.gif',
+                '||bat.bing.com/action/$image,redirect=1x1.gif',
+                '||api-js.mixpanel.com/decide$xmlhttprequest,redirect=noop.json'
+            ].join('\n')
+        };
+    }
+
+    // List management
+
+    load() {
+        let stored = [];
+        try {
+            stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey)) || [];
+        } catch (e) {
+            console.warn('Could not read stored blocklists:', e.message);
+        }
+
+        const defaultList = this.getDefaultList();
+        const storedDefault = stored.find(list => list.id === defaultList.id);
+        if (storedDefault) {
+            defaultList.enabled = storedDefault.enabled !== false;
+        }
+
+        this.lists = [defaultList, ...stored.filter(list => !list.builtin && list.id !== defaultList.id)];
+        this.compile();
+    }
+
+    save() {
+        // Built-in filters ship with the code, so only their enabled flag is stored
+        const serialized = this.lists.map(list => list.builtin
+            ? { id: list.id, builtin: true, enabled: list.enabled }
+            : list
+        );
+
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(serialized));
+        } catch (e) {
+            throw new Error(`Could not store blocklists: ${e.message}`);
+        }
+        this.listeners.forEach(listener => listener(this.lists));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    importList(name, filters) {
+        const text = String(filters || '');
+        const stats = this.parseFilters(text).stats;
+        if (stats.supported === 0) {
+            throw new Error('No supported filter rules found in the imported list');
+        }
+
+        const list = {
+            id: `list-${Date.now().toString(36)}`,
+            name: (name || '').trim() || this.readListTitle(text) || 'Imported list',
+            builtin: false,
+            enabled: true,
+            filters: text,
+            importedAt: Date.now()
+        };
+
+        this.lists.push(list);
+        try {
+            this.save();
+        } catch (e) {
+            this.lists.pop();
+            throw e;
+        }
+        this.compile();
+
+        return { list, stats };
+    }
+
+    removeList(id) {
+        const list = this.lists.find(l => l.id === id);
+        if (!list || list.builtin) return false;
+
+        this.lists = this.lists.filter(l => l.id !== id);
+        this.save();
+        this.compile();
+        return true;
+    }
+
+    setListEnabled(id, enabled) {
+        const list = this.lists.find(l => l.id === id);
+        if (!list) return false;
+
+        list.enabled = enabled;
+        this.save();
+        this.compile();
+        return true;
+    }
+
+    getLists() {
+        return this.lists.map(list => ({
+            id: list.id,
+            name: list.name,
+            builtin: !!list.builtin,
+            enabled: list.enabled,
+            importedAt: list.importedAt || null,
+            ruleCount: this.parseFilters(list.filters).stats.supported
+        }));
+    }
+
+    readListTitle(text) {
+        // EasyList-style headers carry the list name, e.g. "! Title: EasyPrivacy"
+        const match = text.match(/^!\s*Title:\s*(.+)$/m);
+        return match ? match[1].trim() : null;
+    }
+
+    // Filter parsing
+
+    parseFilters(text) {
+        const rules = [];
+        const stats = { total: 0, supported: 0, skipped: 0 };
+
+        String(text || '').split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('!') || trimmed.startsWith('[')) return;
+
+            stats.total++;
+            const rule = this.parseFilter(trimmed);
+            if (rule) {
+                rules.push(rule);
+                stats.supported++;
+            } else {
+                stats.skipped++;
+            }
+        });
+
+        return { rules, stats };
+    }
+
+    parseFilter(text) {
+        // Element hiding and scriptlet rules do not apply to network requests
+        if (/#[@?$%]?#/.test(text)) return null;
+
+        let pattern = text;
+        const rule = {
+            text: text,
+            exception: false,
+            hostname: null,
+            pattern: null,
+            regex: null,
+            token: null,
+            thirdParty: null,
+            types: null,
+            excludedTypes: null,
+            includeDomains: null,
+            excludeDomains: null,
+            redirect: null
+        };
+
+        if (pattern.startsWith('@@')) {
+            rule.exception = true;
+            pattern = pattern.slice(2);
+        }
+
+        // Split off options, leaving `$` inside /regex/ patterns alone
+        const isRegex = /^\/.+\/(\$.*)?$/.test(pattern) && pattern.lastIndexOf('/') > 0;
+        const optionsIndex = isRegex
+            ? pattern.indexOf('$', pattern.lastIndexOf('/'))
+            : pattern.lastIndexOf('$');
+        if (optionsIndex !== -1) {
+            if (!this.parseOptions(pattern.slice(optionsIndex + 1), rule)) return null;
+            pattern = pattern.slice(0, optionsIndex);
+        }
+
+        if (!pattern || pattern === '*') {
+            // A rule that matches everything is only meaningful when scoped by domain
+            if (!rule.includeDomains) return null;
+            pattern = '*';
+        }
+
+        if (isRegex && pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+            try {
+                rule.regex = new RegExp(pattern.slice(1, -1), 'i');
+            } catch (e) {
+                return null;
+            }
+            return rule;
+        }
+
+        // `||example.com^` with nothing after it is a pure host anchor and goes in the hash
+        const hostMatch = pattern.match(/^\|\|([a-z0-9.-]+)\^\|?$/i);
+        rule.pattern = pattern;
+        if (hostMatch) {
+            rule.hostname = hostMatch[1].toLowerCase();
+            return rule;
+        }
+
+        rule.regex = this.patternToRegExp(pattern);
+        rule.token = this.findToken(pattern);
+        return rule;
+    }
+
+    parseOptions(optionText, rule) {
+        const options = optionText.split(',');
+
+        for (const rawOption of options) {
+            const option = rawOption.trim().toLowerCase();
+            const negated = option.startsWith('~');
+            const name = negated ? option.slice(1) : option;
+
+            if (name === 'third-party' || name === '3p') {
+                rule.thirdParty = !negated;
+            } else if (name === 'first-party' || name === '1p') {
+                rule.thirdParty = negated;
+            } else if (name === 'xhr' || this.requestTypes.includes(name)) {
+                const type = name === 'xhr' ? 'xmlhttprequest' : name;
+                const key = negated ? 'excludedTypes' : 'types';
+                rule[key] = rule[key] || new Set();
+                rule[key].add(type);
+            } else if (option.startsWith('domain=')) {
+                option.slice(7).split('|').forEach(domain => {
+                    if (!domain) return;
+                    const key = domain.startsWith('~') ? 'excludeDomains' : 'includeDomains';
+                    rule[key] = rule[key] || [];
+                    rule[key].push(domain.replace(/^~/, ''));
+                });
+            } else if (option.startsWith('redirect=')) {
+                // `$redirect=noop.js` blocks and names the surrogate served instead; uBlock Origin's
+                // `:priority` suffix only orders competing redirects, which a single match does not need
+                rule.redirect = option.slice(9).split(':')[0];
+                if (!rule.redirect) return false;
+            } else if (name === 'match-case' || name === 'important') {
+                // Accepted but has no effect on matching here
+            } else {
+                // Unsupported options ($popup, $csp, $removeparam, ...) would change the meaning
+                // of the rule, so the whole rule is dropped rather than applied too broadly
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    patternToRegExp(pattern) {
+        let source = pattern;
+        let prefix = '';
+        let suffix = '';
+
+        if (source.startsWith('||')) {
+            prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+            source = source.slice(2);
+        } else if (source.startsWith('|')) {
+            prefix = '^';
+            source = source.slice(1);
+        }
+
+        if (source.endsWith('|')) {
+            suffix = '$';
+            source = source.slice(0, -1);
+        }
+
+        const body = source
+            .replace(/[.+?${}()|[\]\\/]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\^/g, '(?:[^\\w\\-.%]|$)');
+
+        return new RegExp(prefix + body + suffix, 'i');
+    }
+
+    findToken(pattern) {
+        // Pick the longest literal run that is not next to a wildcard, so that
+        // candidate rules can be looked up by the tokens present in a URL
+        const lowered = pattern.toLowerCase();
+        const tokenRegex = /[a-z0-9%]{3,}/g;
+        let best = null;
+        let match;
+
+        while ((match = tokenRegex.exec(lowered)) !== null) {
+            const candidate = match[0];
+            const before = lowered[match.index - 1];
+            const after = lowered[match.index + candidate.length];
+            // Unanchored edges could continue into a longer URL token
+            if (before === undefined || after === undefined) continue;
+            if (before === '*' || after === '*') continue;
+            if (!best || candidate.length > best.length) {
+                best = candidate;
+            }
+        }
+
+        return best;
+    }
+
+    // Compilation and matching
+
+    compile() {
+        const matcher = {
+            block: this.createBucket(),
+            allow: this.createBucket(),
+            redirect: this.createBucket()
+        };
+
+        this.lists.filter(list => list.enabled).forEach(list => {
+            this.parseFilters(list.filters).rules.forEach(rule => {
+                rule.listId = list.id;
+                const bucket = rule.exception ? matcher.allow : matcher.block;
+                this.addToBucket(bucket, rule);
+
+                // Redirect rules block like any other, and are looked up again for the surrogate
+                // once something has blocked the request
+                if (rule.redirect && !rule.exception) {
+                    this.addToBucket(matcher.redirect, rule);
+                }
+            });
+        });
+
+        this.matcher = matcher;
+    }
+
+    createBucket() {
+        return {
+            hosts: new Map(),
+            tokens: new Map(),
+            generic: []
+        };
+    }
+
+    addToBucket(bucket, rule) {
+        if (rule.hostname) {
+            this.addToMap(bucket.hosts, rule.hostname, rule);
+        } else if (rule.token) {
+            this.addToMap(bucket.tokens, rule.token, rule);
+        } else {
+            bucket.generic.push(rule);
+        }
+    }
+
+    addToMap(map, key, rule) {
+        if (!map.has(key)) {
+            map.set(key, []);
+        }
+        map.get(key).push(rule);
+    }
+
+    match(url, context = {}) {
+        if (!this.matcher) return null;
+
+        let parsed;
+        try {
+            parsed = new URL(url, context.documentUrl || window.location.href);
+        } catch (e) {
+            return null; // Invalid URL
+        }
+
+        if (!/^(https?|wss?):$/.test(parsed.protocol)) return null;
+
+        const request = {
+            url: parsed.href,
+            hostname: parsed.hostname.toLowerCase(),
+            type: context.type || 'other',
+            documentHostname: this.getDocumentHostname(context.documentUrl)
+        };
+        request.thirdParty = this.getBaseDomain(request.hostname) !== this.getBaseDomain(request.documentHostname);
+
+        const blockRule = this.findMatch(this.matcher.block, request);
+        if (!blockRule) return null;
+
+        const allowRule = this.findMatch(this.matcher.allow, request);
+        const redirectRule = allowRule ? null : this.findMatch(this.matcher.redirect, request);
+        return {
+            blocked: !allowRule,
+            rule: blockRule.text,
+            exception: allowRule ? allowRule.text : null,
+            redirect: redirectRule ? redirectRule.redirect : null,
+            listId: (allowRule || blockRule).listId
+        };
+    }
+
+    findMatch(bucket, request) {
+        // Walk up the hostname one label at a time, so `||facebook.com^`
+        // matches `connect.facebook.com` but never `notfacebook.com`
+        const labels = request.hostname.split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const candidates = bucket.hosts.get(labels.slice(i).join('.'));
+            const rule = candidates && candidates.find(r => this.optionsMatch(r, request));
+            if (rule) return rule;
+        }
+
+        const tokens = new Set(request.url.toLowerCase().match(/[a-z0-9%]{3,}/g) || []);
+        for (const token of tokens) {
+            const candidates = bucket.tokens.get(token);
+            const rule = candidates && candidates.find(r => r.regex.test(request.url) && this.optionsMatch(r, request));
+            if (rule) return rule;
+        }
+
+        return bucket.generic.find(r => r.regex.test(request.url) && this.optionsMatch(r, request)) || null;
+    }
+
+    optionsMatch(rule, request) {
+        if (rule.thirdParty !== null && rule.thirdParty !== request.thirdParty) return false;
+        if (rule.types && !rule.types.has(request.type)) return false;
+        if (rule.excludedTypes && rule.excludedTypes.has(request.type)) return false;
+
+        const onDomain = domain => request.documentHostname === domain ||
+            request.documentHostname.endsWith('.' + domain);
+        if (rule.includeDomains && !rule.includeDomains.some(onDomain)) return false;
+        if (rule.excludeDomains && rule.excludeDomains.some(onDomain)) return false;
+
+        return true;
+    }
+
+    getDocumentHostname(documentUrl) {
+        try {
+            return new URL(documentUrl || window.location.href).hostname.toLowerCase();
+        } catch (e) {
+            return '';
+        }
+    }
+
+    getBaseDomain(hostname) {
+        // Approximates the registrable domain without bundling the full public suffix list
+        if (!hostname || /^[\d.]+$/.test(hostname) || hostname.includes(':')) return hostname;
+
+        const labels = hostname.split('.');
+        const secondLevel = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or'];
+        const take = labels.length > 2 && labels[labels.length - 1].length === 2 &&
+            secondLevel.includes(labels[labels.length - 2]) ? 3 : 2;
+
+        return labels.slice(-take).join('.');
+    }
+
+    // Declarative rules
+
+    toDeclarativeRules(firstId = 1) {
+        // declarativeNetRequest url filters share the `||`, `|`, `*` and `^` syntax, so patterns carry
+        // over as written. /regex/ rules are left out: Chrome only takes RE2 within a tight budget.
+        const resourceTypes = {
+            script: 'script', image: 'image', stylesheet: 'stylesheet', xmlhttprequest: 'xmlhttprequest',
+            subdocument: 'sub_frame', ping: 'ping', websocket: 'websocket', media: 'media',
+            font: 'font', object: 'object', other: 'other'
+        };
+        const rules = [];
+
+        this.lists.filter(list => list.enabled).forEach(list => {
+            this.parseFilters(list.filters).rules.forEach(rule => {
+                if (!rule.pattern || !/^[\x20-\x7e]+$/.test(rule.pattern) || rule.pattern.startsWith('||*')) return;
+
+                const condition = {};
+                if (rule.pattern !== '*') condition.urlFilter = rule.pattern;
+                if (rule.thirdParty !== null) condition.domainType = rule.thirdParty ? 'thirdParty' : 'firstParty';
+                if (rule.types) condition.resourceTypes = [...rule.types].map(type => resourceTypes[type]);
+                if (rule.excludedTypes) condition.excludedResourceTypes = [...rule.excludedTypes].map(type => resourceTypes[type]);
+                if (rule.includeDomains) condition.initiatorDomains = rule.includeDomains;
+                if (rule.excludeDomains) condition.excludedInitiatorDomains = rule.excludeDomains;
+
+                // Exceptions outrank blocks, as they do in match(). Surrogates are only served by the
+                // dashboard's own network hooks; the extension's page hooks leave requests to these
+                // rules, so redirect rules just block.
+                rules.push({
+                    id: firstId + rules.length,
+                    priority: rule.exception ? 2 : 1,
+                    action: { type: rule.exception ? 'allow' : 'block' },
+                    condition
+                });
+            });
+        });
+
+        return rules;
+    }
+}
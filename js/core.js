@@ -6,11 +6,27 @@
 class FalconGuardian {
     constructor() {
         this.modules = {
+            random: null,
+            store: null,
+            blocklist: null,
+            responses: null,
+            profiles: null,
+            rules: null,
+            entropy: null,
+            permissions: null,
             detector: null,
             visualizer: null,
             predictor: null,
+            behaviors: null,
+            anomalies: null,
+            alerts: null,
+            farbling: null,
+            geolocation: null,
             shield: null,
-            quantum: null
+            lab: null,
+            quantum: null,
+            exporter: null,
+            auditReport: null
         };
         
         this.state = {
@@ -19,10 +35,31 @@ class FalconGuardian {
             trackers: [],
             fingerprints: {},
             isProtected: false,
-            predictions: []
+            predictions: [],
+            behaviors: [], // Recent behavior rule matches, each with the predictions drawn from it
+            anomalies: [] // Recent departures from learned baselines, likewise
         };
         
+        // Modules publish threats and trackers on the bus; the app keeps state and history from it
+        this.bus = new EventBus();
+        this.bus.on('threat', threat => this.recordThreat(threat));
+        this.bus.on('tracker', tracker => this.recordTracker(tracker));
+        this.bus.on('behavior', match => this.recordBehavior(match));
+        this.bus.on('anomaly', anomaly => this.recordAnomaly(anomaly));
+        this.bus.on('alert', alert => this.showAlertToast(alert));
+        this.plugins = new PluginRegistry({ bus: this.bus, modules: this.modules });
+        
         this.demoInterval = null;
+        this.reviewSession = null; // Imported session bundle shown instead of live data
+        this.analyzedThreatCount = 0; // Threats already passed to the predictor
+        this.lastAnalysis = null;
+        this.behaviorPredictionWindow = 60000; // Behavior matches inform predictions for a minute
+        this.anomalyPredictionWindow = 120000; // Anomalies for two, as rate buckets are ten seconds long
+        this.toastDuration = 6000;
+        this.toastTimers = new Map(); // alert id -> timer that hides its toast
+        this.networkChannel = 'all'; // Channel shown in the network map
+        this.lastScoreSample = 0;
+        this.scoreSampleInterval = 60000; // Persist one score sample per minute
         this.systemThemeMedia = window.matchMedia('(prefers-color-scheme: dark)');
         
         this.init();
@@ -33,20 +70,78 @@ class FalconGuardian {
         
         try {
             // Initialize modules
+            // ?seed=… swaps the CSPRNG for a reproducible generator, for tests and demos only
+            const seed = new URLSearchParams(window.location.search).get('seed');
+            this.modules.random = new RandomSource(seed !== null ? { seed } : {});
+            if (seed !== null) {
+                console.warn(`Using a seeded random source ("${seed}"): personas and keys are reproducible`);
+            }
+            
+            this.updateStatus('Opening event history...');
+            this.modules.store = new EventStore();
+            await this.modules.store.init();
+            
+            this.updateStatus('Loading tracker blocklists...');
+            this.modules.blocklist = new Blocklist();
+            this.modules.responses = new BlockedResponses();
+            
+            this.updateStatus('Loading protection profiles...');
+            this.modules.profiles = new ProtectionProfiles();
+            
+            // User rules see every threat before anything else does, so they are in place first
+            this.updateStatus('Loading detection rules...');
+            this.modules.rules = new RuleEngine({ bus: this.bus });
+            this.modules.rules.start();
+            
+            this.modules.entropy = new EntropyModel();
+            
+            this.modules.permissions = new PermissionMonitor({ store: this.modules.store });
+            
             this.updateStatus('Creating detector module...');
-            this.modules.detector = new PrivacyDetector();
+            this.modules.detector = new PrivacyDetector({
+                bus: this.bus,
+                blocklist: this.modules.blocklist,
+                responses: this.modules.responses,
+                profiles: this.modules.profiles
+            });
             
             this.updateStatus('Creating visualizer module...');
-            this.modules.visualizer = new Visualizer();
+            this.modules.visualizer = new Visualizer({ bus: this.bus });
             
             this.updateStatus('Creating predictor module...');
             this.modules.predictor = new Predictor();
             
+            // Traffic rules listen from the start, so the first requests of the page count too
+            this.modules.behaviors = new BehaviorEngine({ bus: this.bus });
+            this.modules.behaviors.start();
+            
+            this.modules.anomalies = new AnomalyDetector({ bus: this.bus });
+            this.modules.anomalies.start();
+            
+            this.modules.alerts = new AlertManager({ bus: this.bus });
+            this.modules.alerts.start();
+            
             this.updateStatus('Creating shield module...');
-            this.modules.shield = new Shield();
+            this.modules.farbling = new FarblingEngine({ random: this.modules.random });
+            this.modules.geolocation = new GeolocationGuard();
+            this.modules.shield = new Shield({
+                bus: this.bus,
+                profiles: this.modules.profiles,
+                farbling: this.modules.farbling,
+                geolocation: this.modules.geolocation,
+                random: this.modules.random
+            });
+            
+            this.modules.lab = new ProtectionLab({
+                profiles: this.modules.profiles,
+                entropy: this.modules.entropy
+            });
             
             this.updateStatus('Creating quantum module...');
-            this.modules.quantum = new QuantumEngine();
+            this.modules.quantum = new QuantumEngine({ random: this.modules.random });
+            
+            this.modules.exporter = new SessionExporter();
+            this.modules.auditReport = new AuditReportGenerator();
             
             // Initialize predictor and quantum modules
             this.updateStatus('Initializing predictor...');
@@ -55,10 +150,18 @@ class FalconGuardian {
             this.updateStatus('Initializing quantum engine...');
             this.modules.quantum.init();
             
+            // Restore history from previous sessions
+            this.updateStatus('Loading event history...');
+            await this.loadHistory();
+            
             // Start monitoring
             this.updateStatus('Starting monitoring...');
             await this.startMonitoring();
             
+            // Plugins queued by scripts that loaded before the app
+            this.updateStatus('Registering plugins...');
+            this.registerQueuedPlugins();
+            
             // Initialize UI
             this.updateStatus('Initializing UI...');
             this.initializeUI();
@@ -103,6 +206,10 @@ class FalconGuardian {
             // Begin all detection systems
             await this.modules.detector.startDetection();
             
+            // Watch permission grants and revocations
+            await this.modules.permissions.start();
+            this.modules.permissions.onChange(change => this.handlePermissionChange(change));
+            
             // Activate protection
             this.modules.shield.activateProtection();
             
@@ -113,12 +220,149 @@ class FalconGuardian {
         }
     }
     
+    registerQueuedPlugins() {
+        (window.falconGuardianPlugins || []).forEach(plugin => {
+            try {
+                this.plugins.register(plugin);
+            } catch (e) {
+                console.error('Could not register plugin:', e.message);
+            }
+        });
+    }
+    
+    async loadHistory() {
+        try {
+            const store = this.modules.store;
+            const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+            
+            const threats = await store.query('threats', { limit: 100 });
+            this.modules.predictor.loadHistory(threats);
+            
+            const trackers = await store.query('trackers', { since: weekAgo, limit: 10 });
+            const anomalies = await store.query('anomalies', { since: weekAgo, limit: 10 });
+            this.modules.visualizer.setHistory([
+                ...threats.filter(t => t.timestamp >= weekAgo).slice(-10),
+                ...trackers.map(t => ({ ...t, type: t.blocked ? 'tracker_blocked' : 'tracker_allowed' })),
+                ...anomalies.map(a => ({ ...a, type: `${a.metric}_anomaly` }))
+            ]);
+        } catch (error) {
+            console.error('Error loading event history:', error);
+        }
+    }
+    
+    recordThreat(threat) {
+        this.state.threats.push(threat);
+        
+        if (this.modules.store) {
+            this.modules.store.record('threats', {
+                type: threat.type,
+                severity: threat.severity,
+                timestamp: threat.timestamp,
+                origin: threat.origin || window.location.origin,
+                action: threat.blocked ? 'blocked' : threat.action || null, // A rule's block overrides the mode's answer
+                tags: threat.tags || []
+            });
+        }
+    }
+    
+    showAlertToast(alert) {
+        const container = document.getElementById('alertToasts');
+        if (!container || alert.channel !== 'toast') return;
+        
+        // A grouped repeat refreshes its toast while it is up; once gone, the count is in the inbox
+        let toast = container.querySelector(`[data-alert-id="${alert.id}"]`);
+        if (!toast) {
+            if (alert.update) return;
+            toast = document.createElement('div');
+            toast.dataset.alertId = alert.id;
+            toast.setAttribute('role', 'status');
+            toast.title = 'Click to acknowledge';
+            toast.addEventListener('click', () => {
+                this.modules.alerts.acknowledge(alert.id);
+                this.hideAlertToast(alert.id);
+            });
+            container.appendChild(toast);
+        }
+        toast.className = `alert-toast ${alert.severity}`;
+        toast.textContent = `${alert.title} (${alert.severity}) on ${alert.origin}`;
+        
+        clearTimeout(this.toastTimers.get(alert.id));
+        this.toastTimers.set(alert.id, setTimeout(() => this.hideAlertToast(alert.id), this.toastDuration));
+    }
+    
+    hideAlertToast(id) {
+        clearTimeout(this.toastTimers.get(id));
+        this.toastTimers.delete(id);
+        const toast = document.querySelector(`#alertToasts [data-alert-id="${id}"]`);
+        if (toast) toast.remove();
+    }
+    
+    recordBehavior(match) {
+        if (!this.modules.predictor) return;
+        
+        const analysis = this.modules.predictor.analyzeBehavior(match);
+        this.state.behaviors.push({ ...match, predictions: analysis.predictions });
+        if (this.state.behaviors.length > 20) {
+            this.state.behaviors.shift();
+        }
+    }
+    
+    recordAnomaly(anomaly) {
+        if (this.modules.store) {
+            this.modules.store.record('anomalies', {
+                metric: anomaly.metric,
+                category: anomaly.category,
+                origin: anomaly.origin,
+                value: anomaly.value,
+                baseline: anomaly.baseline,
+                zScore: anomaly.zScore,
+                severity: anomaly.severity,
+                timestamp: anomaly.timestamp
+            });
+        }
+        
+        if (!this.modules.predictor) return;
+        const analysis = this.modules.predictor.analyzeAnomaly(anomaly);
+        this.state.anomalies.push({ ...anomaly, predictions: analysis.predictions });
+        if (this.state.anomalies.length > 20) {
+            this.state.anomalies.shift();
+        }
+    }
+    
+    recordTracker(tracker) {
+        this.state.trackers.push(tracker);
+        
+        if (this.modules.store) {
+            this.modules.store.record('trackers', {
+                url: tracker.url,
+                blocked: tracker.blocked,
+                rule: tracker.rule || null,
+                channel: tracker.channel,
+                timestamp: tracker.timestamp,
+                origin: tracker.origin || window.location.origin
+            });
+        }
+    }
+    
+    recordScoreSample() {
+        const now = Date.now();
+        if (!this.modules.store || now - this.lastScoreSample < this.scoreSampleInterval) return;
+        
+        this.lastScoreSample = now;
+        this.modules.store.record('scores', {
+            score: Math.round(this.state.privacyScore),
+            threats: this.state.threats.length,
+            trackers: this.state.trackers.length,
+            timestamp: now
+        });
+    }
+    
     async updatePrivacyScore() {
         // Calculate privacy score based on multiple factors
         const factors = {
             trackers: this.state.trackers.length * -5,
             https: window.location.protocol === 'https:' ? 10 : -20,
-            permissions: await this.calculatePermissionScore(),
+            permissions: this.calculatePermissionScore(),
             fingerprint: this.calculateFingerprintScore()
         };
         
@@ -127,61 +371,49 @@ class FalconGuardian {
             score += factor;
         }
         
+        const previous = this.state.privacyScore;
         this.state.privacyScore = Math.max(0, Math.min(100, score));
+        if (this.state.privacyScore !== previous) {
+            this.bus.emit('score', { score: this.state.privacyScore, previous, factors });
+        }
         this.updateUI('privacyScore', this.state.privacyScore);
+        this.recordScoreSample();
     }
     
-    async calculatePermissionScore() {
-        let score = 0;
-        const permissions = ['camera', 'microphone', 'geolocation', 'notifications'];
-        
-        for (const permission of permissions) {
-            try {
-                // Use a modern approach for permission names
-                const name = permission;
-                if (navigator.permissions) {
-                    const result = await navigator.permissions.query({ name });
-                    if (result.state === 'granted') {
-                        score -= 5;
-                    }
-                }
-            } catch(e) {
-                // Permission API not available or permission denied for query
-                console.warn(`Could not query permission for ${permission}:`, e.message);
-            }
+    calculatePermissionScore() {
+        // Kept current by PermissionMonitor's change events instead of re-querying every update
+        return this.modules.permissions.getScore();
+    }
+    
+    async handlePermissionChange(change) {
+        // Only grants are threats; revocations and prompt resets are kept in the permission history
+        if (change.change === 'granted') {
+            this.bus.emit('threat', {
+                type: 'permission_change',
+                severity: change.risk,
+                permission: change.permission,
+                timestamp: change.timestamp
+            });
         }
         
-        return score;
+        await this.updatePrivacyScore();
+        
+        const permissionMonitor = document.getElementById('permissionMonitor');
+        if (permissionMonitor && !this.reviewSession) {
+            permissionMonitor.innerHTML = this.formatPermissions(this.modules.permissions.getSnapshot());
+        }
     }
     
     calculateFingerprintScore() {
-        // Analyze browser fingerprint uniqueness
+        // Scale the penalty by how identifying the fingerprint is across the browser population
         const fingerprint = this.modules.detector.getFingerprint();
         const uniqueness = this.calculateUniqueness(fingerprint);
-        return uniqueness > 0.8 ? -20 : 0;
+        return -Math.round(uniqueness * 20);
     }
     
     calculateUniqueness(fingerprint) {
-        // In a real-world scenario, this would involve comparing the fingerprint
-        // against a large database of known fingerprints to determine its rarity.
-        // For this simulation, we'll create a "uniqueness score" based on a hash
-        // of the fingerprint data. A more complex hash indicates more entropy and uniqueness.
-        const fingerprintString = JSON.stringify(fingerprint);
-        const hash = this._djb2Hash(fingerprintString);
-
-        // Normalize the hash to a value between 0 and 1.
-        // The division factor is arbitrary and chosen to spread the values.
-        const uniqueness = (Math.abs(hash) % 10000) / 10000;
-        return uniqueness;
-    }
-
-    _djb2Hash(str) {
-        let hash = 5381;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) + hash) + char; /* hash * 33 + c */
-        }
-        return hash;
+        // Fraction of the bits needed to single out one browser among all browsers in use
+        return this.modules.entropy.estimate(fingerprint).uniqueness;
     }
     
     initializeUI() {
@@ -199,6 +431,15 @@ class FalconGuardian {
             
             // Setup settings controls
             this.initializeSettings();
+            
+            // Setup session export and import
+            this.initializeExportControls();
+            
+            // Setup the network map channel filter
+            this.initializeNetworkControls();
+            
+            // Setup the protection lab
+            this.initializeLabControls();
 
             // Setup mobile navigation
             const mobileNavToggle = document.querySelector('.mobile-nav-toggle');
@@ -221,7 +462,13 @@ class FalconGuardian {
     
     initializeSettings() {
         const settings = [
+            'fingerprintProtection',
             'canvasProtection',
+            'webglProtection',
+            'audioProtection',
+            'fontProtection',
+            'timezoneProtection',
+            'geolocationProtection',
             'webrtcProtection', 
             'trackerBlocking',
             'realtimeUpdates',
@@ -238,6 +485,60 @@ class FalconGuardian {
             }
         });
 
+        // Per-site protection profiles
+        this.initializeProfileControls();
+        this.renderProfileSettings();
+        this.modules.profiles.onChange(() => {
+            this.modules.shield.applyProfile();
+            this.renderProfileSettings();
+            this.renderPersonaSettings();
+            this.renderGeolocationSettings();
+        });
+
+        // Fingerprint persona rotation
+        this.initializePersonaControls();
+        this.renderPersonaSettings();
+        this.modules.farbling.onChange(() => {
+            this.modules.shield.applyProfile();
+            this.renderPersonaSettings();
+        });
+
+        // Geolocation protection mode
+        this.initializeGeolocationControls();
+        this.renderGeolocationSettings();
+        this.modules.geolocation.onChange(() => this.renderGeolocationSettings());
+
+        // Settings cards for registered plugins
+        this.renderPluginSettings();
+        this.plugins.onChange(() => {
+            this.renderPluginSettings();
+            this.renderCustomProfileEditor();
+        });
+
+        // Tracker blocklist management
+        this.renderBlocklistSettings();
+        this.initializeBlocklistImport();
+        this.initializeBlockedResponseControls();
+        this.renderBlockedResponseSettings();
+        this.modules.responses.onChange(() => this.renderBlockedResponseSettings());
+
+        // User detection rules
+        this.initializeRuleControls();
+        this.renderRuleSettings();
+        this.modules.rules.onChange(() => this.renderRuleSettings());
+
+        // Sliding-window traffic rules
+        this.initializeBehaviorControls();
+        this.renderBehaviorSettings();
+        this.modules.behaviors.onChange(() => this.renderBehaviorSettings());
+        
+        // Alert settings and the inbox on the dashboard
+        this.initializeAlertControls();
+        this.renderAlertSettings();
+        this.renderAlertInbox();
+        this.modules.alerts.onChange(() => this.renderAlertSettings());
+        this.modules.alerts.onInboxChange(() => this.renderAlertInbox());
+
         // Initialize theme
         this.initializeTheme();
         
@@ -250,6 +551,700 @@ class FalconGuardian {
         }
     }
     
+    initializeProfileControls() {
+        const profiles = this.modules.profiles;
+        
+        // The origin is read on every change: the extension popup switches it to the active tab
+        const siteProfile = document.getElementById('siteProfile');
+        if (siteProfile) {
+            siteProfile.addEventListener('change', (e) => {
+                profiles.setSiteProfile(profiles.getCurrentOrigin(), e.target.value);
+            });
+        }
+        
+        const defaultProfile = document.getElementById('defaultProfile');
+        if (defaultProfile) {
+            defaultProfile.addEventListener('change', (e) => {
+                profiles.setDefaultProfile(e.target.value);
+            });
+        }
+        
+        const allowlistCurrent = document.getElementById('allowlistCurrentSite');
+        if (allowlistCurrent) {
+            allowlistCurrent.addEventListener('change', (e) => {
+                if (e.target.checked) profiles.addToAllowlist(profiles.getCurrentOrigin());
+                else profiles.removeFromAllowlist(profiles.getCurrentOrigin());
+            });
+        }
+        
+        const allowlistAdd = document.getElementById('allowlistAdd');
+        const allowlistOrigin = document.getElementById('allowlistOrigin');
+        if (allowlistAdd && allowlistOrigin) {
+            allowlistAdd.addEventListener('click', () => {
+                if (profiles.addToAllowlist(allowlistOrigin.value)) {
+                    allowlistOrigin.value = '';
+                }
+            });
+        }
+    }
+    
+    renderProfileSettings() {
+        const profiles = this.modules.profiles;
+        const origin = profiles.getCurrentOrigin();
+        const current = profiles.getProfile(origin);
+        const options = profiles.getProfileOptions();
+        
+        const originLabel = document.getElementById('currentOrigin');
+        if (originLabel) {
+            originLabel.textContent = origin;
+        }
+        
+        const siteProfile = document.getElementById('siteProfile');
+        if (siteProfile) {
+            const siteValue = profiles.getSiteProfileName(origin) || 'default';
+            // A site with custom settings of its own is not following the shared custom profile
+            const ownCustom = typeof profiles.config.sites[origin] === 'object';
+            siteProfile.innerHTML = `<option value="default">Default (${profiles.config.defaultProfile})</option>` +
+                options.map(o => `<option value="${o.name}" ${o.name === siteValue ? 'selected' : ''}>${o.name === 'custom' && ownCustom ? 'Custom (this site)' : o.label}</option>`).join('');
+            siteProfile.disabled = current.allowlisted;
+        }
+        
+        const defaultProfile = document.getElementById('defaultProfile');
+        if (defaultProfile) {
+            defaultProfile.innerHTML = options.map(o =>
+                `<option value="${o.name}" ${o.name === profiles.config.defaultProfile ? 'selected' : ''}>${o.label}</option>`
+            ).join('');
+        }
+        
+        const allowlistCurrent = document.getElementById('allowlistCurrentSite');
+        if (allowlistCurrent) {
+            allowlistCurrent.checked = current.allowlisted;
+        }
+        
+        // Protection checkboxes show what the current site actually gets
+        const protectionSettings = {
+            fingerprintProtection: 'fingerprint',
+            canvasProtection: 'canvas',
+            webglProtection: 'webgl',
+            audioProtection: 'audio',
+            fontProtection: 'fonts',
+            timezoneProtection: 'timezone',
+            geolocationProtection: 'geolocation',
+            webrtcProtection: 'webrtc',
+            trackerBlocking: 'tracker'
+        };
+        Object.entries(protectionSettings).forEach(([id, key]) => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) {
+                checkbox.checked = current.protections[key];
+            }
+        });
+        document.querySelectorAll('.plugin-protection').forEach(checkbox => {
+            checkbox.checked = !!current.protections[checkbox.dataset.key];
+        });
+        
+        this.renderCustomProfileEditor();
+        this.renderSiteProfileList();
+    }
+    
+    renderCustomProfileEditor() {
+        const container = document.getElementById('customProfileEditor');
+        if (!container) return;
+        
+        const profiles = this.modules.profiles;
+        const origin = profiles.getCurrentOrigin();
+        const custom = profiles.getCustomProfile(origin);
+        const title = document.getElementById('customProfileTitle');
+        if (title) {
+            title.textContent = custom === profiles.config.custom ? 'Custom Profile' : 'Custom Profile (this site)';
+        }
+        const row = (kind, key) => `
+            <label>
+                <input type="checkbox" data-kind="${kind}" data-key="${key}" ${custom[kind][key] ? 'checked' : ''}>
+                ${key}
+            </label>
+        `;
+        
+        container.innerHTML = `
+            <div class="profile-group">
+                <span class="profile-group-label">Protections</span>
+                ${profiles.protectionKeys.map(key => row('protections', key)).join('')}
+            </div>
+            <div class="profile-group">
+                <span class="profile-group-label">Detector hooks</span>
+                ${profiles.hookKeys.map(key => row('hooks', key)).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                profiles.setCustomSetting(e.target.dataset.kind, e.target.dataset.key, e.target.checked, profiles.getCurrentOrigin());
+            });
+        });
+    }
+    
+    renderSiteProfileList() {
+        const container = document.getElementById('siteProfileEntries');
+        if (!container) return;
+        
+        const profiles = this.modules.profiles;
+        const entries = [
+            ...profiles.config.allowlist.map(origin => ({ origin, label: 'Allowlisted', allowlisted: true })),
+            ...Object.keys(profiles.config.sites).map(origin => ({
+                origin,
+                label: typeof profiles.config.sites[origin] === 'string' ? profiles.config.sites[origin] : 'custom (this site)',
+                allowlisted: false
+            }))
+        ];
+        
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="setting-status">No site-specific rules.</p>';
+            return;
+        }
+        
+        container.innerHTML = entries.map((entry, index) => `
+            <div class="blocklist-item">
+                <span class="blocklist-name">${this._escapeHtml(entry.origin)}</span>
+                <span class="blocklist-meta">${entry.label}</span>
+                <button class="blocklist-remove" data-index="${index}" title="Remove"><i class="ti ti-trash"></i></button>
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('.blocklist-remove').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const entry = entries[Number(e.currentTarget.dataset.index)];
+                if (entry.allowlisted) profiles.removeFromAllowlist(entry.origin);
+                else profiles.setSiteProfile(entry.origin, 'default');
+            });
+        });
+    }
+    
+    initializePersonaControls() {
+        const rotation = document.getElementById('personaRotation');
+        if (rotation) {
+            rotation.addEventListener('change', (e) => {
+                this.modules.farbling.setRotation(e.target.value);
+            });
+        }
+        
+        const rotate = document.getElementById('personaRotate');
+        if (rotate) {
+            rotate.addEventListener('click', () => this.modules.farbling.rotate());
+        }
+    }
+    
+    renderPersonaSettings() {
+        const farbling = this.modules.farbling;
+        
+        const rotation = document.getElementById('personaRotation');
+        if (rotation) {
+            rotation.innerHTML = farbling.getRotationOptions().map(o =>
+                `<option value="${o.name}" ${o.name === farbling.config.rotation ? 'selected' : ''}>${o.label}</option>`
+            ).join('');
+        }
+        
+        const summary = document.getElementById('personaSummary');
+        if (summary) {
+            const persona = farbling.getPersona();
+            const active = this.modules.shield.isProtectionActive('fingerprint');
+            summary.innerHTML = `
+                <div class="fingerprint-item"><strong>Platform:</strong> <span>${this._escapeHtml(persona.platform)}</span></div>
+                <div class="fingerprint-item"><strong>Screen:</strong> <span>${persona.screen.width}x${persona.screen.height}</span></div>
+                <div class="fingerprint-item"><strong>Language:</strong> <span>${this._escapeHtml(persona.language)}</span></div>
+                <div class="fingerprint-item"><strong>User agent:</strong> <span>${this._escapeHtml(persona.userAgent)}</span></div>
+                <p class="setting-status">${active ? 'Served to this site while Fingerprint Scrambling is on.' : 'Fingerprint Scrambling is off for this site; real values are exposed.'}</p>`;
+        }
+    }
+    
+    initializeGeolocationControls() {
+        const geolocation = this.modules.geolocation;
+        
+        const mode = document.getElementById('geolocationMode');
+        if (mode) {
+            mode.addEventListener('change', (e) => geolocation.setMode(e.target.value));
+        }
+        
+        const radius = document.getElementById('geolocationRadius');
+        if (radius) {
+            radius.addEventListener('change', (e) => {
+                if (!geolocation.setRadius(e.target.value)) this.renderGeolocationSettings();
+            });
+        }
+        
+        const save = document.getElementById('geolocationSaveFixed');
+        if (save) {
+            save.addEventListener('click', () => {
+                const latitude = document.getElementById('geolocationLatitude');
+                const longitude = document.getElementById('geolocationLongitude');
+                const status = document.getElementById('geolocationStatus');
+                const saved = latitude && longitude && latitude.value.trim() !== '' && longitude.value.trim() !== '' &&
+                    geolocation.setFixedLocation(latitude.value, longitude.value);
+                
+                if (!saved && status) {
+                    status.textContent = 'Enter a latitude between -90 and 90 and a longitude between -180 and 180.';
+                }
+            });
+        }
+    }
+    
+    renderGeolocationSettings() {
+        const geolocation = this.modules.geolocation;
+        const config = geolocation.config;
+        
+        const mode = document.getElementById('geolocationMode');
+        if (mode) {
+            mode.innerHTML = geolocation.getModeOptions().map(o =>
+                `<option value="${o.name}" ${o.name === config.mode ? 'selected' : ''}>${o.label}</option>`
+            ).join('');
+        }
+        
+        const radius = document.getElementById('geolocationRadius');
+        if (radius) {
+            radius.min = geolocation.radiusLimits.min;
+            radius.max = geolocation.radiusLimits.max;
+            radius.value = config.radius;
+            radius.disabled = config.mode !== 'coarsen';
+        }
+        
+        const latitude = document.getElementById('geolocationLatitude');
+        const longitude = document.getElementById('geolocationLongitude');
+        if (latitude && longitude) {
+            latitude.value = config.fixed.latitude;
+            longitude.value = config.fixed.longitude;
+            latitude.disabled = longitude.disabled = config.mode !== 'fixed';
+        }
+        
+        const status = document.getElementById('geolocationStatus');
+        if (status) {
+            const active = this.modules.shield.isProtectionActive('geolocation');
+            const descriptions = {
+                deny: 'Sites are told the user denied the permission.',
+                coarsen: `Sites receive the centre of a ${config.radius} km grid cell around the real position.`,
+                fixed: `Sites receive ${config.fixed.latitude}, ${config.fixed.longitude} instead of the real position.`
+            };
+            status.textContent = active
+                ? descriptions[config.mode]
+                : 'Geolocation Protection is off for this site; sites granted the permission get the precise position.';
+        }
+    }
+    
+    initializeBlockedResponseControls() {
+        const mode = document.getElementById('blockedResponseMode');
+        if (mode) {
+            mode.addEventListener('change', (e) => this.modules.responses.setMode(e.target.value));
+        }
+    }
+    
+    renderBlockedResponseSettings() {
+        const responses = this.modules.responses;
+        const config = responses.config;
+        
+        const mode = document.getElementById('blockedResponseMode');
+        if (mode) {
+            mode.innerHTML = responses.getModeOptions().map(o =>
+                `<option value="${o.name}" ${o.name === config.mode ? 'selected' : ''}>${o.label}</option>`
+            ).join('');
+        }
+        
+        const status = document.getElementById('blockedResponseStatus');
+        if (status) {
+            const descriptions = {
+                error: 'Blocked fetch and XHR calls fail the way a refused connection does.',
+                empty: 'Blocked fetch and XHR calls get an empty 204 response.'
+            };
+            status.textContent = `${descriptions[config.mode]} Rules with $redirect serve their surrogate instead.`;
+        }
+    }
+    
+    initializeRuleControls() {
+        const rules = this.modules.rules;
+        const editor = document.getElementById('rulesEditor');
+        const status = document.getElementById('rulesStatus');
+        if (!editor) return;
+        
+        const save = document.getElementById('rulesSave');
+        if (save) {
+            save.addEventListener('click', () => {
+                try {
+                    rules.setRules(editor.value);
+                } catch (error) {
+                    // Every problem found, one per line; the editor keeps the text to fix
+                    if (status) status.textContent = error.message;
+                }
+            });
+        }
+        
+        const example = document.getElementById('rulesExample');
+        if (example) {
+            example.addEventListener('click', () => {
+                let current = [];
+                try {
+                    current = JSON.parse(editor.value || '[]');
+                } catch (e) {
+                    // Unparseable text is replaced by the example
+                }
+                const ids = new Set((Array.isArray(current) ? current : []).map(rule => rule && rule.id));
+                const added = rules.example.filter(rule => !ids.has(rule.id));
+                editor.value = JSON.stringify([...(Array.isArray(current) ? current : []), ...added], null, 2);
+                if (status) status.textContent = 'Example added to the editor; save to apply it.';
+            });
+        }
+    }
+    
+    renderRuleSettings() {
+        const editor = document.getElementById('rulesEditor');
+        if (editor) {
+            editor.value = this.modules.rules.toJSON();
+        }
+        
+        const status = document.getElementById('rulesStatus');
+        if (status) {
+            status.textContent = '';
+        }
+        this.renderRuleSummary();
+    }
+    
+    renderRuleSummary() {
+        const summary = document.getElementById('rulesSummary');
+        if (summary) {
+            const list = this.modules.rules.getRules();
+            summary.textContent = list.length === 0
+                ? 'No rules. Threats keep the severity their detector gives them.'
+                : list.map(rule => `${rule.id}${rule.enabled ? '' : ' (off)'}: applied ${rule.hits} time${rule.hits === 1 ? '' : 's'} this session`).join('\n');
+        }
+    }
+    
+    initializeBehaviorControls() {
+        const behaviors = this.modules.behaviors;
+        const status = document.getElementById('behaviorStatus');
+        
+        const container = document.getElementById('behaviorRules');
+        if (container) {
+            container.addEventListener('change', (e) => {
+                const rule = e.target.closest('[data-rule]');
+                const field = e.target.dataset.field;
+                if (!rule || !field) return;
+                
+                const values = {
+                    enabled: () => e.target.checked,
+                    threshold: () => e.target.value,
+                    timeWindow: () => e.target.value * 1000, // Edited in seconds
+                    severity: () => e.target.value
+                };
+                try {
+                    behaviors.setRule(rule.dataset.rule, { [field]: values[field]() });
+                    if (status) status.textContent = '';
+                } catch (error) {
+                    if (status) status.textContent = error.message;
+                    this.renderBehaviorSettings();
+                }
+            });
+        }
+        
+        const reset = document.getElementById('behaviorReset');
+        if (reset) {
+            reset.addEventListener('click', () => behaviors.resetRules());
+        }
+    }
+    
+    renderBehaviorSettings() {
+        const container = document.getElementById('behaviorRules');
+        if (!container) return;
+        
+        const behaviors = this.modules.behaviors;
+        const { thresholdLimits, windowLimits } = behaviors;
+        container.innerHTML = Object.entries(behaviors.rules).map(([name, rule]) => `
+            <div class="setting-control" data-rule="${this._escapeHtml(name)}">
+                <label>
+                    <input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}>
+                    ${this._escapeHtml(rule.label)}
+                </label>
+                <div class="setting-inline">
+                    <input type="number" data-field="threshold" min="${thresholdLimits.min}" max="${thresholdLimits.max}" step="1"
+                        value="${rule.threshold}" title="Threshold" aria-label="${this._escapeHtml(rule.label)} threshold">
+                    <input type="number" data-field="timeWindow" min="${windowLimits.min / 1000}" max="${windowLimits.max / 1000}" step="1"
+                        value="${rule.timeWindow / 1000}" title="Window (seconds)" aria-label="${this._escapeHtml(rule.label)} window in seconds">
+                    <select data-field="severity" aria-label="${this._escapeHtml(rule.label)} severity">
+                        ${behaviors.severities.map(severity =>
+                            `<option value="${severity}" ${severity === rule.severity ? 'selected' : ''}>${severity}</option>`).join('')}
+                    </select>
+                </div>
+                <p class="setting-status">Matches when one site reaches ${rule.threshold} ${this._escapeHtml(behaviors.measures[rule.measure].unit)} among ${this._escapeHtml(behaviors.sources[rule.source].label.toLowerCase())} within ${rule.timeWindow / 1000}s.</p>
+            </div>
+        `).join('');
+    }
+    
+    initializeAlertControls() {
+        const alerts = this.modules.alerts;
+        const status = document.getElementById('alertStatus');
+        const report = (ok, message) => {
+            if (status) status.textContent = ok ? '' : message;
+            if (!ok) this.renderAlertSettings();
+        };
+        const on = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener(event, handler);
+        };
+        const value = (id) => document.getElementById(id).value;
+        
+        on('alertMinSeverity', 'change', (e) => alerts.setMinSeverity(e.target.value));
+        on('alertDesktop', 'change', async (e) => {
+            const enabled = await alerts.setDesktop(e.target.checked);
+            report(enabled === e.target.checked, alerts.getDesktopStatus() === 'unsupported'
+                ? 'This browser cannot show desktop notifications.'
+                : 'Desktop notifications are blocked for this page in the browser settings.');
+        });
+        ['alertRateCount', 'alertRateWindow'].forEach(id => on(id, 'change', () => {
+            const { count, window: span } = alerts.rateLimits;
+            report(alerts.setRateLimit(value('alertRateCount'), value('alertRateWindow') * 1000), // Edited in seconds
+                `Allow ${count.min}-${count.max} alerts per ${span.min / 1000}-${span.max / 1000} seconds.`);
+        }));
+        on('alertGroupWindow', 'change', (e) => {
+            const { min, max } = alerts.groupWindowLimits;
+            report(alerts.setGroupWindow(e.target.value * 1000), `Group repeats within ${min / 1000}-${max / 1000} seconds.`);
+        });
+        on('alertQuietEnabled', 'change', (e) => alerts.setQuietHours({ enabled: e.target.checked }));
+        ['alertQuietStart', 'alertQuietEnd'].forEach(id => on(id, 'change', () => {
+            report(alerts.setQuietHours({ start: value('alertQuietStart'), end: value('alertQuietEnd') }),
+                'Quiet hours need a start and an end time.');
+        }));
+        on('alertMuted', 'click', (e) => {
+            const button = e.target.closest('[data-unmute]');
+            if (button) alerts.unmute(button.dataset.unmute);
+        });
+        
+        on('alertAcknowledgeAll', 'click', () => alerts.acknowledgeAll());
+        on('alertInbox', 'click', (e) => {
+            const button = e.target.closest('[data-alert-action]');
+            if (!button) return;
+            
+            const id = Number(button.dataset.alertId);
+            switch (button.dataset.alertAction) {
+                case 'acknowledge':
+                    alerts.acknowledge(id);
+                    break;
+                case 'dismiss':
+                    alerts.dismiss(id);
+                    this.hideAlertToast(id);
+                    break;
+                case 'mute':
+                    alerts.mute(button.dataset.alertType);
+                    break;
+            }
+        });
+    }
+    
+    renderAlertSettings() {
+        const alerts = this.modules.alerts;
+        const config = alerts.config;
+        const set = (id, apply) => {
+            const element = document.getElementById(id);
+            if (element) apply(element);
+        };
+        
+        set('notifications', element => { element.checked = config.enabled; });
+        set('alertMinSeverity', element => {
+            element.innerHTML = alerts.severities.map(severity =>
+                `<option value="${severity}" ${severity === config.minSeverity ? 'selected' : ''}>${severity} and above</option>`).join('');
+        });
+        set('alertDesktop', element => {
+            element.checked = config.desktop;
+            element.disabled = alerts.getDesktopStatus() === 'unsupported';
+        });
+        set('alertRateCount', element => {
+            element.min = alerts.rateLimits.count.min;
+            element.max = alerts.rateLimits.count.max;
+            element.value = config.rateLimit.count;
+        });
+        set('alertRateWindow', element => {
+            element.min = alerts.rateLimits.window.min / 1000;
+            element.max = alerts.rateLimits.window.max / 1000;
+            element.value = config.rateLimit.window / 1000;
+        });
+        set('alertGroupWindow', element => {
+            element.min = alerts.groupWindowLimits.min / 1000;
+            element.max = alerts.groupWindowLimits.max / 1000;
+            element.value = config.groupWindow / 1000;
+        });
+        set('alertQuietEnabled', element => { element.checked = config.quietHours.enabled; });
+        set('alertQuietStart', element => { element.value = config.quietHours.start; });
+        set('alertQuietEnd', element => { element.value = config.quietHours.end; });
+        set('alertMuted', element => {
+            element.innerHTML = config.muted.length === 0
+                ? '<p class="setting-status">No alert types are muted. Mute one from the alert inbox.</p>'
+                : '<p class="setting-status">Muted:</p>' + config.muted.map(type => `
+                    <div class="setting-inline">
+                        <span class="setting-origin">${this._escapeHtml(type.replace(/_/g, ' '))}</span>
+                        <button class="button secondary" data-unmute="${this._escapeHtml(type)}">Unmute</button>
+                    </div>`).join('');
+        });
+    }
+    
+    renderAlertInbox() {
+        const alerts = this.modules.alerts;
+        const unread = alerts.getUnreadCount();
+        
+        const badge = document.getElementById('alertBadge');
+        if (badge) {
+            badge.textContent = unread;
+            badge.hidden = unread === 0;
+        }
+        
+        const container = document.getElementById('alertInbox');
+        if (!container) return;
+        
+        const inbox = alerts.getInbox();
+        if (inbox.length === 0) {
+            container.innerHTML = '<p>No alerts. Threats, rule matches and anomalies at or above the alert severity show up here.</p>';
+            return;
+        }
+        
+        let html = `<table class="history-table">
+            <thead><tr><th>Time</th><th>Alert</th><th>Site</th><th>Shown</th><th></th></tr></thead>
+            <tbody>`;
+        inbox.slice(0, 20).forEach(alert => {
+            const shown = { toast: 'toast', desktop: 'desktop', inbox: 'inbox only' }[alert.channel] || alert.channel;
+            html += `<tr class="${alert.state}">
+                <td>${new Date(alert.timestamp).toLocaleString()}</td>
+                <td><span class="prediction-type ${this._escapeHtml(alert.severity)}">${this._escapeHtml(alert.title)}</span></td>
+                <td>${this._escapeHtml(alert.origin)}</td>
+                <td>${this._escapeHtml(shown)}</td>
+                <td class="alert-actions">
+                    ${alert.state === 'new' ? `<button class="button secondary" data-alert-action="acknowledge" data-alert-id="${alert.id}">Acknowledge</button>` : ''}
+                    <button class="button secondary" data-alert-action="dismiss" data-alert-id="${alert.id}">Dismiss</button>
+                    <button class="button secondary" data-alert-action="mute" data-alert-id="${alert.id}" data-alert-type="${this._escapeHtml(alert.type)}" title="Stop alerting on ${this._escapeHtml(alert.label)}">Mute</button>
+                </td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        if (unread > 0) {
+            html += `<p class="entropy-note">${unread} new</p>`;
+        }
+        container.innerHTML = html;
+    }
+    
+    renderPluginSettings() {
+        const grid = document.querySelector('.settings-grid');
+        if (!grid) return;
+        
+        grid.querySelectorAll('[data-plugin]').forEach(card => card.remove());
+        
+        const profiles = this.modules.profiles;
+        const current = profiles.getProfile();
+        const anchor = document.getElementById('siteProfile');
+        const before = anchor ? anchor.closest('.setting-card') : null;
+        
+        this.plugins.getPlugins().forEach(plugin => {
+            const card = document.createElement('div');
+            card.className = 'setting-card';
+            card.dataset.plugin = plugin.name;
+            card.innerHTML = `<h3>${this._escapeHtml(plugin.label)}</h3>` + plugin.protections.map(protection => `
+                <div class="setting-control">
+                    <label>
+                        <input type="checkbox" class="plugin-protection" data-key="${protection.key}" ${current.protections[protection.key] ? 'checked' : ''}>
+                        ${this._escapeHtml(protection.label)}
+                    </label>
+                </div>`).join('') + '<div class="plugin-settings"></div>';
+            
+            card.querySelectorAll('.plugin-protection').forEach(checkbox => {
+                checkbox.addEventListener('change', (e) => {
+                    const key = e.target.dataset.key;
+                    this.bus.emit('setting', { setting: key, value: e.target.checked, origin: profiles.getCurrentOrigin() });
+                    profiles.setSiteProtection(profiles.getCurrentOrigin(), key, e.target.checked);
+                });
+            });
+            
+            if (plugin.renderSettings) {
+                try {
+                    plugin.renderSettings(card.querySelector('.plugin-settings'));
+                } catch (e) {
+                    console.error(`Plugin "${plugin.name}" failed to render its settings:`, e);
+                }
+            }
+            
+            grid.insertBefore(card, before);
+        });
+    }
+    
+    renderBlocklistSettings() {
+        const container = document.getElementById('blocklistLists');
+        if (!container || !this.modules.blocklist) return;
+        
+        const lists = this.modules.blocklist.getLists();
+        container.innerHTML = lists.map(list => `
+            <div class="blocklist-item">
+                <label>
+                    <input type="checkbox" data-list-id="${list.id}" ${list.enabled ? 'checked' : ''}>
+                    <span class="blocklist-name">${this._escapeHtml(list.name)}</span>
+                </label>
+                <span class="blocklist-meta">${list.ruleCount} rules</span>
+                ${list.builtin ? '' : `<button class="blocklist-remove" data-list-id="${list.id}" title="Remove list"><i class="ti ti-trash"></i></button>`}
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.modules.blocklist.setListEnabled(e.target.dataset.listId, e.target.checked);
+            });
+        });
+        
+        container.querySelectorAll('.blocklist-remove').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.modules.blocklist.removeList(e.currentTarget.dataset.listId);
+                this.renderBlocklistSettings();
+            });
+        });
+    }
+    
+    initializeBlocklistImport() {
+        const importButton = document.getElementById('blocklistImport');
+        const fileInput = document.getElementById('blocklistFile');
+        const nameInput = document.getElementById('blocklistName');
+        const rulesInput = document.getElementById('blocklistRules');
+        const status = document.getElementById('blocklistStatus');
+        if (!importButton || !rulesInput) return;
+        
+        if (fileInput) {
+            fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                rulesInput.value = await file.text();
+                if (nameInput && !nameInput.value) {
+                    nameInput.value = file.name.replace(/\.txt$/i, '');
+                }
+            });
+        }
+        
+        importButton.addEventListener('click', () => {
+            try {
+                const { list, stats } = this.modules.blocklist.importList(
+                    nameInput ? nameInput.value : '',
+                    rulesInput.value
+                );
+                if (status) {
+                    status.textContent = `Imported "${list.name}": ${stats.supported} rules, ${stats.skipped} unsupported skipped.`;
+                }
+                rulesInput.value = '';
+                if (nameInput) nameInput.value = '';
+                if (fileInput) fileInput.value = '';
+                this.renderBlocklistSettings();
+            } catch (error) {
+                if (status) {
+                    status.textContent = error.message;
+                }
+            }
+        });
+    }
+    
+    _escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     initializeTheme() {
         const savedTheme = localStorage.getItem('falcon-theme') || 'auto';
         const themeSwitcher = document.getElementById('themeSwitcher');
@@ -305,21 +1300,42 @@ class FalconGuardian {
     }
     
     updateSetting(setting, enabled) {
+        const origin = this.modules.profiles.getCurrentOrigin();
+        this.bus.emit('setting', { setting, value: enabled, origin });
+        
         switch(setting) {
+            case 'fingerprintProtection':
+                this.modules.profiles.setSiteProtection(origin, 'fingerprint', enabled);
+                break;
             case 'canvasProtection':
-                this.modules.shield.toggleProtection('canvas', enabled);
+                this.modules.profiles.setSiteProtection(origin, 'canvas', enabled);
+                break;
+            case 'webglProtection':
+                this.modules.profiles.setSiteProtection(origin, 'webgl', enabled);
+                break;
+            case 'audioProtection':
+                this.modules.profiles.setSiteProtection(origin, 'audio', enabled);
+                break;
+            case 'fontProtection':
+                this.modules.profiles.setSiteProtection(origin, 'fonts', enabled);
+                break;
+            case 'timezoneProtection':
+                this.modules.profiles.setSiteProtection(origin, 'timezone', enabled);
+                break;
+            case 'geolocationProtection':
+                this.modules.profiles.setSiteProtection(origin, 'geolocation', enabled);
                 break;
             case 'webrtcProtection':
-                this.modules.shield.toggleProtection('webrtc', enabled);
+                this.modules.profiles.setSiteProtection(origin, 'webrtc', enabled);
                 break;
             case 'trackerBlocking':
-                // For now, we will not allow disabling this.
+                this.modules.profiles.setSiteProtection(origin, 'tracker', enabled);
                 break;
             case 'realtimeUpdates':
                 // Real-time updates are always active
                 break;
             case 'notifications':
-                // Notification settings
+                this.modules.alerts.setEnabled(enabled);
                 break;
             case 'demoMode':
                 // Demo mode toggle
@@ -357,6 +1373,9 @@ class FalconGuardian {
             case 'reports':
                 this.updateReportsView();
                 break;
+            case 'lab':
+                this.updateLabView();
+                break;
             case 'settings':
                 this.updateSettingsView();
                 break;
@@ -364,44 +1383,79 @@ class FalconGuardian {
     }
     
     updateAnalysisView() {
+        const review = this.reviewSession;
+        
         // Update fingerprint details
         const fingerprintDetails = document.getElementById('fingerprintDetails');
         if (fingerprintDetails) {
-            const fingerprint = this.modules.detector.getFingerprint();
+            const fingerprint = review ? review.fingerprint : this.modules.detector.getFingerprint();
             fingerprintDetails.innerHTML = this.formatFingerprint(fingerprint);
+            
+            const fingerprintEntropy = document.getElementById('fingerprintEntropy');
+            if (fingerprintEntropy) {
+                fingerprintEntropy.innerHTML = this.formatEntropy(this.modules.entropy.estimate(fingerprint));
+            }
+        }
+        
+        // Update permission states and history
+        const permissionMonitor = document.getElementById('permissionMonitor');
+        if (permissionMonitor) {
+            permissionMonitor.innerHTML = review
+                ? '<p>Permission history is not part of imported sessions.</p>'
+                : this.formatPermissions(this.modules.permissions.getSnapshot());
         }
         
         // Update network map
         const networkMap = document.getElementById('networkMap');
         if (networkMap) {
-            networkMap.innerHTML = this.formatNetworkData();
+            networkMap.innerHTML = this.formatNetworkData(review ? review.trackers : this.state.trackers);
         }
 
         // Update threat predictions
         const threatPredictions = document.getElementById('threatPredictions');
         if (threatPredictions) {
-            threatPredictions.innerHTML = this.formatPredictions(this.state.predictions);
+            threatPredictions.innerHTML = this.formatPredictions(review ? review.predictions : this.state.predictions,
+                review ? null : this.modules.predictor.getStats());
         }
 
-        // Create placeholder for behavior pattern
+        // Update behavior rules and their recent matches
         const behaviorPattern = document.getElementById('behaviorPattern');
-        if(behaviorPattern) {
-            this.createPlaceholderChart(behaviorPattern, 'Behavior Pattern');
+        if (behaviorPattern) {
+            behaviorPattern.innerHTML = review
+                ? '<p>Behavior rules only run on live traffic.</p>'
+                : this.formatBehaviors(this.modules.behaviors.getStatus(), this.modules.behaviors.getMatches());
         }
     }
 
-    createPlaceholderChart(canvas, title) {
-        const ctx = canvas.getContext('2d');
-        canvas.width = canvas.offsetWidth;
-        canvas.height = canvas.offsetHeight;
-
-        ctx.fillStyle = 'var(--paper)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    formatBehaviors(rules, matches) {
+        let html = '<div class="entropy-list">';
+        rules.forEach(rule => {
+            const fill = Math.min(100, rule.value / rule.threshold * 100);
+            html += `<div class="entropy-item" title="${this._escapeHtml(rule.origin || 'No traffic in the window')}">
+                <span class="entropy-label">${this._escapeHtml(rule.label)}${rule.enabled ? '' : ' (off)'}</span>
+                <span class="entropy-bar"><span style="width: ${fill.toFixed(1)}%"></span></span>
+                <span class="entropy-bits">${rule.value}/${rule.threshold}</span>
+            </div>`;
+        });
+        html += '</div>';
+        html += '<p class="entropy-note">Each bar is the busiest site in the rule\'s current window against its threshold.</p>';
 
-        ctx.fillStyle = 'var(--graphite)';
-        ctx.font = '14px var(--font-primary)';
-        ctx.textAlign = 'center';
-        ctx.fillText(`Placeholder for ${title}`, canvas.width / 2, canvas.height / 2);
+        if (matches.length === 0) {
+            return html + '<p>No rule has matched yet.</p>';
+        }
+        html += `<table class="history-table">
+            <thead><tr><th>Time</th><th>Rule</th><th>Site</th><th>Seen</th></tr></thead>
+            <tbody>`;
+        matches.forEach(match => {
+            html += `<tr title="${this._escapeHtml(match.hosts.join(', '))}">
+                <td>${new Date(match.timestamp).toLocaleTimeString()}</td>
+                <td><span class="prediction-type ${this._escapeHtml(match.severity)}">${this._escapeHtml(match.label)}</span></td>
+                <td>${this._escapeHtml(match.origin)}</td>
+                <td>${match.value} ${this._escapeHtml(match.unit)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        return html;
     }
     
     formatFingerprint(fingerprint) {
@@ -409,8 +1463,8 @@ class FalconGuardian {
         
         Object.entries(fingerprint).forEach(([key, value]) => {
             html += `<div class="fingerprint-item">
-                <strong>${key}:</strong> 
-                <span>${typeof value === 'object' ? JSON.stringify(value) : value}</span>
+                <strong>${this._escapeHtml(key)}:</strong> 
+                <span>${this._escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</span>
             </div>`;
         });
         
@@ -418,38 +1472,135 @@ class FalconGuardian {
         return html;
     }
 
-    formatPredictions(predictions) {
+    formatEntropy(estimate) {
+        if (estimate.attributes.length === 0) {
+            return '<p>No fingerprint attributes collected.</p>';
+        }
+        
+        const maxBits = Math.max(...estimate.attributes.map(a => a.bits));
+        let html = `<div class="entropy-summary">
+            <strong>${estimate.totalBits.toFixed(1)} bits</strong>
+            <span>About 1 in ${this._escapeHtml(this.modules.entropy.formatOneIn(estimate.oneIn))} browsers share this fingerprint</span>
+        </div>
+        <div class="entropy-list">`;
+        
+        estimate.attributes.forEach(item => {
+            html += `<div class="entropy-item" title="${this._escapeHtml(item.value)}">
+                <span class="entropy-label">${this._escapeHtml(item.attribute)}</span>
+                <span class="entropy-bar"><span style="width: ${(item.bits / maxBits * 100).toFixed(1)}%"></span></span>
+                <span class="entropy-bits">${item.bits.toFixed(1)}${item.source === 'table' ? '' : '*'}</span>
+            </div>`;
+        });
+        
+        html += '</div>';
+        if (estimate.attributes.some(item => item.source !== 'table')) {
+            html += '<p class="entropy-note">* Estimated: value not in the bundled frequency table or no table available.</p>';
+        }
+        if (estimate.rawBits > estimate.totalBits) {
+            html += `<p class="entropy-note">Attributes add up to ${estimate.rawBits.toFixed(1)} bits, capped at the size of the browser population.</p>`;
+        }
+        return html;
+    }
+
+    formatPermissions(snapshot) {
+        if (!snapshot.supported) {
+            return '<p>The Permissions API is not available in this browser.</p>';
+        }
+        if (snapshot.permissions.length === 0) {
+            return '<p>No queryable permissions found.</p>';
+        }
+        
+        const risky = snapshot.permissions.filter(p => p.risky);
+        let html = `<p class="permission-summary">${risky.length === 0
+            ? 'No risky permissions are granted.'
+            : `${risky.length} risky permission${risky.length === 1 ? ' is' : 's are'} granted: ${risky.map(p => this._escapeHtml(p.label)).join(', ')}.`}</p>
+        <div class="threat-list">`;
+        
+        snapshot.permissions.forEach(permission => {
+            html += `<div class="threat-item permission-item ${permission.risky ? 'risky' : ''}">
+                <span class="threat-type">${this._escapeHtml(permission.label)}</span>
+                <span class="permission-state ${this._escapeHtml(permission.state)}">${this._escapeHtml(permission.state)}</span>
+                <span class="threat-severity ${this._escapeHtml(permission.risk)}">${this._escapeHtml(permission.risk)} risk</span>
+            </div>`;
+        });
+        html += '</div>';
+        
+        html += '<h4 class="setting-subtitle">History</h4>';
+        if (snapshot.history.length === 0) {
+            html += '<p class="entropy-note">No grants or revocations recorded yet.</p>';
+        } else {
+            html += '<div class="threat-list">';
+            snapshot.history.slice(0, 20).forEach(entry => {
+                const info = this.modules.permissions.permissions[entry.permission];
+                html += `<div class="threat-item">
+                    <span class="threat-type">${this._escapeHtml(info ? info.label : entry.permission)}</span>
+                    <span class="permission-state ${this._escapeHtml(entry.to)}">${this._escapeHtml(entry.change)}</span>
+                    <span class="threat-time">${new Date(entry.timestamp).toLocaleString()}</span>
+                </div>`;
+            });
+            html += '</div>';
+        }
+        return html;
+    }
+    
+    formatPredictions(predictions, stats = null) {
+        // How well the sequence model has done so far, scored on each threat before learning from it
+        const note = stats && stats.predictions > 0
+            ? `<p class="entropy-note">Learned from ${stats.observed} threats; ${(stats.accuracy * 100).toFixed(0)}% of ${stats.predictions} next-threat predictions came true (${stats.logLoss.toFixed(2)} bits log loss).</p>`
+            : '';
         if (!predictions || predictions.length === 0) {
-            return '<p>No predictions available.</p>';
+            return '<p>No predictions available.</p>' + note;
         }
 
         let html = '<div class="prediction-list">';
         predictions.forEach(prediction => {
             html += `
                 <div class="prediction-item">
-                    <span class="prediction-type ${prediction.severity}">${prediction.type.replace(/_/g, ' ')}</span>
-                    <p class="prediction-message">${prediction.message}</p>
+                    <span class="prediction-type ${this._escapeHtml(prediction.severity)}">${this._escapeHtml(prediction.type.replace(/_/g, ' '))}</span>
+                    <p class="prediction-message">${this._escapeHtml(prediction.message)}</p>
                     <div class="prediction-meta">
                         <span>Confidence: ${(prediction.confidence * 100).toFixed(0)}%</span>
-                        <span>Timeframe: ${prediction.timeframe}</span>
+                        <span>Timeframe: ${this._escapeHtml(prediction.timeframe)}</span>
                     </div>
                 </div>
             `;
         });
-        html += '</div>';
+        html += '</div>' + note;
         return html;
     }
     
-    formatNetworkData() {
-        const trackers = this.state.trackers;
+    initializeNetworkControls() {
+        const filter = document.getElementById('networkChannelFilter');
+        if (!filter) return;
+        
+        const channels = this.modules.detector.networkChannels;
+        filter.innerHTML = '<option value="all">All channels</option>' +
+            Object.entries(channels).map(([name, channel]) => `<option value="${name}">${channel.label}</option>`).join('');
+        filter.addEventListener('change', (e) => {
+            this.networkChannel = e.target.value;
+            this.updateAnalysisView();
+        });
+    }
+    
+    formatNetworkData(trackers = this.state.trackers) {
+        const channels = this.modules.detector ? this.modules.detector.networkChannels : {};
+        // Records from before channels were tracked all came from fetch or XHR
+        const channelOf = tracker => tracker.channel || 'xmlhttprequest';
+        const shown = this.networkChannel === 'all'
+            ? trackers
+            : trackers.filter(tracker => channelOf(tracker) === this.networkChannel);
         let html = '<div class="network-data">';
         
         if (trackers.length === 0) {
             html += '<p>No network activity detected.</p>';
+        } else if (shown.length === 0) {
+            html += '<p>No network activity on this channel.</p>';
         } else {
-            trackers.forEach(tracker => {
+            shown.forEach(tracker => {
+                const channel = channels[channelOf(tracker)];
                 html += `<div class="network-item">
-                    <span class="tracker-url">${tracker.url}</span>
+                    <span class="tracker-url">${this._escapeHtml(tracker.url)}</span>
+                    <span class="tracker-channel">${this._escapeHtml(channel ? channel.label : channelOf(tracker))}</span>
                     <span class="tracker-status ${tracker.blocked ? 'blocked' : 'allowed'}">
                         ${tracker.blocked ? 'Blocked' : 'Allowed'}
                     </span>
@@ -461,9 +1612,84 @@ class FalconGuardian {
         return html;
     }
     
-    updateReportsView() {
-        // Generate reports based on current state
-        const reports = this.generateReports();
+    initializeLabControls() {
+        const button = document.getElementById('runLab');
+        if (button) {
+            button.addEventListener('click', () => this.runLab());
+        }
+        this.modules.lab.onChange(() => this.updateLabView());
+    }
+    
+    async runLab() {
+        const button = document.getElementById('runLab');
+        const status = document.getElementById('labStatus');
+        if (button) button.disabled = true;
+        if (status) status.textContent = 'Running probes...';
+        
+        try {
+            await this.modules.lab.run();
+            if (status) status.textContent = '';
+        } catch (error) {
+            console.error('Protection lab run failed:', error);
+            if (status) status.textContent = `Probes failed: ${error.message}`;
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+    
+    updateLabView() {
+        const container = document.getElementById('labResults');
+        if (container) {
+            container.innerHTML = this.formatLabResults(this.modules.lab.lastRun);
+        }
+    }
+    
+    formatLabResults(run) {
+        if (!run) {
+            return '<p>Run the probes to see which fingerprinting techniques each protection stops.</p>';
+        }
+        
+        const verdicts = {
+            protected: 'Protected',
+            partial: 'Partly protected',
+            leaks: 'Leaks',
+            unprotected: 'No protection',
+            unavailable: 'Not supported',
+            failed: 'Probe failed'
+        };
+        const detections = { detected: 'Detected', missed: 'Missed', 'hook-off': 'Hook off', unmonitored: '–' };
+        
+        const rows = run.results.map(result => `
+            <tr>
+                <td>${this._escapeHtml(result.label)}</td>
+                <td>${this._escapeHtml(result.protection || '–')}</td>
+                <td>${detections[result.detection]}</td>
+                <td title="${this._escapeHtml(result.exposed)}">${this._escapeHtml(result.exposed)}</td>
+                <td title="${this._escapeHtml(result.served || '')}">${this._escapeHtml(result.served || '–')}</td>
+                <td><span class="lab-verdict ${result.verdict}">${verdicts[result.verdict]}</span></td>
+                <td>${result.exposedBits === null ? '–' : `${result.removedBits.toFixed(1)} / ${result.exposedBits.toFixed(1)}`}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div class="entropy-summary">
+                <strong>${run.removedBits.toFixed(1)} of ${run.exposedBits.toFixed(1)} bits removed</strong>
+                <span>${run.protectedCount} of ${run.results.length} probes fully protected, ${run.leakCount} still leaking · ${new Date(run.timestamp).toLocaleTimeString()}</span>
+            </div>
+            <table class="history-table lab-matrix">
+                <thead>
+                    <tr><th>Probe</th><th>Protection</th><th>Detector</th><th>Without</th><th>With</th><th>Result</th><th>Bits removed</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="entropy-note">Each probe runs with its protection off, then on; protections return to the site's profile afterwards.
+            Bits come from the bundled entropy model: WebRTC addresses are not modelled, and a stored ID singles out the browser on its own.</p>
+        `;
+    }
+    
+    async updateReportsView() {
+        // Generate reports from the persisted event history, or show an imported session
+        const reports = this.reviewSession ? this.reviewSession.reports : await this.generateReports();
         
         // Update report cards
         const reportCards = document.querySelectorAll('.report-card');
@@ -471,7 +1697,7 @@ class FalconGuardian {
             // Daily Summary
             const dailySummary = reportCards[0].querySelector('.report-content');
             if (dailySummary) {
-                dailySummary.innerHTML = this.formatDailySummary(reports.daily);
+                dailySummary.innerHTML = this.formatDailySummary(reports.daily, reports.history);
             }
             
             // Threat Analysis
@@ -482,45 +1708,71 @@ class FalconGuardian {
         }
     }
     
-    generateReports() {
-        const now = new Date();
-        const today = now.toDateString();
+    async generateReports() {
+        const store = this.modules.store;
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+        
+        const [threats, trackers, history] = await Promise.all([
+            store.query('threats', { since: startOfDay.getTime() }),
+            store.query('trackers', { since: startOfDay.getTime() }),
+            store.getDailyHistory(7)
+        ]);
         
         return {
             daily: {
-                date: today,
+                date: startOfDay.toDateString(),
                 privacyScore: this.state.privacyScore,
-                trackersBlocked: this.state.trackers.filter(t => t.blocked).length,
-                threatsDetected: this.state.threats.length,
+                trackersBlocked: trackers.filter(t => t.blocked).length,
+                threatsDetected: threats.length,
                 protectionActive: this.state.isProtected
             },
-            threats: this.state.threats
+            history: history,
+            threats: threats.slice(-50)
         };
     }
     
-    formatDailySummary(daily) {
+    formatDailySummary(daily, history = []) {
+        const historyRows = history.map(day => `
+            <tr>
+                <td>${day.date}</td>
+                <td>${day.threats}</td>
+                <td>${day.trackersBlocked}</td>
+                <td>${day.averageScore === null ? '–' : day.averageScore}</td>
+            </tr>
+        `).join('');
+        
         return `
             <div class="daily-summary">
-                <p><strong>Date:</strong> ${daily.date}</p>
+                <p><strong>Date:</strong> ${this._escapeHtml(daily.date)}</p>
                 <p><strong>Privacy Score:</strong> ${daily.privacyScore}/100</p>
                 <p><strong>Trackers Blocked:</strong> ${daily.trackersBlocked}</p>
                 <p><strong>Threats Detected:</strong> ${daily.threatsDetected}</p>
-                <p><strong>Protection Status:</strong> ${daily.protectionActive ? 'Active' : 'Inactive'}</p>
+                <p><strong>Protection Status:</strong> ${daily.protectionActive === null ? 'Unknown' : daily.protectionActive ? 'Active' : 'Inactive'}</p>
+                ${history.length ? `
+                    <table class="history-table">
+                        <thead>
+                            <tr><th>Day</th><th>Threats</th><th>Blocked</th><th>Avg Score</th></tr>
+                        </thead>
+                        <tbody>${historyRows}</tbody>
+                    </table>
+                ` : ''}
             </div>
         `;
     }
     
     formatThreatAnalysis(threats) {
         if (threats.length === 0) {
-            return '<p>No threats detected in the current session.</p>';
+            return '<p>No threats detected today.</p>';
         }
         
         let html = '<div class="threat-list">';
         threats.forEach(threat => {
             html += `
                 <div class="threat-item">
-                    <span class="threat-type">${threat.type}</span>
-                    <span class="threat-severity ${threat.severity}">${threat.severity}</span>
+                    <span class="threat-type">${this._escapeHtml(threat.type)}${(threat.tags || []).map(tag =>
+                        `<span class="threat-tag">${this._escapeHtml(tag)}</span>`).join('')}${threat.blocked ? '<span class="threat-tag">blocked</span>' : ''}</span>
+                    <span class="threat-severity ${this._escapeHtml(threat.severity)}">${this._escapeHtml(threat.severity)}</span>
                     <span class="threat-time">${new Date(threat.timestamp).toLocaleTimeString()}</span>
                 </div>
             `;
@@ -529,13 +1781,148 @@ class FalconGuardian {
         return html;
     }
     
+    initializeExportControls() {
+        const exporter = this.modules.exporter;
+        const status = document.getElementById('exportStatus');
+        const setStatus = (message) => {
+            if (status) status.textContent = message;
+        };
+        
+        const exportActions = {
+            exportJson: (bundle) => {
+                exporter.download(exporter.getFilename(bundle, 'session', 'json'), exporter.toJSON(bundle), 'application/json');
+            },
+            exportCsv: (bundle) => {
+                Object.entries(exporter.toCSV(bundle)).forEach(([table, csv]) => {
+                    exporter.download(exporter.getFilename(bundle, table, 'csv'), csv, 'text/csv');
+                });
+            },
+            exportHar: (bundle) => {
+                exporter.download(exporter.getFilename(bundle, 'blocked', 'har'), exporter.toHAR(bundle), 'application/json');
+            }
+        };
+        
+        Object.entries(exportActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            button.addEventListener('click', async () => {
+                try {
+                    // Re-export an imported session as-is rather than mixing in live data
+                    const bundle = this.reviewSession || await exporter.createBundle(this);
+                    action(bundle);
+                    setStatus('Export ready.');
+                } catch (error) {
+                    console.error('Export failed:', error);
+                    setStatus(`Export failed: ${error.message}`);
+                }
+            });
+        });
+        
+        const importInput = document.getElementById('importSession');
+        if (importInput) {
+            importInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                try {
+                    this.enterReviewMode(exporter.parseBundle(await file.text()));
+                    setStatus(`Loaded ${file.name} for review.`);
+                } catch (error) {
+                    setStatus(error.message);
+                }
+                importInput.value = '';
+            });
+        }
+        
+        const openReport = document.getElementById('openAuditReport');
+        if (openReport) {
+            openReport.addEventListener('click', async () => {
+                try {
+                    const html = await this.generateAuditReport();
+                    if (!this.modules.auditReport.open(html)) {
+                        setStatus('The report window was blocked by the browser. Use Download Report instead.');
+                    }
+                } catch (error) {
+                    console.error('Audit report failed:', error);
+                    setStatus(`Audit report failed: ${error.message}`);
+                }
+            });
+        }
+        
+        const downloadReport = document.getElementById('downloadAuditReport');
+        if (downloadReport) {
+            downloadReport.addEventListener('click', async () => {
+                try {
+                    const html = await this.generateAuditReport();
+                    exporter.download(`falcon-guardian-audit-${new Date().toISOString().slice(0, 10)}.html`, html, 'text/html');
+                } catch (error) {
+                    console.error('Audit report failed:', error);
+                    setStatus(`Audit report failed: ${error.message}`);
+                }
+            });
+        }
+        
+        const exitReview = document.getElementById('exitReview');
+        if (exitReview) {
+            exitReview.addEventListener('click', () => this.exitReviewMode());
+        }
+    }
+    
+    async generateAuditReport() {
+        const generator = this.modules.auditReport;
+        const bundle = this.reviewSession || await this.modules.exporter.createBundle(this);
+        
+        // Live reports use raw score samples from the last 90 days; imported bundles carry daily averages
+        const scores = this.reviewSession ? [] : await this.modules.store.query('scores', {
+            since: Date.now() - 90 * 24 * 60 * 60 * 1000
+        });
+        
+        const report = generator.buildReport(bundle, {
+            scores,
+            protections: bundle.protections || {},
+            entropy: this.modules.entropy.estimate(bundle.fingerprint || {})
+        });
+        return generator.renderHTML(report);
+    }
+    
+    enterReviewMode(bundle) {
+        this.reviewSession = bundle;
+        
+        const banner = document.getElementById('reviewBanner');
+        const label = document.getElementById('reviewLabel');
+        if (label) {
+            label.textContent = `Reviewing imported session from ${new Date(bundle.exportedAt).toLocaleString()} (${bundle.origin || 'unknown origin'})`;
+        }
+        if (banner) {
+            banner.hidden = false;
+        }
+        
+        this.switchView('reports');
+    }
+    
+    exitReviewMode() {
+        this.reviewSession = null;
+        
+        const banner = document.getElementById('reviewBanner');
+        if (banner) {
+            banner.hidden = true;
+        }
+        
+        const activeView = document.querySelector('.view.active');
+        if (activeView) {
+            this.updateViewContent(activeView.id);
+        }
+    }
+    
     updateSettingsView() {
-        // Settings view is static for now
+        // Only the rule hit counts change while the view is open
+        this.renderRuleSummary();
     }
     
     startRealtimeUpdates() {
         setInterval(async () => {
             await this.updatePrivacyScore();
+            this.modules.anomalies.observeScore(this.state.privacyScore);
+            this.modules.anomalies.tick();
             this.modules.visualizer.updateRadar(this.state);
             this.modules.visualizer.updateTimeline();
             this.updateMetrics();
@@ -555,27 +1942,43 @@ class FalconGuardian {
     }
     
     analyzeThreats() {
-        if (this.state.threats.length > 0) {
-            const latestThreat = this.state.threats[this.state.threats.length - 1];
-            if (this.modules.predictor) {
-                const analysis = this.modules.predictor.analyzeThreat(latestThreat);
-                let predictions = analysis.predictions;
+        const predictor = this.modules.predictor;
+        if (!predictor) return;
 
-                // Also get the next predicted threat
-                const nextThreatPrediction = this.modules.predictor.predictNextThreat();
-                if (nextThreatPrediction) {
-                    predictions.push({
-                        type: 'next_threat_prediction',
-                        message: `High chance of encountering a ${nextThreatPrediction.predictedType.replace(/_/g, ' ')} threat next.`,
-                        confidence: nextThreatPrediction.confidence,
-                        timeframe: nextThreatPrediction.timeframe,
-                        severity: 'medium' // Assign a default severity for display
-                    });
-                }
+        // The model learns from each threat once; later ticks only refresh the time-dependent forecast
+        this.state.threats.slice(this.analyzedThreatCount).forEach(threat => {
+            this.lastAnalysis = predictor.analyzeThreat(threat);
+        });
+        this.analyzedThreatCount = this.state.threats.length;
 
-                this.state.predictions = predictions; // Store predictions
-            }
+        const now = Date.now();
+        const predictions = [
+            ...(this.lastAnalysis ? this.lastAnalysis.predictions : []),
+            ...this.state.behaviors
+                .filter(match => now - match.timestamp < this.behaviorPredictionWindow)
+                .flatMap(match => match.predictions),
+            ...this.state.anomalies
+                .filter(anomaly => now - anomaly.timestamp < this.anomalyPredictionWindow)
+                .flatMap(anomaly => anomaly.predictions)
+        ];
+
+        // Also get the next predicted threat
+        const nextThreatPrediction = predictor.predictNextThreat();
+        if (nextThreatPrediction) {
+            const { predictedType, probability, confidence, alternatives, timeframe } = nextThreatPrediction;
+            const seen = this.state.threats.filter(t => t.type === predictedType);
+            const others = alternatives.map(a => `${a.type.replace(/_/g, ' ')} ${(a.probability * 100).toFixed(0)}%`);
+            predictions.push({
+                type: 'next_threat_prediction',
+                message: `A ${predictedType.replace(/_/g, ' ')} threat is most likely next (${(probability * 100).toFixed(0)}% by the sequence model` +
+                    (others.length ? `; then ${others.join(', ')}` : '') + ').',
+                confidence,
+                timeframe,
+                severity: seen.length ? seen[seen.length - 1].severity : 'medium'
+            });
         }
+
+        this.state.predictions = predictions; // Store predictions
     }
     
     updateMetrics() {
@@ -628,34 +2031,11 @@ class FalconGuardian {
         return 'Critical';
     }
 
-    // Method to simulate threats for testing
-    simulateThreats() {
-        const threatTypes = [
-            { type: 'canvas_fingerprint', severity: 'medium' },
-            { type: 'webgl_fingerprint', severity: 'medium' },
-            { type: 'geolocation_access', severity: 'high' },
-            { type: 'audio_fingerprint', severity: 'low' },
-            { type: 'tracker_detected', severity: 'low' }
-        ];
-        
-        const randomThreat = threatTypes[Math.floor(Math.random() * threatTypes.length)];
-        
-        const newThreat = {
-            ...randomThreat,
-            timestamp: Date.now(),
-            angle: Math.random() * Math.PI * 2,
-            distance: 0.2 + Math.random() * 0.7
-        };
-        this.state.threats.push(newThreat);
-    }
-    
-    // Auto-simulate threats for demo purposes
+    // Demo mode reruns the protection lab, so every threat shown comes from the real detector hooks
     startDemoMode() {
-        this.demoInterval = setInterval(() => {
-            if (Math.random() < 0.1) { // 10% chance every second
-                this.simulateThreats();
-            }
-        }, 1000);
+        clearInterval(this.demoInterval);
+        this.runLab();
+        this.demoInterval = setInterval(() => this.runLab(), 30000);
     }
 
     createFallbackUI() {
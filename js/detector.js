@@ -4,7 +4,7 @@
  */
 
 class PrivacyDetector {
-    constructor() {
+    constructor(options = {}) {
         this.detectionMethods = {
             canvas: this.detectCanvasFingerprinting.bind(this),
             webgl: this.detectWebGLFingerprinting.bind(this),
@@ -16,7 +16,46 @@ class PrivacyDetector {
         };
         
         this.trackers = new Set();
+        // Outbound channels and the blocklist `$type` each one is matched as
+        this.networkChannels = {
+            fetch: { label: 'Fetch', type: 'xmlhttprequest' },
+            xmlhttprequest: { label: 'XHR', type: 'xmlhttprequest' },
+            beacon: { label: 'Beacon', type: 'ping' },
+            websocket: { label: 'WebSocket', type: 'websocket' },
+            eventsource: { label: 'EventSource', type: 'other' },
+            image: { label: 'Image', type: 'image' },
+            script: { label: 'Script', type: 'script' },
+            iframe: { label: 'Iframe', type: 'subdocument' }
+        };
+        this.reportedElements = new WeakMap(); // element -> src last reported
+        this.elementObserver = null;
         this.fingerprints = {};
+        this.webglProbes = new WeakMap();
+        this.webglReported = new WeakSet();
+        this.webglBlocked = new WeakSet();
+        this.audioProbes = new WeakMap();
+        this.audioBuffers = new WeakMap();
+        this.audioReported = new WeakSet();
+        this.audioBlocked = new WeakSet();
+        // Distinct candidate fonts measured within `window` ms before probing is reported
+        this.fontProbes = {
+            families: new Map(),
+            window: 2000,
+            threshold: 20,
+            cooldown: 30000,
+            reportedAt: 0
+        };
+        this.probing = false;
+        this.scanned = false;
+        this.pluginDetectors = new Set();
+        this.bus = options.bus || new EventBus();
+        this.responses = options.responses || null; // What blocked requests get back; made on first use
+        this.blocklist = options.blocklist || null;
+        this.profiles = options.profiles || null;
+    }
+    
+    isHookEnabled(hook) {
+        return !this.profiles || this.profiles.isHookEnabled(hook);
     }
     
     async startDetection() {
@@ -28,23 +67,52 @@ class PrivacyDetector {
         
         // Scan for fingerprinting
         await this.scanForFingerprinting();
+    }
+    
+    _addThreat(type, severity, details = {}) {
+        // Returns the threat as rules left it; hooks refuse the call when it comes back `blocked`
+        return this.bus.emit('threat', {
+            script: PrivacyDetector.getCallingScript(),
+            ...details,
+            type: type,
+            severity: severity,
+            timestamp: Date.now()
+        });
+    }
+    
+    static getCallingScript() {
+        // The first stack frame outside Falcon Guardian's own js/ and extension/ files, which sit next
+        // to each other wherever they are served from; null for callers with no URL. Shared with the
+        // shield, whose hooks answer some calls before the detector's would see them
+        const urls = String(new Error().stack || '').split('\n')
+            .map(line => (/([a-z][\w+.-]*:\/\/[^\s()]+?):\d+:\d+/i.exec(line) || [])[1])
+            .filter(Boolean);
+        if (urls.length === 0) return null;
         
-        // Check permissions
-        this.checkPermissions();
-    }
-    
-    _addThreat(type, severity) {
-        if (window.falconGuardian && window.falconGuardian.state) {
-            const newThreat = {
-                type: type,
-                severity: severity,
-                timestamp: Date.now(),
-                // Visual properties for the radar
-                angle: Math.random() * Math.PI * 2,
-                distance: 0.2 + Math.random() * 0.7 // Avoid center and edge
-            };
-            window.falconGuardian.state.threats.push(newThreat);
+        // The extension runs everything from one bundle in extension/, the dashboard from js/
+        const root = urls[0].replace(/(js|extension)\/[^/]*$/, '');
+        return urls.find(url => !url.startsWith(`${root}js/`) && !url.startsWith(`${root}extension/`)) || null;
+    }
+    
+    registerDetectionMethod(key, detect) {
+        if (this.detectionMethods[key]) {
+            throw new Error(`Detection method "${key}" is already registered`);
         }
+        this.detectionMethods[key] = detect;
+        this.pluginDetectors.add(key);
+        
+        // Methods registered after the initial scan run straight away
+        if (this.scanned) {
+            this.runDetectionMethod(key, detect);
+        }
+    }
+    
+    unregisterDetectionMethod(key) {
+        if (!this.pluginDetectors.has(key)) return false;
+        delete this.detectionMethods[key];
+        delete this.fingerprints[key];
+        this.pluginDetectors.delete(key);
+        return true;
     }
 
     hookAPIs() {
@@ -53,133 +121,625 @@ class PrivacyDetector {
         // Canvas API Hook
         const originalToDataURL = HTMLCanvasElement.prototype.toDataURL;
         HTMLCanvasElement.prototype.toDataURL = function(...args) {
-            self._addThreat('canvas_fingerprint', 'medium');
+            if (!self.probing && self.isHookEnabled('canvas') && self._addThreat('canvas_fingerprint', 'medium').blocked) {
+                // What the browser throws for a canvas it will not let the page read
+                throw new DOMException("Failed to execute 'toDataURL' on 'HTMLCanvasElement': Tainted canvases may not be exported.", 'SecurityError');
+            }
             return originalToDataURL.apply(this, args);
         };
         
-        // WebGL Hook
-        const originalGetParameter = WebGLRenderingContext.prototype.getParameter;
-        WebGLRenderingContext.prototype.getParameter = function(...args) {
-            self._addThreat('webgl_fingerprint', 'medium');
-            return originalGetParameter.apply(this, args);
-        };
+        // WebGL Hooks
+        this.hookWebGL();
+        
+        // Web Audio Hooks
+        this.hookAudio();
         
-        // AudioContext Hook
-        if (window.AudioContext || window.webkitAudioContext) {
-            const OriginalAudioContext = window.AudioContext || window.webkitAudioContext;
-            const contextHandler = {
-                construct(target, args) {
-                    self._addThreat('audio_fingerprint', 'low');
-                    return new target(...args);
+        // Font Probing Hooks
+        this.hookFontProbes();
+        
+        // Geolocation Hooks
+        this.hookGeolocation();
+    }
+    
+    hookGeolocation() {
+        const self = this;
+        const geolocation = navigator.geolocation;
+        if (!geolocation) return;
+
+        // Shield.protectGeolocation records its own decisions while the protection is on
+        ['getCurrentPosition', 'watchPosition'].forEach(method => {
+            const original = geolocation[method];
+            geolocation[method] = function(success, error) {
+                const threat = self.isHookEnabled('geolocation') && self._addThreat('geolocation_access', 'high', {
+                    method,
+                    origin: self.profiles ? self.profiles.getCurrentOrigin() : window.location.origin
+                });
+                if (threat && threat.blocked) {
+                    // Refused like a denied permission, which is never reported synchronously
+                    if (typeof error === 'function') {
+                        setTimeout(() => error(self.createPermissionError()), 0);
+                    }
+                    return method === 'watchPosition' ? 0 : undefined;
+                }
+                return original.apply(this, arguments);
+            };
+        });
+    }
+    
+    createPermissionError() {
+        const PositionError = window.GeolocationPositionError;
+        const error = Object.create(PositionError ? PositionError.prototype : Object.prototype);
+        const values = { code: 1, message: 'User denied Geolocation' };
+        if (!PositionError) Object.assign(values, { PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 });
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(error, key, { value, enumerable: true, configurable: true });
+        });
+        return error;
+    }
+    
+    hookWebGL() {
+        const self = this;
+        const UNMASKED_VENDOR_WEBGL = 0x9245;
+        const UNMASKED_RENDERER_WEBGL = 0x9246;
+
+        ['WebGLRenderingContext', 'WebGL2RenderingContext'].filter(name => window[name]).forEach(name => {
+            const proto = window[name].prototype;
+            const original = {
+                getParameter: proto.getParameter,
+                getExtension: proto.getExtension,
+                getSupportedExtensions: proto.getSupportedExtensions,
+                getShaderPrecisionFormat: proto.getShaderPrecisionFormat
+            };
+
+            // A blocked context answers probing calls as if the information were unavailable
+            proto.getParameter = function(pname) {
+                if ((pname === UNMASKED_VENDOR_WEBGL || pname === UNMASKED_RENDERER_WEBGL) &&
+                    self.noteWebGLProbe(this, 'unmasked')) {
+                    return null;
                 }
+                return original.getParameter.apply(this, arguments);
             };
-            if(window.AudioContext) window.AudioContext = new Proxy(OriginalAudioContext, contextHandler);
-            if(window.webkitAudioContext) window.webkitAudioContext = new Proxy(OriginalAudioContext, contextHandler);
+
+            proto.getExtension = function(extensionName) {
+                if (extensionName === 'WEBGL_debug_renderer_info' && self.noteWebGLProbe(this, 'debug_renderer_info')) {
+                    return null;
+                }
+                return original.getExtension.apply(this, arguments);
+            };
+
+            proto.getSupportedExtensions = function() {
+                if (self.noteWebGLProbe(this, 'extensions')) return [];
+                return original.getSupportedExtensions.apply(this, arguments);
+            };
+
+            proto.getShaderPrecisionFormat = function(shaderType, precisionType) {
+                if (self.noteWebGLProbe(this, 'precision', `${shaderType}:${precisionType}`)) return null;
+                return original.getShaderPrecisionFormat.apply(this, arguments);
+            };
+        });
+    }
+
+    noteWebGLProbe(context, signal, detail) {
+        // true when rules block probing on this context
+        if (this.webglBlocked.has(context)) return true;
+        if (this.probing || !this.isHookEnabled('webgl') || this.webglReported.has(context)) return false;
+
+        let probe = this.webglProbes.get(context);
+        if (!probe) {
+            probe = { signals: new Set(), precisionQueries: new Set() };
+            this.webglProbes.set(context, probe);
         }
-        
-        // Geolocation Hook
-        if (navigator.geolocation) {
-            const originalGetCurrentPosition = navigator.geolocation.getCurrentPosition;
-            navigator.geolocation.getCurrentPosition = function(...args) {
-                self._addThreat('geolocation_access', 'high');
-                return originalGetCurrentPosition.apply(this, args);
+
+        if (signal === 'precision') {
+            // Renderers query a couple of precisions; fingerprinters sweep both shaders across all six types
+            probe.precisionQueries.add(detail);
+            if (probe.precisionQueries.size < 6) return false;
+            signal = 'precision_sweep';
+        }
+        probe.signals.add(signal);
+
+        // Reading the unmasked GPU strings is fingerprinting on its own; the other calls also
+        // happen in ordinary renderers, so they only count when combined
+        if (probe.signals.has('unmasked') || probe.signals.size >= 2) {
+            this.webglReported.add(context);
+            if (this._addThreat('webgl_fingerprint', 'medium').blocked) {
+                this.webglBlocked.add(context);
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    hookAudio() {
+        const self = this;
+        const BaseContext = window.BaseAudioContext || window.AudioContext || window.webkitAudioContext;
+        if (!BaseContext) return;
+
+        // Note which contexts build the oscillator -> compressor graph used by audio fingerprinting
+        const markNode = (context, node) => {
+            if (context) self.getAudioProbe(context).nodes.add(node);
+        };
+
+        const contextProto = BaseContext.prototype;
+        const originalCreateOscillator = contextProto.createOscillator;
+        const originalCreateCompressor = contextProto.createDynamicsCompressor;
+        contextProto.createOscillator = function() {
+            markNode(this, 'oscillator');
+            return originalCreateOscillator.apply(this, arguments);
+        };
+        contextProto.createDynamicsCompressor = function() {
+            markNode(this, 'compressor');
+            return originalCreateCompressor.apply(this, arguments);
+        };
+
+        // Node constructors take the context as their first argument
+        [['OscillatorNode', 'oscillator'], ['DynamicsCompressorNode', 'compressor']].forEach(([name, node]) => {
+            if (!window[name]) return;
+            window[name] = new Proxy(window[name], {
+                construct(target, args, newTarget) {
+                    markNode(args[0], node);
+                    return Reflect.construct(target, args, newTarget);
+                }
+            });
+        });
+
+        // Link rendered buffers back to their offline context, via both the promise and the complete event
+        ['OfflineAudioContext', 'webkitOfflineAudioContext'].filter(name => window[name]).forEach(name => {
+            const OriginalOffline = window[name];
+            const originalStartRendering = OriginalOffline.prototype.startRendering;
+
+            OriginalOffline.prototype.startRendering = function() {
+                const context = this;
+                const rendering = originalStartRendering.apply(this, arguments);
+                if (!rendering || typeof rendering.then !== 'function') return rendering;
+                return rendering.then(buffer => {
+                    self.audioBuffers.set(buffer, context);
+                    return buffer;
+                });
+            };
+
+            window[name] = new Proxy(OriginalOffline, {
+                construct(target, args, newTarget) {
+                    const context = Reflect.construct(target, args, newTarget);
+                    context.addEventListener('complete', (e) => self.audioBuffers.set(e.renderedBuffer, context));
+                    return context;
+                }
+            });
+        });
+
+        // Readouts; a blocked context reads back silence
+        if (window.AudioBuffer) {
+            const silence = {
+                getChannelData: (buffer) => new Float32Array(buffer.length),
+                copyFromChannel: (buffer, destination) => {
+                    if (destination) destination.fill(0);
+                }
             };
+            Object.entries(silence).forEach(([method, blocked]) => {
+                const original = AudioBuffer.prototype[method];
+                if (!original) return;
+                AudioBuffer.prototype[method] = function(...args) {
+                    if (self.noteAudioReadout(self.audioBuffers.get(this))) return blocked(this, ...args);
+                    return original.apply(this, args);
+                };
+            });
+        }
+
+        if (window.AnalyserNode) {
+            // Decibels bottom out at -Infinity; byte and time-domain silence are zeros
+            const silence = { getFloatFrequencyData: -Infinity, getByteFrequencyData: 0, getFloatTimeDomainData: 0 };
+            Object.entries(silence).forEach(([method, value]) => {
+                const original = AnalyserNode.prototype[method];
+                if (!original) return;
+                AnalyserNode.prototype[method] = function(array) {
+                    if (self.noteAudioReadout(this.context)) {
+                        if (array) array.fill(value);
+                        return;
+                    }
+                    return original.apply(this, arguments);
+                };
+            });
         }
     }
+
+    getAudioProbe(context) {
+        let probe = this.audioProbes.get(context);
+        if (!probe) {
+            probe = { nodes: new Set() };
+            this.audioProbes.set(context, probe);
+        }
+        return probe;
+    }
+
+    noteAudioReadout(context) {
+        // true when rules block readouts from this context
+        if (!context) return false;
+        if (this.audioBlocked.has(context)) return true;
+        if (this.probing || !this.isHookEnabled('audio') || this.audioReported.has(context)) return false;
+
+        // Only a readout from a context that built the oscillator + compressor graph counts
+        const probe = this.audioProbes.get(context);
+        if (!probe || !probe.nodes.has('oscillator') || !probe.nodes.has('compressor')) return false;
+
+        this.audioReported.add(context);
+        if (this._addThreat('audio_fingerprint', 'medium').blocked) {
+            this.audioBlocked.add(context);
+            return true;
+        }
+        return false;
+    }
+    
+    hookFontProbes() {
+        const self = this;
+
+        // Probing scripts measure a test string under one candidate font after another
+        ['offsetWidth', 'offsetHeight'].forEach(prop => {
+            const descriptor = Object.getOwnPropertyDescriptor(HTMLElement.prototype, prop);
+            if (!descriptor || !descriptor.get) return;
+            Object.defineProperty(HTMLElement.prototype, prop, {
+                ...descriptor,
+                get() {
+                    if (this.style && this.style.fontFamily) {
+                        self.noteFontProbe(this.style.fontFamily);
+                    }
+                    return descriptor.get.call(this);
+                }
+            });
+        });
+
+        const originalGetBoundingClientRect = Element.prototype.getBoundingClientRect;
+        Element.prototype.getBoundingClientRect = function() {
+            if (this.style && this.style.fontFamily) {
+                self.noteFontProbe(this.style.fontFamily);
+            }
+            return originalGetBoundingClientRect.apply(this, arguments);
+        };
+
+        ['CanvasRenderingContext2D', 'OffscreenCanvasRenderingContext2D'].filter(name => window[name]).forEach(name => {
+            const originalMeasureText = window[name].prototype.measureText;
+            window[name].prototype.measureText = function() {
+                self.noteFontProbe(self.getFontFamily(this.font));
+                return originalMeasureText.apply(this, arguments);
+            };
+        });
+    }
+
+    noteFontProbe(fontFamily) {
+        if (!fontFamily || this.probing || !this.isHookEnabled('fonts')) return;
+
+        const now = Date.now();
+        if (now - this.fontProbes.reportedAt < this.fontProbes.cooldown) return;
+
+        // Key on the candidate font, i.e. the first family before the generic fallback
+        const family = fontFamily.split(',')[0].trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+        const seen = this.fontProbes.families;
+        seen.set(family, now);
+        if (seen.size < this.fontProbes.threshold) return;
+
+        seen.forEach((time, name) => {
+            if (now - time > this.fontProbes.window) seen.delete(name);
+        });
+
+        if (seen.size >= this.fontProbes.threshold) {
+            seen.clear();
+            this.fontProbes.reportedAt = now;
+            this._addThreat('font_fingerprint', 'medium');
+        }
+    }
+
+    resetFontProbes() {
+        // A deliberate probe run (the protection lab) is reported even within the cooldown
+        this.fontProbes.families.clear();
+        this.fontProbes.reportedAt = 0;
+    }
+
+    getFontFamily(font) {
+        // The family list follows the size (and optional line height) in the CSS font shorthand
+        const match = /(?:^|\s)[\d.]+(?:px|pt|pc|em|rem|ex|ch|%|in|cm|mm|vw|vh)(?:\s*\/\s*\S+)?\s+(.+)$/.exec(font || '');
+        return match ? match[1] : '';
+    }
     
     monitorNetwork() {
+        const self = this;
+        if (!this.responses) {
+            this.responses = new BlockedResponses();
+        }
+
         // Monitor fetch requests
         const originalFetch = window.fetch;
         window.fetch = async function(...args) {
-            const url = args[0] instanceof Request ? args[0].url : args[0];
+            const url = args[0] instanceof Request ? args[0].url : String(args[0]);
             
-            // Check against known tracker domains
-            if (this.isTrackerDomain(url)) {
-                if (window.falconGuardian && window.falconGuardian.state) {
-                    window.falconGuardian.state.trackers.push({
-                        url: url,
-                        blocked: true,
-                        timestamp: Date.now()
-                    });
-                    // a small delay to allow the UI to update, if needed
-                    await new Promise(resolve => setTimeout(resolve, 50));
-                }
-                
-                // Return empty response for blocked trackers
-                return Promise.resolve(new Response(null, {status: 204, statusText: "Blocked by Falcon Guardian"}));
+            // Check against the enabled tracker blocklists
+            const blocked = self.checkRequest(url, 'fetch');
+            if (blocked) {
+                return self.responses.createFetchResponse(blocked);
             }
             
             return originalFetch.apply(window, args);
-        }.bind(this);
+        };
         
-        // Monitor XMLHttpRequest
-        const originalOpen = XMLHttpRequest.prototype.open;
-        XMLHttpRequest.prototype.open = function(method, url, ...args) {
-            if (this.isTrackerDomain(url)) {
-                if (window.falconGuardian && window.falconGuardian.state) {
-                    window.falconGuardian.state.trackers.push({
-                        url: url,
-                        blocked: true,
-                        timestamp: Date.now()
-                    });
-                }
-                return;
+        // Monitor XMLHttpRequest. A blocked request is still opened, so the page can set headers and
+        // call send() as usual; send() then plays out the failure or response instead of going out.
+        const blockedXHRs = new WeakMap(); // xhr -> { match, url, async, sent }
+        const xhrProto = XMLHttpRequest.prototype;
+        const originalOpen = xhrProto.open;
+        const originalSend = xhrProto.send;
+        const originalAbort = xhrProto.abort;
+        
+        xhrProto.open = function(method, url, ...args) {
+            self.responses.resetXHR(this);
+            blockedXHRs.delete(this);
+            
+            const blocked = self.checkRequest(String(url), 'xmlhttprequest');
+            if (blocked) {
+                blockedXHRs.set(this, { match: blocked, url: String(url), async: args[0] !== false, sent: false });
             }
             return originalOpen.apply(this, [method, url, ...args]);
-        }.bind(this);
+        };
+        xhrProto.send = function(body) {
+            const blocked = blockedXHRs.get(this);
+            if (!blocked) {
+                return originalSend.call(this, body);
+            }
+            // The native object never leaves OPENED, so a second send() must not slip through to it
+            if (blocked.sent) {
+                throw new DOMException("Failed to execute 'send' on 'XMLHttpRequest': The object's state must be OPENED.", 'InvalidStateError');
+            }
+            blocked.sent = true;
+            self.responses.respondToXHR(this, blocked.match, blocked.url, blocked.async);
+        };
+        xhrProto.abort = function() {
+            if (self.responses.abortXHR(this)) return;
+            return originalAbort.call(this);
+        };
+        
+        // Beacons are fire-and-forget; a dropped one still reports as queued
+        if (navigator.sendBeacon) {
+            const originalSendBeacon = navigator.sendBeacon;
+            navigator.sendBeacon = function(url, data) {
+                if (self.checkRequest(String(url), 'beacon')) {
+                    return true;
+                }
+                return originalSendBeacon.call(navigator, url, data);
+            };
+        }
+        
+        this.monitorConnections();
+        this.monitorElements();
     }
     
-    isTrackerDomain(url) {
-        try {
-            const hostname = new URL(url).hostname;
-            const trackerDomains = [
-                'google-analytics.com',
-                'googletagmanager.com',
-                'facebook.com',
-                'doubleclick.net',
-                'scorecardresearch.com',
-                'quantserve.com',
-                'adsystem.com',
-                'amazon-adsystem.com',
-                'hotjar.com',
-                'mixpanel.com',
-                'amplitude.com',
-                'segment.com',
-                'heap.io',
-                'fullstory.com',
-                'clarity.ms',
-                'mouseflow.com',
-                'crazyegg.com',
-                'optimizely.com',
-                'vwo.com',
-                'abtasty.com',
-                'criteo.com',
-                'outbrain.com',
-                'taboola.com',
-                'pubmatic.com',
-                'rubiconproject.com',
-                'openx.net',
-                'adroll.com',
-                'yandex.ru',
-                'baidu.com',
-                'live.com'
-            ];
-            return trackerDomains.some(domain => hostname.endsWith(domain));
-        } catch (e) {
-            return false; // Invalid URL
+    monitorConnections() {
+        const self = this;
+
+        // A Proxy keeps instanceof, the prototype and the readyState constants intact
+        [['websocket', 'WebSocket'], ['eventsource', 'EventSource']].forEach(([channel, name]) => {
+            const Original = window[name];
+            if (!Original) return;
+
+            const Monitored = new Proxy(Original, {
+                construct(target, args, newTarget) {
+                    if (self.checkRequest(String(args[0]), channel)) {
+                        return self.createFailedConnection(target, String(args[0]), channel);
+                    }
+                    return Reflect.construct(target, args, newTarget);
+                }
+            });
+            Original.prototype.constructor = Monitored;
+            window[name] = Monitored;
+        });
+    }
+    
+    monitorElements() {
+        const self = this;
+        const elements = { image: 'HTMLImageElement', script: 'HTMLScriptElement', iframe: 'HTMLIFrameElement' };
+
+        // `src` set from script is caught before the element loads anything
+        Object.entries(elements).forEach(([channel, name]) => {
+            const proto = window[name] && window[name].prototype;
+            const descriptor = proto && Object.getOwnPropertyDescriptor(proto, 'src');
+            if (!descriptor || !descriptor.set) return;
+
+            Object.defineProperty(proto, 'src', {
+                ...descriptor,
+                set(value) {
+                    const source = self.filterElementSource(this, channel, value);
+                    if (source !== null) descriptor.set.call(this, source);
+                }
+            });
+        });
+
+        const originalSetAttribute = Element.prototype.setAttribute;
+        Element.prototype.setAttribute = function(name, value) {
+            const channel = self.getElementChannel(this);
+            if (channel && String(name).toLowerCase() === 'src') {
+                const source = self.filterElementSource(this, channel, value);
+                if (source === null) return;
+                return originalSetAttribute.call(this, name, source);
+            }
+            return originalSetAttribute.call(this, name, value);
+        };
+
+        // Markup inserted through innerHTML or the parser starts loading before any hook runs,
+        // so those requests can only be reported once the element shows up in the document
+        if (!window.MutationObserver) return;
+        this.elementObserver = new MutationObserver(mutations => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                [node, ...node.querySelectorAll('img[src], script[src], iframe[src]')].forEach(element => {
+                    const channel = this.getElementChannel(element);
+                    const url = element.getAttribute('src');
+                    if (!channel || !url || this.reportedElements.get(element) === url) return;
+
+                    this.reportedElements.set(element, url);
+                    const match = this.matchTracker(url, this.networkChannels[channel].type);
+                    this.emitRequest(url, channel, match);
+                    if (match && match.blocked) {
+                        this.emitTracker(url, false, match, channel);
+                    }
+                });
+            }));
+        });
+        this.elementObserver.observe(document, { childList: true, subtree: true });
+    }
+    
+    getElementChannel(element) {
+        const tags = { IMG: 'image', SCRIPT: 'script', IFRAME: 'iframe' };
+        return tags[element.tagName] || null;
+    }
+    
+    filterElementSource(element, channel, value) {
+        // The source to load: the requested one, a surrogate data URL, or null when blocked outright
+        const url = String(value);
+        const blocked = this.checkRequest(url, channel);
+        if (!blocked) {
+            this.reportedElements.set(element, url);
+            return value;
         }
+
+        const surrogate = channel === 'iframe' ? null : this.responses.getDataURL(blocked);
+        if (surrogate) {
+            this.reportedElements.set(element, surrogate);
+            return surrogate;
+        }
+
+        // The browser fires `error` for images and scripts whose load it refused
+        this.reportedElements.set(element, url);
+        if (channel !== 'iframe') {
+            setTimeout(() => element.dispatchEvent(new Event('error')), 0);
+        }
+        return null;
+    }
+    
+    checkRequest(url, channel) {
+        // Records the request and any tracker match on it; returns the match when the request must not go out
+        const match = this.matchTracker(url, this.networkChannels[channel].type);
+        this.emitRequest(url, channel, match);
+        if (!match || !match.blocked) return null;
+
+        const blocked = this.isBlockingEnabled();
+        this.emitTracker(url, blocked, match, channel);
+        return blocked ? match : null;
+    }
+    
+    emitRequest(url, channel, match) {
+        // Every outgoing request, tracker or not, for rules that look at traffic as a whole
+        if (!this.isHookEnabled('network')) return;
+        this.bus.emit('request', {
+            url: url,
+            channel: channel,
+            tracker: !!(match && match.blocked),
+            timestamp: Date.now()
+        });
+    }
+    
+    emitTracker(url, blocked, match, channel) {
+        this.bus.emit('tracker', {
+            url: url,
+            blocked: blocked,
+            rule: match.rule,
+            channel: channel,
+            timestamp: Date.now()
+        });
+    }
+    
+    createFailedConnection(Original, url, channel) {
+        // Stands in for a connection the browser refused: already closed, it fires `error` (and an
+        // abnormal `close` for WebSockets) asynchronously. Native getters reject objects the browser
+        // did not create, so every member is an own property.
+        const events = new EventTarget();
+        const connection = Object.create(Original.prototype);
+        const href = new URL(url, window.location.href);
+        if (channel === 'websocket' && (href.protocol === 'http:' || href.protocol === 'https:')) {
+            // Like the native constructor, which takes http(s) URLs as ws(s)
+            href.protocol = href.protocol === 'https:' ? 'wss:' : 'ws:';
+        }
+        const values = {
+            url: href.href,
+            readyState: Original.CLOSED,
+            close: () => {},
+            addEventListener: events.addEventListener.bind(events),
+            removeEventListener: events.removeEventListener.bind(events),
+            dispatchEvent: events.dispatchEvent.bind(events)
+        };
+        if (channel === 'websocket') {
+            Object.assign(values, { protocol: '', extensions: '', bufferedAmount: 0, send: () => {} });
+        } else {
+            values.withCredentials = false;
+        }
+
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(connection, key, { value, enumerable: true, configurable: true });
+        });
+        const writable = channel === 'websocket'
+            ? { binaryType: 'blob', onopen: null, onmessage: null, onerror: null, onclose: null }
+            : { onopen: null, onmessage: null, onerror: null };
+        Object.entries(writable).forEach(([key, value]) => {
+            Object.defineProperty(connection, key, { value, writable: true, enumerable: true, configurable: true });
+        });
+
+        setTimeout(() => {
+            const fire = (event) => {
+                // Dispatched on the private target, so the event is pointed at the connection itself
+                let dispatching = true;
+                Object.defineProperties(event, {
+                    target: { value: connection, configurable: true },
+                    srcElement: { value: connection, configurable: true },
+                    currentTarget: { get: () => (dispatching ? connection : null), configurable: true },
+                    composedPath: { value: () => (dispatching ? [connection] : []), configurable: true }
+                });
+                events.dispatchEvent(event);
+                if (typeof connection['on' + event.type] === 'function') {
+                    connection['on' + event.type](event);
+                }
+                dispatching = false;
+            };
+            fire(new Event('error'));
+            if (channel === 'websocket') {
+                fire(new CloseEvent('close', { code: 1006, reason: '', wasClean: false }));
+            }
+        }, 0);
+
+        return connection;
+    }
+    
+    matchTracker(url, type = 'other') {
+        if (!this.blocklist || !this.isHookEnabled('network')) return null;
+        return this.blocklist.match(url, { type, documentUrl: window.location.href });
+    }
+    
+    isBlockingEnabled() {
+        return !this.profiles || this.profiles.isProtectionEnabled('tracker');
+    }
+    
+    isTrackerDomain(url, type = 'other') {
+        const match = this.matchTracker(url, type);
+        return !!(match && match.blocked);
     }
     
     async scanForFingerprinting() {
         for (const [method, detector] of Object.entries(this.detectionMethods)) {
+            await this.runDetectionMethod(method, detector);
+        }
+        this.scanned = true;
+    }
+    
+    async runDetectionMethod(method, detector) {
+        try {
+            // The detector's own probes use the hooked APIs; keep them out of the threat log
+            this.probing = true;
+            let pending;
             try {
-                const result = await detector();
-                if (result) {
-                    this.fingerprints[method] = result;
-                }
-            } catch(e) {
-                console.error(`Error detecting ${method}:`, e);
+                pending = detector();
+            } finally {
+                this.probing = false;
             }
+            const result = await pending;
+            if (result) {
+                this.fingerprints[method] = result;
+            }
+        } catch(e) {
+            console.error(`Error detecting ${method}:`, e);
         }
     }
     
@@ -201,9 +761,11 @@ class PrivacyDetector {
         
         if (!gl) return null;
         
+        // Browsers mask VENDOR/RENDERER; the debug extension exposes the actual GPU strings
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
         return {
-            vendor: gl.getParameter(gl.VENDOR),
-            renderer: gl.getParameter(gl.RENDERER)
+            vendor: gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR),
+            renderer: gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER)
         };
     }
     
@@ -296,32 +858,8 @@ class PrivacyDetector {
             .map(([name, _]) => name);
     }
     
-    async checkPermissions() {
-        const permissions = [
-            'camera',
-            'microphone',
-            'geolocation',
-            'notifications',
-            'clipboard-read',
-            'clipboard-write'
-        ];
-        
-        const results = {};
-        
-        for (const permission of permissions) {
-            try {
-                const result = await navigator.permissions.query({name: permission});
-                results[permission] = result.state;
-            } catch(e) {
-                results[permission] = 'not-supported';
-            }
-        }
-        
-        return results;
-    }
-    
     getFingerprint() {
-        return {
+        const fingerprint = {
             screen: {
                 width: window.screen.width,
                 height: window.screen.height,
@@ -339,5 +877,10 @@ class PrivacyDetector {
             battery: this.fingerprints.battery,
             sensors: this.fingerprints.sensors
         };
+        
+        this.pluginDetectors.forEach(key => {
+            fingerprint[key] = this.fingerprints[key];
+        });
+        return fingerprint;
     }
 }
@@ -0,0 +1,245 @@
+/**
+ * Entropy Module
+ * Per-attribute fingerprint surprisal estimates from a bundled frequency table
+ */
+
+class EntropyModel {
+    constructor() {
+        // Approximate number of browsers in use, which bounds how unique anyone can be
+        this.population = 4.5e9;
+        this.populationBits = Math.log2(this.population);
+
+        // Approximate shares compiled from public browser and device statistics.
+        // `otherCount` spreads the remaining probability mass over that many unlisted values.
+        this.frequencies = {
+            screen: {
+                values: {
+                    '1920x1080': 0.23, '1536x864': 0.08, '1366x768': 0.07, '2560x1440': 0.05,
+                    '1440x900': 0.04, '390x844': 0.04, '360x800': 0.04, '414x896': 0.03,
+                    '412x915': 0.03, '1280x720': 0.03, '1600x900': 0.03, '1280x800': 0.02,
+                    '375x667': 0.02, '393x873': 0.02, '1470x956': 0.02, '1680x1050': 0.015,
+                    '3840x2160': 0.015, '1512x982': 0.015, '2560x1600': 0.01, '1728x1117': 0.01
+                },
+                otherCount: 500
+            },
+            colorDepth: {
+                values: { '24': 0.93, '30': 0.04, '32': 0.02 },
+                otherCount: 5
+            },
+            timezone: {
+                values: {
+                    'America/New_York': 0.08, 'Asia/Kolkata': 0.07, 'Asia/Shanghai': 0.06,
+                    'America/Los_Angeles': 0.05, 'America/Chicago': 0.04, 'Europe/London': 0.03,
+                    'Europe/Berlin': 0.03, 'Asia/Tokyo': 0.03, 'America/Sao_Paulo': 0.03,
+                    'Asia/Jakarta': 0.03, 'Europe/Paris': 0.025, 'Europe/Moscow': 0.025,
+                    'America/Mexico_City': 0.02, 'America/Denver': 0.015, 'Europe/Madrid': 0.015,
+                    'Europe/Rome': 0.015, 'Asia/Manila': 0.015, 'Australia/Sydney': 0.01, 'UTC': 0.01
+                },
+                otherCount: 400
+            },
+            language: {
+                values: {
+                    'en-US': 0.35, 'zh-CN': 0.09, 'en-GB': 0.05, 'de-DE': 0.04, 'fr-FR': 0.04,
+                    'pt-BR': 0.04, 'ru-RU': 0.04, 'es-ES': 0.03, 'es': 0.03, 'ja': 0.03,
+                    'es-419': 0.02, 'it-IT': 0.02, 'en-IN': 0.02, 'ko-KR': 0.015, 'id-ID': 0.015,
+                    'tr-TR': 0.015, 'de': 0.01, 'fr': 0.01, 'ru': 0.01, 'ja-JP': 0.01,
+                    'hi-IN': 0.01, 'pl-PL': 0.01, 'nl-NL': 0.01, 'en-CA': 0.01, 'en-AU': 0.01
+                },
+                otherCount: 300
+            },
+            platform: {
+                values: {
+                    'Win32': 0.68, 'MacIntel': 0.17, 'iPhone': 0.05, 'Linux x86_64': 0.04,
+                    'Linux armv8l': 0.03, 'Linux aarch64': 0.02, 'iPad': 0.01
+                },
+                otherCount: 20
+            },
+            browser: {
+                values: {
+                    'Chrome': 0.65, 'Safari': 0.18, 'Edge': 0.05, 'Firefox': 0.03,
+                    'Samsung Internet': 0.03, 'Opera': 0.02
+                },
+                otherCount: 50
+            },
+            plugins: {
+                values: { '5': 0.7, '0': 0.25 },
+                otherCount: 20
+            },
+            // Presence probability of each font probed by PrivacyDetector.detectFontFingerprinting
+            fonts: {
+                'Arial': 0.96,
+                'Helvetica': 0.3,
+                'Times New Roman': 0.95,
+                'Courier New': 0.93,
+                'Georgia': 0.9,
+                'Verdana': 0.9
+            },
+            // GPU families with the number of distinct renderer strings seen within each
+            webgl: {
+                families: [
+                    { match: /ANGLE \(Intel/i, share: 0.35, models: 60 },
+                    { match: /ANGLE \(NVIDIA/i, share: 0.2, models: 150 },
+                    { match: /ANGLE \(AMD/i, share: 0.08, models: 100 },
+                    { match: /^Apple GPU$/i, share: 0.1, models: 1 },
+                    { match: /Apple M\d/i, share: 0.08, models: 12 },
+                    { match: /Adreno/i, share: 0.1, models: 40 },
+                    { match: /Mali/i, share: 0.08, models: 40 },
+                    { match: /Mesa|llvmpipe/i, share: 0.02, models: 80 },
+                    { match: /SwiftShader/i, share: 0.005, models: 2 }
+                ],
+                otherCount: 500
+            }
+        };
+
+        // Attributes without a usable frequency table get published average entropy values
+        this.fixedBits = {
+            canvas: 8.3,
+            browserVersion: 2.5,
+            audio: 0.1,
+            battery: 0.3,
+            sensors: 0.5
+        };
+    }
+
+    estimate(fingerprint) {
+        const attributes = [];
+        const add = (attribute, value, result) => {
+            if (result) attributes.push({ attribute, value, ...result });
+        };
+
+        if (fingerprint.screen) {
+            const size = `${fingerprint.screen.width}x${fingerprint.screen.height}`;
+            const depth = String(fingerprint.screen.colorDepth);
+            add('screen', `${size}, ${depth}-bit`, this.combine(
+                this.fromTable('screen', size),
+                this.fromTable('colorDepth', depth)
+            ));
+        }
+
+        add('timezone', fingerprint.timezone, this.fromTable('timezone', fingerprint.timezone));
+        add('language', fingerprint.language, this.fromTable('language', fingerprint.language));
+        add('platform', fingerprint.platform, this.fromTable('platform', fingerprint.platform));
+
+        if (fingerprint.userAgent) {
+            const browser = this.getBrowserFamily(fingerprint.userAgent);
+            add('userAgent', browser, this.combine(
+                this.fromTable('browser', browser),
+                this.fromBits(this.fixedBits.browserVersion)
+            ));
+        }
+
+        if (Array.isArray(fingerprint.plugins)) {
+            add('plugins', `${fingerprint.plugins.length} plugins`, this.fromTable('plugins', String(fingerprint.plugins.length)));
+        }
+
+        if (Array.isArray(fingerprint.fonts)) {
+            add('fonts', fingerprint.fonts.join(', ') || 'none', this.fromFonts(fingerprint.fonts));
+        }
+
+        if (fingerprint.webgl && fingerprint.webgl.renderer) {
+            add('webgl', fingerprint.webgl.renderer, this.fromWebGL(fingerprint.webgl.renderer));
+        }
+
+        if (fingerprint.canvas) {
+            add('canvas', 'rendered image', this.fromBits(this.fixedBits.canvas));
+        }
+
+        ['audio', 'battery'].forEach(attribute => {
+            if (fingerprint[attribute]) {
+                add(attribute, 'available', this.fromBits(this.fixedBits[attribute]));
+            }
+        });
+
+        if (Array.isArray(fingerprint.sensors) && fingerprint.sensors.length > 0) {
+            add('sensors', fingerprint.sensors.join(', '), this.fromBits(this.fixedBits.sensors));
+        }
+
+        // Summing assumes the attributes are independent, which overstates the total for
+        // correlated ones (platform and user agent); it is capped at the population size
+        const rawBits = attributes.reduce((sum, a) => sum + a.bits, 0);
+        const totalBits = Math.min(rawBits, this.populationBits);
+
+        return {
+            attributes: attributes.sort((a, b) => b.bits - a.bits),
+            totalBits,
+            rawBits,
+            oneIn: Math.round(Math.pow(2, totalBits)),
+            uniqueness: totalBits / this.populationBits
+        };
+    }
+
+    fromTable(tableName, value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const table = this.frequencies[tableName];
+        const listed = table.values[value];
+        if (listed !== undefined) {
+            return { probability: listed, bits: this.surprisal(listed), source: 'table' };
+        }
+
+        const listedMass = Object.values(table.values).reduce((sum, p) => sum + p, 0);
+        const probability = Math.max(1e-9, (1 - listedMass) / table.otherCount);
+        return { probability, bits: this.surprisal(probability), source: 'estimate' };
+    }
+
+    fromFonts(fonts) {
+        // Treat each probed font as an independent present/absent observation
+        let probability = 1;
+        Object.entries(this.frequencies.fonts).forEach(([font, present]) => {
+            probability *= fonts.includes(font) ? present : 1 - present;
+        });
+        return { probability, bits: this.surprisal(probability), source: 'table' };
+    }
+
+    fromWebGL(renderer) {
+        const { families, otherCount } = this.frequencies.webgl;
+        const family = families.find(f => f.match.test(renderer));
+
+        if (family) {
+            const probability = family.share / family.models;
+            return { probability, bits: this.surprisal(probability), source: 'table' };
+        }
+
+        const listedShare = families.reduce((sum, f) => sum + f.share, 0);
+        const probability = Math.max(1e-9, (1 - listedShare) / otherCount);
+        return { probability, bits: this.surprisal(probability), source: 'estimate' };
+    }
+
+    fromBits(bits) {
+        return { probability: Math.pow(2, -bits), bits, source: 'published' };
+    }
+
+    combine(...results) {
+        results = results.filter(Boolean);
+        if (results.length === 0) return null;
+
+        const bits = results.reduce((sum, r) => sum + r.bits, 0);
+        return {
+            probability: Math.pow(2, -bits),
+            bits,
+            source: results.every(r => r.source === 'table') ? 'table' : 'estimate'
+        };
+    }
+
+    surprisal(probability) {
+        return -Math.log2(probability);
+    }
+
+    getBrowserFamily(userAgent) {
+        // Order matters: Edge, Opera and Samsung Internet also contain "Chrome" and "Safari"
+        if (/Edg\//.test(userAgent)) return 'Edge';
+        if (/OPR\/|Opera/.test(userAgent)) return 'Opera';
+        if (/SamsungBrowser/.test(userAgent)) return 'Samsung Internet';
+        if (/Firefox\//.test(userAgent)) return 'Firefox';
+        if (/Chrome\/|CriOS/.test(userAgent)) return 'Chrome';
+        if (/Safari\//.test(userAgent)) return 'Safari';
+        return 'Other';
+    }
+
+    formatOneIn(oneIn) {
+        if (oneIn >= 1e9) return `${(oneIn / 1e9).toFixed(1)} billion`;
+        if (oneIn >= 1e6) return `${(oneIn / 1e6).toFixed(1)} million`;
+        if (oneIn >= 1e3) return `${(oneIn / 1e3).toFixed(1)} thousand`;
+        return String(oneIn);
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Event Bus Module
+ * Typed publish/subscribe channel between detectors, protections, the UI and plugins
+ */
+
+class EventBus {
+    constructor() {
+        // Every event type and the payload fields its publishers must provide
+        this.types = {
+            threat: ['type', 'severity', 'timestamp'],
+            tracker: ['url', 'blocked', 'channel', 'timestamp'],
+            request: ['url', 'channel', 'timestamp'],
+            behavior: ['rule', 'severity', 'timestamp'],
+            anomaly: ['metric', 'severity', 'timestamp'],
+            alert: ['id', 'severity', 'timestamp'],
+            score: ['score', 'previous'],
+            setting: ['setting', 'value']
+        };
+
+        this.handlers = new Map();
+        this.interceptors = new Map();
+    }
+
+    defineType(type, fields = []) {
+        if (this.types[type]) {
+            throw new Error(`Event type "${type}" is already defined`);
+        }
+        this.types[type] = fields.slice();
+    }
+
+    on(type, handler) {
+        this.assertType(type);
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for "${type}" events must be a function`);
+        }
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    intercept(type, interceptor) {
+        // Interceptors run in order before any handler and return the payload to deliver; one marked
+        // `suppressed` reaches no handler. The publisher gets the final payload back either way.
+        this.assertType(type);
+        if (typeof interceptor !== 'function') {
+            throw new Error(`Interceptor for "${type}" events must be a function`);
+        }
+
+        if (!this.interceptors.has(type)) {
+            this.interceptors.set(type, []);
+        }
+        this.interceptors.get(type).push(interceptor);
+
+        return () => {
+            const interceptors = this.interceptors.get(type);
+            const index = interceptors.indexOf(interceptor);
+            if (index !== -1) interceptors.splice(index, 1);
+        };
+    }
+
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    emit(type, payload) {
+        this.assertType(type);
+
+        const missing = this.types[type].filter(field => !payload || payload[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`"${type}" event is missing ${missing.join(', ')}`);
+        }
+
+        (this.interceptors.get(type) || []).slice().forEach(interceptor => {
+            try {
+                payload = interceptor(payload) || payload;
+            } catch (e) {
+                console.error(`Interceptor for "${type}" event failed:`, e);
+            }
+        });
+        if (payload.suppressed) {
+            return payload;
+        }
+
+        // A failing subscriber must not stop the others or the publisher
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            [...handlers].forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (e) {
+                    console.error(`Handler for "${type}" event failed:`, e);
+                }
+            });
+        }
+
+        return payload;
+    }
+
+    assertType(type) {
+        if (!this.types[type]) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+    }
+}
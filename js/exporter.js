@@ -0,0 +1,204 @@
+/**
+ * Session Exporter Module
+ * JSON session bundles, CSV tables and HAR-style logs for audits
+ */
+
+class SessionExporter {
+    constructor() {
+        this.format = 'falcon-guardian-session';
+        this.version = 1;
+        this.appVersion = '1.0.0';
+    }
+
+    // Export
+
+    async createBundle(app) {
+        const reports = await app.generateReports();
+
+        return {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            origin: window.location.origin,
+            userAgent: navigator.userAgent,
+            privacyScore: app.state.privacyScore,
+            fingerprint: app.modules.detector.getFingerprint(),
+            threats: app.state.threats.map(threat => ({ ...threat })),
+            trackers: app.state.trackers.map(tracker => ({ ...tracker })),
+            predictions: app.state.predictions.map(prediction => ({ ...prediction })),
+            reports: reports,
+            protections: app.modules.profiles ? app.modules.profiles.getProfile().protections : {},
+            settings: this.collectSettings(app)
+        };
+    }
+
+    collectSettings(app) {
+        return {
+            theme: localStorage.getItem('falcon-theme') || 'auto',
+            profiles: app.modules.profiles ? app.modules.profiles.config : null,
+            blocklists: app.modules.blocklist
+                ? app.modules.blocklist.getLists().map(({ name, enabled, builtin, ruleCount }) => ({ name, enabled, builtin, ruleCount }))
+                : []
+        };
+    }
+
+    toJSON(bundle) {
+        return JSON.stringify(bundle, null, 2);
+    }
+
+    toCSV(bundle) {
+        return {
+            threats: this.buildCSV(
+                ['timestamp', 'time', 'type', 'severity', 'origin'],
+                bundle.threats.map(t => [t.timestamp, new Date(t.timestamp).toISOString(), t.type, t.severity, t.origin || bundle.origin])
+            ),
+            trackers: this.buildCSV(
+                ['timestamp', 'time', 'url', 'channel', 'blocked', 'rule'],
+                bundle.trackers.map(t => [t.timestamp, new Date(t.timestamp).toISOString(), t.url, t.channel || 'xmlhttprequest', t.blocked, t.rule || ''])
+            ),
+            predictions: this.buildCSV(
+                ['type', 'severity', 'confidence', 'timeframe', 'message'],
+                bundle.predictions.map(p => [p.type, p.severity, p.confidence, p.timeframe, p.message])
+            )
+        };
+    }
+
+    buildCSV(headers, rows) {
+        const lines = [headers, ...rows].map(row => row.map(cell => this.escapeCSV(cell)).join(','));
+        return lines.join('\r\n');
+    }
+
+    escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        // Stop spreadsheets from evaluating cells as formulas
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toHAR(bundle) {
+        const pageId = 'page_1';
+
+        return JSON.stringify({
+            log: {
+                version: '1.2',
+                creator: { name: 'Falcon Guardian', version: this.appVersion },
+                pages: [{
+                    startedDateTime: bundle.exportedAt,
+                    id: pageId,
+                    title: bundle.origin,
+                    pageTimings: {}
+                }],
+                entries: bundle.trackers.filter(t => t.blocked).map(tracker => this.toHAREntry(tracker, pageId))
+            }
+        }, null, 2);
+    }
+
+    toHAREntry(tracker, pageId) {
+        let queryString = [];
+        try {
+            queryString = [...new URL(tracker.url).searchParams].map(([name, value]) => ({ name, value }));
+        } catch (e) {
+            // Keep the entry even if the recorded URL does not parse
+        }
+
+        return {
+            pageref: pageId,
+            startedDateTime: new Date(tracker.timestamp).toISOString(),
+            time: 0,
+            request: {
+                method: tracker.method || 'GET',
+                url: tracker.url,
+                httpVersion: '',
+                cookies: [],
+                headers: [],
+                queryString: queryString,
+                headersSize: -1,
+                bodySize: -1
+            },
+            response: {
+                status: 0,
+                statusText: 'Blocked by Falcon Guardian',
+                httpVersion: '',
+                cookies: [],
+                headers: [],
+                content: { size: 0, mimeType: '' },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: -1
+            },
+            cache: {},
+            timings: { send: 0, wait: 0, receive: 0 },
+            _blocked: true,
+            _rule: tracker.rule || null,
+            _channel: tracker.channel || 'xmlhttprequest'
+        };
+    }
+
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getFilename(bundle, suffix, extension) {
+        const stamp = bundle.exportedAt.replace(/[:.]/g, '-');
+        return `falcon-guardian-${suffix}-${stamp}.${extension}`;
+    }
+
+    // Import
+
+    parseBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The selected file is not valid JSON');
+        }
+
+        if (!bundle || bundle.format !== this.format) {
+            throw new Error('The selected file is not a Falcon Guardian session bundle');
+        }
+        if (bundle.version > this.version) {
+            throw new Error(`Session bundle version ${bundle.version} is newer than this app supports`);
+        }
+
+        ['threats', 'trackers', 'predictions'].forEach(key => {
+            if (!Array.isArray(bundle[key])) {
+                throw new Error(`Session bundle is missing its ${key} list`);
+            }
+        });
+
+        return {
+            ...bundle,
+            fingerprint: bundle.fingerprint || {},
+            reports: bundle.reports || this.buildReports(bundle)
+        };
+    }
+
+    buildReports(bundle) {
+        // Older or hand-made bundles may not carry precomputed reports
+        return {
+            daily: {
+                date: new Date(bundle.exportedAt).toDateString(),
+                privacyScore: bundle.privacyScore,
+                trackersBlocked: bundle.trackers.filter(t => t.blocked).length,
+                threatsDetected: bundle.threats.length,
+                protectionActive: null
+            },
+            history: [],
+            threats: bundle.threats
+        };
+    }
+}
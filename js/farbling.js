@@ -0,0 +1,376 @@
+/**
+ * Farbling Module
+ * Seeded, session-stable browser personas for fingerprint spoofing
+ */
+
+class FarblingEngine {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-farbling';
+        this.sessionKey = 'falcon-farbling-session';
+        // Default to localStorage and sessionStorage; content scripts must not write to the site's own
+        this.storage = options.storage || null;
+        this.sessionStorage = options.sessionStorage || null;
+        this.random = options.random || new RandomSource(); // Only draws session secrets; personas are seeded from those
+
+        this.rotationSchedules = {
+            session: { label: 'Once per browser session', period: 0 },
+            hourly: { label: 'Every hour', period: 60 * 60 * 1000 },
+            daily: { label: 'Every day', period: 24 * 60 * 60 * 1000 },
+            weekly: { label: 'Every week', period: 7 * 24 * 60 * 60 * 1000 }
+        };
+
+        // Each OS only pairs with screen sizes, UA tokens, core counts and GPUs (Chromium ANGLE strings) seen on that OS
+        this.operatingSystems = {
+            windows: {
+                weight: 68,
+                platform: 'Win32',
+                uaToken: 'Windows NT 10.0; Win64; x64',
+                firefoxToken: 'Windows NT 10.0; Win64; x64',
+                screens: [[1920, 1080], [1536, 864], [1366, 768], [2560, 1440], [1440, 900], [1600, 900], [1280, 720]],
+                reservedHeight: 40,
+                cores: [4, 8, 12, 16],
+                gpus: [
+                    ['Google Inc. (Intel)', 'ANGLE (Intel, Intel(R) UHD Graphics 620 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (Intel)', 'ANGLE (Intel, Intel(R) Iris(R) Xe Graphics Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (NVIDIA)', 'ANGLE (NVIDIA, NVIDIA GeForce GTX 1650 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (NVIDIA)', 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+                    ['Google Inc. (AMD)', 'ANGLE (AMD, AMD Radeon(TM) Graphics Direct3D11 vs_5_0 ps_5_0, D3D11)']
+                ]
+            },
+            mac: {
+                weight: 22,
+                platform: 'MacIntel',
+                uaToken: 'Macintosh; Intel Mac OS X 10_15_7',
+                firefoxToken: 'Macintosh; Intel Mac OS X 10.15',
+                screens: [[1440, 900], [1512, 982], [1470, 956], [1728, 1117], [1680, 1050], [2560, 1440]],
+                reservedHeight: 25,
+                cores: [8, 10, 12],
+                gpus: [
+                    ['Google Inc. (Apple)', 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)'],
+                    ['Google Inc. (Apple)', 'ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)'],
+                    ['Google Inc. (Intel Inc.)', 'ANGLE (Intel Inc., Intel(R) Iris(TM) Plus Graphics OpenGL Engine, OpenGL 4.1)']
+                ]
+            },
+            linux: {
+                weight: 10,
+                platform: 'Linux x86_64',
+                uaToken: 'X11; Linux x86_64',
+                firefoxToken: 'X11; Linux x86_64',
+                screens: [[1920, 1080], [2560, 1440], [1366, 768]],
+                reservedHeight: 0,
+                cores: [4, 8, 16],
+                gpus: [
+                    ['Google Inc. (Intel)', 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)'],
+                    ['Google Inc. (NVIDIA Corporation)', 'ANGLE (NVIDIA Corporation, NVIDIA GeForce GTX 1060 6GB/PCIe/SSE2, OpenGL 4.5.0)']
+                ]
+            }
+        };
+
+        // Spoofed languages stay within the real base language so pages remain readable
+        this.languageVariants = {
+            en: ['en-US', 'en-GB', 'en-CA', 'en-AU'],
+            es: ['es-ES', 'es-MX', 'es-419'],
+            fr: ['fr-FR', 'fr-CA'],
+            de: ['de-DE', 'de-AT', 'de-CH'],
+            pt: ['pt-BR', 'pt-PT']
+        };
+
+        // Timezones that plausibly go with each language tag (exact tag first, then base language)
+        this.timezonesByLanguage = {
+            'en-US': ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'],
+            'en-GB': ['Europe/London'],
+            'en-CA': ['America/Toronto', 'America/Vancouver'],
+            'en-AU': ['Australia/Sydney', 'Australia/Melbourne', 'Australia/Brisbane'],
+            'en-IN': ['Asia/Kolkata'],
+            'es-ES': ['Europe/Madrid'],
+            'es-MX': ['America/Mexico_City'],
+            'es-419': ['America/Bogota', 'America/Lima', 'America/Argentina/Buenos_Aires'],
+            'fr-CA': ['America/Toronto'],
+            'de-AT': ['Europe/Vienna'],
+            'de-CH': ['Europe/Zurich'],
+            'pt-BR': ['America/Sao_Paulo'],
+            'pt-PT': ['Europe/Lisbon'],
+            'en': ['America/New_York'],
+            'es': ['Europe/Madrid'],
+            'fr': ['Europe/Paris'],
+            'de': ['Europe/Berlin'],
+            'pt': ['America/Sao_Paulo'],
+            'it': ['Europe/Rome'],
+            'nl': ['Europe/Amsterdam'],
+            'pl': ['Europe/Warsaw'],
+            'tr': ['Europe/Istanbul'],
+            'ru': ['Europe/Moscow'],
+            'hi': ['Asia/Kolkata'],
+            'ja': ['Asia/Tokyo'],
+            'ko': ['Asia/Seoul'],
+            'zh': ['Asia/Shanghai']
+        };
+
+        // Current desktop browsers all expose the same fixed PDF plugin list
+        this.plugins = [
+            'PDF Viewer',
+            'Chrome PDF Viewer',
+            'Chromium PDF Viewer',
+            'Microsoft Edge PDF Viewer',
+            'WebKit built-in PDF'
+        ].map(name => ({ name, filename: 'internal-pdf-viewer', description: 'Portable Document Format' }));
+
+        this.config = { rotation: 'session' };
+        this.listeners = [];
+        this.personaCache = new Map();
+
+        // Capture the real values before any spoofing shadows them
+        this.realNavigator = {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            language: navigator.language,
+            hardwareConcurrency: navigator.hardwareConcurrency
+        };
+        this.realScreen = {
+            width: window.screen.width,
+            height: window.screen.height
+        };
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && this.rotationSchedules[stored.rotation]) {
+                this.config = { ...this.config, ...stored };
+            }
+        } catch (e) {
+            console.warn('Could not read stored persona settings:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.config));
+        } catch (e) {
+            console.warn('Could not store persona settings:', e.message);
+        }
+        this.personaCache.clear();
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Seeding
+
+    getSessionSecret() {
+        // sessionStorage lives as long as the browser session, so a new session gets a new seed
+        let secret = null;
+        try {
+            secret = (this.sessionStorage || sessionStorage).getItem(this.sessionKey);
+        } catch (e) {
+            // Storage can be disabled; fall back to a per-page secret
+        }
+
+        if (!secret) {
+            secret = this.sessionSecret || this.createSecret();
+            try {
+                (this.sessionStorage || sessionStorage).setItem(this.sessionKey, secret);
+            } catch (e) {
+                // Keep the in-memory secret only
+            }
+        }
+
+        this.sessionSecret = secret;
+        return secret;
+    }
+
+    createSecret() {
+        return Array.from(this.random.bytes(16), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    getEpoch(now = Date.now()) {
+        const { period } = this.rotationSchedules[this.config.rotation];
+        return period ? Math.floor(now / period) : 0;
+    }
+
+    getSeed(origin = window.location.origin, purpose = 'persona') {
+        return this.hashString(`${this.getSessionSecret()}|${origin}|${this.getEpoch()}|${purpose}`);
+    }
+
+    createRandom(purpose, origin) {
+        return this.mulberry32(this.getSeed(origin, purpose));
+    }
+
+    hashString(str) {
+        // FNV-1a followed by a murmur3 finalizer to spread nearby inputs
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+
+    mulberry32(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Personas
+
+    getPersona(origin = window.location.origin) {
+        const cacheKey = `${origin}|${this.getSessionSecret()}|${this.getEpoch()}`;
+        if (!this.personaCache.has(cacheKey)) {
+            this.personaCache.clear();
+            this.personaCache.set(cacheKey, this.buildPersona(this.createRandom('persona', origin)));
+        }
+        return this.personaCache.get(cacheKey);
+    }
+
+    buildPersona(random) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        const real = this.realNavigator;
+        const browser = this.getBrowser(real.userAgent);
+
+        // Mobile devices and Safari cannot plausibly claim another OS, so they keep their real identity
+        const keepRealOS = browser.mobile || browser.family === 'safari' || browser.family === 'other';
+        const osName = keepRealOS ? this.getOSName(real.platform) : this.pickWeighted(random, this.operatingSystems);
+        const os = this.operatingSystems[osName];
+
+        let screen = { width: this.realScreen.width, height: this.realScreen.height };
+        if (os && !browser.mobile) {
+            const [width, height] = pick(os.screens);
+            screen = { width, height };
+        }
+        const reservedHeight = os && !browser.mobile ? os.reservedHeight : 0;
+
+        const base = (real.language || 'en-US').split('-')[0];
+        const variants = this.languageVariants[base];
+        const language = variants ? pick(variants) : real.language;
+
+        return {
+            os: osName || 'unknown',
+            browser: browser.family,
+            userAgent: keepRealOS ? real.userAgent : this.buildUserAgent(browser, os),
+            platform: keepRealOS || !os ? real.platform : os.platform,
+            language,
+            languages: language.includes('-') ? [language, base] : [language],
+            screen: {
+                ...screen,
+                availWidth: screen.width,
+                availHeight: screen.height - reservedHeight,
+                colorDepth: 24
+            },
+            hardwareConcurrency: os ? pick(os.cores) : real.hardwareConcurrency,
+            plugins: this.plugins
+        };
+    }
+
+    getGPUProfile(osName, origin) {
+        // Seeded separately so the GPU can be spoofed with or without the rest of the persona
+        const os = this.operatingSystems[osName];
+        if (!os) return null;
+
+        const random = this.createRandom('gpu', origin);
+        const [vendor, renderer] = os.gpus[Math.floor(random() * os.gpus.length)];
+        return { vendor, renderer };
+    }
+
+    getTimezone(language, origin) {
+        const zones = this.timezonesByLanguage[language] ||
+            this.timezonesByLanguage[String(language).split('-')[0]] ||
+            ['UTC'];
+        const random = this.createRandom('timezone', origin);
+        return zones[Math.floor(random() * zones.length)];
+    }
+
+    getRealOSName() {
+        return this.getOSName(this.realNavigator.platform);
+    }
+
+    pickWeighted(random, options) {
+        const entries = Object.entries(options);
+        const total = entries.reduce((sum, [, option]) => sum + option.weight, 0);
+        let roll = random() * total;
+        for (const [name, option] of entries) {
+            roll -= option.weight;
+            if (roll < 0) return name;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    getBrowser(userAgent) {
+        const mobile = /Mobile|Android|iPhone|iPad/.test(userAgent);
+        const version = (pattern) => {
+            const match = userAgent.match(pattern);
+            return match ? match[1] : null;
+        };
+
+        if (/Firefox\//.test(userAgent)) {
+            return { family: 'firefox', version: version(/Firefox\/(\d+)/), mobile };
+        }
+        if (/Edg\//.test(userAgent)) {
+            return { family: 'edge', version: version(/Edg\/(\d+)/), chromeVersion: version(/Chrome\/(\d+)/), mobile };
+        }
+        if (/Chrome\//.test(userAgent)) {
+            return { family: 'chrome', version: version(/Chrome\/(\d+)/), mobile };
+        }
+        if (/Safari\//.test(userAgent)) {
+            return { family: 'safari', version: version(/Version\/(\d+)/), mobile };
+        }
+        return { family: 'other', version: null, mobile };
+    }
+
+    getOSName(platform) {
+        if (/^Win/.test(platform)) return 'windows';
+        if (/^Mac/.test(platform)) return 'mac';
+        if (/^Linux x86/.test(platform)) return 'linux';
+        return null;
+    }
+
+    buildUserAgent(browser, os) {
+        // Keep the real browser and major version; only the OS part of the UA changes
+        switch (browser.family) {
+            case 'firefox':
+                return `Mozilla/5.0 (${os.firefoxToken}; rv:${browser.version}.0) Gecko/20100101 Firefox/${browser.version}.0`;
+            case 'edge':
+                return `Mozilla/5.0 (${os.uaToken}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${browser.chromeVersion}.0.0.0 Safari/537.36 Edg/${browser.version}.0.0.0`;
+            default:
+                return `Mozilla/5.0 (${os.uaToken}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${browser.version}.0.0.0 Safari/537.36`;
+        }
+    }
+
+    // Rotation
+
+    setRotation(rotation) {
+        if (!this.rotationSchedules[rotation]) return false;
+        this.config.rotation = rotation;
+        this.save();
+        return true;
+    }
+
+    rotate() {
+        // Start a fresh seed immediately, as if a new browser session had begun
+        this.sessionSecret = this.createSecret();
+        try {
+            (this.sessionStorage || sessionStorage).setItem(this.sessionKey, this.sessionSecret);
+        } catch (e) {
+            // Keep the in-memory secret only
+        }
+        this.save();
+    }
+
+    getRotationOptions() {
+        return Object.entries(this.rotationSchedules).map(([name, schedule]) => ({ name, label: schedule.label }));
+    }
+}
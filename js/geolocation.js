@@ -0,0 +1,255 @@
+/**
+ * Geolocation Module
+ * Denies, coarsens or fixes the position pages receive from navigator.geolocation
+ */
+
+class GeolocationGuard {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-geolocation';
+        this.storage = options.storage || null; // Defaults to localStorage
+
+        this.modes = {
+            deny: { label: 'Deny access', action: 'denied' },
+            coarsen: { label: 'Coarsen to city level', action: 'coarsened' },
+            fixed: { label: 'Report a fixed location', action: 'fixed' }
+        };
+
+        // Radius in kilometres; the lower bound is still coarser than a street, the upper one a region
+        this.radiusLimits = { min: 1, max: 100 };
+        this.kmPerDegree = 111.32;
+
+        this.config = {
+            mode: 'coarsen',
+            radius: 10,
+            fixed: { latitude: 48.8566, longitude: 2.3522 }
+        };
+
+        this.original = null;
+        this.native = null;
+        this.watches = new Map();
+        this.nextWatchId = 1;
+        this.onDecision = null;
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && this.modes[stored.mode]) {
+                this.config = { ...this.config, ...stored };
+            }
+        } catch (e) {
+            console.warn('Could not read stored geolocation settings:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.config));
+        } catch (e) {
+            console.warn('Could not store geolocation settings:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Settings
+
+    setMode(mode) {
+        if (!this.modes[mode]) return false;
+        this.config.mode = mode;
+        this.save();
+        return true;
+    }
+
+    setRadius(radius) {
+        const value = Number(radius);
+        if (!isFinite(value)) return false;
+        this.config.radius = Math.min(this.radiusLimits.max, Math.max(this.radiusLimits.min, value));
+        this.save();
+        return true;
+    }
+
+    setFixedLocation(latitude, longitude) {
+        const lat = Number(latitude);
+        const lon = Number(longitude);
+        if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
+
+        this.config.fixed = { latitude: lat, longitude: lon };
+        this.save();
+        return true;
+    }
+
+    getModeOptions() {
+        return Object.entries(this.modes).map(([name, mode]) => ({ name, label: mode.label }));
+    }
+
+    // Hooks
+
+    enable(onDecision) {
+        const geolocation = navigator.geolocation;
+        this.onDecision = onDecision || null;
+        if (!geolocation || this.original) return;
+
+        // Whatever was installed before (such as the detector's hooks) is restored on disable; coarsened
+        // requests go straight to the native methods so the access is recorded once, as a decision
+        this.original = {
+            getCurrentPosition: geolocation.getCurrentPosition,
+            watchPosition: geolocation.watchPosition,
+            clearWatch: geolocation.clearWatch
+        };
+        const proto = window.Geolocation ? window.Geolocation.prototype : this.original;
+        this.native = {
+            getCurrentPosition: proto.getCurrentPosition || this.original.getCurrentPosition,
+            watchPosition: proto.watchPosition || this.original.watchPosition,
+            clearWatch: proto.clearWatch || this.original.clearWatch
+        };
+
+        const self = this;
+        geolocation.getCurrentPosition = function(success, error, options) {
+            self.request('getCurrentPosition', success, error, options);
+        };
+        geolocation.watchPosition = function(success, error, options) {
+            return self.request('watchPosition', success, error, options);
+        };
+        geolocation.clearWatch = function(id) {
+            self.clearWatch(id);
+        };
+    }
+
+    disable() {
+        if (!this.original) return;
+
+        // Watches answered by the guard cannot outlive it; the page's ids mean nothing to the native API
+        [...this.watches.keys()].forEach(id => this.clearWatch(id));
+        Object.assign(navigator.geolocation, this.original);
+        this.original = null;
+        this.onDecision = null;
+    }
+
+    request(method, success, error, options) {
+        if (typeof success !== 'function') {
+            throw new TypeError(`Failed to execute '${method}' on 'Geolocation': The callback provided as parameter 1 is not a function.`);
+        }
+
+        let mode = this.config.mode;
+        const watch = method === 'watchPosition';
+        const id = watch ? this.nextWatchId++ : undefined;
+
+        // A rule can still refuse a request the configured mode would have answered
+        const decision = this.onDecision ? this.onDecision({ method, mode, action: this.modes[mode].action }) : null;
+        if (decision && decision.blocked) {
+            mode = 'deny';
+        }
+
+        if (mode === 'coarsen') {
+            const nativeId = this.native[method].call(navigator.geolocation,
+                position => success(this.coarsen(position)), error, options);
+            if (watch) this.watches.set(id, { nativeId });
+            return id;
+        }
+
+        // The real API never answers synchronously, even when permission is already denied
+        const timer = setTimeout(() => {
+            if (watch) {
+                if (!this.watches.has(id)) return;
+                this.watches.delete(id);
+            }
+
+            if (mode === 'deny') {
+                if (typeof error === 'function') {
+                    error(this.createError(1, 'User denied Geolocation'));
+                }
+            } else {
+                const { latitude, longitude } = this.config.fixed;
+                success(this.createPosition({ latitude, longitude, accuracy: 20 }, Date.now()));
+            }
+        }, 0);
+
+        if (watch) this.watches.set(id, { timer });
+        return id;
+    }
+
+    clearWatch(id) {
+        const watch = this.watches.get(id);
+        if (!watch) return;
+
+        if (watch.timer !== undefined) {
+            clearTimeout(watch.timer);
+        }
+        if (watch.nativeId !== undefined) {
+            this.native.clearWatch.call(navigator.geolocation, watch.nativeId);
+        }
+        this.watches.delete(id);
+    }
+
+    // Positions
+
+    coarsen(position) {
+        // Snap to the centre of a grid cell the size of the radius; the same cell always
+        // reports the same point, so repeated reads cannot be averaged back to the real one
+        const radius = this.config.radius;
+        const { latitude, longitude, accuracy } = position.coords;
+
+        const latStep = radius / this.kmPerDegree;
+        const lat = Math.max(-90, Math.min(90, this.snap(latitude, latStep)));
+        const lonStep = radius / (this.kmPerDegree * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+        const lon = ((this.snap(longitude, lonStep) + 540) % 360) - 180;
+
+        return this.createPosition({
+            latitude: this.round(lat),
+            longitude: this.round(lon),
+            accuracy: Math.max(accuracy || 0, radius * 1000)
+        }, position.timestamp);
+    }
+
+    snap(value, step) {
+        return (Math.floor(value / step) + 0.5) * step;
+    }
+
+    round(value) {
+        return Math.round(value * 1e4) / 1e4;
+    }
+
+    createPosition(coords, timestamp) {
+        // Built on the native prototypes so instanceof checks behave; values are own properties
+        // because the native getters only work on objects the browser created
+        const values = {
+            latitude: coords.latitude,
+            longitude: coords.longitude,
+            accuracy: coords.accuracy,
+            altitude: null,
+            altitudeAccuracy: null,
+            heading: null,
+            speed: null
+        };
+        const coordinates = this.createNative('GeolocationCoordinates', { ...values, toJSON: () => ({ ...values }) });
+        return this.createNative('GeolocationPosition', {
+            coords: coordinates,
+            timestamp: timestamp,
+            toJSON: () => ({ coords: { ...values }, timestamp })
+        });
+    }
+
+    createError(code, message) {
+        const error = this.createNative('GeolocationPositionError', { code, message });
+        if (!window.GeolocationPositionError) {
+            Object.assign(error, { PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 });
+        }
+        return error;
+    }
+
+    createNative(interfaceName, values) {
+        const constructor = window[interfaceName];
+        const object = Object.create(constructor ? constructor.prototype : Object.prototype);
+
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(object, key, { value, enumerable: key !== 'toJSON', configurable: true });
+        });
+        return object;
+    }
+}
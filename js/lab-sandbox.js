@@ -0,0 +1,13 @@
+/**
+ * Lab Sandbox Module
+ * Builds the detector and Shield the protection lab's probes run against, inside lab-sandbox.html
+ */
+
+function createLabSandbox(options = {}) {
+    // The frame's own bus, prototypes and protections: nothing here reaches the page that opened it
+    const bus = new EventBus();
+    const detector = new PrivacyDetector({ bus, profiles: options.profiles });
+    detector.hookAPIs();
+    const shield = new Shield({ bus });
+    return { bus, detector, shield };
+}
@@ -0,0 +1,448 @@
+/**
+ * Protection Lab Module
+ * Runs real fingerprinting probes with each protection off and on, and reports what still leaks
+ */
+
+class ProtectionLab {
+    constructor(options = {}) {
+        this.profiles = options.profiles || null;
+        this.entropy = options.entropy || new EntropyModel();
+
+        // `threat` is what the detector should report for the probe; `residual` says what the page can still
+        // learn from a protected reading: 'none' for seeded per-site replacements, 'served' when the reading
+        // is reduced to a common value that still carries its own bits
+        this.probes = {
+            canvas: {
+                label: 'Canvas', protection: 'canvas', protectionLabel: 'Canvas Protection',
+                hook: 'canvas', threat: 'canvas_fingerprint', residual: 'none',
+                run: win => this.probeCanvas(win)
+            },
+            webgl: {
+                label: 'WebGL', protection: 'webgl', protectionLabel: 'WebGL Protection',
+                hook: 'webgl', threat: 'webgl_fingerprint', residual: 'served',
+                run: win => this.probeWebGL(win)
+            },
+            audio: {
+                label: 'Audio', protection: 'audio', protectionLabel: 'Audio Protection',
+                hook: 'audio', threat: 'audio_fingerprint', residual: 'none',
+                run: win => this.probeAudio(win)
+            },
+            fonts: {
+                label: 'Fonts', protection: 'fonts', protectionLabel: 'Font Protection',
+                hook: 'fonts', threat: 'font_fingerprint', residual: 'served',
+                run: win => this.probeFonts(win)
+            },
+            webrtc: {
+                label: 'WebRTC', protection: 'webrtc', protectionLabel: 'WebRTC Protection',
+                hook: null, threat: null, residual: 'none',
+                run: win => this.probeWebRTC(win)
+            },
+            navigator: {
+                label: 'Navigator properties', protection: 'fingerprint', protectionLabel: 'Fingerprint Scrambling',
+                hook: null, threat: null, residual: 'none',
+                run: win => this.probeNavigator(win)
+            },
+            storage: {
+                label: 'Storage IDs', protection: null, protectionLabel: null,
+                hook: null, threat: null, residual: 'none',
+                run: win => this.probeStorage(win)
+            }
+        };
+
+        // 20+ distinct families within the detector's window, as a probing script would measure
+        this.candidateFonts = [
+            'Arial', 'Helvetica', 'Times New Roman', 'Courier New', 'Georgia', 'Verdana',
+            'Calibri', 'Cambria', 'Candara', 'Consolas', 'Segoe UI', 'Tahoma', 'Lucida Console',
+            'Franklin Gothic Medium', 'Palatino Linotype', 'Garamond', 'Bookman Old Style', 'Gill Sans',
+            'Menlo', 'Monaco', 'Roboto', 'Ubuntu', 'DejaVu Sans', 'Liberation Sans'
+        ];
+        this.webrtcTimeout = 2000;
+        this.storageKey = 'falcon-lab-id';
+
+        // The probes run in a same-origin frame with its own detector and shield, so switching a protection
+        // off there leaves the page's protections alone and the threats the probes cause stay off its bus
+        this.sandboxPage = options.sandboxPage || 'lab-sandbox.html';
+
+        this.running = null;
+        this.lastRun = null;
+        this.listeners = [];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    run() {
+        // One run at a time: each run builds its own sandbox frame
+        if (!this.running) {
+            this.running = this.runAll().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runAll() {
+        const sandbox = await this.createSandbox();
+        const results = [];
+        try {
+            for (const key of Object.keys(this.probes)) {
+                results.push(await this.runProbe(sandbox, key));
+            }
+        } finally {
+            sandbox.frame.remove();
+        }
+
+        const modelled = results.filter(r => r.exposedBits !== null);
+        this.lastRun = {
+            timestamp: Date.now(),
+            results,
+            exposedBits: modelled.reduce((sum, r) => sum + r.exposedBits, 0),
+            removedBits: modelled.reduce((sum, r) => sum + r.removedBits, 0),
+            protectedCount: results.filter(r => r.verdict === 'protected').length,
+            leakCount: results.filter(r => ['leaks', 'partial', 'unprotected'].includes(r.verdict)).length
+        };
+        this.listeners.forEach(listener => listener(this.lastRun));
+        return this.lastRun;
+    }
+
+    createSandbox() {
+        // Laid out but out of sight, since the font probe measures text; resolves once its scripts ran
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.setAttribute('aria-hidden', 'true');
+            frame.tabIndex = -1;
+            frame.style.cssText = 'position: absolute; left: -10000px; top: 0; width: 400px; height: 200px; border: 0; visibility: hidden;';
+            frame.addEventListener('load', () => {
+                const win = frame.contentWindow;
+                try {
+                    if (!win || typeof win.createLabSandbox !== 'function') {
+                        throw new Error('Lab sandbox failed to load');
+                    }
+                    resolve({ frame, window: win, ...win.createLabSandbox({ profiles: this.profiles }) });
+                } catch (e) {
+                    frame.remove();
+                    reject(e);
+                }
+            }, { once: true });
+            frame.src = this.sandboxPage;
+            document.body.appendChild(frame);
+        });
+    }
+
+    async runProbe(sandbox, key) {
+        const probe = this.probes[key];
+        const protection = probe.protection && sandbox.shield.protectionMethods[probe.protection] ? probe.protection : null;
+
+        const exposed = await this.observe(sandbox, probe, protection, false);
+        const served = exposed.reading && protection ? await this.observe(sandbox, probe, protection, true) : null;
+
+        const exposedBits = this.getExposedBits(exposed.reading);
+        const removedBits = this.getRemovedBits(probe, exposed.reading, served);
+        let verdict = exposed.error ? 'failed' : this.getVerdict(exposed.reading, served, protection);
+        // Readings that all changed can still carry bits of the real one, such as the base fonts
+        if (verdict === 'protected' && exposedBits !== null && removedBits < exposedBits - 0.05) {
+            verdict = 'partial';
+        }
+
+        return {
+            key,
+            label: probe.label,
+            protection: protection ? probe.protectionLabel : null,
+            detection: exposed.detection,
+            verdict,
+            exposed: exposed.reading ? exposed.reading.summary : exposed.error || 'Not supported by this browser',
+            served: served ? (served.reading ? served.reading.summary : served.error) : null,
+            exposedBits,
+            removedBits
+        };
+    }
+
+    async observe(sandbox, probe, protection, enabled) {
+        if (protection) {
+            sandbox.shield.setProtectionState(protection, enabled);
+        }
+        if (probe.hook === 'fonts') {
+            sandbox.detector.resetFontProbes();
+        }
+
+        let detected = false;
+        const unsubscribe = probe.threat
+            ? sandbox.bus.on('threat', threat => {
+                if (threat.type === probe.threat) detected = true;
+            })
+            : null;
+
+        let reading = null;
+        let error = null;
+        try {
+            reading = await probe.run(sandbox.window);
+        } catch (e) {
+            error = `Failed: ${e.message}`;
+        } finally {
+            if (unsubscribe) unsubscribe();
+        }
+
+        let detection = 'unmonitored';
+        if (probe.hook) {
+            if (!sandbox.detector.isHookEnabled(probe.hook)) detection = 'hook-off';
+            else detection = detected ? 'detected' : 'missed';
+        }
+        return { reading, error, detection };
+    }
+
+    // Scoring
+
+    getVerdict(exposed, served, protection) {
+        if (!exposed) return 'unavailable';
+        if (!protection || !served) return 'unprotected';
+        // A probe the protection stops from running reads nothing at all
+        if (!served.reading) return 'protected';
+
+        const keys = Object.keys(exposed.readings);
+        const changed = keys.filter(key => served.reading.readings[key] !== exposed.readings[key]);
+        if (changed.length === keys.length) return 'protected';
+        return changed.length > 0 ? 'partial' : 'leaks';
+    }
+
+    getExposedBits(exposed) {
+        if (!exposed) return null;
+        if (exposed.bits !== undefined) return exposed.bits;
+        if (!exposed.fingerprint) return null;
+        return this.entropy.estimate(exposed.fingerprint).attributes.reduce((sum, a) => sum + a.bits, 0);
+    }
+
+    getRemovedBits(probe, exposed, served) {
+        // Bits of the real reading the page no longer learns, attribute by attribute
+        if (!exposed || !served || !exposed.fingerprint) return 0;
+        if (!served.reading) return this.getExposedBits(exposed);
+
+        const reading = served.reading;
+        const servedBits = {};
+        if (reading.fingerprint) {
+            this.entropy.estimate(reading.fingerprint).attributes.forEach(a => {
+                servedBits[a.attribute] = a.bits;
+            });
+        }
+
+        return this.entropy.estimate(exposed.fingerprint).attributes.reduce((sum, a) => {
+            if (reading.readings[a.attribute] === exposed.readings[a.attribute]) return sum;
+            const residual = probe.residual === 'served' ? servedBits[a.attribute] || 0 : 0;
+            return sum + Math.max(0, a.bits - residual);
+        }, 0);
+    }
+
+    // Probes. Each runs against the sandbox window it is given and returns comparable `readings`, a short
+    // `summary` and, where the entropy model covers it, the `fingerprint` attributes it exposes; null when
+    // the browser lacks the API.
+
+    probeCanvas(win) {
+        const canvas = win.document.createElement('canvas');
+        canvas.width = 240;
+        canvas.height = 60;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        ctx.textBaseline = 'top';
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#f60';
+        ctx.fillRect(100, 1, 62, 20);
+        ctx.fillStyle = '#069';
+        ctx.fillText('Falcon Guardian lab, \u{1F985}', 2, 15);
+        ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+        ctx.beginPath();
+        ctx.arc(200, 30, 20, 0, Math.PI * 2);
+        ctx.fill();
+
+        const dataURL = canvas.toDataURL();
+        const hash = this.hash(dataURL);
+        return { readings: { canvas: hash }, summary: `Image hash ${hash}`, fingerprint: { canvas: dataURL } };
+    }
+
+    probeWebGL(win) {
+        const canvas = win.document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        if (!gl) return null;
+
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        const vendor = gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR);
+        const renderer = gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+        const extensions = gl.getSupportedExtensions() || [];
+
+        const loseContext = gl.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
+
+        return {
+            readings: { webgl: String(renderer), webglExtensions: extensions.join(',') },
+            summary: `${renderer}, ${extensions.length} extensions`,
+            fingerprint: { webgl: { vendor, renderer } }
+        };
+    }
+
+    async probeAudio(win) {
+        const Offline = win.OfflineAudioContext || win.webkitOfflineAudioContext;
+        if (!Offline) return null;
+
+        // The oscillator -> compressor graph used by common audio fingerprinting scripts
+        const context = new Offline(1, 5000, 44100);
+        const oscillator = context.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = 10000;
+
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -50;
+        compressor.knee.value = 40;
+        compressor.ratio.value = 12;
+        compressor.attack.value = 0;
+        compressor.release.value = 0.25;
+
+        oscillator.connect(compressor);
+        compressor.connect(context.destination);
+        oscillator.start(0);
+
+        const buffer = await context.startRendering();
+        const samples = buffer.getChannelData(0);
+        let sum = 0;
+        for (let i = 4500; i < samples.length; i++) {
+            sum += Math.abs(samples[i]);
+        }
+
+        const value = sum.toPrecision(15);
+        return { readings: { audio: value }, summary: `Sample sum ${sum.toFixed(10)}`, fingerprint: { audio: true } };
+    }
+
+    probeFonts(win) {
+        const document = win.document;
+        if (!document.body) return null;
+
+        const span = document.createElement('span');
+        span.style.position = 'absolute';
+        span.style.left = '-9999px';
+        span.style.fontSize = '72px';
+        span.textContent = 'mmmmmmmmmmlli';
+        document.body.appendChild(span);
+
+        let fonts;
+        try {
+            span.style.fontFamily = 'monospace';
+            const baseline = `${span.offsetWidth}x${span.offsetHeight}`;
+            fonts = this.candidateFonts.filter(font => {
+                span.style.fontFamily = `'${font}', monospace`;
+                return `${span.offsetWidth}x${span.offsetHeight}` !== baseline;
+            });
+        } finally {
+            span.remove();
+        }
+
+        return {
+            readings: { fonts: fonts.join(',') },
+            summary: `${fonts.length} of ${this.candidateFonts.length} fonts found`,
+            fingerprint: { fonts }
+        };
+    }
+
+    probeWebRTC(win) {
+        if (!win.RTCPeerConnection) return null;
+
+        let pc;
+        try {
+            // Host candidates only: no STUN server, so nothing leaves the machine
+            pc = new win.RTCPeerConnection({ iceServers: [] });
+        } catch (e) {
+            return { readings: { webrtc: 'blocked' }, summary: 'RTCPeerConnection blocked' };
+        }
+
+        return new Promise(resolve => {
+            const addresses = new Set();
+            const finish = () => {
+                clearTimeout(timer);
+                pc.onicecandidate = null;
+                pc.close();
+                const list = [...addresses].sort();
+                resolve({
+                    readings: { webrtc: list.join(',') || 'none' },
+                    summary: list.length > 0 ? `Candidates from ${list.join(', ')}` : 'No ICE candidates'
+                });
+            };
+            const timer = setTimeout(finish, this.webrtcTimeout);
+
+            pc.onicecandidate = (e) => {
+                if (!e.candidate) {
+                    finish();
+                    return;
+                }
+                // The address is the fifth field of the candidate line: an IP or an mDNS .local name
+                const address = e.candidate.address || e.candidate.candidate.split(' ')[4];
+                if (address) addresses.add(address);
+            };
+            pc.createDataChannel('');
+            pc.createOffer().then(offer => pc.setLocalDescription(offer)).catch(finish);
+        });
+    }
+
+    probeNavigator(win) {
+        const screen = win.screen;
+        const navigator = win.navigator;
+        const plugins = Array.from(navigator.plugins || []).map(p => p.name);
+        const readings = {
+            screen: `${screen.width}x${screen.height}, ${screen.colorDepth}-bit`,
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            language: navigator.language,
+            plugins: plugins.join(','),
+            hardwareConcurrency: String(navigator.hardwareConcurrency)
+        };
+
+        return {
+            readings,
+            summary: `${navigator.platform}, ${navigator.language}, ${readings.screen}, ${navigator.hardwareConcurrency} cores`,
+            fingerprint: {
+                screen: { width: screen.width, height: screen.height, colorDepth: screen.colorDepth },
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                language: navigator.language,
+                plugins
+            }
+        };
+    }
+
+    probeStorage(win) {
+        // Writes an ID, reads it back and removes it again; any store that keeps it can single out the browser
+        const id = Math.random().toString(36).slice(2);
+        const stores = [];
+
+        [['localStorage', () => win.localStorage], ['sessionStorage', () => win.sessionStorage]].forEach(([name, get]) => {
+            try {
+                const storage = get();
+                storage.setItem(this.storageKey, id);
+                if (storage.getItem(this.storageKey) === id) stores.push(name);
+                storage.removeItem(this.storageKey);
+            } catch (e) {
+                // Blocked storage throws SecurityError on access
+            }
+        });
+
+        try {
+            win.document.cookie = `${this.storageKey}=${id}; SameSite=Strict; path=/`;
+            if (win.document.cookie.split('; ').includes(`${this.storageKey}=${id}`)) stores.push('cookie');
+            win.document.cookie = `${this.storageKey}=; max-age=0; SameSite=Strict; path=/`;
+        } catch (e) {
+            // Cookies are unavailable in sandboxed documents
+        }
+
+        return {
+            readings: { storage: stores.join(',') || 'none' },
+            summary: stores.length > 0 ? `ID kept by ${stores.join(', ')}` : 'No store kept the ID',
+            bits: stores.length > 0 ? this.entropy.populationBits : 0
+        };
+    }
+
+    hash(str) {
+        // FNV-1a, enough to tell readings apart at a glance
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Permission Monitor Module
+ * Live permission states, grant/revoke history and the permission score factor
+ */
+
+class PermissionMonitor {
+    constructor(options = {}) {
+        this.store = options.store || null;
+
+        // Every permission the Permissions API may answer for; unsupported names are skipped.
+        // `penalty` is taken off the privacy score while the permission is granted.
+        this.permissions = {
+            camera: { label: 'Camera', risk: 'high', penalty: 5 },
+            microphone: { label: 'Microphone', risk: 'high', penalty: 5 },
+            geolocation: { label: 'Location', risk: 'high', penalty: 5 },
+            'display-capture': { label: 'Screen capture', risk: 'high', penalty: 5 },
+            notifications: { label: 'Notifications', risk: 'medium', penalty: 5 },
+            'clipboard-read': { label: 'Clipboard read', risk: 'medium', penalty: 3 },
+            'storage-access': { label: 'Cross-site storage', risk: 'medium', penalty: 3 },
+            'local-fonts': { label: 'Local fonts', risk: 'medium', penalty: 3 },
+            push: { label: 'Push messages', risk: 'medium', penalty: 2, descriptor: { userVisibleOnly: true } },
+            'idle-detection': { label: 'Idle detection', risk: 'medium', penalty: 2 },
+            'window-management': { label: 'Window management', risk: 'medium', penalty: 2 },
+            accelerometer: { label: 'Accelerometer', risk: 'medium', penalty: 2 },
+            gyroscope: { label: 'Gyroscope', risk: 'medium', penalty: 2 },
+            magnetometer: { label: 'Magnetometer', risk: 'medium', penalty: 2 },
+            'ambient-light-sensor': { label: 'Ambient light', risk: 'medium', penalty: 2 },
+            nfc: { label: 'NFC', risk: 'medium', penalty: 2 },
+            midi: { label: 'MIDI devices', risk: 'low', penalty: 1 },
+            'persistent-storage': { label: 'Persistent storage', risk: 'low', penalty: 1 },
+            'payment-handler': { label: 'Payment handler', risk: 'low', penalty: 1 },
+            'background-sync': { label: 'Background sync', risk: 'low', penalty: 0 },
+            'screen-wake-lock': { label: 'Screen wake lock', risk: 'low', penalty: 0 },
+            'clipboard-write': { label: 'Clipboard write', risk: 'low', penalty: 0 }
+        };
+
+        this.statuses = new Map(); // name -> PermissionStatus, kept so their change listeners stay alive
+        this.states = new Map();   // name -> { state, since }
+        this.history = [];
+        this.maxHistory = 200;
+        this.listeners = [];
+    }
+
+    async start() {
+        if (!navigator.permissions || !navigator.permissions.query) return this.getSnapshot();
+
+        await this.loadHistory();
+
+        await Promise.all(Object.entries(this.permissions).map(async ([name, info]) => {
+            let status;
+            try {
+                status = await navigator.permissions.query({ name, ...info.descriptor });
+            } catch (e) {
+                // Browsers reject names they do not know with a TypeError
+                return;
+            }
+
+            this.statuses.set(name, status);
+            this.states.set(name, { state: status.state, since: this.getLastChange(name) });
+            status.addEventListener('change', () => this.handleChange(name, status.state));
+        }));
+
+        return this.getSnapshot();
+    }
+
+    async loadHistory() {
+        if (!this.store) return;
+        try {
+            this.history = await this.store.query('permissions', { limit: this.maxHistory });
+        } catch (e) {
+            console.warn('Could not load permission history:', e.message);
+        }
+    }
+
+    handleChange(name, state) {
+        const previous = this.states.get(name);
+        if (previous && previous.state === state) return;
+
+        const change = {
+            permission: name,
+            from: previous ? previous.state : null,
+            to: state,
+            change: this.getChangeKind(previous ? previous.state : null, state),
+            risk: this.permissions[name].risk,
+            timestamp: Date.now()
+        };
+
+        this.states.set(name, { state, since: change.timestamp });
+        this.history.push(change);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+
+        if (this.store) {
+            this.store.record('permissions', change);
+        }
+
+        this.listeners.forEach(listener => listener(change));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    getChangeKind(from, to) {
+        if (to === 'granted') return 'granted';
+        if (from === 'granted') return 'revoked';
+        return 'changed';
+    }
+
+    getLastChange(name) {
+        const last = this.history.filter(entry => entry.permission === name).pop();
+        return last ? last.timestamp : null;
+    }
+
+    // Reading
+
+    getScore() {
+        let score = 0;
+        this.states.forEach(({ state }, name) => {
+            if (state === 'granted') {
+                score -= this.permissions[name].penalty;
+            }
+        });
+        return score;
+    }
+
+    isRisky(name) {
+        const info = this.permissions[name];
+        const current = this.states.get(name);
+        return !!info && !!current && current.state === 'granted' && info.risk !== 'low';
+    }
+
+    getSnapshot() {
+        // Granted permissions first, riskiest first within each state
+        const riskOrder = { high: 0, medium: 1, low: 2 };
+        const stateOrder = { granted: 0, prompt: 1, denied: 2 };
+
+        const permissions = [...this.states.entries()].map(([name, current]) => ({
+            name,
+            label: this.permissions[name].label,
+            risk: this.permissions[name].risk,
+            state: current.state,
+            since: current.since,
+            risky: this.isRisky(name)
+        })).sort((a, b) =>
+            (stateOrder[a.state] ?? 3) - (stateOrder[b.state] ?? 3) ||
+            riskOrder[a.risk] - riskOrder[b.risk] ||
+            a.label.localeCompare(b.label)
+        );
+
+        return {
+            supported: !!(navigator.permissions && navigator.permissions.query),
+            permissions,
+            history: this.history.slice().reverse(),
+            score: this.getScore()
+        };
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Plugin Registry Module
+ * Registers third-party detectors, protections and settings panels at runtime
+ *
+ * A plugin is a plain object:
+ *   {
+ *     name: 'battery-guard',                  // unique, lowercase letters, digits and dashes
+ *     label: 'Battery Guard',                 // settings card title
+ *     detectors: { battery2: (context) => result },
+ *     protections: {
+ *       batteryGuard: {
+ *         label: 'Battery API Protection',
+ *         defaults: { strict: true, balanced: false, off: false },
+ *         enable: (context) => {}, disable: (context) => {}
+ *       }
+ *     },
+ *     renderSettings: (container, context) => {},
+ *     init: (context) => {}, destroy: (context) => {}
+ *   }
+ *
+ * Plugins loaded before the app starts push themselves onto `window.falconGuardianPlugins`;
+ * later ones call `window.falconGuardian.plugins.register(plugin)`.
+ *
+ * `context.recordThreat` returns the threat as the user's rules (rules.js) left it; a detector whose
+ * threat comes back `blocked` should refuse the call it reported.
+ */
+
+class PluginRegistry {
+    constructor(options = {}) {
+        this.bus = options.bus;
+        this.modules = options.modules;
+        this.plugins = new Map();
+        this.listeners = [];
+    }
+
+    register(plugin) {
+        this.validate(plugin);
+
+        const { detector, shield, profiles } = this.modules;
+        const entry = { plugin, unsubscribers: [] };
+        entry.context = this.createContext(entry);
+
+        Object.entries(plugin.protections || {}).forEach(([key, protection]) => {
+            profiles.registerProtection(key, protection.defaults);
+            shield.registerProtection(key, {
+                enable: () => protection.enable(entry.context),
+                disable: () => protection.disable(entry.context)
+            });
+        });
+
+        this.plugins.set(plugin.name, entry);
+
+        try {
+            if (plugin.init) plugin.init(entry.context);
+        } catch (e) {
+            this.unregister(plugin.name);
+            throw new Error(`Plugin "${plugin.name}" failed to initialize: ${e.message}`);
+        }
+
+        // Detectors registered after the initial scan run immediately, so they come after init
+        Object.entries(plugin.detectors || {}).forEach(([key, detect]) => {
+            detector.registerDetectionMethod(key, () => detect(entry.context));
+        });
+
+        // Protections start in whatever state the current site's profile gives them
+        if (shield.isActive) {
+            shield.applyProfile();
+        }
+        this.notify();
+        return entry.context;
+    }
+
+    unregister(name) {
+        const entry = this.plugins.get(name);
+        if (!entry) return false;
+
+        const { plugin, context } = entry;
+        const { detector, shield, profiles } = this.modules;
+
+        Object.keys(plugin.protections || {}).forEach(key => {
+            shield.unregisterProtection(key);
+            profiles.unregisterProtection(key);
+        });
+        Object.keys(plugin.detectors || {}).forEach(key => detector.unregisterDetectionMethod(key));
+        entry.unsubscribers.forEach(unsubscribe => unsubscribe());
+
+        this.plugins.delete(name);
+
+        try {
+            if (plugin.destroy) plugin.destroy(context);
+        } catch (e) {
+            console.error(`Plugin "${name}" failed to clean up:`, e);
+        }
+
+        this.notify();
+        return true;
+    }
+
+    validate(plugin) {
+        if (!this.modules.detector || !this.modules.shield) {
+            throw new Error('Plugins can only be registered once the app has started; queue earlier ones on window.falconGuardianPlugins');
+        }
+        if (!plugin || typeof plugin.name !== 'string' || !/^[a-z0-9-]+$/.test(plugin.name)) {
+            throw new Error('A plugin needs a name made of lowercase letters, digits and dashes');
+        }
+        if (this.plugins.has(plugin.name)) {
+            throw new Error(`Plugin "${plugin.name}" is already registered`);
+        }
+
+        const keyPattern = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+        Object.entries(plugin.detectors || {}).forEach(([key, detect]) => {
+            if (!keyPattern.test(key) || typeof detect !== 'function') {
+                throw new Error(`Plugin "${plugin.name}" has an invalid detector "${key}"`);
+            }
+            if (this.modules.detector.detectionMethods[key]) {
+                throw new Error(`Detection method "${key}" is already registered`);
+            }
+        });
+        Object.entries(plugin.protections || {}).forEach(([key, protection]) => {
+            if (!keyPattern.test(key) || !protection || typeof protection.enable !== 'function' ||
+                typeof protection.disable !== 'function') {
+                throw new Error(`Plugin "${plugin.name}" has an invalid protection "${key}"`);
+            }
+            if (this.modules.shield.protectionMethods[key]) {
+                throw new Error(`Protection "${key}" is already registered`);
+            }
+        });
+    }
+
+    createContext(entry) {
+        // Everything a plugin needs, so it never has to reach into window.falconGuardian
+        const bus = this.bus;
+        const profiles = this.modules.profiles;
+
+        return {
+            name: entry.plugin.name,
+            bus,
+            modules: this.modules,
+            on: (type, handler) => {
+                const unsubscribe = bus.on(type, handler);
+                entry.unsubscribers.push(unsubscribe);
+                return unsubscribe;
+            },
+            recordThreat: (type, severity, details = {}) => bus.emit('threat', {
+                ...details,
+                type,
+                severity,
+                origin: profiles.getCurrentOrigin(),
+                timestamp: Date.now(),
+                source: entry.plugin.name
+            }),
+            isProtectionEnabled: (key) => this.modules.shield.isProtectionActive(key)
+        };
+    }
+
+    getPlugins() {
+        return [...this.plugins.values()].map(({ plugin, context }) => ({
+            name: plugin.name,
+            label: plugin.label || plugin.name,
+            protections: Object.entries(plugin.protections || {}).map(([key, protection]) => ({
+                key,
+                label: protection.label || key
+            })),
+            detectors: Object.keys(plugin.detectors || {}),
+            renderSettings: plugin.renderSettings ? (container) => plugin.renderSettings(container, context) : null
+        }));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.getPlugins()));
+    }
+}
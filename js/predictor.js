@@ -4,64 +4,282 @@
  */
 
 class Predictor {
-    constructor() {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-predictor';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.persist = options.persist !== false;
+
         this.patterns = [];
         this.threatHistory = [];
-        this.predictionModel = null;
+
+        // Sequence model: threat-type n-grams up to `order`, interpolated Witten-Bell style down to an
+        // add-`smoothing` unigram, plus recent inter-arrival samples per arriving threat type
+        this.order = 2;
+        this.smoothing = 0.5;
+        this.maxGaps = 100;
+        this.minObservations = 3;
+        this.sessionGap = 30 * 60 * 1000; // A longer pause starts a new sequence
+        this.calibrationBins = 10;
+        this.calibrationPrior = 10; // Pseudo-observations at the raw probability in each bin
+
+        this.maxSequences = 50;
+        this.saveInterval = 10000; // Threats as they arrive are learned into a model written at most this often
+        this.saveTimer = null;
+        this.lastSave = 0;
+
+        this.model = this.createModel();
     }
     
     init() {
-        this.loadPredictionModel();
+        this.load();
     }
     
-    loadPredictionModel() {
-        // Simple pattern-based prediction model
-        this.predictionModel = {
-            // Known threat patterns
-            patterns: {
-                canvas_fingerprint: {
-                    frequency: 0.8,
-                    severity: 'medium',
-                    indicators: ['canvas_access', 'toDataURL_call']
-                },
-                webgl_fingerprint: {
-                    frequency: 0.6,
-                    severity: 'medium',
-                    indicators: ['webgl_context', 'getParameter_call']
-                },
-                geolocation_access: {
-                    frequency: 0.3,
-                    severity: 'high',
-                    indicators: ['location_request', 'gps_access']
-                },
-                tracker_network: {
-                    frequency: 0.9,
-                    severity: 'low',
-                    indicators: ['analytics_domain', 'tracking_script']
-                }
-            },
-            
-            // Behavioral patterns
-            behaviors: {
-                rapid_requests: {
-                    threshold: 10,
-                    timeWindow: 5000, // 5 seconds
-                    severity: 'medium'
-                },
-                suspicious_domains: {
-                    threshold: 3,
-                    timeWindow: 10000, // 10 seconds
-                    severity: 'high'
-                }
+    loadHistory(threats) {
+        // Seed history with persisted threats from previous sessions
+        this.threatHistory = [...threats, ...this.threatHistory]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-100);
+
+        // A first run learns from the stored history; later runs already have it in the saved model
+        if (this.model.observed === 0 && threats.length > 0) {
+            this.train(threats);
+        }
+    }
+    
+    // Persistence
+
+    createModel() {
+        return {
+            version: 1,
+            observed: 0,
+            counts: {},      // context ('' | 'a' | 'a>b') -> { next type: count }
+            gaps: {},        // arriving type, or '*' for any -> recent inter-arrival times (ms)
+            calibration: Array.from({ length: this.calibrationBins }, () => ({ predictions: 0, hits: 0 })),
+            scored: { predictions: 0, hits: 0, logLoss: 0, brier: 0 },
+            timing: { predictions: 0, inRange: 0, errors: [] },
+            sequences: {},   // origin -> { types, lastTimestamp }, so a reload carries on mid-sequence
+            lastOrigin: null
+        };
+    }
+
+    load() {
+        if (!this.persist) return;
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && stored.version === this.model.version &&
+                stored.calibration && stored.calibration.length === this.calibrationBins) {
+                this.model = { ...this.createModel(), ...stored };
+            }
+        } catch (e) {
+            console.warn('Could not read the stored prediction model:', e.message);
+        }
+    }
+
+    save() {
+        if (!this.persist) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.lastSave = Date.now();
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.model));
+        } catch (e) {
+            console.warn('Could not store the prediction model:', e.message);
+        }
+    }
+
+    scheduleSave() {
+        // A burst of threats, such as a font probe, is written once within saveInterval of the first
+        if (!this.persist || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), Math.max(0, this.lastSave + this.saveInterval - Date.now()));
+    }
+
+    reset() {
+        this.model = this.createModel();
+        this.save();
+    }
+
+    // Learning
+
+    train(threats) {
+        [...threats].sort((a, b) => a.timestamp - b.timestamp).forEach(threat => this.learn(threat));
+        this.save();
+    }
+
+    learn(threat) {
+        const origin = threat.origin || window.location.origin;
+        const timestamp = threat.timestamp || Date.now();
+
+        const sequences = this.model.sequences;
+        let sequence = sequences[origin];
+        if (!sequence || timestamp - sequence.lastTimestamp > this.sessionGap) {
+            sequence = { types: [], lastTimestamp: null };
+        }
+        delete sequences[origin];
+        sequences[origin] = sequence; // Most recently active origin last
+
+        // Prequential: the prediction made before this threat is scored against it, then the model learns
+        const gap = sequence.lastTimestamp === null ? null : Math.max(0, timestamp - sequence.lastTimestamp);
+        this.score(sequence.types, threat.type, gap);
+
+        const counts = this.model.counts;
+        for (let n = 0; n <= Math.min(this.order, sequence.types.length); n++) {
+            const context = sequence.types.slice(sequence.types.length - n).join('>');
+            counts[context] = counts[context] || {};
+            counts[context][threat.type] = (counts[context][threat.type] || 0) + 1;
+        }
+        if (gap !== null) {
+            this.addGap('*', gap);
+            this.addGap(threat.type, gap);
+        }
+
+        sequence.types = [...sequence.types, threat.type].slice(-this.order);
+        sequence.lastTimestamp = timestamp;
+        this.model.lastOrigin = origin;
+        this.model.observed++;
+
+        const origins = Object.keys(sequences);
+        origins.slice(0, Math.max(0, origins.length - this.maxSequences)).forEach(key => delete sequences[key]);
+    }
+
+    addGap(key, gap) {
+        const gaps = this.model.gaps[key] = this.model.gaps[key] || [];
+        gaps.push(gap);
+        if (gaps.length > this.maxGaps) gaps.shift();
+    }
+
+    score(types, actual, gap) {
+        const distribution = this.getDistribution(types);
+        const ranked = Object.entries(distribution).sort(([, a], [, b]) => b - a);
+        if (ranked.length === 0) return;
+
+        const [predicted, probability] = ranked[0];
+        const hit = predicted === actual;
+        const bin = this.model.calibration[Math.min(this.calibrationBins - 1, Math.floor(probability * this.calibrationBins))];
+        bin.predictions++;
+        if (hit) bin.hits++;
+
+        const scored = this.model.scored;
+        scored.predictions++;
+        if (hit) scored.hits++;
+        scored.logLoss += -Math.log2(Math.max(distribution[actual] || 0, 1e-6));
+        scored.brier += ranked.reduce((sum, [type, p]) => sum + Math.pow(p - (type === actual ? 1 : 0), 2), 0) +
+            (distribution[actual] === undefined ? 1 : 0);
+
+        // Time to the next threat, as it would have been predicted right after the previous one
+        const timing = gap === null ? null : this.getTiming(predicted, 0);
+        if (timing) {
+            const stats = this.model.timing;
+            stats.predictions++;
+            if (gap >= timing.range[0] && gap <= timing.range[1]) stats.inRange++;
+            stats.errors.push(Math.abs(gap - timing.expectedIn));
+            if (stats.errors.length > this.maxGaps) stats.errors.shift();
+        }
+    }
+
+    // Prediction
+
+    getDistribution(types) {
+        const unigram = this.model.counts[''];
+        if (!unigram) return {};
+
+        const vocabulary = Object.keys(unigram);
+        const total = this.sum(unigram);
+        const probabilities = {};
+        vocabulary.forEach(type => {
+            probabilities[type] = (unigram[type] + this.smoothing) / (total + this.smoothing * vocabulary.length);
+        });
+
+        // Each longer context refines the shorter one; contexts seen with many different successors
+        // lean more on the shorter estimate
+        for (let n = 1; n <= Math.min(this.order, types.length); n++) {
+            const following = this.model.counts[types.slice(types.length - n).join('>')];
+            if (!following) break;
+
+            const seen = this.sum(following);
+            const distinct = Object.keys(following).length;
+            vocabulary.forEach(type => {
+                probabilities[type] = ((following[type] || 0) + distinct * probabilities[type]) / (seen + distinct);
+            });
+        }
+        return probabilities;
+    }
+
+    calibrate(probability) {
+        // Shrink the raw probability towards how often predictions in its bin actually came true
+        const bin = this.model.calibration[Math.min(this.calibrationBins - 1, Math.floor(probability * this.calibrationBins))];
+        return (bin.hits + probability * this.calibrationPrior) / (bin.predictions + this.calibrationPrior);
+    }
+
+    getTiming(type, elapsed) {
+        // Median and interquartile range of the time still to wait, from the gaps that outlasted `elapsed`
+        const byType = this.model.gaps[type] || [];
+        const samples = (byType.length >= 5 ? byType : this.model.gaps['*'] || [])
+            .filter(gap => gap >= elapsed)
+            .map(gap => gap - elapsed)
+            .sort((a, b) => a - b);
+        if (samples.length === 0) return null;
+
+        const quantile = q => samples[Math.min(samples.length - 1, Math.floor(q * samples.length))];
+        return { expectedIn: quantile(0.5), range: [quantile(0.25), quantile(0.75)], samples: samples.length };
+    }
+
+    formatDuration(ms) {
+        if (ms < 1000) return 'under a second';
+        if (ms < 60000) return `${Math.round(ms / 1000)} s`;
+        if (ms < 3600000) return `${Math.round(ms / 60000)} min`;
+        return `${(ms / 3600000).toFixed(1)} h`;
+    }
+
+    formatTimeframe(expectedIn, [from, to]) {
+        // "in about 12 s (3 s – 40 s)"; sub-second times and ranges that round to one value read plainly
+        if (to < 1000) return 'within a second';
+        const expected = expectedIn < 1000 ? 'in under a second' : `in about ${this.formatDuration(expectedIn)}`;
+        if (from < 1000) return `${expected} (up to ${this.formatDuration(to)})`;
+        const [start, end] = [this.formatDuration(from), this.formatDuration(to)];
+        return start === end ? expected : `${expected} (${start} – ${end})`;
+    }
+
+    sum(counts) {
+        return Object.values(counts).reduce((sum, count) => sum + count, 0);
+    }
+
+    getStats() {
+        const { scored, timing, calibration } = this.model;
+        const errors = timing.errors.slice().sort((a, b) => a - b);
+        return {
+            observed: this.model.observed,
+            types: Object.keys(this.model.counts[''] || {}).length,
+            predictions: scored.predictions,
+            accuracy: scored.predictions ? scored.hits / scored.predictions : null,
+            logLoss: scored.predictions ? scored.logLoss / scored.predictions : null, // bits per threat
+            brier: scored.predictions ? scored.brier / scored.predictions : null,
+            calibration: calibration.map((bin, i) => ({
+                range: [i / this.calibrationBins, (i + 1) / this.calibrationBins],
+                predictions: bin.predictions,
+                accuracy: bin.predictions ? bin.hits / bin.predictions : null
+            })),
+            timing: {
+                predictions: timing.predictions,
+                // About half the gaps should land in a well calibrated interquartile range
+                rangeCoverage: timing.predictions ? timing.inRange / timing.predictions : null,
+                medianError: errors.length ? errors[Math.floor(errors.length / 2)] : null
             }
         };
     }
+
+    evaluate(threats) {
+        // Offline check against a recorded sequence (stored history or an exported session's threats):
+        // a fresh, unpersisted model predicts each threat from the ones before it, then learns it
+        const predictor = new Predictor({ persist: false });
+        [...threats].sort((a, b) => a.timestamp - b.timestamp).forEach(threat => predictor.learn(threat));
+        return predictor.getStats();
+    }
     
     analyzeThreat(threat) {
         // Add threat to history
         this.threatHistory.push({
             ...threat,
-            timestamp: Date.now()
+            timestamp: threat.timestamp || Date.now()
         });
         
         // Keep only last 100 threats
@@ -69,6 +287,10 @@ class Predictor {
             this.threatHistory = this.threatHistory.slice(-100);
         }
         
+        // Learn from every threat as it arrives
+        this.learn(threat);
+        this.scheduleSave();
+        
         // Analyze patterns
         const patterns = this.detectPatterns(threat);
         const predictions = this.generatePredictions(patterns);
@@ -80,6 +302,49 @@ class Predictor {
         };
     }
     
+    analyzeBehavior(match) {
+        // Matches of the behavior engine's traffic rules (see behaviors.js) become patterns as well
+        const patterns = [{
+            type: 'behavior',
+            rule: match.rule,
+            label: match.label,
+            count: match.value,
+            unit: match.unit,
+            timeWindow: match.timeWindow,
+            hosts: match.hosts,
+            origin: match.origin,
+            severity: match.severity
+        }];
+        
+        return {
+            match,
+            patterns,
+            predictions: this.generatePredictions(patterns)
+        };
+    }
+    
+    analyzeAnomaly(anomaly) {
+        // Departures from the anomaly detector's learned baselines (see anomalies.js) become patterns too
+        const patterns = [{
+            type: 'anomaly',
+            metric: anomaly.metric,
+            category: anomaly.category,
+            label: anomaly.label,
+            value: anomaly.value,
+            baseline: anomaly.baseline,
+            zScore: anomaly.zScore,
+            unit: anomaly.unit,
+            origin: anomaly.origin,
+            severity: anomaly.severity
+        }];
+        
+        return {
+            anomaly,
+            patterns,
+            predictions: this.generatePredictions(patterns)
+        };
+    }
+    
     detectPatterns(currentThreat) {
         const patterns = [];
         const now = Date.now();
@@ -164,39 +429,117 @@ class Predictor {
                         severity: 'critical'
                     });
                     break;
+                    
+                case 'behavior':
+                    predictions.push(this.predictFromBehavior(pattern));
+                    break;
+                    
+                case 'anomaly':
+                    predictions.push(this.predictFromAnomaly(pattern));
+                    break;
             }
         });
         
         return predictions;
     }
     
-    predictNextThreat() {
-        if (this.threatHistory.length < 3) {
-            return null;
-        }
+    predictFromBehavior(pattern) {
+        const seconds = pattern.timeWindow / 1000;
+        const hosts = pattern.hosts.slice(0, 3).join(', ') + (pattern.hosts.length > 3 ? ', …' : '');
         
-        const recentThreats = this.threatHistory.slice(-10);
-        const threatTypes = recentThreats.map(t => t.type);
+        switch (pattern.rule) {
+            case 'rapid_requests':
+                return {
+                    type: 'request_burst',
+                    message: `${pattern.count} requests within ${seconds}s on ${pattern.origin}; bursts like this often carry beacons or session recording`,
+                    confidence: 0.6,
+                    timeframe: 'next few seconds',
+                    severity: pattern.severity
+                };
+            case 'suspicious_domains':
+                return {
+                    type: 'tracker_fan_out',
+                    message: `${pattern.count} tracker domains contacted within ${seconds}s on ${pattern.origin} (${hosts}); more third-party syncing is likely`,
+                    confidence: 0.7,
+                    timeframe: 'within a minute',
+                    severity: pattern.severity
+                };
+            default:
+                return {
+                    type: 'behavior_rule',
+                    message: `${pattern.label}: ${pattern.count} ${pattern.unit} within ${seconds}s on ${pattern.origin}`,
+                    confidence: 0.5,
+                    timeframe: 'immediate',
+                    severity: pattern.severity
+                };
+        }
+    }
+    
+    predictFromAnomaly(pattern) {
+        const usual = `${pattern.baseline.toFixed(1)} usually, ${pattern.zScore.toFixed(1)} standard deviations off`;
         
-        // Simple frequency-based prediction
-        const frequency = {};
-        threatTypes.forEach(type => {
-            frequency[type] = (frequency[type] || 0) + 1;
-        });
+        switch (pattern.metric) {
+            case 'score':
+                return {
+                    type: 'score_drop',
+                    message: `Privacy score fell to ${Math.round(pattern.value)} (${usual}); something new on the page is costing privacy`,
+                    confidence: 0.6,
+                    timeframe: 'ongoing',
+                    severity: pattern.severity
+                };
+            case 'threat_rate':
+                return {
+                    type: 'threat_surge',
+                    message: `${pattern.value} ${pattern.category.replace(/_/g, ' ')} threats in 10s on ${pattern.origin} (${usual}); more are likely while the surge lasts`,
+                    confidence: 0.65,
+                    timeframe: 'next few minutes',
+                    severity: pattern.severity
+                };
+            default:
+                return {
+                    type: 'tracker_surge',
+                    message: `${pattern.value} ${pattern.unit} on ${pattern.origin} (${usual}); the site is loading more third parties than it normally does`,
+                    confidence: 0.6,
+                    timeframe: 'next few minutes',
+                    severity: pattern.severity
+                };
+        }
+    }
+    
+    predictNextThreat(origin = this.model.lastOrigin, now = Date.now()) {
+        const sequence = this.model.sequences[origin];
+        if (!sequence || this.model.observed < this.minObservations) {
+            return null;
+        }
         
-        // Find most frequent threat type
-        const mostFrequent = Object.entries(frequency)
-            .sort(([,a], [,b]) => b - a)[0];
+        // After a long pause the next threat opens a new sequence, so only the overall mix applies
+        const elapsed = Math.max(0, now - sequence.lastTimestamp);
+        const stale = elapsed > this.sessionGap;
+        const ranked = Object.entries(this.getDistribution(stale ? [] : sequence.types))
+            .sort(([, a], [, b]) => b - a);
+        if (ranked.length === 0) return null;
         
-        if (mostFrequent && mostFrequent[1] > 2) {
-            return {
-                predictedType: mostFrequent[0],
-                confidence: Math.min(0.8, mostFrequent[1] / 10),
-                timeframe: 'within 30 seconds'
-            };
+        const [predictedType, probability] = ranked[0];
+        const timing = stale ? null : this.getTiming(predictedType, elapsed);
+        let timeframe = 'no timing estimate yet';
+        if (timing) {
+            timeframe = this.formatTimeframe(timing.expectedIn, timing.range);
+        } else if (stale) {
+            timeframe = 'next session';
+        } else if (this.model.gaps['*']) {
+            timeframe = 'overdue: quiet for longer than any gap seen so far';
         }
         
-        return null;
+        return {
+            predictedType,
+            probability,
+            confidence: this.calibrate(probability),
+            alternatives: ranked.slice(1, 3).map(([type, p]) => ({ type, probability: p })),
+            expectedIn: timing ? timing.expectedIn : null,
+            range: timing ? timing.range : null,
+            timeframe,
+            origin
+        };
     }
     
     calculateRiskScore() {
@@ -275,41 +618,4 @@ class Predictor {
         if (average >= 1.5) return 'medium';
         return 'low';
     }
-    
-    // Machine learning inspired methods
-    
-    trainModel() {
-        // In a real implementation, this would use actual ML
-        // For now, we use pattern recognition
-        
-        // Analyze historical patterns
-        const patterns = this.extractPatterns();
-        this.updateModel(patterns);
-    }
-    
-    extractPatterns() {
-        const patterns = {
-            timeBased: {},
-            typeBased: {},
-            severityBased: {}
-        };
-        
-        this.threatHistory.forEach(threat => {
-            const hour = new Date(threat.timestamp).getHours();
-            patterns.timeBased[hour] = (patterns.timeBased[hour] || 0) + 1;
-            
-            patterns.typeBased[threat.type] = (patterns.typeBased[threat.type] || 0) + 1;
-            patterns.severityBased[threat.severity] = (patterns.severityBased[threat.severity] || 0) + 1;
-        });
-        
-        return patterns;
-    }
-    
-    updateModel(patterns) {
-        // Update prediction model with new patterns
-        this.predictionModel.patterns = {
-            ...this.predictionModel.patterns,
-            ...patterns
-        };
-    }
 }
@@ -0,0 +1,278 @@
+/**
+ * Protection Profiles Module
+ * Per-origin protection profiles and site allowlist
+ */
+
+class ProtectionProfiles {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-profiles';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.currentOrigin = null;
+
+        // Shield.protectionMethods keys and PrivacyDetector hook groups a profile controls
+        this.protectionKeys = ['fingerprint', 'canvas', 'webgl', 'audio', 'fonts', 'timezone', 'geolocation', 'webrtc', 'tracker'];
+        this.hookKeys = ['canvas', 'webgl', 'audio', 'fonts', 'geolocation', 'network'];
+
+        this.presets = {
+            strict: {
+                label: 'Strict',
+                protections: { fingerprint: true, canvas: true, webgl: true, audio: true, fonts: true, timezone: true, geolocation: true, webrtc: true, tracker: true },
+                hooks: { canvas: true, webgl: true, audio: true, fonts: true, geolocation: true, network: true }
+            },
+            balanced: {
+                label: 'Balanced',
+                protections: { fingerprint: false, canvas: true, webgl: false, audio: true, fonts: false, timezone: false, geolocation: false, webrtc: true, tracker: true },
+                hooks: { canvas: true, webgl: true, audio: true, fonts: true, geolocation: true, network: true }
+            },
+            off: {
+                label: 'Off',
+                protections: { fingerprint: false, canvas: false, webgl: false, audio: false, fonts: false, timezone: false, geolocation: false, webrtc: false, tracker: false },
+                hooks: { canvas: false, webgl: false, audio: false, fonts: false, geolocation: false, network: false }
+            }
+        };
+
+        this.config = {
+            defaultProfile: 'balanced',
+            sites: {}, // origin -> profile name, or { profile: 'custom', protections, hooks } of its own
+            allowlist: [],
+            custom: this.copyProfile(this.presets.balanced)
+        };
+
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored) {
+                const sites = {};
+                Object.entries(stored.sites || {}).forEach(([origin, site]) => {
+                    sites[origin] = typeof site === 'string' ? site : { profile: 'custom', ...this.normalizeProfile(site) };
+                });
+                this.config = {
+                    ...this.config,
+                    ...stored,
+                    sites,
+                    custom: this.normalizeProfile(stored.custom)
+                };
+            }
+        } catch (e) {
+            console.warn('Could not read stored protection profiles:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.config));
+        } catch (e) {
+            console.warn('Could not store protection profiles:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    copyProfile(profile) {
+        return {
+            protections: { ...profile.protections },
+            hooks: { ...profile.hooks }
+        };
+    }
+
+    normalizeProfile(profile) {
+        // Fill keys added after the profile was stored from the balanced preset
+        const base = this.copyProfile(this.presets.balanced);
+        if (!profile) return base;
+        return {
+            protections: { ...base.protections, ...profile.protections },
+            hooks: { ...base.hooks, ...profile.hooks }
+        };
+    }
+
+    normalizeOrigin(origin) {
+        const value = (origin || '').trim();
+        if (!value) return null;
+        try {
+            const url = new URL(value.includes('://') ? value : `https://${value}`);
+            return url.origin === 'null' ? value : url.origin;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    getCurrentOrigin() {
+        if (this.currentOrigin) return this.currentOrigin;
+        return window.location.origin && window.location.origin !== 'null'
+            ? window.location.origin
+            : window.location.href;
+    }
+
+    setCurrentOrigin(origin) {
+        // The extension popup edits the profile of the active tab rather than its own page
+        this.currentOrigin = this.normalizeOrigin(origin);
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    // Profile resolution
+
+    getSiteProfileName(origin) {
+        // The profile a site is set to, or null when it follows the default
+        const site = this.config.sites[origin];
+        if (!site) return null;
+        return typeof site === 'string' ? site : site.profile;
+    }
+
+    getProfileName(origin = this.getCurrentOrigin()) {
+        if (this.isAllowlisted(origin)) return 'off';
+        return this.getSiteProfileName(origin) || this.config.defaultProfile;
+    }
+
+    getProfile(origin = this.getCurrentOrigin()) {
+        const name = this.getProfileName(origin);
+        const site = this.config.sites[origin];
+        let profile;
+        if (name === 'custom') {
+            // A site with its own custom settings; the shared custom profile otherwise
+            profile = site && typeof site === 'object' && !this.isAllowlisted(origin) ? site : this.config.custom;
+        } else {
+            profile = this.presets[name] || this.presets.balanced;
+        }
+        return {
+            name,
+            allowlisted: this.isAllowlisted(origin),
+            ...this.copyProfile(profile)
+        };
+    }
+
+    isProtectionEnabled(key, origin) {
+        return this.getProfile(origin).protections[key] !== false;
+    }
+
+    isHookEnabled(key, origin) {
+        return this.getProfile(origin).hooks[key] !== false;
+    }
+
+    getProfileOptions() {
+        return [
+            ...Object.entries(this.presets).map(([name, preset]) => ({ name, label: preset.label })),
+            { name: 'custom', label: 'Custom' }
+        ];
+    }
+
+    // Editing
+
+    setDefaultProfile(name) {
+        if (!this.isValidProfile(name)) return false;
+        this.config.defaultProfile = name;
+        this.save();
+        return true;
+    }
+
+    setSiteProfile(origin, name) {
+        const normalized = this.normalizeOrigin(origin);
+        if (!normalized) return false;
+
+        if (!name || name === 'default') {
+            delete this.config.sites[normalized];
+        } else if (this.isValidProfile(name)) {
+            this.config.sites[normalized] = name;
+        } else {
+            return false;
+        }
+
+        this.save();
+        return true;
+    }
+
+    getCustomProfile(origin) {
+        // The settings the custom editor changes: the site's own, or the shared custom profile
+        const site = this.config.sites[this.normalizeOrigin(origin)];
+        return site && typeof site === 'object' ? site : this.config.custom;
+    }
+
+    setCustomSetting(kind, key, enabled, origin) {
+        const keys = kind === 'hooks' ? this.hookKeys : this.protectionKeys;
+        if (!keys.includes(key)) return false;
+
+        this.getCustomProfile(origin)[kind][key] = enabled;
+        this.save();
+        return true;
+    }
+
+    setSiteProtection(origin, key, enabled) {
+        // Changing one protection for a site gives it custom settings of its own, starting from
+        // whatever the site currently gets; other sites and the shared custom profile keep theirs
+        const normalized = this.normalizeOrigin(origin);
+        if (!normalized || !this.protectionKeys.includes(key)) return false;
+
+        let site = this.config.sites[normalized];
+        if (!site || typeof site !== 'object') {
+            site = { profile: 'custom', ...this.copyProfile(this.getProfile(normalized)) };
+            this.config.sites[normalized] = site;
+        }
+        site.protections[key] = enabled;
+        this.config.allowlist = this.config.allowlist.filter(o => o !== normalized);
+
+        this.save();
+        return true;
+    }
+
+    registerProtection(key, defaults = {}) {
+        // Plugin protections join every preset; custom profiles start from the balanced default
+        if (this.protectionKeys.includes(key)) {
+            throw new Error(`Protection "${key}" is already registered`);
+        }
+
+        this.protectionKeys.push(key);
+        Object.entries(this.presets).forEach(([name, preset]) => {
+            preset.protections[key] = name === 'off' ? false : !!defaults[name];
+        });
+        const customs = [this.config.custom, ...Object.values(this.config.sites).filter(site => typeof site === 'object')];
+        customs.forEach(custom => {
+            if (custom.protections[key] === undefined) {
+                custom.protections[key] = this.presets.balanced.protections[key];
+            }
+        });
+    }
+
+    unregisterProtection(key) {
+        // Custom profiles keep their stored value in case the plugin is registered again
+        this.protectionKeys = this.protectionKeys.filter(k => k !== key);
+        Object.values(this.presets).forEach(preset => delete preset.protections[key]);
+    }
+
+    isValidProfile(name) {
+        return name === 'custom' || Object.prototype.hasOwnProperty.call(this.presets, name);
+    }
+
+    // Allowlist
+
+    isAllowlisted(origin = this.getCurrentOrigin()) {
+        const normalized = this.normalizeOrigin(origin);
+        return !!normalized && this.config.allowlist.includes(normalized);
+    }
+
+    addToAllowlist(origin) {
+        const normalized = this.normalizeOrigin(origin);
+        if (!normalized) return false;
+
+        if (!this.config.allowlist.includes(normalized)) {
+            this.config.allowlist.push(normalized);
+            this.save();
+        }
+        return true;
+    }
+
+    removeFromAllowlist(origin) {
+        const normalized = this.normalizeOrigin(origin);
+        const before = this.config.allowlist.length;
+        this.config.allowlist = this.config.allowlist.filter(o => o !== normalized);
+        if (this.config.allowlist.length === before) return false;
+
+        this.save();
+        return true;
+    }
+}
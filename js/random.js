@@ -0,0 +1,118 @@
+/**
+ * Random Source Module
+ * Randomness for personas, spoofed values and keys: crypto.getRandomValues, or a seeded generator for reproducible runs
+ *
+ *   new RandomSource()                 // CSPRNG, the default everywhere
+ *   new RandomSource({ seed: 'test' }) // sfc32 seeded from the string; the same seed gives the same sequence.
+ *                                      //   Predictable by design, so keys made from it have no strength
+ */
+
+class RandomSource {
+    constructor(options = {}) {
+        this.seeded = options.seed !== undefined && options.seed !== null;
+        this.cryptographic = !this.seeded;
+        this.seed = this.seeded ? String(options.seed) : null;
+
+        if (this.seeded) {
+            this.state = this.createState(this.seed);
+            // The first outputs still resemble the seed, so they are dropped
+            for (let i = 0; i < 12; i++) {
+                this.nextSeeded();
+            }
+        } else if (!(window.crypto && window.crypto.getRandomValues)) {
+            throw new Error('crypto.getRandomValues is not available; pass a seed for a deterministic source instead');
+        }
+
+        // getRandomValues is called once per pool rather than once per number
+        this.pool = new Uint32Array(256);
+        this.poolIndex = this.pool.length;
+    }
+
+    createState(seed) {
+        // FNV-1a over the seed, spread over sfc32's 128-bit state by splitmix32
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        const state = new Uint32Array(4);
+        for (let i = 0; i < state.length; i++) {
+            hash = (hash + 0x9e3779b9) >>> 0;
+            let z = hash;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            state[i] = z ^ (z >>> 16);
+        }
+        return state;
+    }
+
+    nextSeeded() {
+        // sfc32 (Chris Doty-Humphrey's Small Fast Counting generator)
+        const s = this.state;
+        const t = (s[0] + s[1] + s[3]) >>> 0;
+        s[3] = s[3] + 1;
+        s[0] = s[1] ^ (s[1] >>> 9);
+        s[1] = s[2] + (s[2] << 3);
+        s[2] = ((s[2] << 21) | (s[2] >>> 11)) + t;
+        return t;
+    }
+
+    // Output
+
+    uint32() {
+        if (this.seeded) return this.nextSeeded();
+
+        if (this.poolIndex >= this.pool.length) {
+            window.crypto.getRandomValues(this.pool);
+            this.poolIndex = 0;
+        }
+        return this.pool[this.poolIndex++];
+    }
+
+    random() {
+        // A float in [0, 1) with all 53 bits of mantissa random, like Math.random
+        const high = this.uint32() >>> 5;
+        const low = this.uint32() >>> 6;
+        return (high * 67108864 + low) / 9007199254740992;
+    }
+
+    int(max) {
+        // An integer in [0, max), without the modulo bias of Math.floor(random() * max) on large ranges
+        if (!Number.isInteger(max) || max < 1 || max > 0x100000000) {
+            throw new Error('RandomSource.int needs a whole number between 1 and 2^32');
+        }
+        const limit = 0x100000000 - 0x100000000 % max;
+        let value;
+        do {
+            value = this.uint32();
+        } while (value >= limit);
+        return value % max;
+    }
+
+    bytes(length) {
+        const bytes = new Uint8Array(length);
+        if (this.seeded) {
+            for (let i = 0; i < length; i += 4) {
+                let word = this.uint32();
+                for (let j = i; j < Math.min(i + 4, length); j++) {
+                    bytes[j] = word & 0xff;
+                    word >>>= 8;
+                }
+            }
+            return bytes;
+        }
+
+        // getRandomValues fills at most 65536 bytes per call
+        for (let offset = 0; offset < length; offset += 65536) {
+            window.crypto.getRandomValues(bytes.subarray(offset, Math.min(offset + 65536, length)));
+        }
+        return bytes;
+    }
+
+    describe() {
+        return this.seeded
+            ? { kind: 'seeded', cryptographic: false, label: `sfc32 seeded with "${this.seed}"` }
+            : { kind: 'crypto', cryptographic: true, label: 'crypto.getRandomValues' };
+    }
+}
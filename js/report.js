@@ -0,0 +1,458 @@
+/**
+ * Audit Report Module
+ * Standalone, printable privacy audit report generation
+ */
+
+class AuditReportGenerator {
+    constructor() {
+        this.categories = {
+            fingerprinting: {
+                label: 'Fingerprinting',
+                types: ['canvas_fingerprint', 'webgl_fingerprint', 'audio_fingerprint', 'font_fingerprint']
+            },
+            location: {
+                label: 'Location',
+                types: ['geolocation_access']
+            },
+            tracking: {
+                label: 'Tracking',
+                types: ['tracker_detected', 'tracker_blocked']
+            },
+            device: {
+                label: 'Device & Permissions',
+                types: ['permission_change', 'battery_access', 'sensor_access', 'webrtc_leak']
+            }
+        };
+
+        this.severities = ['critical', 'high', 'medium', 'low'];
+
+        // Which Shield protection covers which fingerprint attribute
+        this.attributeProtection = {
+            screen: 'fingerprint',
+            language: 'fingerprint',
+            platform: 'fingerprint',
+            userAgent: 'fingerprint',
+            plugins: 'fingerprint',
+            canvas: 'canvas',
+            webgl: 'webgl',
+            audio: 'audio',
+            fonts: 'fonts',
+            timezone: 'timezone'
+        };
+
+        this.remediation = {
+            fingerprinting: 'Enable Fingerprint Scrambling and Canvas Protection, or apply the Strict profile to sites that repeatedly probe the canvas, WebGL or audio stack.',
+            location: 'Turn on Geolocation Protection for sites that do not need a precise location, and review which sites hold the geolocation permission.',
+            tracking: 'Keep Tracker Blocking on and add an EasyPrivacy-style list under Settings → Tracker Blocklists to cover more third-party analytics.',
+            device: 'Audit granted device permissions (camera, microphone, notifications) and revoke any that are no longer needed.',
+            protection_fingerprint: 'Fingerprint Scrambling is off for this site, so screen, platform and user agent values are exposed unchanged.',
+            protection_canvas: 'Canvas Protection is off, so canvas readouts can be used as a stable identifier.',
+            protection_webgl: 'WebGL Spoofing is off, so the unmasked GPU vendor, renderer and extension list are exposed.',
+            protection_audio: 'Audio Fingerprint Protection is off, so OfflineAudioContext renderings produce a stable device signature.',
+            protection_fonts: 'Font List Protection is off, so every installed font can be enumerated by measuring text.',
+            protection_timezone: 'Timezone Spoofing is off, so the real timezone narrows down the visitor\'s region.',
+            protection_geolocation: 'Geolocation Protection is off, so sites granted the permission receive the precise position.',
+            protection_webrtc: 'WebRTC Protection is off, so local IP addresses can leak through ICE candidates.',
+            protection_tracker: 'Tracker Blocking is off, so requests matching the blocklists are only recorded, not stopped.',
+            https: 'The page was served without HTTPS; traffic and cookies can be observed on the network.'
+        };
+    }
+
+    // Data preparation
+
+    buildReport(bundle, options = {}) {
+        const threats = bundle.threats || [];
+        const trackers = bundle.trackers || [];
+        const protections = options.protections || {};
+
+        return {
+            title: options.title || 'Privacy Audit Report',
+            generatedAt: new Date(),
+            origin: bundle.origin,
+            exportedAt: bundle.exportedAt,
+            summary: this.buildSummary(bundle, threats, trackers),
+            trend: this.buildTrend(options.scores || [], bundle.reports ? bundle.reports.history : []),
+            breakdown: this.buildBreakdown(threats),
+            inventory: this.buildInventory(bundle.fingerprint || {}, protections, options.entropy),
+            entropy: options.entropy || null,
+            trackerTables: this.buildTrackerTables(trackers),
+            advice: this.buildAdvice(threats, protections, bundle.origin)
+        };
+    }
+
+    buildSummary(bundle, threats, trackers) {
+        const score = Math.round(bundle.privacyScore || 0);
+        const severityCounts = this.countBySeverity(threats);
+        const blocked = trackers.filter(t => t.blocked).length;
+
+        let risk = 'Low';
+        if (severityCounts.critical > 0 || score < 30) risk = 'Critical';
+        else if (severityCounts.high > 0 || score < 50) risk = 'High';
+        else if (severityCounts.medium > 0 || score < 70) risk = 'Moderate';
+
+        return {
+            score,
+            risk,
+            threats: threats.length,
+            severityCounts,
+            trackersBlocked: blocked,
+            trackersAllowed: trackers.length - blocked
+        };
+    }
+
+    buildTrend(scores, dailyHistory) {
+        // Prefer raw score samples; fall back to the daily averages carried in a bundle
+        if (scores.length > 1) {
+            return scores.map(sample => ({ timestamp: sample.timestamp, score: sample.score }));
+        }
+        return (dailyHistory || [])
+            .filter(day => day.averageScore !== null)
+            .map(day => ({ timestamp: day.timestamp, score: day.averageScore }));
+    }
+
+    buildBreakdown(threats) {
+        const rows = {};
+        Object.entries(this.categories).forEach(([key, category]) => {
+            rows[key] = { label: category.label, total: 0, ...this.emptySeverityCounts() };
+        });
+        rows.other = { label: 'Other', total: 0, ...this.emptySeverityCounts() };
+
+        threats.forEach(threat => {
+            const row = rows[this.getCategory(threat.type)];
+            row.total++;
+            if (row[threat.severity] !== undefined) {
+                row[threat.severity]++;
+            }
+        });
+
+        return Object.entries(rows)
+            .filter(([, row]) => row.total > 0)
+            .map(([key, row]) => ({ key, ...row }));
+    }
+
+    buildInventory(fingerprint, protections, entropy) {
+        const bits = {};
+        if (entropy) {
+            entropy.attributes.forEach(item => { bits[item.attribute] = item.bits; });
+        }
+
+        return Object.entries(fingerprint).map(([attribute, value]) => {
+            const protection = this.attributeProtection[attribute];
+            const exposed = value !== undefined && value !== null && value !== false &&
+                !(Array.isArray(value) && value.length === 0);
+
+            return {
+                attribute,
+                value: this.summarizeValue(value),
+                exposed,
+                bits: bits[attribute] !== undefined ? bits[attribute] : null,
+                protection: protection || null,
+                protected: protection ? !!protections[protection] : false
+            };
+        });
+    }
+
+    buildTrackerTables(trackers) {
+        const hosts = {};
+
+        trackers.forEach(tracker => {
+            let host;
+            try {
+                host = new URL(tracker.url).hostname;
+            } catch (e) {
+                host = tracker.url;
+            }
+
+            if (!hosts[host]) {
+                hosts[host] = { host, requests: 0, blocked: 0, rules: new Set(), lastSeen: 0 };
+            }
+            const entry = hosts[host];
+            entry.requests++;
+            if (tracker.blocked) entry.blocked++;
+            if (tracker.rule) entry.rules.add(tracker.rule);
+            entry.lastSeen = Math.max(entry.lastSeen, tracker.timestamp || 0);
+        });
+
+        const rows = Object.values(hosts)
+            .map(entry => ({ ...entry, rules: [...entry.rules] }))
+            .sort((a, b) => b.requests - a.requests);
+
+        return {
+            blocked: rows.filter(row => row.blocked > 0),
+            allowed: rows.filter(row => row.blocked < row.requests)
+        };
+    }
+
+    buildAdvice(threats, protections, origin) {
+        const advice = [];
+        const seenCategories = new Set(threats.map(t => this.getCategory(t.type)));
+
+        Object.keys(this.categories).forEach(category => {
+            if (seenCategories.has(category)) {
+                advice.push({ topic: this.categories[category].label, text: this.remediation[category] });
+            }
+        });
+
+        Object.entries(protections).forEach(([protection, enabled]) => {
+            const text = this.remediation[`protection_${protection}`];
+            if (!enabled && text) {
+                advice.push({ topic: 'Protection settings', text });
+            }
+        });
+
+        if (origin && origin.startsWith('http:')) {
+            advice.push({ topic: 'Transport security', text: this.remediation.https });
+        }
+
+        return advice;
+    }
+
+    getCategory(type) {
+        const match = Object.entries(this.categories).find(([, category]) => category.types.includes(type));
+        return match ? match[0] : 'other';
+    }
+
+    countBySeverity(threats) {
+        const counts = this.emptySeverityCounts();
+        threats.forEach(threat => {
+            if (counts[threat.severity] !== undefined) counts[threat.severity]++;
+        });
+        return counts;
+    }
+
+    emptySeverityCounts() {
+        return { critical: 0, high: 0, medium: 0, low: 0 };
+    }
+
+    summarizeValue(value) {
+        if (value === undefined || value === null) return 'Not available';
+        if (typeof value === 'string' && value.startsWith('data:')) return `Canvas image (${value.length} bytes)`;
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+    }
+
+    // Rendering
+
+    renderHTML(report) {
+        const e = this.escape;
+        const s = report.summary;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${e(report.title)} - ${e(report.origin || '')}</title>
+<style>${this.getStylesheet()}</style>
+</head>
+<body>
+<header class="report-header">
+    <div>
+        <h1>${e(report.title)}</h1>
+        <p class="meta">${e(report.origin || 'Unknown origin')} &middot; Generated ${e(report.generatedAt.toLocaleString())}</p>
+    </div>
+    <button class="print-button" hidden>Print / Save as PDF</button>
+</header>
+
+<section>
+    <h2>Executive Summary</h2>
+    <div class="summary-grid">
+        <div class="stat"><span class="stat-value">${s.score}</span><span class="stat-label">Privacy Score</span></div>
+        <div class="stat"><span class="stat-value risk-${e(s.risk.toLowerCase())}">${e(s.risk)}</span><span class="stat-label">Risk Level</span></div>
+        <div class="stat"><span class="stat-value">${s.threats}</span><span class="stat-label">Threats Detected</span></div>
+        <div class="stat"><span class="stat-value">${s.trackersBlocked}</span><span class="stat-label">Trackers Blocked</span></div>
+    </div>
+    <p>${this.renderNarrative(report)}</p>
+</section>
+
+<section>
+    <h2>Privacy Score Trend</h2>
+    ${this.renderTrend(report.trend)}
+</section>
+
+<section>
+    <h2>Threat Breakdown by Category</h2>
+    ${report.breakdown.length ? `
+    <table>
+        <thead><tr><th>Category</th><th>Total</th>${this.severities.map(sev => `<th>${e(sev)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${report.breakdown.map(row => `
+            <tr><td>${e(row.label)}</td><td>${row.total}</td>${this.severities.map(sev => `<td>${row[sev]}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+    </table>` : '<p class="empty">No threats were recorded.</p>'}
+</section>
+
+<section>
+    <h2>Fingerprint Surface Inventory</h2>
+    ${report.entropy ? `<p>The collected attributes carry an estimated ${report.entropy.totalBits.toFixed(1)} bits of identifying information, about 1 in ${e(Math.round(report.entropy.oneIn).toLocaleString())} browsers.</p>` : ''}
+    <table>
+        <thead><tr><th>Attribute</th><th>Observed Value</th><th>Bits</th><th>Status</th></tr></thead>
+        <tbody>
+            ${report.inventory.map(item => `
+            <tr>
+                <td>${e(item.attribute)}</td>
+                <td class="mono">${e(item.value)}</td>
+                <td>${item.bits !== null ? item.bits.toFixed(1) : '—'}</td>
+                <td>${!item.exposed ? 'Not exposed' : item.protected ? `Protected (${e(item.protection)})` : 'Exposed'}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+</section>
+
+<section>
+    <h2>Blocked Trackers</h2>
+    ${this.renderTrackerTable(report.trackerTables.blocked, 'No tracker requests were blocked.')}
+    ${report.trackerTables.allowed.length ? `
+    <h3>Trackers Allowed Through</h3>
+    ${this.renderTrackerTable(report.trackerTables.allowed, '')}` : ''}
+</section>
+
+<section>
+    <h2>Remediation Advice</h2>
+    ${report.advice.length ? `
+    <ol class="advice">
+        ${report.advice.map(item => `<li><strong>${e(item.topic)}:</strong> ${e(item.text)}</li>`).join('')}
+    </ol>` : '<p class="empty">No remediation needed for this period.</p>'}
+</section>
+
+<footer>Falcon Guardian &middot; All analysis performed locally in the browser</footer>
+</body>
+</html>`;
+    }
+
+    renderNarrative(report) {
+        const s = report.summary;
+        const top = [...report.breakdown].sort((a, b) => b.total - a.total)[0];
+        const parts = [
+            `The audited origin scored ${s.score}/100, which corresponds to a ${s.risk.toLowerCase()} privacy risk.`,
+            `${s.threats} threat${s.threats === 1 ? ' was' : 's were'} detected`
+                + (top ? `, most often in the ${top.label.toLowerCase()} category.` : '.'),
+            `${s.trackersBlocked} tracker request${s.trackersBlocked === 1 ? ' was' : 's were'} blocked`
+                + (s.trackersAllowed ? ` and ${s.trackersAllowed} allowed through.` : '.')
+        ];
+        return this.escape(parts.join(' '));
+    }
+
+    renderTrend(points) {
+        if (points.length < 2) {
+            return '<p class="empty">Not enough score history to draw a trend yet.</p>';
+        }
+
+        const width = 640;
+        const height = 160;
+        const padding = 24;
+        const first = points[0].timestamp;
+        const span = Math.max(1, points[points.length - 1].timestamp - first);
+
+        const coords = points.map(point => {
+            const x = padding + ((point.timestamp - first) / span) * (width - padding * 2);
+            const y = padding + (1 - point.score / 100) * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        const scores = points.map(p => p.score);
+        return `
+    <svg class="trend" viewBox="0 0 ${width} ${height}" role="img" aria-label="Privacy score trend">
+        <line x1="${padding}" y1="${padding}" x2="${width - padding}" y2="${padding}" class="grid"/>
+        <line x1="${padding}" y1="${height / 2}" x2="${width - padding}" y2="${height / 2}" class="grid"/>
+        <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="grid"/>
+        <polyline points="${coords}" class="line"/>
+        <text x="4" y="${padding + 4}">100</text>
+        <text x="4" y="${height - padding + 4}">0</text>
+    </svg>
+    <p class="meta">${this.escape(new Date(first).toLocaleString())} – ${this.escape(new Date(points[points.length - 1].timestamp).toLocaleString())}
+        &middot; min ${Math.min(...scores)}, max ${Math.max(...scores)}, latest ${scores[scores.length - 1]}</p>`;
+    }
+
+    renderTrackerTable(rows, emptyMessage) {
+        if (rows.length === 0) {
+            return emptyMessage ? `<p class="empty">${this.escape(emptyMessage)}</p>` : '';
+        }
+
+        const e = this.escape;
+        return `
+    <table>
+        <thead><tr><th>Host</th><th>Requests</th><th>Blocked</th><th>Matched Rules</th><th>Last Seen</th></tr></thead>
+        <tbody>
+            ${rows.map(row => `
+            <tr>
+                <td class="mono">${e(row.host)}</td>
+                <td>${row.requests}</td>
+                <td>${row.blocked}</td>
+                <td class="mono">${e(row.rules.join(', ') || '–')}</td>
+                <td>${row.lastSeen ? e(new Date(row.lastSeen).toLocaleString()) : '–'}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>`;
+    }
+
+    getStylesheet() {
+        return `
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #000; background: #fff; line-height: 1.5; max-width: 900px; margin: 0 auto; padding: 34px 21px; font-size: 14px; }
+    h1 { font-size: 28px; font-weight: 600; letter-spacing: -0.02em; }
+    h2 { font-size: 18px; font-weight: 600; margin-bottom: 13px; padding-bottom: 4px; border-bottom: 1px solid #E0E0E0; }
+    h3 { font-size: 14px; font-weight: 600; margin: 13px 0 8px; }
+    section { margin-bottom: 34px; }
+    p { margin-bottom: 8px; }
+    .meta, .empty { color: #757575; font-size: 12px; }
+    .mono { font-family: 'SF Mono', 'Monaco', monospace; font-size: 12px; word-break: break-all; }
+    .report-header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 34px; }
+    .print-button { padding: 8px 13px; border: 1px solid #000; background: #000; color: #fff; border-radius: 4px; cursor: pointer; font-size: 13px; }
+    .summary-grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 13px; margin-bottom: 13px; }
+    .stat { border: 1px solid #E0E0E0; border-radius: 8px; padding: 13px; text-align: center; }
+    .stat-value { display: block; font-size: 24px; font-weight: 600; }
+    .stat-label { font-size: 12px; color: #757575; }
+    .risk-critical { color: #FF3D00; }
+    .risk-high { color: #FFB300; }
+    .risk-moderate { color: #0066FF; }
+    .risk-low { color: #00C853; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #F5F5F5; vertical-align: top; }
+    th { font-weight: 500; text-transform: capitalize; }
+    .trend { width: 100%; height: auto; }
+    .trend .grid { stroke: #E0E0E0; stroke-width: 1; }
+    .trend .line { fill: none; stroke: #0066FF; stroke-width: 2; }
+    .trend text { font-size: 10px; fill: #757575; }
+    .advice { padding-left: 21px; }
+    .advice li { margin-bottom: 8px; }
+    footer { color: #757575; font-size: 11px; border-top: 1px solid #E0E0E0; padding-top: 8px; }
+    @page { margin: 18mm 15mm; }
+    @media print {
+        body { padding: 0; max-width: none; font-size: 11pt; }
+        .print-button { display: none; }
+        section { page-break-inside: avoid; break-inside: avoid; }
+        table { page-break-inside: auto; }
+        tr { page-break-inside: avoid; break-inside: avoid; }
+        thead { display: table-header-group; }
+        .stat { border-color: #999; }
+    }`;
+    }
+
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Output
+
+    open(html) {
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const reportWindow = window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        if (reportWindow) {
+            // The report inherits the extension's CSP, which blocks inline handlers, so the print button
+            // is wired from here; a downloaded copy keeps it hidden
+            reportWindow.addEventListener('load', () => {
+                const button = reportWindow.document.querySelector('.print-button');
+                if (!button) return;
+                button.hidden = false;
+                button.addEventListener('click', () => reportWindow.print());
+            });
+        }
+        return reportWindow;
+    }
+}
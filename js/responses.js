@@ -0,0 +1,262 @@
+/**
+ * Blocked Responses Module
+ * What blocked requests get back: a faithful network failure, an empty response or a per-rule surrogate
+ */
+
+class BlockedResponses {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-blocked-responses';
+        this.storage = options.storage || null; // Defaults to localStorage
+
+        this.modes = {
+            error: { label: 'Fail like a network error' },
+            empty: { label: 'Answer with an empty response' }
+        };
+
+        // Surrogates named by a filter's `$redirect=` option; names follow uBlock Origin's resources
+        this.resources = {
+            'noop.js': { contentType: 'application/javascript', body: '(function() {})();' },
+            '1x1.gif': { contentType: 'image/gif', base64: 'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7' },
+            'noop.json': { contentType: 'application/json', body: '{}' },
+            'noop.txt': { contentType: 'text/plain', body: '' }
+        };
+        this.aliases = {
+            noopjs: 'noop.js',
+            '1x1-transparent.gif': '1x1.gif',
+            noopjson: 'noop.json',
+            nooptext: 'noop.txt'
+        };
+
+        this.config = { mode: 'error' };
+
+        // Members shadowed on an XHR while its response is emulated
+        this.xhrMembers = [
+            'readyState', 'status', 'statusText', 'response', 'responseText', 'responseURL', 'responseXML',
+            'getResponseHeader', 'getAllResponseHeaders'
+        ];
+        this.emulated = new WeakMap(); // xhr -> { state, timer } while its response is emulated
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            if (stored && this.modes[stored.mode]) {
+                this.config = { ...this.config, ...stored };
+            }
+        } catch (e) {
+            console.warn('Could not read stored blocked response settings:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify(this.config));
+        } catch (e) {
+            console.warn('Could not store blocked response settings:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.config));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setMode(mode) {
+        if (!this.modes[mode]) return false;
+        this.config.mode = mode;
+        this.save();
+        return true;
+    }
+
+    getModeOptions() {
+        return Object.entries(this.modes).map(([name, mode]) => ({ name, label: mode.label }));
+    }
+
+    // Responses
+
+    getResource(match) {
+        if (!match || !match.redirect) return null;
+        return this.resources[this.aliases[match.redirect] || match.redirect] || null;
+    }
+
+    getResponse(match) {
+        // null means the request fails as if the network refused it
+        const resource = this.getResource(match);
+        if (resource) {
+            return { status: 200, statusText: 'OK', contentType: resource.contentType, bytes: this.decode(resource) };
+        }
+        if (this.config.mode === 'empty') {
+            return { status: 204, statusText: 'No Content', contentType: '', bytes: new Uint8Array(0) };
+        }
+        return null;
+    }
+
+    getDataURL(match) {
+        const resource = this.getResource(match);
+        if (!resource) return null;
+        const base64 = resource.base64 || btoa(resource.body);
+        return `data:${resource.contentType};base64,${base64}`;
+    }
+
+    decode(resource) {
+        const binary = resource.base64 ? atob(resource.base64) : resource.body;
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    // fetch
+
+    createFetchResponse(match) {
+        const response = this.getResponse(match);
+
+        // A refused request rejects with a TypeError, never synchronously
+        return new Promise((resolve, reject) => setTimeout(() => {
+            if (!response) {
+                reject(new TypeError('Failed to fetch'));
+                return;
+            }
+            resolve(new Response(response.status === 204 ? null : response.bytes, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.contentType ? { 'Content-Type': response.contentType } : {}
+            }));
+        }, 0));
+    }
+
+    // XMLHttpRequest
+
+    respondToXHR(xhr, match, url, async) {
+        // The native object stays in the OPENED state, so the state the page reads is shadowed on the
+        // instance and the events go through the native dispatch, which also runs the on* handlers
+        const response = this.getResponse(match);
+        if (!async && !response) {
+            throw new DOMException(`Failed to execute 'send' on 'XMLHttpRequest': Failed to load '${url}'.`, 'NetworkError');
+        }
+
+        const state = { readyState: 1, status: 0, statusText: '', headers: '', bytes: new Uint8Array(0), contentType: '' };
+        const entry = { state, timer: null };
+        this.emulated.set(xhr, entry);
+        this.shadowXHR(xhr, state, url);
+
+        const fire = (type, loaded) => this.fireXHREvent(xhr, type, loaded);
+        const setReadyState = (readyState) => {
+            state.readyState = readyState;
+            fire('readystatechange');
+        };
+
+        const finish = () => {
+            entry.timer = null;
+            if (!response) {
+                setReadyState(4);
+                fire('error');
+                fire('loadend');
+                return;
+            }
+
+            Object.assign(state, {
+                status: response.status,
+                statusText: response.statusText,
+                contentType: response.contentType,
+                headers: response.contentType ? `content-type: ${response.contentType}\r\n` : ''
+            });
+            setReadyState(2);
+            state.bytes = response.bytes;
+            if (async) {
+                setReadyState(3);
+                fire('progress', response.bytes.length);
+            }
+            setReadyState(4);
+            fire('load', response.bytes.length);
+            fire('loadend', response.bytes.length);
+        };
+
+        if (!async) {
+            finish();
+            return;
+        }
+        fire('loadstart');
+        entry.timer = setTimeout(finish, 0);
+    }
+
+    abortXHR(xhr) {
+        // false when the request is not emulated and the native abort() applies
+        const entry = this.emulated.get(xhr);
+        if (!entry) return false;
+
+        const state = entry.state;
+        if (entry.timer !== null) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            Object.assign(state, { readyState: 4, status: 0, statusText: '', headers: '', contentType: '' });
+            state.bytes = new Uint8Array(0);
+            this.fireXHREvent(xhr, 'readystatechange');
+            this.fireXHREvent(xhr, 'abort');
+            this.fireXHREvent(xhr, 'loadend');
+        }
+        // An aborted request always ends up UNSENT, without a readystatechange of its own
+        state.readyState = 0;
+        return true;
+    }
+
+    fireXHREvent(xhr, type, loaded = 0) {
+        const Progress = window.ProgressEvent || Event;
+        xhr.dispatchEvent(type === 'readystatechange'
+            ? new Event(type)
+            : new Progress(type, { lengthComputable: loaded > 0, loaded, total: loaded }));
+    }
+
+    shadowXHR(xhr, state, url) {
+        const text = () => String.fromCharCode(...state.bytes);
+        const getters = {
+            readyState: () => state.readyState,
+            status: () => state.status,
+            statusText: () => state.statusText,
+            responseURL: () => state.readyState > 1 ? new URL(url, window.location.href).href : '',
+            responseXML: () => null,
+            responseText: () => text(),
+            response: () => {
+                if (state.readyState < 4 && xhr.responseType !== '' && xhr.responseType !== 'text') return null;
+                switch (xhr.responseType) {
+                    case 'json':
+                        try {
+                            return JSON.parse(text());
+                        } catch (e) {
+                            return null;
+                        }
+                    case 'arraybuffer':
+                        return state.bytes.slice().buffer;
+                    case 'blob':
+                        return new Blob([state.bytes], { type: state.contentType });
+                    case 'document':
+                        return null;
+                    default:
+                        return text();
+                }
+            }
+        };
+
+        Object.entries(getters).forEach(([key, get]) => {
+            Object.defineProperty(xhr, key, { get, configurable: true });
+        });
+        Object.defineProperty(xhr, 'getResponseHeader', {
+            value: (name) => state.readyState > 1 && state.contentType && String(name).toLowerCase() === 'content-type'
+                ? state.contentType
+                : null,
+            configurable: true
+        });
+        Object.defineProperty(xhr, 'getAllResponseHeaders', {
+            value: () => state.readyState > 1 ? state.headers : '',
+            configurable: true
+        });
+    }
+
+    resetXHR(xhr) {
+        // open() starts over with the native object
+        const entry = this.emulated.get(xhr);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        this.emulated.delete(xhr);
+        this.xhrMembers.forEach(key => delete xhr[key]);
+    }
+}
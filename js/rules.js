@@ -0,0 +1,303 @@
+/**
+ * Rule Engine Module
+ * User-defined JSON rules that re-grade, suppress, block, flag or tag threats before anything records them
+ *
+ * Rules are a JSON array, applied in order to every threat on the bus:
+ *   {
+ *     id: 'maps-location',                        // unique, lowercase letters, digits and dashes
+ *     description: 'The maps site may ask for the location',
+ *     enabled: true,
+ *     match: {                                    // every condition given must hold; {} matches all
+ *       type: 'geolocation_access',               // threat type; a list, and * and ? wildcards, work
+ *       origin: 'https://*.maps.example',         //   here and for origin and script too
+ *       script: '*://cdn.example/*',              // URL of the script that made the call
+ *       severity: ['high', 'critical'],           // severity as the threat was raised
+ *       frequency: { count: 3, window: 10000 }    // only from the 3rd such threat within 10 s on a site
+ *     },
+ *     actions: {
+ *       severity: 'low',                          // a later rule's severity wins
+ *       suppress: true,                           // never reaches the dashboard, history or score
+ *       block: true,                              // the call fails: canvas, WebGL, audio, geolocation
+ *                                                 //   and plugin detectors that honour it
+ *       notify: true,
+ *       tags: ['maps']
+ *     }
+ *   }
+ */
+
+class RuleEngine {
+    constructor(options = {}) {
+        this.storageKey = 'falcon-rules';
+        this.storage = options.storage || null; // Defaults to localStorage
+        this.bus = options.bus || new EventBus();
+
+        this.severities = ['low', 'medium', 'high', 'critical'];
+        // Threats reported after the fact, with no call left to refuse
+        this.unblockable = ['font_fingerprint', 'permission_change'];
+        this.frequencyLimits = {
+            count: { min: 1, max: 1000 },
+            window: { min: 1000, max: 24 * 60 * 60 * 1000 } // ms
+        };
+        this.ruleKeys = ['id', 'description', 'enabled', 'match', 'actions'];
+        this.matchKeys = ['type', 'origin', 'script', 'severity', 'frequency'];
+        this.actionKeys = ['severity', 'suppress', 'block', 'notify', 'tags'];
+
+        this.example = [
+            {
+                id: 'maps-location',
+                description: 'The maps site may ask for the location',
+                match: { type: 'geolocation_access', origin: 'https://maps.example.com' },
+                actions: { severity: 'low', tags: ['expected'] }
+            },
+            {
+                id: 'block-repeated-canvas',
+                description: 'Refuse canvas reads once a site makes three within ten seconds',
+                match: { type: 'canvas_fingerprint', frequency: { count: 3, window: 10000 } },
+                actions: { block: true, notify: true, tags: ['fingerprinting'] }
+            }
+        ];
+
+        this.rules = [];
+        this.history = new Map(); // `${rule id}|${origin}` -> timestamps of matching threats
+        this.hits = {};           // rule id -> threats it applied to this session
+        this.patterns = new Map(); // wildcard pattern -> RegExp
+        this.unsubscribe = null;
+        this.listeners = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse((this.storage || localStorage).getItem(this.storageKey));
+            const { rules, errors } = this.validate(stored && stored.rules ? stored.rules : []);
+            if (errors.length > 0) {
+                console.warn('Ignoring invalid stored rules:', errors.join('; '));
+            }
+            this.rules = rules;
+        } catch (e) {
+            console.warn('Could not read stored rules:', e.message);
+        }
+    }
+
+    save() {
+        try {
+            (this.storage || localStorage).setItem(this.storageKey, JSON.stringify({ rules: this.rules }));
+        } catch (e) {
+            console.warn('Could not store rules:', e.message);
+        }
+        this.listeners.forEach(listener => listener(this.rules));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Editing
+
+    setRules(input) {
+        // Takes the JSON text from the editor (or an array) and replaces every rule, or throws with all problems found
+        let rules = input;
+        if (typeof input === 'string') {
+            try {
+                rules = input.trim() === '' ? [] : JSON.parse(input);
+            } catch (e) {
+                throw new Error(`Rules are not valid JSON: ${e.message}`);
+            }
+        }
+
+        const result = this.validate(rules);
+        if (result.errors.length > 0) {
+            throw new Error(result.errors.join('\n'));
+        }
+
+        this.rules = result.rules;
+        this.history.clear();
+        this.hits = {};
+        this.save();
+        return this.rules;
+    }
+
+    toJSON() {
+        return JSON.stringify(this.rules, null, 2);
+    }
+
+    validate(rules) {
+        if (!Array.isArray(rules)) {
+            return { rules: [], errors: ['Rules must be a JSON array of rule objects'] };
+        }
+
+        const errors = [];
+        const ids = new Set();
+        rules.forEach((rule, index) => {
+            const name = rule && typeof rule.id === 'string' ? `Rule ${index + 1} ("${rule.id}")` : `Rule ${index + 1}`;
+            this.validateRule(rule, ids).forEach(problem => errors.push(`${name}: ${problem}`));
+        });
+
+        // Stored as written, so the editor shows the user's own rules back
+        return { rules: errors.length > 0 ? [] : JSON.parse(JSON.stringify(rules)), errors };
+    }
+
+    validateRule(rule, ids) {
+        if (!this.isObject(rule)) return ['must be an object'];
+
+        const problems = [];
+        const unknown = (object, keys, prefix) => Object.keys(object).filter(key => !keys.includes(key))
+            .forEach(key => problems.push(`unknown field "${prefix}${key}"`));
+        unknown(rule, this.ruleKeys, '');
+
+        if (typeof rule.id !== 'string' || !/^[a-z0-9-]+$/.test(rule.id)) {
+            problems.push('id must be lowercase letters, digits and dashes');
+        } else if (ids.has(rule.id)) {
+            problems.push('id is used by an earlier rule');
+        } else {
+            ids.add(rule.id);
+        }
+        if (rule.description !== undefined && typeof rule.description !== 'string') {
+            problems.push('description must be a string');
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            problems.push('enabled must be true or false');
+        }
+
+        const match = rule.match;
+        if (!this.isObject(match)) {
+            problems.push('match must be an object ({} matches every threat)');
+        } else {
+            unknown(match, this.matchKeys, 'match.');
+            ['type', 'origin', 'script'].forEach(key => {
+                if (match[key] !== undefined && !this.isPatternList(match[key])) {
+                    problems.push(`match.${key} must be a string or a list of strings`);
+                }
+            });
+            if (match.severity !== undefined && (!this.isPatternList(match.severity) ||
+                !this.toList(match.severity).every(severity => this.severities.includes(severity)))) {
+                problems.push(`match.severity must be one or more of ${this.severities.join(', ')}`);
+            }
+            if (match.frequency !== undefined) {
+                const frequency = match.frequency;
+                const inRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+                if (!this.isObject(frequency) || Object.keys(frequency).some(key => key !== 'count' && key !== 'window') ||
+                    !inRange(frequency.count, this.frequencyLimits.count) || !inRange(frequency.window, this.frequencyLimits.window)) {
+                    const limits = this.frequencyLimits;
+                    problems.push(`match.frequency must be { count: ${limits.count.min}-${limits.count.max}, ` +
+                        `window: ${limits.window.min}-${limits.window.max} ms }`);
+                }
+            }
+        }
+
+        const actions = rule.actions;
+        if (!this.isObject(actions) || Object.keys(actions).length === 0) {
+            problems.push(`actions must be an object with at least one of ${this.actionKeys.join(', ')}`);
+            return problems;
+        }
+        unknown(actions, this.actionKeys, 'actions.');
+        if (actions.severity !== undefined && !this.severities.includes(actions.severity)) {
+            problems.push(`actions.severity must be one of ${this.severities.join(', ')}`);
+        }
+        ['suppress', 'block', 'notify'].forEach(key => {
+            if (actions[key] !== undefined && typeof actions[key] !== 'boolean') {
+                problems.push(`actions.${key} must be true or false`);
+            }
+        });
+        if (actions.tags !== undefined && (!Array.isArray(actions.tags) ||
+            !actions.tags.every(tag => typeof tag === 'string' && /^[\w-]{1,32}$/.test(tag)))) {
+            problems.push('actions.tags must be a list of words (letters, digits, _ and -, up to 32 characters)');
+        }
+
+        const types = this.isObject(match) && match.type !== undefined && this.isPatternList(match.type) ? this.toList(match.type) : [];
+        if (actions.block && types.length > 0 && types.every(type => this.unblockable.includes(type))) {
+            problems.push(`actions.block cannot stop ${types.join(', ')}: they are reported after the fact`);
+        }
+        return problems;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isPatternList(value) {
+        return typeof value === 'string' ||
+            (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'));
+    }
+
+    toList(value) {
+        return Array.isArray(value) ? value : [value];
+    }
+
+    // Evaluation
+
+    start() {
+        if (this.unsubscribe) return;
+        this.unsubscribe = this.bus.intercept('threat', threat => this.apply(threat));
+    }
+
+    stop() {
+        if (!this.unsubscribe) return;
+        this.unsubscribe();
+        this.unsubscribe = null;
+    }
+
+    apply(threat) {
+        // A threat relayed from a tab was already evaluated there, by the same rules
+        if (Array.isArray(threat.rules)) return threat;
+
+        const origin = threat.origin || window.location.origin;
+        const result = { ...threat, rules: [] };
+        this.rules.forEach(rule => {
+            if (rule.enabled === false || !this.matches(rule.match, threat, origin)) return;
+            if (rule.match.frequency && !this.isFrequent(rule, origin, threat.timestamp)) return;
+
+            const actions = rule.actions;
+            result.rules.push(rule.id);
+            this.hits[rule.id] = (this.hits[rule.id] || 0) + 1;
+
+            if (actions.severity) result.severity = actions.severity;
+            if (actions.suppress) result.suppressed = true;
+            if (actions.block) result.blocked = true;
+            if (actions.notify) result.notify = true;
+            if (actions.tags) result.tags = [...new Set([...(result.tags || []), ...actions.tags])];
+        });
+        return result;
+    }
+
+    matches(match, threat, origin) {
+        if (match.type !== undefined && !this.matchesPattern(match.type, threat.type)) return false;
+        if (match.origin !== undefined && !this.matchesPattern(match.origin, origin)) return false;
+        if (match.script !== undefined && !(threat.script && this.matchesPattern(match.script, threat.script))) return false;
+        if (match.severity !== undefined && !this.toList(match.severity).includes(threat.severity)) return false;
+        return true;
+    }
+
+    matchesPattern(patterns, value) {
+        return this.toList(patterns).some(pattern => {
+            let regexp = this.patterns.get(pattern);
+            if (!regexp) {
+                const source = pattern.split('*')
+                    .map(part => part.split('?').map(text => text.replace(/[.+^${}()|[\]\\/]/g, '\\$&')).join('.'))
+                    .join('.*');
+                regexp = new RegExp(`^${source}$`, 'i');
+                this.patterns.set(pattern, regexp);
+            }
+            return regexp.test(String(value));
+        });
+    }
+
+    isFrequent(rule, origin, timestamp) {
+        // Counts the threats this rule's other conditions matched on the site, this one included
+        const { count, window: span } = rule.match.frequency;
+        const key = `${rule.id}|${origin}`;
+        const times = (this.history.get(key) || []).filter(time => time > timestamp - span);
+        times.push(timestamp);
+        this.history.set(key, times);
+        return times.length >= count;
+    }
+
+    getRules() {
+        return this.rules.map(rule => ({
+            id: rule.id,
+            description: rule.description || '',
+            enabled: rule.enabled !== false,
+            hits: this.hits[rule.id] || 0
+        }));
+    }
+}
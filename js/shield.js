@@ -4,18 +4,43 @@
  */
 
 class Shield {
-    constructor() {
+    constructor(options = {}) {
         this.originalFunctions = {};
         this.protectionMethods = {
+            fingerprint: {
+                enable: this.scrambleFingerprint.bind(this),
+                disable: this.restoreFingerprint.bind(this)
+            },
             canvas: {
                 enable: this.spoofCanvas.bind(this),
                 disable: this.restoreCanvas.bind(this)
             },
+            webgl: {
+                enable: this.spoofWebGL.bind(this),
+                disable: this.restoreWebGL.bind(this)
+            },
+            audio: {
+                enable: this.spoofAudio.bind(this),
+                disable: this.restoreAudio.bind(this)
+            },
+            fonts: {
+                enable: this.limitFonts.bind(this),
+                disable: this.restoreFonts.bind(this)
+            },
+            timezone: {
+                enable: this.spoofTimezone.bind(this),
+                disable: this.restoreTimezone.bind(this)
+            },
+            geolocation: {
+                enable: this.protectGeolocation.bind(this),
+                disable: this.restoreGeolocation.bind(this)
+            },
             webrtc: {
                 enable: this.blockWebRTC.bind(this),
                 disable: this.restoreWebRTC.bind(this)
             },
             tracker: {
+                // Requests are blocked in PrivacyDetector.monitorNetwork, which reads the site profile
                 enable: () => {},
                 disable: () => {}
             }
@@ -23,99 +48,145 @@ class Shield {
         
         this.isActive = false;
         this.mediaAccessBlocked = { camera: false, microphone: false };
+        this.profiles = options.profiles || null;
+        this.bus = options.bus || new EventBus();
+        this.farbling = options.farbling || new FarblingEngine();
+        this.random = options.random || this.farbling.random;
+        this.timezone = new TimezoneSpoofer();
+        this.geolocation = options.geolocation || new GeolocationGuard();
+        this.activeProtections = new Set();
+        this.spoofedProperties = [];
+        
+        // Extensions available on practically every desktop GPU, per context type (WebGL 2 folds most
+        // WebGL 1 extensions into the core and has its own). Reporting only these (when supported)
+        // hides the long tail that tells GPUs and drivers apart.
+        this.commonWebGLExtensions = {
+            WebGLRenderingContext: [
+                'ANGLE_instanced_arrays', 'EXT_blend_minmax', 'EXT_color_buffer_half_float', 'EXT_float_blend',
+                'EXT_frag_depth', 'EXT_shader_texture_lod', 'EXT_texture_filter_anisotropic', 'KHR_parallel_shader_compile',
+                'OES_element_index_uint', 'OES_standard_derivatives', 'OES_texture_float', 'OES_texture_float_linear',
+                'OES_texture_half_float', 'OES_texture_half_float_linear', 'OES_vertex_array_object',
+                'WEBGL_color_buffer_float', 'WEBGL_compressed_texture_s3tc', 'WEBGL_debug_renderer_info',
+                'WEBGL_depth_texture', 'WEBGL_draw_buffers', 'WEBGL_lose_context', 'WEBGL_multi_draw'
+            ],
+            WebGL2RenderingContext: [
+                'EXT_color_buffer_float', 'EXT_color_buffer_half_float', 'EXT_disjoint_timer_query_webgl2',
+                'EXT_float_blend', 'EXT_texture_filter_anisotropic', 'KHR_parallel_shader_compile',
+                'OES_texture_float_linear', 'WEBGL_compressed_texture_astc', 'WEBGL_compressed_texture_etc',
+                'WEBGL_compressed_texture_s3tc', 'WEBGL_debug_renderer_info', 'WEBGL_lose_context', 'WEBGL_multi_draw'
+            ]
+        };
+        
+        // Core web fonts shipped with Windows and macOS; probes only ever see these, generics and page web fonts
+        this.baseFonts = [
+            'arial', 'arial black', 'comic sans ms', 'courier new', 'georgia', 'impact',
+            'times new roman', 'trebuchet ms', 'verdana', 'webdings'
+        ];
+        this.genericFontFamilies = [
+            'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'emoji', 'math', 'fangsong',
+            'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'inherit', 'initial', 'unset'
+        ];
+        this.fontProbes = new WeakMap(); // element -> { family: inline value, limited: families to measure with or null }
+        this.fontLimitSheet = null;
+        this.fontLimitRule = null;
     }
     
     activateProtection() {
         this.isActive = true;
 
-        this.scrambleFingerprint();
-        
-        // Apply all protection methods
-        Object.values(this.protectionMethods).forEach(method => {
-            try {
-                if (method.enable) {
-                    method.enable();
-                }
-            } catch(e) {
-                console.error('Protection method failed:', e);
-            }
-        });
+        // Apply the protection methods the current site's profile enables
+        this.applyProfile();
 
         this.patchGetUserMedia();
     }
     
-    scrambleFingerprint() {
-        // Randomize various fingerprinting vectors
-        
-        // Spoof screen resolution
-        Object.defineProperty(window.screen, 'width', {
-            get: () => 1920 + Math.floor(Math.random() * 100)
-        });
-        
-        Object.defineProperty(window.screen, 'height', {
-            get: () => 1080 + Math.floor(Math.random() * 100)
+    applyProfile() {
+        Object.keys(this.protectionMethods).forEach(type => {
+            const enabled = !this.profiles || this.profiles.isProtectionEnabled(type);
+            this.setProtectionState(type, enabled);
         });
         
-        // Spoof plugin list
-        Object.defineProperty(navigator, 'plugins', {
-            get: () => {
-                const fakePlugins = [
-                    {name: 'Chrome PDF Plugin', filename: 'internal-pdf-viewer'},
-                    {name: 'Chrome PDF Viewer', filename: 'mhjfbmdgcfjbbpaeojofohoefgiehjai'},
-                    {name: 'Native Client', filename: 'internal-nacl-plugin'}
-                ];
-                return fakePlugins.slice(0, Math.floor(Math.random() * 3) + 1);
+        // The spoofed zone depends on the persona, which may have changed while the protection stayed on
+        if (this.isProtectionActive('timezone')) {
+            this.spoofTimezone();
+        }
+    }
+    
+    setProtectionState(type, enabled) {
+        const method = this.protectionMethods[type];
+        if (!method || enabled === this.activeProtections.has(type)) return;
+
+        try {
+            if (enabled) {
+                method.enable();
+                this.activeProtections.add(type);
+            } else {
+                method.disable();
+                this.activeProtections.delete(type);
             }
-        });
-        
-        // Spoof user agent
-        const userAgents = [
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        ];
-        
-        Object.defineProperty(navigator, 'userAgent', {
-            get: () => userAgents[Math.floor(Math.random() * userAgents.length)]
-        });
+        } catch(e) {
+            console.error(`Protection method ${type} failed:`, e);
+        }
+    }
+    
+    isProtectionActive(type) {
+        return this.activeProtections.has(type);
+    }
+    
+    registerProtection(type, method) {
+        if (this.protectionMethods[type]) {
+            throw new Error(`Protection "${type}" is already registered`);
+        }
+        this.protectionMethods[type] = { enable: method.enable, disable: method.disable };
+    }
+    
+    unregisterProtection(type) {
+        if (!this.protectionMethods[type]) return false;
+        this.setProtectionState(type, false);
+        delete this.protectionMethods[type];
+        return true;
+    }
+    
+    scrambleFingerprint() {
+        // Serve a seeded persona: values stay fixed for the origin until the seed rotates
+        const self = this;
+        const persona = () => self.farbling.getPersona();
         
-        // Spoof language
-        const languages = ['en-US', 'en-GB', 'en-CA', 'en-AU'];
-        Object.defineProperty(navigator, 'language', {
-            get: () => languages[Math.floor(Math.random() * languages.length)]
-        });
+        this.spoofProperty(window.screen, 'width', () => persona().screen.width);
+        this.spoofProperty(window.screen, 'height', () => persona().screen.height);
+        this.spoofProperty(window.screen, 'availWidth', () => persona().screen.availWidth);
+        this.spoofProperty(window.screen, 'availHeight', () => persona().screen.availHeight);
+        this.spoofProperty(window.screen, 'colorDepth', () => persona().screen.colorDepth);
         
-        // Spoof platform
-        const platforms = ['Win32', 'MacIntel', 'Linux x86_64'];
-        Object.defineProperty(navigator, 'platform', {
-            get: () => platforms[Math.floor(Math.random() * platforms.length)]
-        });
+        this.spoofProperty(navigator, 'userAgent', () => persona().userAgent);
+        this.spoofProperty(navigator, 'appVersion', () => persona().userAgent.replace(/^Mozilla\//, ''));
+        this.spoofProperty(navigator, 'platform', () => persona().platform);
+        this.spoofProperty(navigator, 'language', () => persona().language);
+        this.spoofProperty(navigator, 'languages', () => persona().languages.slice());
+        this.spoofProperty(navigator, 'plugins', () => persona().plugins.slice());
+        this.spoofProperty(navigator, 'hardwareConcurrency', () => persona().hardwareConcurrency);
     }
     
+    spoofProperty(target, prop, getter) {
+        Object.defineProperty(target, prop, { get: getter, configurable: true });
+        this.spoofedProperties.push([target, prop]);
+    }
+    
+    restoreFingerprint() {
+        // The spoofed values are own properties shadowing the native prototype getters
+        this.spoofedProperties.forEach(([target, prop]) => delete target[prop]);
+        this.spoofedProperties = [];
+    }
     
     spoofTimezone() {
-        // Randomize timezone
-        const timezones = [
-            'America/New_York',
-            'America/Chicago',
-            'America/Denver',
-            'America/Los_Angeles',
-            'Europe/London',
-            'Europe/Paris',
-            'Asia/Tokyo',
-            'Australia/Sydney'
-        ];
-        
-        const randomTimezone = timezones[Math.floor(Math.random() * timezones.length)];
-        
-        // Override Intl.DateTimeFormat
-        const OriginalDateTimeFormat = Intl.DateTimeFormat;
-        Intl.DateTimeFormat = function(...args) {
-            if (args[1] && !args[1].timeZone) {
-                args[1].timeZone = randomTimezone;
-            }
-            return new OriginalDateTimeFormat(...args);
-        };
+        // The zone follows the language pages see, which is the persona's while scrambling is on
+        const scrambled = this.isProtectionActive('fingerprint');
+        const language = scrambled ? this.farbling.getPersona().language : this.farbling.realNavigator.language;
+        this.timezone.enable(this.farbling.getTimezone(language), scrambled ? language : null);
+    }
+    
+    restoreTimezone() {
+        this.timezone.disable();
     }
     
     spoofBattery() {
@@ -123,10 +194,10 @@ class Shield {
         if (navigator.getBattery) {
             navigator.getBattery = async () => {
                 return {
-                    charging: Math.random() > 0.5,
-                    chargingTime: Math.random() * 3600,
-                    dischargingTime: Math.random() * 7200,
-                    level: Math.random(),
+                    charging: this.random.int(2) === 1,
+                    chargingTime: this.random.random() * 3600,
+                    dischargingTime: this.random.random() * 7200,
+                    level: this.random.random(),
                     addEventListener: () => {},
                     removeEventListener: () => {}
                 };
@@ -136,16 +207,27 @@ class Shield {
     
     // Additional protection methods
     
-    blockGeolocation() {
-        if (navigator.geolocation) {
-            navigator.geolocation.getCurrentPosition = function() {
-                throw new Error('Geolocation blocked by Falcon Guardian');
-            };
-            
-            navigator.geolocation.watchPosition = function() {
-                throw new Error('Geolocation blocked by Falcon Guardian');
-            };
-        }
+    protectGeolocation() {
+        // The guard reads its mode on every call, so mode changes apply without re-enabling
+        this.geolocation.enable(decision => this.recordGeolocationDecision(decision));
+    }
+    
+    restoreGeolocation() {
+        this.geolocation.disable();
+    }
+    
+    recordGeolocationDecision(decision) {
+        // A coarsened position still reveals the city; denied and fixed requests reveal nothing.
+        // The threat comes back as rules left it, `blocked` included
+        return this.bus.emit('threat', {
+            script: PrivacyDetector.getCallingScript(),
+            type: 'geolocation_access',
+            severity: decision.mode === 'coarsen' ? 'medium' : 'low',
+            action: decision.action,
+            method: decision.method,
+            origin: this.profiles ? this.profiles.getCurrentOrigin() : window.location.origin,
+            timestamp: Date.now()
+        });
     }
     
     blockNotifications() {
@@ -190,16 +272,16 @@ class Shield {
     // Method to enable/disable specific protections
     toggleProtection(type, enabled) {
         switch(type) {
+            case 'fingerprint':
             case 'canvas':
-                if (enabled) this.spoofCanvas();
-                else this.restoreCanvas();
-                break;
-            case 'webrtc':
-                if (enabled) this.blockWebRTC();
-                else this.restoreWebRTC();
-                break;
+            case 'webgl':
+            case 'audio':
+            case 'fonts':
+            case 'timezone':
             case 'geolocation':
-                // This protection is not currently toggleable from the UI
+            case 'webrtc':
+            case 'tracker':
+                this.setProtectionState(type, enabled);
                 break;
             case 'notifications':
                 // This protection is not currently toggleable from the UI
@@ -213,34 +295,481 @@ class Shield {
             case 'clipboard':
                 // This protection is not currently toggleable from the UI
                 break;
+            default:
+                // Protections registered by plugins
+                if (this.protectionMethods[type]) {
+                    this.setProtectionState(type, enabled);
+                }
         }
     }
 
     spoofCanvas() {
-        if (!this.originalFunctions.toDataURL) {
-            this.originalFunctions.toDataURL = HTMLCanvasElement.prototype.toDataURL;
+        // Readouts get seeded noise applied to a copy, so the page's visible canvas is never touched
+        const self = this;
+        const originals = this.originalFunctions;
+        
+        if (!originals.toDataURL) {
+            originals.toDataURL = HTMLCanvasElement.prototype.toDataURL;
+            originals.toBlob = HTMLCanvasElement.prototype.toBlob;
+            originals.getImageData = CanvasRenderingContext2D.prototype.getImageData;
+            if (window.OffscreenCanvas) {
+                originals.convertToBlob = OffscreenCanvas.prototype.convertToBlob;
+                originals.offscreenGetImageData = OffscreenCanvasRenderingContext2D.prototype.getImageData;
+            }
+            originals.readPixels = {};
+            this.getWebGLContexts().forEach(name => {
+                originals.readPixels[name] = window[name].prototype.readPixels;
+            });
         }
+        
         HTMLCanvasElement.prototype.toDataURL = function(...args) {
-            const canvas = this;
-            const ctx = canvas.getContext('2d');
+            return originals.toDataURL.apply(self.createNoisedCopy(this) || this, args);
+        };
+        
+        HTMLCanvasElement.prototype.toBlob = function(...args) {
+            return originals.toBlob.apply(self.createNoisedCopy(this) || this, args);
+        };
+        
+        const noisyGetImageData = (original) => function(sx, sy, sw, sh, ...rest) {
+            const imageData = original.call(this, sx, sy, sw, sh, ...rest);
+            self.addCanvasNoise(imageData.data, imageData.width, sw < 0 ? sx + sw : sx, sh < 0 ? sy + sh : sy);
+            return imageData;
+        };
+        CanvasRenderingContext2D.prototype.getImageData = noisyGetImageData(originals.getImageData);
+        
+        if (originals.convertToBlob) {
+            OffscreenCanvas.prototype.convertToBlob = function(...args) {
+                return originals.convertToBlob.apply(self.createNoisedCopy(this) || this, args);
+            };
+            OffscreenCanvasRenderingContext2D.prototype.getImageData = noisyGetImageData(originals.offscreenGetImageData);
+        }
+        
+        Object.entries(originals.readPixels).forEach(([name, original]) => {
+            window[name].prototype.readPixels = function(x, y, width, height, format, type, pixels, ...rest) {
+                const result = original.call(this, x, y, width, height, format, type, pixels, ...rest);
+                // Only client-side RGBA byte buffers; pixel pack buffer offsets never reach script.
+                // WebGL2 can write from dstOffset on, so only the pixels read are noised. GL counts rows
+                // up from the bottom; the noise is keyed top-left like toDataURL and getImageData, so a
+                // pixel gets the same noise whichever way it is read.
+                if (pixels instanceof Uint8Array && format === this.RGBA && type === this.UNSIGNED_BYTE) {
+                    const offset = rest[0] || 0;
+                    const top = this.drawingBufferHeight - y - height;
+                    self.addCanvasNoise(pixels.subarray(offset, offset + width * height * 4), width, x, top, true);
+                }
+                return result;
+            };
+        });
+    }
+    
+    restoreCanvas() {
+        const originals = this.originalFunctions;
+        if (!originals.toDataURL) return;
+        
+        HTMLCanvasElement.prototype.toDataURL = originals.toDataURL;
+        HTMLCanvasElement.prototype.toBlob = originals.toBlob;
+        CanvasRenderingContext2D.prototype.getImageData = originals.getImageData;
+        if (originals.convertToBlob) {
+            OffscreenCanvas.prototype.convertToBlob = originals.convertToBlob;
+            OffscreenCanvasRenderingContext2D.prototype.getImageData = originals.offscreenGetImageData;
+        }
+        Object.entries(originals.readPixels).forEach(([name, original]) => {
+            window[name].prototype.readPixels = original;
+        });
+    }
+    
+    spoofWebGL() {
+        const self = this;
+        const originals = this.originalFunctions;
+        const UNMASKED_VENDOR_WEBGL = 0x9245;
+        const UNMASKED_RENDERER_WEBGL = 0x9246;
+        
+        if (!originals.webgl) {
+            originals.webgl = {};
+            this.getWebGLContexts().forEach(name => {
+                const proto = window[name].prototype;
+                originals.webgl[name] = {
+                    getParameter: proto.getParameter,
+                    getExtension: proto.getExtension,
+                    getSupportedExtensions: proto.getSupportedExtensions,
+                    getShaderPrecisionFormat: proto.getShaderPrecisionFormat
+                };
+            });
+        }
+        
+        Object.entries(originals.webgl).forEach(([name, original]) => {
+            const proto = window[name].prototype;
+            const common = self.commonWebGLExtensions[name];
             
-            // Add random noise
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            for (let i = 0; i < imageData.data.length; i += 4) {
-                imageData.data[i] += Math.random() * 10 - 5;     // Red
-                imageData.data[i+1] += Math.random() * 10 - 5;   // Green
-                imageData.data[i+2] += Math.random() * 10 - 5;   // Blue
-            }
-            ctx.putImageData(imageData, 0, 0);
+            // Always call through so the detector's hooks still see the page's calls
+            proto.getParameter = function(pname) {
+                const value = original.getParameter.apply(this, arguments);
+                if (pname !== UNMASKED_VENDOR_WEBGL && pname !== UNMASKED_RENDERER_WEBGL) return value;
+                
+                const gpu = self.getGPUProfile();
+                if (!gpu) return value;
+                return pname === UNMASKED_VENDOR_WEBGL ? gpu.vendor : gpu.renderer;
+            };
+            
+            proto.getSupportedExtensions = function() {
+                const extensions = original.getSupportedExtensions.apply(this, arguments);
+                return extensions ? extensions.filter(ext => common.includes(ext)) : extensions;
+            };
             
-            return this.originalFunctions.toDataURL.apply(this, args);
-        }.bind(this);
+            proto.getExtension = function(extensionName) {
+                const extension = original.getExtension.apply(this, arguments);
+                // Keep getExtension consistent with the filtered getSupportedExtensions list
+                return common.includes(extensionName) ? extension : null;
+            };
+            
+            proto.getShaderPrecisionFormat = function(shaderType, precisionType) {
+                const format = original.getShaderPrecisionFormat.apply(this, arguments);
+                if (!format) return format;
+                
+                // Report the values every desktop GPU returns for high precision
+                const isFloat = precisionType === this.LOW_FLOAT || precisionType === this.MEDIUM_FLOAT || precisionType === this.HIGH_FLOAT;
+                const expected = isFloat
+                    ? { rangeMin: 127, rangeMax: 127, precision: 23 }
+                    : { rangeMin: 31, rangeMax: 30, precision: 0 };
+                const matches = Object.keys(expected).every(key => format[key] === expected[key]);
+                return matches ? format : self.createPrecisionFormat(expected);
+            };
+        });
     }
-
-    restoreCanvas() {
-        if (this.originalFunctions.toDataURL) {
-            HTMLCanvasElement.prototype.toDataURL = this.originalFunctions.toDataURL;
+    
+    createPrecisionFormat(values) {
+        // Native getters reject objects the browser did not create, so the values are own properties
+        const Format = window.WebGLShaderPrecisionFormat;
+        const format = Object.create(Format ? Format.prototype : Object.prototype);
+        Object.entries(values).forEach(([key, value]) => {
+            Object.defineProperty(format, key, { value, enumerable: true, configurable: true });
+        });
+        return format;
+    }
+    
+    restoreWebGL() {
+        if (!this.originalFunctions.webgl) return;
+        
+        Object.entries(this.originalFunctions.webgl).forEach(([name, original]) => {
+            Object.assign(window[name].prototype, original);
+        });
+    }
+    
+    spoofAudio() {
+        const self = this;
+        const originals = this.originalFunctions;
+        
+        if (!originals.audio) {
+            originals.audio = { buffer: {}, analyser: {} };
+            if (window.AudioBuffer) {
+                ['getChannelData', 'copyFromChannel'].forEach(method => {
+                    originals.audio.buffer[method] = AudioBuffer.prototype[method];
+                });
+            }
+            if (window.AnalyserNode) {
+                ['getFloatFrequencyData', 'getFloatTimeDomainData'].forEach(method => {
+                    originals.audio.analyser[method] = AnalyserNode.prototype[method];
+                });
+            }
+            this.noisedAudioChannels = new WeakMap();
+        }
+        
+        const { buffer, analyser } = originals.audio;
+        
+        if (buffer.getChannelData) {
+            // getChannelData returns the buffer's live samples, so each channel is noised exactly once
+            AudioBuffer.prototype.getChannelData = function(channel) {
+                const data = buffer.getChannelData.apply(this, arguments);
+                self.noiseAudioChannel(this, channel, data);
+                return data;
+            };
+        }
+        
+        if (buffer.copyFromChannel) {
+            AudioBuffer.prototype.copyFromChannel = function(destination, channel) {
+                if (buffer.getChannelData) {
+                    self.noiseAudioChannel(this, channel, buffer.getChannelData.call(this, channel));
+                }
+                return buffer.copyFromChannel.apply(this, arguments);
+            };
+        }
+        
+        Object.entries(analyser).forEach(([method, original]) => {
+            AnalyserNode.prototype[method] = function(array) {
+                const result = original.apply(this, arguments);
+                self.addAudioNoise(array, 0);
+                return result;
+            };
+        });
+    }
+    
+    restoreAudio() {
+        const audio = this.originalFunctions.audio;
+        if (!audio) return;
+        
+        if (window.AudioBuffer) {
+            Object.assign(AudioBuffer.prototype, audio.buffer);
         }
+        if (window.AnalyserNode) {
+            Object.assign(AnalyserNode.prototype, audio.analyser);
+        }
+    }
+    
+    noiseAudioChannel(buffer, channel, data) {
+        let channels = this.noisedAudioChannels.get(buffer);
+        if (!channels) {
+            channels = new Set();
+            this.noisedAudioChannels.set(buffer, channels);
+        }
+        if (channels.has(channel)) return;
+        
+        channels.add(channel);
+        this.addAudioNoise(data, channel);
+    }
+    
+    addAudioNoise(data, channel) {
+        // Scale each sample by a seeded factor within ±1e-5 (about -100 dB): inaudible, keeps silence
+        // silent, and still changes the sums and hashes fingerprinting scripts compute
+        const seed = this.farbling.getSeed(undefined, 'audio');
+        for (let i = 0; i < data.length; i++) {
+            const factor = this.hashPosition(seed, i, channel) / 0x100000000 - 0.5;
+            data[i] *= 1 + factor * 2e-5;
+        }
+    }
+    
+    limitFonts() {
+        // Measurements that look like font probing run as if fonts outside the base set were not installed:
+        // hidden, off-document or family-switching elements, and canvas text by the context's font.
+        const self = this;
+        const originals = this.originalFunctions;
+        
+        if (!originals.fonts) {
+            originals.fonts = {
+                offsetWidth: Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetWidth'),
+                offsetHeight: Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight'),
+                getBoundingClientRect: Element.prototype.getBoundingClientRect,
+                measureText: {}
+            };
+            ['CanvasRenderingContext2D', 'OffscreenCanvasRenderingContext2D'].filter(name => window[name]).forEach(name => {
+                originals.fonts.measureText[name] = window[name].prototype.measureText;
+            });
+        }
+        
+        const fonts = originals.fonts;
+        ['offsetWidth', 'offsetHeight'].forEach(prop => {
+            const descriptor = fonts[prop];
+            if (!descriptor || !descriptor.get) return;
+            Object.defineProperty(HTMLElement.prototype, prop, {
+                ...descriptor,
+                get() {
+                    return self.measureWithBaseFonts(this, () => descriptor.get.call(this));
+                }
+            });
+        });
+        
+        Element.prototype.getBoundingClientRect = function() {
+            return self.measureWithBaseFonts(this, () => fonts.getBoundingClientRect.apply(this, arguments));
+        };
+        
+        Object.entries(fonts.measureText).forEach(([name, original]) => {
+            window[name].prototype.measureText = function() {
+                const font = this.font;
+                const limited = self.limitFontShorthand(font);
+                if (limited === font) return original.apply(this, arguments);
+                
+                this.font = limited;
+                try {
+                    return original.apply(this, arguments);
+                } finally {
+                    this.font = font;
+                }
+            };
+        });
+    }
+    
+    restoreFonts() {
+        const fonts = this.originalFunctions.fonts;
+        if (!fonts) return;
+        
+        ['offsetWidth', 'offsetHeight'].forEach(prop => {
+            if (fonts[prop]) Object.defineProperty(HTMLElement.prototype, prop, fonts[prop]);
+        });
+        Element.prototype.getBoundingClientRect = fonts.getBoundingClientRect;
+        Object.entries(fonts.measureText).forEach(([name, original]) => {
+            window[name].prototype.measureText = original;
+        });
+    }
+    
+    measureWithBaseFonts(element, measure) {
+        // Only elements that look like font probes measure as if other fonts were missing; the page's
+        // own layout keeps its real sizes. Probing scripts switch candidates through the inline family,
+        // so the decision is made once per element and inline value and ordinary reads only look it up.
+        const family = element.style && element.style.fontFamily;
+        if (!family) return measure();
+        
+        let probe = this.fontProbes.get(element);
+        if (!probe || probe.family !== family) {
+            probe = { family, limited: this.getProbeFamilies(element, !!probe) };
+            this.fontProbes.set(element, probe);
+        }
+        return probe.limited === null ? measure() : this.measureWithFamilies(element, probe.limited, measure);
+    }
+    
+    getProbeFamilies(element, switched) {
+        // The families to measure a probe with, or null: the element must name a font outside the base
+        // set and be hidden, placed outside the document or switched from another family
+        if (!element.isConnected) return null;
+        
+        const computed = window.getComputedStyle(element);
+        const limited = this.limitFontFamilies(computed.fontFamily);
+        if (limited === computed.fontFamily) return null;
+        
+        if (switched || computed.visibility === 'hidden') return limited;
+        const rect = this.originalFunctions.fonts.getBoundingClientRect.call(element);
+        return rect.right + window.scrollX <= 0 || rect.bottom + window.scrollY <= 0 ? limited : null;
+    }
+    
+    measureWithFamilies(element, families, measure) {
+        const value = families || 'initial';
+        const style = element.style;
+        
+        // Nothing outranks an important inline declaration, so only then is the inline style rewritten
+        if (style.getPropertyPriority('font-family') === 'important') {
+            const original = style.getPropertyValue('font-family');
+            style.setProperty('font-family', value, 'important');
+            try {
+                return measure();
+            } finally {
+                style.setProperty('font-family', original, 'important');
+            }
+        }
+        
+        // Otherwise the limit goes in an adopted stylesheet, which the page's MutationObservers do not see
+        const root = element.getRootNode();
+        if (!root.adoptedStyleSheets || !window.CSSStyleSheet) return measure();
+        if (!this.fontLimitSheet) {
+            this.fontLimitSheet = new CSSStyleSheet();
+        }
+        const rule = `${this.getElementSelector(element)} { font-family: ${value} !important; }`;
+        if (rule !== this.fontLimitRule) {
+            this.fontLimitSheet.replaceSync(rule);
+            this.fontLimitRule = rule;
+        }
+        const sheets = [...root.adoptedStyleSheets];
+        root.adoptedStyleSheets = [...sheets, this.fontLimitSheet];
+        try {
+            return measure();
+        } finally {
+            root.adoptedStyleSheets = sheets;
+        }
+    }
+    
+    getElementSelector(element) {
+        // A structural path from the top of the element's tree, which matches it without marking it.
+        // In a shadow tree the path starts at the host, so it cannot match elsewhere in that tree.
+        const position = node => `:nth-child(${Array.prototype.indexOf.call(node.parentNode.children, node) + 1})`;
+        const parts = [];
+        let node = element;
+        for (; node.parentElement; node = node.parentElement) {
+            parts.unshift(position(node));
+        }
+        parts.unshift(node.parentNode.nodeType === Node.DOCUMENT_NODE ? ':root' : `:host > ${position(node)}`);
+        return parts.join(' > ');
+    }
+    
+    limitFontShorthand(font) {
+        const match = /^(.*?[\d.]+(?:px|pt|pc|em|rem|ex|ch|%|in|cm|mm|vw|vh)(?:\s*\/\s*\S+)?\s+)(.+)$/.exec(font || '');
+        if (!match) return font;
+        
+        const families = this.limitFontFamilies(match[2]);
+        if (families === match[2]) return font;
+        return match[1] + (families || 'sans-serif');
+    }
+    
+    limitFontFamilies(list) {
+        const families = list.split(',').map(family => family.trim()).filter(Boolean);
+        const allowed = families.filter(family => this.isFontAllowed(family.replace(/^['"]|['"]$/g, '')));
+        // An empty result means none of the families would be used
+        return allowed.length === families.length ? list : allowed.join(', ');
+    }
+    
+    isFontAllowed(family) {
+        const name = family.toLowerCase();
+        return this.baseFonts.includes(name) ||
+            this.genericFontFamilies.includes(name) ||
+            this.getPageFonts().has(name);
+    }
+    
+    getPageFonts() {
+        // Web fonts the page declared itself with @font-face or the FontFace API stay measurable
+        const fontSet = document.fonts;
+        if (!fontSet || typeof fontSet.forEach !== 'function') return new Set();
+        
+        if (!this.pageFonts || this.pageFonts.size !== fontSet.size) {
+            const families = new Set();
+            fontSet.forEach(face => families.add(face.family.replace(/^['"]|['"]$/g, '').toLowerCase()));
+            this.pageFonts = { size: fontSet.size, families };
+        }
+        return this.pageFonts.families;
+    }
+    
+    getGPUProfile() {
+        // Match the persona's OS while fingerprint scrambling is on, otherwise the real OS
+        const osName = this.isProtectionActive('fingerprint')
+            ? this.farbling.getPersona().os
+            : this.farbling.getRealOSName();
+        return this.farbling.getGPUProfile(osName);
+    }
+    
+    getWebGLContexts() {
+        return ['WebGLRenderingContext', 'WebGL2RenderingContext'].filter(name => window[name]);
+    }
+    
+    createNoisedCopy(canvas) {
+        const { width, height } = canvas;
+        if (!width || !height) return null;
+        
+        const offscreen = window.OffscreenCanvas && canvas instanceof OffscreenCanvas;
+        const copy = offscreen ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+        copy.width = width;
+        copy.height = height;
+        
+        const ctx = copy.getContext('2d');
+        if (!ctx) return null;
+        
+        // drawImage reads 2D and WebGL canvases alike; a tainted source throws the same SecurityError as the native readout
+        ctx.drawImage(canvas, 0, 0);
+        const getImageData = offscreen ? this.originalFunctions.offscreenGetImageData : this.originalFunctions.getImageData;
+        const imageData = getImageData.call(ctx, 0, 0, width, height);
+        this.addCanvasNoise(imageData.data, width, 0, 0);
+        ctx.putImageData(imageData, 0, 0);
+        
+        return copy;
+    }
+    
+    addCanvasNoise(data, width, offsetX = 0, offsetY = 0, bottomUp = false) {
+        // Flip the low bit of one channel in roughly 1 of 32 visible pixels. Noise is keyed on the
+        // per-origin session seed and absolute pixel position, so repeated reads return identical data.
+        // `bottomUp` data (WebGL readPixels) lists its last row first.
+        const seed = this.farbling.getSeed(undefined, 'canvas');
+        const rows = Math.floor(data.length / 4 / width);
+        
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            
+            const pixel = i / 4;
+            const row = Math.floor(pixel / width);
+            const hash = this.hashPosition(seed, offsetX + pixel % width, offsetY + (bottomUp ? rows - 1 - row : row));
+            if ((hash & 0x1f) !== 0) continue;
+            
+            data[i + (hash >>> 5) % 3] ^= 1;
+        }
+    }
+    
+    hashPosition(seed, x, y) {
+        let hash = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1);
+        hash = Math.imul(hash ^ (hash >>> 15), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        return (hash ^ (hash >>> 16)) >>> 0;
     }
 
     blockWebRTC() {
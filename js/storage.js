@@ -0,0 +1,278 @@
+/**
+ * Event Store Module
+ * Persistent threat, tracker, score, permission and anomaly history (IndexedDB with memory fallback)
+ */
+
+class EventStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'falcon-guardian';
+        this.schemaVersion = 3;
+        this.storeNames = ['threats', 'trackers', 'scores', 'permissions', 'anomalies'];
+
+        this.retention = {
+            maxAge: (options.maxAgeDays || 30) * 24 * 60 * 60 * 1000,
+            maxRecords: options.maxRecords || 5000
+        };
+
+        // Each migration upgrades the database from (version - 1) to version
+        this.migrations = {
+            1: (db) => {
+                ['threats', 'trackers', 'scores'].forEach(name => this.createStore(db, name));
+            },
+            2: (db) => {
+                this.createStore(db, 'permissions');
+            },
+            3: (db) => {
+                this.createStore(db, 'anomalies');
+            }
+        };
+
+        this.db = null;
+        this.backend = 'memory';
+        this.memory = { threats: [], trackers: [], scores: [], permissions: [], anomalies: [] };
+        this.nextMemoryId = 1;
+        this.writesSincePrune = 0;
+    }
+
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+            this.backend = 'indexeddb';
+        } catch (e) {
+            console.warn('IndexedDB unavailable, keeping history in memory only:', e.message);
+            this.db = null;
+            this.backend = 'memory';
+        }
+
+        await this.prune();
+        return this.backend;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, this.schemaVersion);
+
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                for (let version = e.oldVersion + 1; version <= this.schemaVersion; version++) {
+                    if (this.migrations[version]) {
+                        this.migrations[version](db, request.transaction);
+                    }
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('Could not open event store'));
+            request.onblocked = () => reject(new Error('Event store upgrade blocked by another tab'));
+        });
+    }
+
+    createStore(db, name) {
+        const store = db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+    }
+
+    // Writing
+
+    async record(storeName, data) {
+        this.assertStore(storeName);
+
+        const record = {
+            ...data,
+            timestamp: data.timestamp || Date.now(),
+            schemaVersion: this.schemaVersion
+        };
+
+        if (this.db) {
+            try {
+                record.id = await this.request(storeName, 'readwrite', store => store.add(record));
+            } catch (e) {
+                console.error(`Could not persist ${storeName} record:`, e);
+                return null;
+            }
+        } else {
+            record.id = this.nextMemoryId++;
+            this.memory[storeName].push(record);
+        }
+
+        this.writesSincePrune++;
+        if (this.writesSincePrune >= 500) {
+            this.prune();
+        }
+
+        return record;
+    }
+
+    async clear(storeName) {
+        const names = storeName ? [storeName] : this.storeNames;
+        for (const name of names) {
+            this.assertStore(name);
+            if (this.db) {
+                await this.request(name, 'readwrite', store => store.clear());
+            } else {
+                this.memory[name] = [];
+            }
+        }
+    }
+
+    // Reading
+
+    async query(storeName, options = {}) {
+        this.assertStore(storeName);
+
+        const since = options.since || 0;
+        const until = options.until || Date.now();
+        const limit = options.limit || Infinity;
+
+        if (!this.db) {
+            const records = this.memory[storeName]
+                .filter(r => r.timestamp >= since && r.timestamp <= until)
+                .sort((a, b) => a.timestamp - b.timestamp);
+            return records.slice(-limit);
+        }
+
+        // Walk the timestamp index newest-first so `limit` keeps the most recent records
+        const records = await new Promise((resolve, reject) => {
+            const results = [];
+            const transaction = this.db.transaction(storeName, 'readonly');
+            const index = transaction.objectStore(storeName).index('timestamp');
+            const cursorRequest = index.openCursor(IDBKeyRange.bound(since, until), 'prev');
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor && results.length < limit) {
+                    results.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(results);
+                }
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+
+        return records.reverse();
+    }
+
+    async count(storeName, options = {}) {
+        return (await this.query(storeName, options)).length;
+    }
+
+    async getDailyHistory(days = 7) {
+        // Per-day totals for the last `days` calendar days, oldest first
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (days - 1));
+
+        const [threats, trackers, scores] = await Promise.all([
+            this.query('threats', { since: start.getTime() }),
+            this.query('trackers', { since: start.getTime() }),
+            this.query('scores', { since: start.getTime() })
+        ]);
+
+        const history = [];
+        for (let i = 0; i < days; i++) {
+            const dayStart = new Date(start);
+            dayStart.setDate(start.getDate() + i);
+            const dayEnd = new Date(dayStart);
+            dayEnd.setDate(dayStart.getDate() + 1);
+
+            const inDay = r => r.timestamp >= dayStart.getTime() && r.timestamp < dayEnd.getTime();
+            const dayScores = scores.filter(inDay).map(r => r.score);
+
+            history.push({
+                date: dayStart.toDateString(),
+                timestamp: dayStart.getTime(),
+                threats: threats.filter(inDay).length,
+                trackersBlocked: trackers.filter(inDay).filter(t => t.blocked).length,
+                averageScore: dayScores.length
+                    ? Math.round(dayScores.reduce((sum, score) => sum + score, 0) / dayScores.length)
+                    : null
+            });
+        }
+
+        return history;
+    }
+
+    // Retention
+
+    async prune() {
+        this.writesSincePrune = 0;
+        const cutoff = Date.now() - this.retention.maxAge;
+
+        for (const name of this.storeNames) {
+            if (!this.db) {
+                this.memory[name] = this.memory[name]
+                    .filter(r => r.timestamp >= cutoff)
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                    .slice(-this.retention.maxRecords);
+                continue;
+            }
+
+            try {
+                await this.pruneStore(name, cutoff);
+            } catch (e) {
+                console.warn(`Could not prune ${name} history:`, e.message);
+            }
+        }
+    }
+
+    pruneStore(storeName, cutoff) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            // Drop expired records, then the oldest ones above the record limit
+            store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                    return;
+                }
+
+                const countRequest = store.count();
+                countRequest.onsuccess = () => {
+                    let excess = countRequest.result - this.retention.maxRecords;
+                    if (excess <= 0) return;
+
+                    store.index('timestamp').openCursor().onsuccess = (event) => {
+                        const oldest = event.target.result;
+                        if (oldest && excess > 0) {
+                            oldest.delete();
+                            excess--;
+                            oldest.continue();
+                        }
+                    };
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Helpers
+
+    request(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            let result;
+            request.onsuccess = () => { result = request.result; };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    assertStore(storeName) {
+        if (!this.storeNames.includes(storeName)) {
+            throw new Error(`Unknown event store: ${storeName}`);
+        }
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * Timezone Module
+ * Presents one coherent timezone across Date, Intl.DateTimeFormat and Temporal
+ */
+
+class TimezoneSpoofer {
+    constructor() {
+        this.zone = null;
+        this.locale = null;
+        this.originals = null;
+        this.offsetCache = new Map();
+
+        this.localGetters = {
+            getFullYear: 'getUTCFullYear',
+            getMonth: 'getUTCMonth',
+            getDate: 'getUTCDate',
+            getDay: 'getUTCDay',
+            getHours: 'getUTCHours',
+            getMinutes: 'getUTCMinutes',
+            getSeconds: 'getUTCSeconds',
+            getMilliseconds: 'getUTCMilliseconds'
+        };
+        this.localSetters = {
+            setFullYear: 'setUTCFullYear',
+            setMonth: 'setUTCMonth',
+            setDate: 'setUTCDate',
+            setHours: 'setUTCHours',
+            setMinutes: 'setUTCMinutes',
+            setSeconds: 'setUTCSeconds',
+            setMilliseconds: 'setUTCMilliseconds'
+        };
+        this.localeMethods = ['toLocaleString', 'toLocaleDateString', 'toLocaleTimeString'];
+        this.temporalNowMethods = ['zonedDateTimeISO', 'plainDateTimeISO', 'plainDateISO', 'plainTimeISO'];
+
+        this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    }
+
+    enable(zone, locale = null) {
+        if (!this.originals) {
+            this.captureOriginals();
+        }
+
+        // Unknown zone names would make every Intl call throw; fall back to UTC instead
+        try {
+            new this.originals.DateTimeFormat('en-US', { timeZone: zone });
+        } catch (e) {
+            zone = 'UTC';
+        }
+
+        this.zone = zone;
+        this.locale = locale;
+        this.offsetCache.clear();
+        this.partsFormatter = new this.originals.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        this.nameFormatter = new this.originals.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'long' });
+
+        if (!this.patched) {
+            this.patchDate();
+            this.patchIntl();
+            this.patchTemporal();
+            this.patched = true;
+        }
+    }
+
+    disable() {
+        if (!this.patched) return;
+
+        const { Date: OriginalDate, DateTimeFormat, dateProto, parse, temporalNow } = this.originals;
+        Object.assign(OriginalDate.prototype, dateProto);
+        OriginalDate.parse = parse;
+        OriginalDate.prototype.constructor = OriginalDate;
+        window.Date = OriginalDate;
+
+        DateTimeFormat.prototype.constructor = DateTimeFormat;
+        Intl.DateTimeFormat = DateTimeFormat;
+
+        if (temporalNow) {
+            Object.assign(window.Temporal.Now, temporalNow);
+        }
+
+        this.patched = false;
+    }
+
+    captureOriginals() {
+        const proto = Date.prototype;
+        const methods = [
+            ...Object.keys(this.localGetters), ...Object.keys(this.localSetters), ...this.localeMethods,
+            'getYear', 'getTimezoneOffset', 'toString', 'toDateString', 'toTimeString'
+        ];
+
+        this.originals = {
+            Date: Date,
+            DateTimeFormat: Intl.DateTimeFormat,
+            parse: Date.parse,
+            getTime: proto.getTime,
+            setTime: proto.setTime,
+            dateProto: {},
+            temporalNow: null
+        };
+        methods.forEach(name => {
+            if (proto[name]) this.originals.dateProto[name] = proto[name];
+        });
+
+        if (window.Temporal && window.Temporal.Now) {
+            this.originals.temporalNow = {};
+            ['timeZoneId', ...this.temporalNowMethods].forEach(name => {
+                if (window.Temporal.Now[name]) this.originals.temporalNow[name] = window.Temporal.Now[name];
+            });
+        }
+    }
+
+    // Offsets
+
+    getOffset(time) {
+        // Milliseconds east of UTC in the spoofed zone; cached per 15 minutes, the finest DST boundary
+        if (!isFinite(time)) return NaN;
+
+        const bucket = Math.floor(time / 900000);
+        if (this.offsetCache.has(bucket)) return this.offsetCache.get(bucket);
+
+        const seconds = Math.floor(time / 1000) * 1000;
+        const fields = {};
+        this.partsFormatter.formatToParts(new this.originals.Date(seconds)).forEach(part => {
+            fields[part.type] = Number(part.value);
+        });
+
+        const wall = new this.originals.Date(0);
+        wall.setUTCFullYear(fields.year, fields.month - 1, fields.day);
+        wall.setUTCHours(fields.hour, fields.minute, fields.second, 0);
+        const offset = this.originals.getTime.call(wall) - seconds;
+
+        if (this.offsetCache.size > 1000) this.offsetCache.clear();
+        this.offsetCache.set(bucket, offset);
+        return offset;
+    }
+
+    toLocalDate(date) {
+        // A Date whose UTC fields hold the wall-clock time in the spoofed zone
+        const time = this.originals.getTime.call(date);
+        return new this.originals.Date(time + this.getOffset(time));
+    }
+
+    wallToUtc(wall) {
+        // Two passes settle the offset across DST transitions
+        let time = wall - this.getOffset(wall);
+        time = wall - this.getOffset(time);
+        return time;
+    }
+
+    // Date
+
+    patchDate() {
+        const self = this;
+        const { Date: OriginalDate, getTime, setTime, dateProto } = this.originals;
+        const proto = OriginalDate.prototype;
+
+        Object.entries(this.localGetters).forEach(([name, utcName]) => {
+            proto[name] = function() {
+                return self.toLocalDate(this)[utcName]();
+            };
+        });
+
+        proto.getYear = function() {
+            return self.toLocalDate(this).getUTCFullYear() - 1900;
+        };
+
+        Object.entries(this.localSetters).forEach(([name, utcName]) => {
+            proto[name] = function(...args) {
+                let time = getTime.call(this);
+                if (isNaN(time)) {
+                    // Only setFullYear revives an invalid date, starting from local midnight 1970-01-01
+                    if (name !== 'setFullYear') return dateProto[name].apply(this, args);
+                    time = self.wallToUtc(0);
+                }
+
+                const local = new OriginalDate(time + self.getOffset(time));
+                local[utcName](...args);
+                const wall = getTime.call(local);
+                return setTime.call(this, isNaN(wall) ? NaN : self.wallToUtc(wall));
+            };
+        });
+
+        proto.getTimezoneOffset = function() {
+            const time = getTime.call(this);
+            return isNaN(time) ? NaN : (0 - self.getOffset(time)) / 60000;
+        };
+
+        proto.toString = function() {
+            return self.formatDate(this, true, true);
+        };
+        proto.toDateString = function() {
+            return self.formatDate(this, true, false);
+        };
+        proto.toTimeString = function() {
+            return self.formatDate(this, false, true);
+        };
+
+        this.localeMethods.forEach(name => {
+            proto[name] = function(locales, options) {
+                return dateProto[name].call(this, ...self.withZone(locales, options));
+            };
+        });
+
+        OriginalDate.parse = function(text) {
+            return self.parse(text);
+        };
+
+        const SpoofedDate = new Proxy(OriginalDate, {
+            construct(target, args, newTarget) {
+                if (args.length >= 2) {
+                    // Component form is local time
+                    const wall = OriginalDate.UTC(...args);
+                    args = [isNaN(wall) ? NaN : self.wallToUtc(wall)];
+                } else if (args.length === 1 && typeof args[0] === 'string') {
+                    args = [self.parse(args[0])];
+                }
+                return Reflect.construct(target, args, newTarget);
+            },
+            apply() {
+                // Date() called as a function returns the current time as a string
+                return self.formatDate(new OriginalDate(), true, true);
+            }
+        });
+
+        proto.constructor = SpoofedDate;
+        window.Date = SpoofedDate;
+    }
+
+    parse(text) {
+        const time = this.originals.parse(text);
+        if (isNaN(time) || !this.isLocalDateString(String(text))) return time;
+
+        // The engine parsed it in the real local zone; reinterpret the same wall-clock time
+        const realOffset = -this.originals.dateProto.getTimezoneOffset.call(new this.originals.Date(time)) * 60000;
+        return this.wallToUtc(time + realOffset);
+    }
+
+    isLocalDateString(text) {
+        const value = text.trim();
+        // Date-only ISO strings are UTC; anything naming an offset or zone is absolute
+        if (/^[+-]?\d{4,6}(-\d{2}(-\d{2})?)?$/.test(value)) return false;
+        return !/(?:\dZ|[+-]\d{2}:?\d{2}$|\b(?:GMT|UTC|UT)\b|\b[ECMP][SD]T\b)/i.test(value);
+    }
+
+    formatDate(date, includeDate, includeTime) {
+        const time = this.originals.getTime.call(date);
+        if (isNaN(time)) return 'Invalid Date';
+
+        const local = this.toLocalDate(date);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const parts = [];
+
+        if (includeDate) {
+            const year = local.getUTCFullYear();
+            const yearText = year >= 0 ? pad(year, 4) : `-${pad(-year, 6)}`;
+            parts.push(`${this.dayNames[local.getUTCDay()]} ${this.monthNames[local.getUTCMonth()]} ${pad(local.getUTCDate())} ${yearText}`);
+        }
+
+        if (includeTime) {
+            const offsetMinutes = Math.round(this.getOffset(time) / 60000);
+            const sign = offsetMinutes >= 0 ? '+' : '-';
+            const absolute = Math.abs(offsetMinutes);
+            const zoneName = this.nameFormatter.formatToParts(new this.originals.Date(time))
+                .find(part => part.type === 'timeZoneName');
+
+            parts.push(`${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())} ` +
+                `GMT${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}` +
+                (zoneName ? ` (${zoneName.value})` : ''));
+        }
+
+        return parts.join(' ');
+    }
+
+    // Intl
+
+    withZone(locales, options) {
+        const resolvedLocales = locales === undefined && this.locale ? this.locale : locales;
+        const hasZone = options !== undefined && options !== null && options.timeZone !== undefined;
+        return [resolvedLocales, hasZone ? options : { ...options, timeZone: this.zone }];
+    }
+
+    patchIntl() {
+        const self = this;
+        const OriginalDateTimeFormat = this.originals.DateTimeFormat;
+
+        // A Proxy keeps instanceof, the prototype and static methods such as supportedLocalesOf intact
+        const SpoofedDateTimeFormat = new Proxy(OriginalDateTimeFormat, {
+            construct(target, args, newTarget) {
+                return Reflect.construct(target, self.withZone(args[0], args[1]), newTarget);
+            },
+            apply(target, thisArg, args) {
+                return Reflect.apply(target, thisArg, self.withZone(args[0], args[1]));
+            }
+        });
+
+        OriginalDateTimeFormat.prototype.constructor = SpoofedDateTimeFormat;
+        Intl.DateTimeFormat = SpoofedDateTimeFormat;
+    }
+
+    // Temporal
+
+    patchTemporal() {
+        const self = this;
+        const originals = this.originals.temporalNow;
+        if (!originals) return;
+
+        const now = window.Temporal.Now;
+        if (originals.timeZoneId) {
+            now.timeZoneId = function() {
+                return self.zone;
+            };
+        }
+
+        this.temporalNowMethods.forEach(name => {
+            if (!originals[name]) return;
+            now[name] = function(timeZone, ...rest) {
+                return originals[name].call(this, timeZone === undefined ? self.zone : timeZone, ...rest);
+            };
+        });
+    }
+}
@@ -4,12 +4,64 @@
  */
 
 class Visualizer {
-    constructor() {
+    constructor(options = {}) {
         this.radarCanvas = null;
         this.radarCtx = null;
         this.timelineCanvas = null;
         this.timelineCtx = null;
         this.animationFrameId = null;
+        this.history = [];
+        this.threats = [];
+        this.events = [];
+        this.maxThreats = 500;
+        
+        this.bus = options.bus || new EventBus();
+        this.bus.on('threat', threat => this.addThreat(threat));
+        this.bus.on('tracker', tracker => this.addEvent({
+            type: tracker.blocked ? 'tracker_blocked' : 'tracker_allowed',
+            timestamp: tracker.timestamp,
+            severity: 'medium'
+        }));
+        this.bus.on('anomaly', anomaly => this.addEvent({
+            type: `${anomaly.metric}_anomaly`,
+            timestamp: anomaly.timestamp,
+            severity: anomaly.severity
+        }));
+    }
+    
+    addThreat(threat) {
+        // Radar placement is fixed when the threat arrives so its dot does not move between frames
+        this.threats.push({
+            severity: threat.severity,
+            timestamp: threat.timestamp,
+            angle: Math.random() * Math.PI * 2,
+            distance: 0.2 + Math.random() * 0.7 // Avoid center and edge
+        });
+        if (this.threats.length > this.maxThreats) {
+            this.threats.shift();
+        }
+        
+        this.addEvent({
+            type: threat.type,
+            timestamp: threat.timestamp,
+            severity: threat.severity
+        });
+    }
+    
+    addEvent(event) {
+        this.events.push(event);
+        if (this.events.length > 10) {
+            this.events.shift();
+        }
+    }
+    
+    setHistory(events) {
+        // Events persisted by earlier sessions, shown on the timeline before live ones
+        this.history = events.map(event => ({
+            type: event.type,
+            timestamp: event.timestamp,
+            severity: event.severity || 'medium'
+        }));
     }
     
     initRadar(canvasId) {
@@ -105,14 +157,9 @@ class Visualizer {
     }
     
     drawThreats(centerX, centerY, maxRadius) {
-        if (!window.falconGuardian || !window.falconGuardian.state) return;
-        
-        const threats = window.falconGuardian.state.threats;
-        
-        threats.forEach(threat => {
-            // Use pre-calculated angle and distance if they exist
-            const angle = threat.angle ?? 0;
-            const distance = (threat.distance ?? 0.5) * maxRadius;
+        this.threats.forEach(threat => {
+            const angle = threat.angle;
+            const distance = threat.distance * maxRadius;
             
             const x = centerX + Math.cos(angle) * distance;
             const y = centerY + Math.sin(angle) * distance;
@@ -229,30 +276,7 @@ class Visualizer {
     }
     
     getTimelineData() {
-        if (!window.falconGuardian || !window.falconGuardian.state) return [];
-        
-        const threats = window.falconGuardian.state.threats;
-        const trackers = window.falconGuardian.state.trackers;
-        
-        const events = [];
-        
-        // Add threats
-        threats.forEach(threat => {
-            events.push({
-                type: threat.type,
-                timestamp: threat.timestamp,
-                severity: threat.severity
-            });
-        });
-        
-        // Add trackers
-        trackers.forEach(tracker => {
-            events.push({
-                type: 'tracker_blocked',
-                timestamp: tracker.timestamp,
-                severity: 'medium'
-            });
-        });
+        const events = [...this.history, ...this.events];
         
         // Sort by timestamp
         events.sort((a, b) => a.timestamp - b.timestamp);
@@ -264,8 +288,12 @@ class Visualizer {
         switch(eventType) {
             case 'canvas_fingerprint':
             case 'webgl_fingerprint':
+            case 'tracker_allowed':
                 return this._getComputedColor('--warning');
             case 'geolocation_access':
+            case 'score_anomaly':
+            case 'threat_rate_anomaly':
+            case 'tracker_rate_anomaly':
                 return this._getComputedColor('--danger');
             case 'tracker_blocked':
                 return this._getComputedColor('--safe');
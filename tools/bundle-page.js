@@ -0,0 +1,58 @@
+/**
+ * Page Bundle Builder
+ * Writes extension/page-bundle.js: the modules the extension runs in every page's own world, followed by
+ * extension/page.js, inside a single closure so none of their classes become globals pages can see
+ *
+ *   npm run bundle         (after changing any of the files below)
+ *   npm run check:bundle   (fails when the committed bundle no longer matches them)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const output = 'extension/page-bundle.js';
+const sources = [
+    'js/events.js',
+    'js/random.js',
+    'js/profiles.js',
+    'js/rules.js',
+    'js/farbling.js',
+    'js/timezone.js',
+    'js/geolocation.js',
+    'js/detector.js',
+    'js/shield.js',
+    'extension/memory-storage.js',
+    'extension/page.js'
+];
+
+const body = sources
+    .map(file => `// ${file}\n\n${fs.readFileSync(path.join(root, file), 'utf8').trim()}\n`)
+    .join('\n');
+
+const bundle = `/**
+ * Extension Page Bundle
+ * Generated by tools/bundle-page.js; edit the files named below and run \`npm run bundle\` instead
+ */
+
+(function() {
+${body}
+})();
+`;
+
+if (process.argv.includes('--check')) {
+    let current = null;
+    try {
+        current = fs.readFileSync(path.join(root, output), 'utf8');
+    } catch (e) {
+        // A missing bundle is as stale as an outdated one
+    }
+    if (current !== bundle) {
+        console.error(`${output} is out of date with its sources; run \`npm run bundle\` and commit the result`);
+        process.exit(1);
+    }
+    console.log(`${output} is up to date`);
+} else {
+    fs.writeFileSync(path.join(root, output), bundle);
+    console.log(`Wrote ${output} from ${sources.length} files`);
+}